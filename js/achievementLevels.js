@@ -0,0 +1,92 @@
+// File: js/achievementLevels.js
+// Purpose: NAEP achievement levels (Basic / Proficient / Advanced) shared by every visualization
+// Description: Official cut scores per subject and grade, level lookup, the level color palette,
+//              and accessors for the % at-or-above-level data stored in naep_cleaned.json.
+
+// ============================
+// Official cut scores
+// ============================
+// Source: NAGB achievement level cut scores (scale scores, 0-500)
+// https://nces.ed.gov/nationsreportcard/reading/achieve.aspx
+// https://nces.ed.gov/nationsreportcard/mathematics/achieve.aspx
+export const CUT_SCORES = {
+  reading: {
+    4: { Basic: 208, Proficient: 238, Advanced: 268 },
+    8: { Basic: 243, Proficient: 281, Advanced: 323 }
+  },
+  math: {
+    4: { Basic: 214, Proficient: 249, Advanced: 282 },
+    8: { Basic: 262, Proficient: 299, Advanced: 333 }
+  }
+};
+
+export const ACHIEVEMENT_LEVELS = ['Below Basic', 'Basic', 'Proficient', 'Advanced'];
+
+export const LEVEL_COLORS = {
+  'Below Basic': '#c0392b',
+  'Basic': '#e67e22',
+  'Proficient': '#27ae60',
+  'Advanced': '#2980b9'
+};
+
+function subjectKey(subject) {
+  return /^math/i.test(String(subject || '')) ? 'math' : 'reading';
+}
+
+// Input: grade (4 or 8), subject ('reading' | 'math')
+// Output: { Basic, Proficient, Advanced } cut scores
+export function getCutScores(grade, subject = 'reading') {
+  const cuts = CUT_SCORES[subjectKey(subject)][Number(grade)];
+  if (!cuts) throw new Error(`No NAEP cut scores for grade ${grade}`);
+  return cuts;
+}
+
+// Input: scale score, grade, subject
+// Output: 'Below Basic' | 'Basic' | 'Proficient' | 'Advanced' (or 'Unknown' for missing scores)
+export function levelForScore(score, grade, subject = 'reading') {
+  if (score == null || isNaN(score)) return 'Unknown';
+  const cuts = getCutScores(grade, subject);
+  if (score >= cuts.Advanced) return 'Advanced';
+  if (score >= cuts.Proficient) return 'Proficient';
+  if (score >= cuts.Basic) return 'Basic';
+  return 'Below Basic';
+}
+
+export function colorForLevel(level) {
+  return LEVEL_COLORS[level] || '#999';
+}
+
+// Contiguous score bands for legends and gauges
+// Output: [{ level, from, to, color }] clipped to [min, max]
+export function levelBands(grade, subject = 'reading', [min, max] = [0, 500]) {
+  const cuts = getCutScores(grade, subject);
+  const edges = [min, cuts.Basic, cuts.Proficient, cuts.Advanced, max];
+  return ACHIEVEMENT_LEVELS
+    .map((level, i) => ({
+      level,
+      from: Math.max(min, edges[i]),
+      to: Math.min(max, edges[i + 1]),
+      color: LEVEL_COLORS[level]
+    }))
+    .filter(band => band.to > band.from);
+}
+
+// Short text for banners, e.g. "208-237 = Basic"
+export function describeBand(band, max = 500) {
+  if (band.level === 'Below Basic') return `below ${band.to} = ${band.level}`;
+  if (band.to >= max) return `${band.from}+ = ${band.level}`;
+  return `${band.from}-${band.to - 1} = ${band.level}`;
+}
+
+// ============================
+// % of students at or above each level
+// ============================
+// Input: grade block of naep_cleaned.json (see getGradeData in dataHelpers.js), state code, year
+// Output: { Basic, Proficient, Advanced } percentages (Advanced = % at Advanced) or null
+export function percentAtOrAbove(gradeData, state, year) {
+  return gradeData?.levels?.states?.[state]?.[year] ?? null;
+}
+
+export function nationalPercentAtOrAbove(gradeData, year) {
+  return gradeData?.levels?.nationalAvg?.[year] ?? null;
+}
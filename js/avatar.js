@@ -0,0 +1,37 @@
+// File: js/avatar.js
+// Purpose: Render the design.html character locally with the DiceBear "big-ears" style
+// Description: Replaces the api.dicebear.com calls so avatar creation works offline.
+//              The library is vendored in lib/dicebear/; design.html maps the bare
+//              '@dicebear/*' specifiers to those files with an import map.
+
+import { createAvatar, schema as coreSchema } from '@dicebear/core';
+import * as bigEars from '@dicebear/big-ears';
+
+// Option schema of the style (same shape as the API's schema.json)
+export const schema = bigEars.schema;
+
+const ARRAY_OPTIONS = new Set(
+  Object.entries({ ...coreSchema.properties, ...schema.properties })
+    .filter(([, prop]) => prop.type === 'array')
+    .map(([key]) => key)
+);
+
+// Saved avatarOptions use the HTTP API shape (one value per option, e.g. hair: 'long05');
+// the JS API expects arrays for list-valued options such as hair or hairColor.
+function toStyleOptions(options) {
+  const out = {};
+  Object.entries(options).forEach(([key, value]) => {
+    if (value === null || value === undefined || value === '') return;
+    out[key] = ARRAY_OPTIONS.has(key) && !Array.isArray(value) ? [String(value)] : value;
+  });
+  return out;
+}
+
+// Input: avatar options ({ seed, hair, hairColor, ... })
+// Output: SVG data URI usable as an <img> src
+export function avatarDataUri(options = {}) {
+  return createAvatar(bigEars, {
+    backgroundColor: ['faf8f5'],
+    ...toStyleOptions(options)
+  }).toDataUri();
+}
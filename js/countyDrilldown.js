@@ -0,0 +1,300 @@
+// File: js/countyDrilldown.js
+// Purpose: Drill from a state on any US map into its counties, colored by PIAAC adult literacy
+// Description: Adds a layer to an existing map SVG. open(state) hides the national map, fits the
+//              state's counties (us-atlas counties-10m) to the SVG and colors them by the PIAAC
+//              small-area estimate of adults at or below Level 1. Without the estimates the map
+//              stays on the national view and shows a short notice instead. Used by
+//              visualization2.js and visualization3-with-avatar-pin.js.
+
+import './stateRegistry.js';
+import { loadPIAACCounties } from './dataHelpers.js';
+import { loadJSONDataset } from './datasetCache.js';
+
+const { lookupState } = window.StateRegistry;
+
+const ink = '#111';
+const paper = '#efe6da';
+const NO_DATA = '#ddd';
+
+// Input: svg (d3 selection of the host map), width/height of its viewBox
+// Output: { open(state), close(), isOpen() }
+export function createCountyDrilldown({
+  svg,
+  width,
+  height,
+  countyTopoUrl = 'data/us-counties-10m.json',
+  piaacPath = 'data/PIACC data.xlsx',
+  onOpen = null,
+  onClose = null
+}) {
+  let openState = null;
+  let estimatesError = null; // set once the PIAAC estimates failed to load; later clicks only show the notice
+
+  const layer = svg.append('g')
+    .attr('class', 'county-drilldown')
+    .style('display', 'none');
+
+  const tooltip = d3.select(svg.node().parentNode).append('div')
+    .attr('class', 'county-tooltip')
+    .style('position', 'fixed')
+    .style('visibility', 'hidden')
+    .style('background', '#ffffff')
+    .style('border', `2px solid ${ink}`)
+    .style('border-radius', '6px')
+    .style('padding', '8px 12px')
+    .style('font-family', 'Inter, system-ui')
+    .style('font-size', '13px')
+    .style('line-height', '1.6')
+    .style('pointer-events', 'none')
+    .style('z-index', '1000')
+    .style('box-shadow', '0 2px 8px rgba(0,0,0,0.2)');
+
+  // The national map: everything in the SVG except this layer
+  const baseLayers = () => svg.selectAll(':scope > *:not(.county-drilldown)');
+
+  // Short notice over the national map, replaced by the next one and faded out after a few seconds
+  function showNotice(message) {
+    svg.selectAll('.county-notice').remove();
+    const notice = svg.append('g')
+      .attr('class', 'county-notice')
+      .attr('transform', `translate(${width / 2}, 20)`)
+      .attr('role', 'status')
+      .style('pointer-events', 'none');
+    const text = notice.append('text')
+      .attr('y', 18)
+      .attr('text-anchor', 'middle')
+      .style('font-family', '"IBM Plex Mono", monospace')
+      .style('font-size', '12px')
+      .style('font-weight', '600')
+      .attr('fill', '#c0392b')
+      .text(message);
+    const textWidth = text.node().getComputedTextLength?.() || message.length * 7.2;
+    notice.insert('rect', 'text')
+      .attr('x', -textWidth / 2 - 12)
+      .attr('width', textWidth + 24)
+      .attr('height', 28)
+      .attr('rx', 4)
+      .attr('fill', '#fff')
+      .attr('stroke', ink)
+      .attr('stroke-width', 2);
+    notice.transition()
+      .delay(4000)
+      .duration(600)
+      .style('opacity', 0)
+      .remove();
+  }
+
+  function showUnavailable() {
+    showNotice(`No county literacy estimates in this copy (${piaacPath} could not be loaded)`);
+  }
+
+  async function open(state) {
+    const entry = lookupState(state);
+    if (!entry) return;
+    if (estimatesError) {
+      showUnavailable();
+      return;
+    }
+    openState = entry.usps;
+
+    let us, countyResult;
+    try {
+      [us, countyResult] = await Promise.all([
+        loadJSONDataset(countyTopoUrl),
+        loadPIAACCounties(piaacPath).then(
+          data => ({ data, error: null }),
+          error => ({ data: null, error })
+        )
+      ]);
+    } catch (err) {
+      // County topology failed: stay on the national map and let the caller report it
+      if (openState === entry.usps) openState = null;
+      throw err;
+    }
+    // Another state was opened (or the view closed) while loading
+    if (openState !== entry.usps) return;
+
+    if (countyResult.error) {
+      console.warn('⚠️ County literacy estimates unavailable:', countyResult.error.message);
+      estimatesError = countyResult.error;
+      openState = null;
+      showUnavailable();
+      return;
+    }
+
+    const counties = topojson.feature(us, us.objects.counties).features
+      .filter(f => String(f.id).slice(0, 2) === entry.fips);
+    const stateFeature = topojson.feature(us, us.objects.states).features
+      .find(f => String(f.id) === entry.fips);
+
+    render(entry, counties, stateFeature, countyResult);
+    console.log(`🗺️ County view: ${entry.name} (${counties.length} counties)`);
+    if (onOpen) onOpen(entry.usps);
+  }
+
+  function render(entry, counties, stateFeature, { data }) {
+    layer.selectAll('*').remove();
+
+    const projection = d3.geoAlbersUsa()
+      .fitExtent([[30, 60], [width - 30, height - 60]], stateFeature || { type: 'FeatureCollection', features: counties });
+    const path = d3.geoPath().projection(projection);
+
+    // One color scale across all counties so states stay comparable
+    const values = Object.values(data).map(d => d.litP1);
+    const color = d3.scaleSequential(d3.interpolateYlOrRd)
+      .domain(values.length ? d3.extent(values) : [0, 1]);
+
+    layer.append('rect')
+      .attr('width', width)
+      .attr('height', height)
+      .attr('fill', paper)
+      .on('click', close);
+
+    layer.append('g')
+      .selectAll('path')
+      .data(counties)
+      .join('path')
+      .attr('d', path)
+      .attr('fill', d => {
+        const record = data[String(d.id)];
+        return record ? color(record.litP1) : NO_DATA;
+      })
+      .attr('stroke', paper)
+      .attr('stroke-width', 0.75)
+      .on('mouseover', function(event, d) {
+        d3.select(this).attr('stroke', ink).attr('stroke-width', 2).raise();
+        const record = data[String(d.id)];
+        const interval = record?.litP1Low != null && record?.litP1High != null
+          ? `<span style="font-size: 11px;">95% interval: ${record.litP1Low.toFixed(1)}–${record.litP1High.toFixed(1)}%</span><br/>`
+          : '';
+        const avg = record?.litAvg != null
+          ? `<span style="font-size: 11px;">Average literacy score: <strong>${record.litAvg.toFixed(0)}</strong></span><br/>`
+          : '';
+        tooltip
+          .style('visibility', 'visible')
+          .html(`
+            <strong style="font-size: 14px;">${record?.county || d.properties?.name || 'County'}, ${entry.usps}</strong><br/>
+            <span style="font-size: 12px;">Adults at or below Level 1: <strong>${record ? `${record.litP1.toFixed(1)}%` : 'N/A'}</strong></span><br/>
+            ${interval}
+            ${avg}
+          `)
+          .style('left', (event.clientX + 15) + 'px')
+          .style('top', (event.clientY - 15) + 'px');
+      })
+      .on('mouseout', function() {
+        d3.select(this).attr('stroke', paper).attr('stroke-width', 0.75);
+        tooltip.style('visibility', 'hidden');
+      });
+
+    if (stateFeature) {
+      layer.append('path')
+        .datum(stateFeature)
+        .attr('d', path)
+        .attr('fill', 'none')
+        .attr('stroke', ink)
+        .attr('stroke-width', 2)
+        .style('pointer-events', 'none');
+    }
+
+    // Title
+    layer.append('text')
+      .attr('x', width / 2)
+      .attr('y', 32)
+      .attr('text-anchor', 'middle')
+      .style('font-family', 'Anton, Impact, sans-serif')
+      .style('font-size', '22px')
+      .style('letter-spacing', '1px')
+      .attr('fill', ink)
+      .text(`${entry.name.toUpperCase()} — ADULTS AT OR BELOW LITERACY LEVEL 1`);
+
+    // Back button
+    const back = layer.append('g')
+      .attr('class', 'county-back')
+      .attr('transform', 'translate(16, 14)')
+      .style('cursor', 'pointer')
+      .on('click', close);
+    back.append('rect')
+      .attr('width', 118)
+      .attr('height', 28)
+      .attr('rx', 4)
+      .attr('fill', '#fff')
+      .attr('stroke', ink)
+      .attr('stroke-width', 2);
+    back.append('text')
+      .attr('x', 59)
+      .attr('y', 19)
+      .attr('text-anchor', 'middle')
+      .style('font-family', '"IBM Plex Mono", monospace')
+      .style('font-size', '12px')
+      .style('font-weight', '600')
+      .attr('fill', ink)
+      .text('← US MAP');
+
+    // Legend
+    drawLegend(layer.append('g').attr('transform', `translate(30, ${height - 30})`), color);
+
+    baseLayers().style('display', 'none');
+    layer.style('display', null).raise();
+  }
+
+  function drawLegend(foot, color) {
+    const legendWidth = 220;
+    const [min, max] = color.domain();
+    const id = `county-gradient-${Math.random().toString(36).slice(2, 8)}`;
+    const gradient = foot.append('defs').append('linearGradient').attr('id', id);
+    d3.range(0, 1.01, 0.1).forEach(t => {
+      gradient.append('stop')
+        .attr('offset', `${t * 100}%`)
+        .attr('stop-color', color(min + t * (max - min)));
+    });
+    foot.append('rect')
+      .attr('y', -12)
+      .attr('width', legendWidth)
+      .attr('height', 10)
+      .attr('fill', `url(#${id})`)
+      .attr('stroke', ink)
+      .attr('stroke-width', 1);
+    [[0, min, 'start'], [legendWidth, max, 'end']].forEach(([x, value, anchor]) => {
+      foot.append('text')
+        .attr('x', x)
+        .attr('y', 12)
+        .attr('text-anchor', anchor)
+        .style('font-family', '"IBM Plex Mono", monospace')
+        .style('font-size', '11px')
+        .attr('fill', ink)
+        .text(`${value.toFixed(0)}%`);
+    });
+    foot.append('text')
+      .attr('x', legendWidth + 12)
+      .attr('y', -3)
+      .style('font-family', 'Inter, system-ui')
+      .style('font-size', '11px')
+      .attr('fill', ink)
+      .text('% adults at or below Level 1 (PIAAC county estimates) · gray = no estimate');
+  }
+
+  function close() {
+    if (!openState) return;
+    openState = null;
+    tooltip.style('visibility', 'hidden');
+    layer.style('display', 'none').selectAll('*').remove();
+    baseLayers().style('display', null);
+    if (onClose) onClose();
+  }
+
+  // Esc returns to the US map; the listener removes itself once the map is re-rendered away
+  const keyEvent = `keydown.county-drilldown-${Math.random().toString(36).slice(2, 8)}`;
+  d3.select(window).on(keyEvent, event => {
+    if (!svg.node().isConnected) {
+      d3.select(window).on(keyEvent, null);
+      return;
+    }
+    if (event.key === 'Escape') close();
+  });
+
+  return {
+    open,
+    close,
+    isOpen: () => openState != null
+  };
+}
@@ -1,276 +1,275 @@
 // File: js/dataHelpers.js
-// Purpose: Fetch, clean, and merge data from NAEP API, district poverty CSV, and PIAAC literacy data
+// Purpose: Fetch, clean, and merge NAEP scores (data/naep_cleaned.json, or the NAEP Data Service via
+//          js/naepService.js), district spending/poverty CSV, and PIAAC literacy data
 // Author: Project Team
 // Description: These helper functions prepare consistent data objects for use in visualization1.js and other visuals.
 
-// ============================
-// Utility: Local caching helpers
-// ============================
-function cacheData(key, data) {
-    try { localStorage.setItem(key, JSON.stringify({ data, ts: Date.now() })); } catch (e) {}
+import './stateRegistry.js';
+import { cachedDataset, loadJSONDataset, sourceVersion } from './datasetCache.js';
+import { loadServiceGradeData } from './naepService.js';
+
+const { toUSPS } = window.StateRegistry;
+
+  // Cache for data/naep_cleaned.json (built by scripts/clean_naep_data.js) - loaded once
+  let naepCleanedPromise = null;
+  
+  // Global cache for per-subject/grade NAEP lookups - built once per subject and grade
+  const naepDataCache = new Map();
+  
+  // Where fetchNAEP reads scores from: 'cleaned' (data/naep_cleaned.json) or
+  // { serviceUrl } for the NAEP Data Service adapter, e.g. the local fixture server:
+  //   setNAEPSource({ serviceUrl: 'http://localhost:8787/DataService/GetAdhocData.aspx' })
+  let naepSource = 'cleaned';
+  
+  export function setNAEPSource(source = 'cleaned') {
+    naepSource = source?.serviceUrl ? { serviceUrl: source.serviceUrl } : 'cleaned';
+    naepDataCache.clear();
+    console.log(`🔗 NAEP source: ${naepSourceLabel()}`);
   }
   
-  function loadCachedData(key, maxAgeMinutes = 1440) { // 24 hours default
-    try {
-      const item = JSON.parse(localStorage.getItem(key));
-      if (!item) return null;
-      const age = (Date.now() - item.ts) / 60000;
-      return age < maxAgeMinutes ? item.data : null;
-    } catch (e) { return null; }
+  function naepSourceLabel() {
+    return naepSource.serviceUrl || 'data/naep_cleaned.json';
   }
   
-  // Global cache for loaded Excel files (by grade) - loaded once per grade
-  const naepDataCache = new Map();
+  // ============================
+  // Subjects (naep_cleaned.json is keyed by subject, then grade)
+  // ============================
+  export const NAEP_SUBJECTS = ['reading', 'math'];
+  
+  // Accepts 'reading' / 'READING' / 'math' / 'MATHEMATICS'; defaults to reading
+  export function normalizeSubject(subject) {
+    return /^math/i.test(String(subject || '')) ? 'math' : 'reading';
+  }
+  
+  // Input: parsed naep_cleaned.json, grade (4 or 8), subject
+  // Output: the grade block ({ years, states, nationalAvg, se, flags, nslp, ... }) or null
+  export function getGradeData(data, grade, subject = 'reading') {
+    return data?.[normalizeSubject(subject)]?.[`grade${grade}`] ?? null;
+  }
+  
+  // True when the subject has at least one assessed year in naep_cleaned.json
+  export function hasSubjectData(data, subject) {
+    return (data?.metadata?.subjects || []).includes(normalizeSubject(subject));
+  }
+  
+  // ============================
+  // SES-disaggregated scores (NSLP eligibility)
+  // ============================
+  // Low SES = eligible for National School Lunch Program, High SES = not eligible,
+  // Middle SES = the state's overall average. The NSLP exports (naep_nslp_*.xlsx) are
+  // not in data/ yet, so today every Low / High score is the state average ∓
+  // FALLBACK_SES_GAP. Once they are ingested, reported cells are used as they are and
+  // suppressed ones are estimated from the national NSLP gap for that year. Estimates
+  // are flagged with estimated: true; method says which path was taken.
+  export const FALLBACK_SES_GAP = 18; // Legacy offset, used while no national NSLP gap exists
+  
+  // method -> how an estimated score was made, for footnotes and the provenance panel
+  export const SES_ESTIMATE_NOTES = {
+    nationalGap: 'NAEP suppressed this group\'s score, so it is the state average shifted by the national lunch-eligibility gap for that year.',
+    fixedGap: `no NAEP lunch-eligibility results are loaded, so Low / High SES is the state average ∓ ${FALLBACK_SES_GAP} points.`
+  };
+  
+  function normalizeSESLevel(ses) {
+    const s = String(ses || '').toLowerCase();
+    if (s.startsWith('low')) return 'Low';
+    if (s.startsWith('high')) return 'High';
+    return 'Middle';
+  }
+  
+  // Input: one grade block of naep_cleaned.json (see getGradeData), state code, year, SES level
+  // Output: { score, estimated, method } - score is null when the state has no overall score that year;
+  // method is 'overall' (Middle), 'reported' (NSLP cell), or 'nationalGap' / 'fixedGap' (estimated)
+  export function getSESScore(gradeData, state, year, ses) {
+    const level = normalizeSESLevel(ses);
+    const overall = gradeData?.states?.[state]?.[year] ?? null;
+    if (level === 'Middle' || overall == null) {
+      return { score: overall, estimated: false, method: 'overall' };
+    }
+  
+    const key = level === 'Low' ? 'eligible' : 'notEligible';
+    const actual = gradeData.nslp?.states?.[state]?.[year]?.[key];
+    if (actual != null) {
+      return { score: actual, estimated: false, method: 'reported' };
+    }
+  
+    // Suppressed: shift the state average by the national gap for this group and year
+    const national = gradeData.nslp?.nationalAvg?.[year]?.[key];
+    const nationalAvg = gradeData.nationalAvg?.[year];
+    if (national != null && nationalAvg != null) {
+      return { score: overall + national - nationalAvg, estimated: true, method: 'nationalGap' };
+    }
+    return { score: overall + (level === 'Low' ? -FALLBACK_SES_GAP : FALLBACK_SES_GAP), estimated: true, method: 'fixedGap' };
+  }
+  
+  // Footnote for a set of scores from getSESScore: one sentence per estimate method used, or ''
+  export function describeSESEstimates(scores) {
+    return [...new Set(scores.filter(d => d?.estimated).map(d => d.method))]
+      .map(method => SES_ESTIMATE_NOTES[method])
+      .filter(Boolean)
+      .join(' ');
+  }
+  
+  // Output: { Low, Middle, High, NationalAverage, estimated: { Low, High }, methods: { Low, High } }
+  export function getSESScores(gradeData, state, year) {
+    const low = getSESScore(gradeData, state, year, 'Low');
+    const high = getSESScore(gradeData, state, year, 'High');
+    return {
+      Low: low.score,
+      Middle: gradeData?.states?.[state]?.[year] ?? null,
+      High: high.score,
+      NationalAverage: gradeData?.nationalAvg?.[year] ?? null,
+      estimated: { Low: low.estimated, High: high.estimated },
+      methods: { Low: low.method, High: high.method }
+    };
+  }
+  
+  // ============================
+  // Standard errors and significance vs. the national average
+  // ============================
+  // Uses the SEs kept by scripts/clean_naep_data.js. The test treats the state and
+  // national estimates as independent (two-sided, alpha = .05), which is slightly
+  // conservative because each state is part of the national sample.
+  const Z_95 = 1.96;
+  
+  // Output: { score, se, ci: [low, high], nationalAverage, diff, significant,
+  //           direction: 'above' | 'below' | 'not different', flags: [...] } or null
+  export function compareToNational(gradeData, state, year) {
+    const score = gradeData?.states?.[state]?.[year] ?? null;
+    if (score == null) return null;
+  
+    const se = gradeData.se?.[state]?.[year] ?? null;
+    const nationalAverage = gradeData.nationalAvg?.[year] ?? null;
+    const nationalSE = gradeData.nationalSE?.[year] ?? null;
+    const flags = [
+      ...(gradeData.yearFlags?.[year] || []),
+      ...(gradeData.flags?.[state]?.[year] || [])
+    ];
+  
+    const ci = se != null ? [score - Z_95 * se, score + Z_95 * se] : null;
+    const diff = nationalAverage != null ? score - nationalAverage : null;
+    let significant = false;
+    if (diff != null && se != null && nationalSE != null) {
+      significant = Math.abs(diff) > Z_95 * Math.sqrt(se * se + nationalSE * nationalSE);
+    }
+    const direction = significant ? (diff > 0 ? 'above' : 'below') : 'not different';
+  
+    return { score, se, ci, nationalAverage, diff, significant, direction, flags };
+  }
   
   // ============================
-  // 1. Load all NAEP data from Excel file (loads once per grade)
+  // 1. Load all NAEP data for a subject and grade (loads once per subject/grade)
   // ============================
-  async function loadAllNAEPData(grade = 4) {
+  // Reads data/naep_cleaned.json (every assessed year, with the NSLP breakdown), or the
+  // NAEP Data Service when setNAEPSource({ serviceUrl }) was called.
+  // Output: { gradeData, years: [ascending numbers], latestYear, version (metadata.generated;
+  //   null for service results, which are not persisted in the dataset cache) }
+  async function loadAllNAEPData(grade = 4, subject = 'reading') {
+    subject = normalizeSubject(subject);
+    const memoKey = `${subject}_${grade}`;
+    
     // Check if already loaded
-    if (naepDataCache.has(grade)) {
-      console.log(`✅ Using cached NAEP data for grade ${grade}`);
-      return naepDataCache.get(grade);
+    if (naepDataCache.has(memoKey)) {
+      console.log(`✅ Using cached NAEP ${subject} data for grade ${grade}`);
+      return naepDataCache.get(memoKey);
     }
     
     try {
-      // Load from Excel files based on grade
-      const filePath = grade === 4 
-        ? 'data/fourth_grade_naep.xlsx' 
-        : 'data/eighth_grade_naep.xlsx';
-      
-      console.log(`📊 Loading NAEP data from ${filePath} for Grade ${grade}`);
-      
-      if (typeof XLSX === 'undefined') {
-        throw new Error("XLSX (SheetJS) not found. Make sure it's loaded in the page.");
-      }
-      
-      const res = await fetch(filePath);
-      if (!res.ok) {
-        throw new Error(`Failed to fetch ${filePath}: ${res.status} ${res.statusText}`);
-      }
-      
-      const buf = await res.arrayBuffer();
-      const wb = XLSX.read(buf, { type: 'array' });
-      
-      // Get the first sheet
-      const sheetName = wb.SheetNames[0];
-      const ws = wb.Sheets[sheetName];
-      const rows = XLSX.utils.sheet_to_json(ws, { header: 1, defval: null });
-      
-      console.log(`📊 Loaded ${rows.length} rows from Excel file`);
-      
-      // State name to USPS code mapping
-      const stateNameToCode = {
-        'Alabama': 'AL', 'Alaska': 'AK', 'Arizona': 'AZ', 'Arkansas': 'AR', 'California': 'CA',
-        'Colorado': 'CO', 'Connecticut': 'CT', 'Delaware': 'DE', 'District of Columbia': 'DC',
-        'Florida': 'FL', 'Georgia': 'GA', 'Hawaii': 'HI', 'Idaho': 'ID', 'Illinois': 'IL',
-        'Indiana': 'IN', 'Iowa': 'IA', 'Kansas': 'KS', 'Kentucky': 'KY', 'Louisiana': 'LA',
-        'Maine': 'ME', 'Maryland': 'MD', 'Massachusetts': 'MA', 'Michigan': 'MI', 'Minnesota': 'MN',
-        'Mississippi': 'MS', 'Missouri': 'MO', 'Montana': 'MT', 'Nebraska': 'NE', 'Nevada': 'NV',
-        'New Hampshire': 'NH', 'New Jersey': 'NJ', 'New Mexico': 'NM', 'New York': 'NY',
-        'North Carolina': 'NC', 'North Dakota': 'ND', 'Ohio': 'OH', 'Oklahoma': 'OK', 'Oregon': 'OR',
-        'Pennsylvania': 'PA', 'Rhode Island': 'RI', 'South Carolina': 'SC', 'South Dakota': 'SD',
-        'Tennessee': 'TN', 'Texas': 'TX', 'Utah': 'UT', 'Vermont': 'VT', 'Virginia': 'VA',
-        'Washington': 'WA', 'West Virginia': 'WV', 'Wisconsin': 'WI', 'Wyoming': 'WY',
-        'United States': 'National'
-      };
-      
-      // Find the data rows
-      let dataStartRow = -1;
-      let headerRowIndex = -1;
-      
-      // Find header row - try multiple strategies
-      // Strategy 1: Look for "State or jurisdiction" header
-      for (let i = 0; i < Math.min(15, rows.length); i++) {
-        const row = rows[i];
-        if (!row || !Array.isArray(row)) continue;
-        const firstCell = String(row[0] || '').trim().toLowerCase();
-        
-        if (firstCell.includes('state') || firstCell.includes('jurisdiction')) {
-          dataStartRow = i + 1;
-          headerRowIndex = i;
-          console.log(`📊 Found header row at index ${i}: "${String(rows[i][0]).trim()}"`);
-          break;
-        }
-      }
-      
-      // Strategy 2: Look for row with year numbers in header
-      if (headerRowIndex === -1) {
-        for (let i = 0; i < Math.min(15, rows.length); i++) {
-          const row = rows[i];
-          if (!row || !Array.isArray(row)) continue;
-          
-          // Check if this row has year numbers
-          let yearCount = 0;
-          for (let j = 1; j < Math.min(row.length, 15); j++) {
-            const cell = String(row[j] || '').trim();
-            if (/^(199[2-9]|200[0-9]|201[0-9]|202[0-2])$/.test(cell)) {
-              yearCount++;
-            }
-          }
-          
-          // If we found multiple years, this is likely the header
-          if (yearCount >= 3) {
-            headerRowIndex = i;
-            dataStartRow = i + 1;
-            console.log(`📊 Found header row with years at index ${i} (${yearCount} years found)`);
-            break;
-          }
-        }
-      }
-      
-      // Strategy 3: Look for first state name, then find header above it
-      if (dataStartRow === -1) {
-        for (let i = 0; i < Math.min(30, rows.length); i++) {
-          const row = rows[i];
-          if (!row || !Array.isArray(row)) continue;
-          const firstCell = String(row[0] || '').trim();
-          if (stateNameToCode[firstCell] || firstCell === 'United States') {
-            // Look backwards for header row with years
-            for (let j = Math.max(0, i - 5); j < i; j++) {
-              const headerRow = rows[j];
-              if (headerRow && Array.isArray(headerRow)) {
-                const hasYears = headerRow.some(cell => {
-                  const val = String(cell || '').trim();
-                  return /^(199[2-9]|200[0-9]|201[0-9]|202[0-2])$/.test(val);
-                });
-                if (hasYears) {
-                  headerRowIndex = j;
-                  dataStartRow = i;
-                  console.log(`📊 Found header at index ${j}, data starts at ${i}`);
-                  break;
-                }
-              }
-            }
-            if (headerRowIndex !== -1) break;
-          }
-        }
-      }
-      
-      if (dataStartRow === -1 || headerRowIndex === -1) {
-        console.error(`❌ Could not find data start row or header row`);
-        console.log('First 10 rows:', rows.slice(0, 10).map(r => r && Array.isArray(r) ? String(r[0] || '').trim() : 'null'));
-        throw new Error('Could not parse Excel file structure');
-      }
-      
-      const headerRow = rows[headerRowIndex];
-      
-      // Find year columns
-      const yearColumns = [];
-      for (let i = 1; i < headerRow.length; i++) {
-        const cell = String(headerRow[i] || '').trim();
-        const yearMatch = cell.match(/^(199[2-9]|200[0-9]|201[0-9]|202[0-2])$/);
-        if (yearMatch) {
-          yearColumns.push({ index: i, year: yearMatch[1] });
+      let gradeData, version;
+      if (naepSource.serviceUrl) {
+        gradeData = await loadServiceGradeData(grade, subject, { baseUrl: naepSource.serviceUrl });
+        version = null;
+      } else {
+        if (!naepCleanedPromise) {
+          // A failed load is not memoized, so the next call fetches again
+          naepCleanedPromise = loadJSONDataset('data/naep_cleaned.json', { name: 'naep_cleaned' })
+            .catch(err => {
+              naepCleanedPromise = null;
+              throw err;
+            });
         }
+        const data = await naepCleanedPromise;
+        gradeData = getGradeData(data, grade, subject);
+        version = data.metadata?.generated ?? null;
       }
-      
-      if (yearColumns.length === 0) {
-        throw new Error('Could not find year columns in Excel file');
+      if (!gradeData || gradeData.years.length === 0) {
+        throw new Error(`No NAEP ${subject} data for grade ${grade}`);
       }
       
-      // Get latest year (2022 if available)
-      yearColumns.sort((a, b) => parseInt(b.year) - parseInt(a.year));
-      const targetYearCol = yearColumns[0];
-      console.log(`📊 Using year ${targetYearCol.year} at column index ${targetYearCol.index}`);
-      
-      // Parse all states
-      const stateData = new Map();
-      let nationalAvg = null;
-      const sesGap = 18; // Typical NAEP reading score gap
+      const years = [...gradeData.years].map(Number).sort((a, b) => a - b);
+      const latestYear = years[years.length - 1];
       
-      for (let i = dataStartRow; i < rows.length; i++) {
-        const row = rows[i];
-        if (!row || !Array.isArray(row)) continue;
-        const firstCell = String(row[0] || '').trim();
-        
-        // Check for national average
-        if (firstCell === 'United States' || firstCell.toLowerCase().includes('united states')) {
-          const natScoreCell = row[targetYearCol.index];
-          if (typeof natScoreCell === 'number') {
-            nationalAvg = natScoreCell;
-          } else if (typeof natScoreCell === 'string') {
-            const natScoreMatch = natScoreCell.match(/^(\d+\.?\d*)/);
-            if (natScoreMatch) {
-              nationalAvg = parseFloat(natScoreMatch[1]);
-            }
-          }
-          continue;
-        }
-        
-        // Check for state
-        const stateCode = stateNameToCode[firstCell];
-        if (stateCode) {
-          const scoreCell = row[targetYearCol.index];
-          let score = null;
-          
-          if (typeof scoreCell === 'number') {
-            score = scoreCell;
-          } else if (typeof scoreCell === 'string') {
-            const scoreMatch = scoreCell.match(/^(\d+\.?\d*)/);
-            score = scoreMatch ? parseFloat(scoreMatch[1]) : null;
-          }
-          
-          if (score !== null && !isNaN(score)) {
-            stateData.set(stateCode, {
-              Low: score - sesGap,
-              Middle: score,
-              High: score + sesGap,
-              NationalAverage: nationalAvg || score
-            });
-          }
-        }
-      }
-      
-      console.log(`✅ Loaded ${stateData.size} states from Excel file`);
-      if (nationalAvg) {
-        console.log(`✅ National average: ${nationalAvg}`);
-      }
+      console.log(`✅ Loaded ${Object.keys(gradeData.states).length} states, ${years.length} years (${years[0]}-${latestYear}) for ${subject}, Grade ${grade}`);
       
       // Cache the results
-      const result = { stateData, nationalAvg };
-      naepDataCache.set(grade, result);
+      const result = { gradeData, years, latestYear, version };
+      naepDataCache.set(memoKey, result);
       return result;
     } catch (err) {
-      console.error(`❌ Failed to load NAEP data for Grade ${grade}:`, err);
+      console.error(`❌ Failed to load NAEP ${subject} data for Grade ${grade}:`, err);
       throw err;
     }
   }
   
+  // Scores for one state and year: { year, Low, Middle, High, NationalAverage, estimated,
+  //   StandardError, ConfidenceInterval, vsNational, flags }
+  function scoresForYear(gradeData, state, year) {
+    const comparison = compareToNational(gradeData, state, String(year));
+    return {
+      year,
+      ...getSESScores(gradeData, state, String(year)),
+      StandardError: comparison?.se ?? null,
+      ConfidenceInterval: comparison?.ci ?? null,
+      vsNational: comparison?.direction ?? null,
+      flags: comparison?.flags ?? []
+    };
+  }
+  
   // ============================
   // 2. Fetch NAEP data for a specific state
   // ============================
-  // Input: state code (e.g. "TX"), grade (4 or 8), subject ("READING")
-  // Output: Object with SES categories and average scores
-  export async function fetchNAEP(state, grade = 4, subject = 'READING') {
-    const cacheKey = `naep_${state}_${grade}_${subject}`;
-    const cached = loadCachedData(cacheKey);
-    if (cached) {
-      return cached;
-    }
+  // Input: state code (e.g. "TX"), grade (4 or 8), subject ("READING" or "MATHEMATICS"), and an optional year:
+  //   - omitted/null  -> latest assessed year
+  //   - 2019          -> that year
+  //   - [2003, 2019]  -> every assessed year in the range (inclusive; either end may be null)
+  //   - 'all'         -> the full series
+  // Output: one scores object { year, Low, Middle, High, NationalAverage, estimated,
+  //   StandardError, ConfidenceInterval, vsNational, flags },
+  //   or an array of them (ascending by year) for a range / 'all'. Years the state
+  //   was not assessed keep NationalAverage with null state scores.
+  export async function fetchNAEP(state, grade = 4, subject = 'READING', year = null) {
+    const isSeries = year === 'all' || Array.isArray(year);
+    const yearKey = year === null ? 'latest' : (Array.isArray(year) ? year.join('-') : year);
     
     try {
       // Load all data for this grade (cached after first load)
-      const { stateData, nationalAvg } = await loadAllNAEPData(grade);
-      
-      // Get state-specific data
-      const scores = stateData.get(state) || {
-        Low: null,
-        Middle: null,
-        High: null,
-        NationalAverage: nationalAvg
-      };
+      const { gradeData, years, latestYear, version } = await loadAllNAEPData(grade, subject);
       
-      if (scores.Middle === null) {
+      if (!gradeData.states[state]) {
         console.warn(`⚠️ No data found for ${state}, Grade ${grade}`);
       }
       
-      // Cache individual state result
-      cacheData(cacheKey, scores);
-      return scores;
+      // Per-state results are cached against the data build (metadata.generated)
+      const datasetName = `naep_${state}_${grade}_${normalizeSubject(subject)}_${yearKey}`;
+      return await cachedDataset(datasetName, version, () => {
+        if (isSeries) {
+          const [from = null, to = null] = Array.isArray(year) ? year : [];
+          return years
+            .filter(y => (from == null || y >= from) && (to == null || y <= to))
+            .map(y => scoresForYear(gradeData, state, y));
+        }
+        const target = year === null ? latestYear : Number(year);
+        if (!years.includes(target)) {
+          console.warn(`⚠️ ${target} is not an assessed year for Grade ${grade} (${years.join(', ')})`);
+        }
+        return scoresForYear(gradeData, state, target);
+      });
     } catch (err) {
       console.error(`❌ NAEP load failed for ${state}, Grade ${grade}:`, err);
-      return { Low: null, Middle: null, High: null, NationalAverage: null };
+      const empty = {
+        Low: null, Middle: null, High: null, NationalAverage: null, estimated: { Low: false, High: false },
+        StandardError: null, ConfidenceInterval: null, vsNational: null, flags: []
+      };
+      return isSeries ? [] : { year, ...empty };
     }
   }
   
@@ -294,76 +293,199 @@ function cacheData(key, data) {
   export async function loadPIAAC(path = 'data/PIACC data.xlsx') {
     // Supports CSV or Excel. If Excel, uses SheetJS (XLSX) to parse.
     // Expected columns on the chosen sheet: State, Lit_P1 (percent at/below Literacy Level 1)
-    const isExcel = /\.xlsx?$/i.test(path);
-  
-    // Helper: map full state name to USPS code
-    const nameToUSPS = {
-      'Alabama':'AL','Alaska':'AK','Arizona':'AZ','Arkansas':'AR','California':'CA','Colorado':'CO','Connecticut':'CT','Delaware':'DE','District of Columbia':'DC','Florida':'FL','Georgia':'GA',
-      'Hawaii':'HI','Idaho':'ID','Illinois':'IL','Indiana':'IN','Iowa':'IA','Kansas':'KS','Kentucky':'KY','Louisiana':'LA','Maine':'ME','Maryland':'MD','Massachusetts':'MA','Michigan':'MI',
-      'Minnesota':'MN','Mississippi':'MS','Missouri':'MO','Montana':'MT','Nebraska':'NE','Nevada':'NV','New Hampshire':'NH','New Jersey':'NJ','New Mexico':'NM','New York':'NY',
-      'North Carolina':'NC','North Dakota':'ND','Ohio':'OH','Oklahoma':'OK','Oregon':'OR','Pennsylvania':'PA','Rhode Island':'RI','South Carolina':'SC','South Dakota':'SD',
-      'Tennessee':'TN','Texas':'TX','Utah':'UT','Vermont':'VT','Virginia':'VA','Washington':'WA','West Virginia':'WV','Wisconsin':'WI','Wyoming':'WY'
-    };
-  
-    if (isExcel) {
-      if (typeof XLSX === 'undefined') {
-        throw new Error("XLSX (SheetJS) not found. Add <script src='https://cdn.jsdelivr.net/npm/xlsx@0.18.5/dist/xlsx.full.min.js'></script> to index.html before this file.");
-      }
-      const res = await fetch(path);
-      const buf = await res.arrayBuffer();
-      const wb = XLSX.read(buf, { type: 'array' });
-  
-      // Choose sheet: prefer names containing 'state'
-      const wanted = wb.SheetNames.find(n => /state/i.test(n)) || wb.SheetNames[0];
-      const ws = wb.Sheets[wanted];
-      const rows = XLSX.utils.sheet_to_json(ws, { defval: null });
   
+    // Parsed results are cached against the source file's build version (sha256 in data/manifest.json)
+    const version = await sourceVersion(path);
+    return cachedDataset(`piaac:${path}`, version, async () => {
+      const rows = await readPIAACRows(path, /state/i);
       const out = {};
       rows.forEach(r => {
         const stateName = r.State || r.STATE || r.state || r.Jurisdiction || r.JURISDICTION;
-        const val = r.Lit_P1 ?? r.lit_p1 ?? r["Lit_P1"];
+        const val = r.Lit_P1 ?? r.lit_p1;
         if (!stateName || val == null) return;
-        const usps = nameToUSPS[stateName.trim()] || (/[A-Z]{2}/.test(stateName) ? stateName.trim().toUpperCase() : null);
+        const usps = toUSPS(stateName);
         if (usps) out[usps] = +val;
       });
       return out;
-    } else {
-      // CSV path: expect columns: State (full name or USPS) and Lit_P1
-      const data = await d3.csv(path, d3.autoType);
-      const literacyByState = {};
-      data.forEach(d => {
-        const key = (d.State && nameToUSPS[d.State]) ? nameToUSPS[d.State]
-                  : (d.State && /^[A-Z]{2}$/.test(d.State) ? d.State : null);
-        if (key && d.Lit_P1 != null) literacyByState[key] = +d.Lit_P1;
+    });
+  }
+  
+  // County small-area estimates (PIAAC U.S. Skills Map, county sheet of the same workbook or a CSV)
+  // Input: path to the PIAAC workbook / county CSV
+  // Output: { '01001': { fips, state, county, litP1, litP1Low, litP1High, litAvg } } keyed by 5-digit county FIPS
+  //   litP1 = % adults at or below Level 1; litP1Low/High = 95% credible interval; litAvg = average literacy score
+  export async function loadPIAACCounties(path = 'data/PIACC data.xlsx') {
+    const version = await sourceVersion(path);
+    return cachedDataset(`piaac_counties:${path}`, version, async () => {
+      const rows = await readPIAACRows(path, /count/i);
+      const out = {};
+      rows.forEach(r => {
+        const fips = countyFips(r.FIPS_code ?? r.FIPS ?? r.fips ?? r.CountyFIPS ?? r.GEOID);
+        const litP1 = numberOrNull(r.Lit_P1 ?? r.lit_p1);
+        if (!fips || litP1 == null) return;
+        out[fips] = {
+          fips,
+          state: toUSPS(fips.slice(0, 2)),
+          county: r.County ?? r.county ?? r.County_name ?? r.CountyName ?? null,
+          litP1,
+          litP1Low: numberOrNull(r.Lit_P1_lb ?? r.Lit_P1_LB ?? r.lit_p1_lb),
+          litP1High: numberOrNull(r.Lit_P1_ub ?? r.Lit_P1_UB ?? r.lit_p1_ub),
+          litAvg: numberOrNull(r.Lit_A ?? r.lit_a)
+        };
       });
-      return literacyByState;
+      if (!Object.keys(out).length) {
+        throw new Error(`No county rows (FIPS_code, Lit_P1) found in ${path}`);
+      }
+      return out;
+    });
+  }
+  
+  // County FIPS from numbers or strings; spreadsheets drop the leading zero (1001 -> '01001')
+  function countyFips(value) {
+    if (value == null) return null;
+    const digits = String(value).replace(/\D/g, '');
+    return digits.length >= 4 && digits.length <= 5 ? digits.padStart(5, '0') : null;
+  }
+  
+  function numberOrNull(value) {
+    if (value == null || value === '') return null;
+    const n = +value;
+    return isNaN(n) ? null : n;
+  }
+  
+  // Rows of a PIAAC file; for workbooks the first sheet whose name matches sheetPattern
+  async function readPIAACRows(path, sheetPattern) {
+    if (!/\.xlsx?$/i.test(path)) {
+      return d3.csv(path, d3.autoType);
+    }
+    if (typeof XLSX === 'undefined') {
+      throw new Error("XLSX (SheetJS) not found. Add <script src='lib/xlsx.full.min.js'></script> to the page before this file.");
     }
+    const res = await fetch(path);
+    if (!res.ok) {
+      throw new Error(`Failed to fetch ${path}: ${res.status} ${res.statusText}`);
+    }
+    const buf = await res.arrayBuffer();
+    const wb = XLSX.read(buf, { type: 'array' });
+  
+    const wanted = wb.SheetNames.find(n => sheetPattern.test(n)) || wb.SheetNames[0];
+    return XLSX.utils.sheet_to_json(wb.Sheets[wanted], { defval: null });
   }
   
   
   // ============================
-  // 5. Merge context for visualization
+  // 5. District spending and poverty (built by scripts/build_district_data.js)
   // ============================
-  // Combines NAEP + poverty + literacy data into one object per state
-  export async function getStateContext(state, grade, povertyDataPath = 'data/district_perpupil_stats.csv', piaacPath = 'data/PIACC data.xlsx') {
-    const [naepScores, piaac, poverty] = await Promise.all([
-      fetchNAEP(state, grade, 'READING'),
-      loadPIAAC(piaacPath),
-      d3.csv(povertyDataPath, d3.autoType)
+  // Input: path to district_perpupil_stats.csv (State, LEAID, District, Students, PerPupilSpending, Poverty_150)
+  // Output: { AL: { districts, students, perPupilSpending, povertyRate, povertyCoverage } }
+  //   perPupilSpending and povertyRate are student-weighted means over the state's districts;
+  //   povertyCoverage is the share of students in districts that report Poverty_150.
+  export async function loadDistrictStats(path = 'data/district_perpupil_stats.csv') {
+    const version = await sourceVersion(path);
+    return cachedDataset(`districts:${path}`, version, async () => {
+      const rows = await d3.csv(path, d3.autoType);
+      const byState = d3.group(rows.filter(r => toUSPS(r.State) && r.Students > 0), r => toUSPS(r.State));
+      const out = {};
+      byState.forEach((districts, state) => {
+        const students = d3.sum(districts, d => d.Students);
+        const withPoverty = districts.filter(d => d.Poverty_150 != null && !isNaN(d.Poverty_150));
+        out[state] = {
+          districts: districts.length,
+          students,
+          perPupilSpending: weightedMean(districts, 'PerPupilSpending', 'Students'),
+          povertyRate: weightedMean(withPoverty, 'Poverty_150', 'Students'),
+          povertyCoverage: students ? d3.sum(withPoverty, d => d.Students) / students : 0
+        };
+      });
+      return out;
+    });
+  }
+  
+  function weightedMean(rows, valueKey, weightKey) {
+    let total = 0, weight = 0;
+    rows.forEach(r => {
+      const value = r[valueKey], w = r[weightKey];
+      if (value == null || isNaN(value) || !(w > 0)) return;
+      total += value * w;
+      weight += w;
+    });
+    return weight ? total / weight : null;
+  }
+  
+  // ============================
+  // 6. Inequality and income by state and year (built by scripts/build_state_indicators.js)
+  // ============================
+  // Output: { years, indicators: { gini: { label, units }, ... }, states: { AL: { 2019: { gini, medianIncome, childPoverty } } } }
+  export async function loadStateIndicators(path = 'data/state_indicators.json', { useCache = true } = {}) {
+    return loadJSONDataset(path, { name: 'state_indicators', useCache });
+  }
+  
+  // Join indicators to a NAEP (state, year). Each indicator is matched on its own: the same year if it
+  // has one, else the closest earlier year within maxGap, else the closest later year within maxGap
+  // (NAEP years before the series starts). Earlier years are preferred: they describe conditions at test time.
+  // Output: { gini: { value, year, offset }, medianIncome: ..., childPoverty: ... } - null where nothing
+  //   is within maxGap; offset = data year - NAEP year
+  export function indicatorsForYear(indicators, state, year, { maxGap = 3 } = {}) {
+    const byYear = indicators?.states?.[toUSPS(state)] || {};
+    const years = Object.keys(byYear).map(Number);
+    const out = {};
+    Object.keys(indicators?.indicators || {}).forEach(key => {
+      const available = years.filter(y => byYear[y][key] != null && Math.abs(y - year) <= maxGap);
+      const earlier = available.filter(y => y <= year);
+      const match = earlier.length ? d3.max(earlier) : d3.min(available);
+      out[key] = match == null ? null : { value: byYear[match][key], year: match, offset: match - year };
+    });
+    return out;
+  }
+  
+  // ============================
+  // 7. Merge context for visualization
+  // ============================
+  // Combines NAEP + district spending/poverty + literacy data into one object per state.
+  // Inputs that fail to load don't reject the whole context: their fields are null and
+  // they are listed in missingSources ([{ source, path, reason }]).
+  export async function getStateContext(state, grade, povertyDataPath = 'data/district_perpupil_stats.csv', piaacPath = 'data/PIACC data.xlsx', indicatorsPath = 'data/state_indicators.json') {
+    const missingSources = [];
+    const settle = (source, path, promise) => promise.catch(err => {
+      console.warn(`⚠️ ${source} unavailable (${path}):`, err.message);
+      missingSources.push({ source, path, reason: err.message });
+      return null;
+    });
+  
+    const [naepScores, piaac, districtStats, stateIndicators] = await Promise.all([
+      settle('naep', naepSourceLabel(), fetchNAEP(state, grade, 'READING')),
+      settle('piaac', piaacPath, loadPIAAC(piaacPath)),
+      settle('districts', povertyDataPath, loadDistrictStats(povertyDataPath)),
+      settle('indicators', indicatorsPath, loadStateIndicators(indicatorsPath))
     ]);
   
-    // Find average poverty rate for state
-    const stateRows = poverty.filter(r => r.State === state);
-    const avgPov = d3.mean(stateRows, d => +d.Poverty_150);
-    const sesCategory = getSESCategory(avgPov);
+    // fetchNAEP reports load failures as an empty result rather than rejecting
+    if (naepScores && naepScores.Middle == null && naepScores.NationalAverage == null) {
+      missingSources.push({ source: 'naep', path: naepSourceLabel(), reason: `No NAEP scores for ${state}, Grade ${grade}` });
+    }
+  
+    const districts = districtStats?.[state] ?? null;
+    if (districtStats && !districts) {
+      missingSources.push({ source: 'districts', path: povertyDataPath, reason: `No districts for ${state}` });
+    }
+    const povertyRate = districts?.povertyRate ?? null;
+    // Matched to the NAEP year shown in scores
+    const indicators = stateIndicators && naepScores?.year != null
+      ? indicatorsForYear(stateIndicators, state, naepScores.year)
+      : null;
   
     return {
       state,
       grade,
-      povertyRate: avgPov,
-      ses: sesCategory,
-      literacyLowLevelPct: piaac[state] ?? null,
-      scores: naepScores
+      povertyRate,
+      perPupilSpending: districts?.perPupilSpending ?? null,
+      students: districts?.students ?? null,
+      districtCount: districts?.districts ?? 0,
+      ses: getSESCategory(povertyRate),
+      literacyLowLevelPct: piaac?.[state] ?? null,
+      scores: naepScores,
+      indicators,
+      missingSources
     };
   }
   
@@ -371,12 +493,20 @@ function cacheData(key, data) {
   // Example usage (for teammates)
   // ============================
   // const context = await getStateContext('TX', 4);
+  // const series = await fetchNAEP('TX', 4, 'READING', [2003, 2022]); // trend chart data
   // console.log(context);
   // => {
   //   state: 'TX',
   //   grade: 4,
-  //   povertyRate: 31.5,
+  //   povertyRate: 31.5,           // student-weighted Poverty_150
+  //   perPupilSpending: 11843.2,   // student-weighted
+  //   students: 5402928,
+  //   districtCount: 1022,
   //   ses: 'Low',
   //   literacyLowLevelPct: 45.2,
-  //   scores: { Low: 235, Middle: 261, High: 287, NationalAverage: 266 }
+  //   // No NSLP results are ingested yet, so Low / High are the state average ∓ FALLBACK_SES_GAP
+  //   scores: { year: 2022, Low: 196.2, Middle: 214.2, High: 232.2, NationalAverage: 216.1,
+  //             estimated: { Low: true, High: true }, methods: { Low: 'fixedGap', High: 'fixedGap' }, ... },
+  //   indicators: { gini: { value: 0.48, year: 2019, offset: -3 }, medianIncome: null, childPoverty: null },
+  //   missingSources: []           // e.g. [{ source: 'piaac', path: 'data/PIACC data.xlsx', reason: '...' }]
   // }
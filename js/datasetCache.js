@@ -0,0 +1,264 @@
+// File: js/datasetCache.js
+// Purpose: Versioned dataset cache in IndexedDB, shared by every data loader
+// Description: Entries are keyed by dataset name + build-time content version (the sha256 that
+//              data/manifest.json records for the file, or metadata.generated for naep_cleaned.json),
+//              so a data rebuild is a cache miss instead of 24 hours of stale data. Only the newest
+//              version of each dataset is kept; when no version can be read (offline, file://) that
+//              newest entry is used as is. If IndexedDB is unavailable every call degrades to a
+//              miss / no-op and loaders simply fetch fresh data.
+
+import './datasetSchema.js';
+
+const { assertValid } = window.DatasetSchema;
+
+const DB_NAME = 'literacy-datasets';
+const MANIFEST_URL = 'data/manifest.json';
+const DB_VERSION = 1;
+const STORE = 'datasets';
+
+// Keys written by the old localStorage helpers (cacheData / viz4_outcomes_cache)
+const LEGACY_KEY_PATTERN = /^(naep_|viz4_outcomes_cache$)/;
+
+let dbPromise = null;
+let manifestPromise = null;
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function purgeLegacyLocalStorage() {
+  try {
+    Object.keys(localStorage)
+      .filter(key => LEGACY_KEY_PATTERN.test(key))
+      .forEach(key => localStorage.removeItem(key));
+  } catch (e) {}
+}
+
+function openDB() {
+  if (dbPromise) return dbPromise;
+  if (typeof indexedDB === 'undefined') {
+    dbPromise = Promise.resolve(null);
+    return dbPromise;
+  }
+
+  dbPromise = new Promise(resolve => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(STORE, { keyPath: 'key' });
+      store.createIndex('name', 'name', { unique: false });
+    };
+    request.onsuccess = () => {
+      purgeLegacyLocalStorage();
+      resolve(request.result);
+    };
+    request.onerror = () => {
+      console.warn('⚠️ IndexedDB unavailable, dataset cache disabled:', request.error);
+      resolve(null);
+    };
+    request.onblocked = () => resolve(null);
+  });
+  return dbPromise;
+}
+
+function entryKey(name, version) {
+  return `${name}@${version}`;
+}
+
+// Input: dataset name, content version
+// Output: cached data, or null on a miss (or when the version is unknown)
+export async function getCachedDataset(name, version) {
+  if (version == null) return null;
+  try {
+    const db = await openDB();
+    if (!db) return null;
+    const store = db.transaction(STORE, 'readonly').objectStore(STORE);
+    const entry = await requestToPromise(store.get(entryKey(name, version)));
+    return entry ? entry.data : null;
+  } catch (e) {
+    console.warn(`⚠️ Dataset cache read failed for ${name}:`, e);
+    return null;
+  }
+}
+
+// Input: dataset name
+// Output: { data, version } of the newest stored version, or null (used when the version is unknown)
+async function getNewestCachedDataset(name) {
+  try {
+    const db = await openDB();
+    if (!db) return null;
+    const store = db.transaction(STORE, 'readonly').objectStore(STORE);
+    const entries = await requestToPromise(store.index('name').getAll(name));
+    const newest = entries.sort((a, b) => b.storedAt - a.storedAt)[0];
+    return newest ? { data: newest.data, version: newest.version } : null;
+  } catch (e) {
+    console.warn(`⚠️ Dataset cache read failed for ${name}:`, e);
+    return null;
+  }
+}
+
+// Stores data under name + version and drops every older version of the dataset.
+// Unversioned data is never persisted.
+export async function putCachedDataset(name, version, data) {
+  if (version == null) return;
+  try {
+    const db = await openDB();
+    if (!db) return;
+    const tx = db.transaction(STORE, 'readwrite');
+    const store = tx.objectStore(STORE);
+    const keys = await requestToPromise(store.index('name').getAllKeys(name));
+    keys.filter(key => key !== entryKey(name, version)).forEach(key => store.delete(key));
+    store.put({ key: entryKey(name, version), name, version: String(version), data, storedAt: Date.now() });
+    await new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  } catch (e) {
+    // Quota errors land here; the data is still returned to the caller uncached
+    console.warn(`⚠️ Dataset cache write failed for ${name}:`, e);
+  }
+}
+
+// Removes every cached version of one dataset (or of every dataset whose name starts with prefix + '*')
+export async function invalidateDataset(name) {
+  try {
+    const db = await openDB();
+    if (!db) return;
+    const tx = db.transaction(STORE, 'readwrite');
+    const store = tx.objectStore(STORE);
+    if (name.endsWith('*')) {
+      const prefix = name.slice(0, -1);
+      const keys = await requestToPromise(store.getAllKeys());
+      keys.filter(key => key.startsWith(prefix)).forEach(key => store.delete(key));
+    } else {
+      const keys = await requestToPromise(store.index('name').getAllKeys(name));
+      keys.forEach(key => store.delete(key));
+    }
+    console.log(`🗑️ Invalidated cached dataset ${name}`);
+  } catch (e) {
+    console.warn(`⚠️ Dataset cache invalidation failed for ${name}:`, e);
+  }
+}
+
+export async function clearDatasetCache() {
+  try {
+    const db = await openDB();
+    if (!db) return;
+    await requestToPromise(db.transaction(STORE, 'readwrite').objectStore(STORE).clear());
+    console.log('🗑️ Cleared dataset cache');
+  } catch (e) {
+    console.warn('⚠️ Dataset cache clear failed:', e);
+  }
+}
+
+// data/manifest.json from the last node scripts/build_data.js run, fetched once per page.
+// Output: the manifest, or null when it can't be read (offline without the service worker, file://);
+// a failed fetch is retried on the next call.
+function loadManifest() {
+  if (!manifestPromise) {
+    manifestPromise = fetch(MANIFEST_URL, { cache: 'no-cache' })
+      .then(res => (res.ok ? res.json() : null))
+      .catch(() => null)
+      .then(manifest => {
+        if (!manifest) manifestPromise = null;
+        return manifest;
+      });
+  }
+  return manifestPromise;
+}
+
+// Build-time content version of one or more files in data/: the sha256 the manifest records for
+// the file (derived outputs and raw sources), else the time of that build (files it doesn't
+// track, e.g. schemas and topojson).
+// Output: a combined version string, or null when the manifest can't be fetched.
+export async function sourceVersion(paths) {
+  const list = Array.isArray(paths) ? paths : [paths];
+  const manifest = await loadManifest();
+  if (!manifest) return null;
+  return list.map(path => {
+    const file = decodeURIComponent(path.split('?')[0]).replace(/^(\.\/)?data\//, '');
+    const tracked = manifest.outputs?.[file] ?? manifest.sources?.[file];
+    return tracked?.sha256 ? tracked.sha256.slice(0, 16) : `build:${manifest.generated}`;
+  }).join('|');
+}
+
+// Read-through helper used by the loaders:
+//   const data = await cachedDataset(`piaac:${path}`, version, () => readPIAACRows(path));
+// With version null the newest stored version is returned if there is one.
+export async function cachedDataset(name, version, loader, { useCache = true } = {}) {
+  if (useCache) {
+    if (version == null) {
+      const newest = await getNewestCachedDataset(name);
+      if (newest) {
+        console.log(`✅ Using cached dataset ${name} (newest stored: ${newest.version}; no build version available)`);
+        return newest.data;
+      }
+    } else {
+      const cached = await getCachedDataset(name, version);
+      if (cached != null) {
+        console.log(`✅ Using cached dataset ${name} (${version})`);
+        return cached;
+      }
+    }
+  }
+  const data = await loader();
+  if (useCache) await putCachedDataset(name, version, data);
+  return data;
+}
+
+// Derived datasets with a JSON Schema in data/schemas/ (also checked by scripts/build_data.js)
+const DATASET_SCHEMAS = {
+  'naep_cleaned.json': 'data/schemas/naep_cleaned.schema.json',
+  'hs_graduation.json': 'data/schemas/hs_graduation.schema.json',
+  'college_enrollment.json': 'data/schemas/college_enrollment.schema.json',
+  'state_indicators.json': 'data/schemas/state_indicators.schema.json',
+  'viz5_data.json': 'data/schemas/viz5_data.schema.json',
+  'viz5_national.json': 'data/schemas/viz5_national.schema.json',
+  'viz_3_data.json': 'data/schemas/viz_3_data.schema.json'
+};
+
+// JSON file through the cache, versioned by the build manifest (sourceVersion).
+// Files listed in DATASET_SCHEMAS are validated on every load and throw
+// DatasetValidationError (with field-level .errors) when they don't match.
+export async function loadJSONDataset(url, { name = url, useCache = true, schema } = {}) {
+  const file = url.split('/').pop().split('?')[0];
+  const schemaUrl = schema === undefined ? DATASET_SCHEMAS[file] : schema;
+
+  const version = useCache ? await sourceVersion(url) : null;
+  const data = await cachedDataset(name, version, async () => {
+    const res = await fetch(url);
+    if (!res.ok) {
+      throw new Error(`Failed to fetch ${url}: ${res.status} ${res.statusText}`);
+    }
+    return res.json();
+  }, { useCache });
+
+  if (schemaUrl) {
+    const schemaDoc = await loadJSONDataset(schemaUrl, { useCache, schema: null });
+    assertValid(schemaDoc, data, file);
+  }
+  return data;
+}
+
+// CSV file through the cache (d3.csv rows; the columns array is kept alongside the rows)
+export async function loadCSVDataset(url, { name = url, useCache = true, row } = {}) {
+  const version = useCache ? await sourceVersion(url) : null;
+  const stored = await cachedDataset(name, version, async () => {
+    const rows = await (row ? d3.csv(url, row) : d3.csv(url));
+    return { rows: Array.from(rows), columns: rows.columns };
+  }, { useCache });
+  const rows = stored.rows;
+  rows.columns = stored.columns;
+  return rows;
+}
+
+// Console / debugging access: window.datasetCache.invalidate('outcomes')
+if (typeof window !== 'undefined') {
+  window.datasetCache = {
+    invalidate: invalidateDataset,
+    clear: clearDatasetCache
+  };
+}
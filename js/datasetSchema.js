@@ -0,0 +1,198 @@
+/**
+ * DATASET SCHEMA VALIDATION
+ *
+ * Checks the derived data files (naep_cleaned.json, viz5_data.json,
+ * viz5_national.json, viz_3_data.json) against the JSON Schemas in
+ * data/schemas/, so a missing or mistyped field is reported by name
+ * instead of crashing deep inside a D3 render.
+ *
+ * Supports the subset of JSON Schema those files use: type, required,
+ * properties, additionalProperties, patternProperties, propertyNames,
+ * items, minItems, enum, minimum, maximum, minLength, pattern and local
+ * $ref ("#/$defs/...").
+ *
+ * Works as a classic <script> (exposes window.DatasetSchema), as a
+ * side-effect ES module import, and from Node via require().
+ */
+(function () {
+  // Stop collecting after this many problems; one broken field often repeats per state
+  const MAX_ERRORS = 20;
+
+  /**
+   * Thrown when a dataset does not match its schema
+   * errors: [{ path: 'states[3].books_per_student', message: 'expected number, got string' }]
+   */
+  class DatasetValidationError extends Error {
+    constructor(dataset, errors) {
+      super(`${dataset} does not match its schema (${errors.length}${errors.length >= MAX_ERRORS ? '+' : ''} problem${errors.length === 1 ? '' : 's'}): ` +
+        errors.slice(0, 3).map(formatError).join('; '));
+      this.name = 'DatasetValidationError';
+      this.dataset = dataset;
+      this.errors = errors;
+    }
+  }
+
+  function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+  }
+
+  function matchesType(value, type) {
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+  }
+
+  // states[3].spending["Low SES"].amount
+  function childPath(path, key) {
+    if (typeof key === 'number') return `${path}[${key}]`;
+    if (/^[A-Za-z_$][\w$]*$/.test(key)) return path ? `${path}.${key}` : key;
+    return `${path}["${key}"]`;
+  }
+
+  function resolveRef(root, ref) {
+    if (!ref.startsWith('#/')) throw new Error(`Unsupported $ref ${ref} (only local #/... references)`);
+    return ref.slice(2).split('/').reduce((node, part) => node?.[part], root);
+  }
+
+  function check(schema, value, path, root, errors) {
+    if (errors.length >= MAX_ERRORS) return;
+    const fail = message => {
+      if (errors.length < MAX_ERRORS) errors.push({ path: path || '(root)', message });
+    };
+
+    // As in draft 2020-12, keywords next to $ref apply as well
+    if (schema.$ref) {
+      const target = resolveRef(root, schema.$ref);
+      if (!target) throw new Error(`Schema $ref ${schema.$ref} not found`);
+      check(target, value, path, root, errors);
+    }
+
+    if (schema.type) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      if (!types.some(type => matchesType(value, type))) {
+        fail(value === undefined ? 'missing' : `expected ${types.join(' or ')}, got ${typeOf(value)}`);
+        return;
+      }
+    }
+
+    if (schema.enum && !schema.enum.some(option => option === value)) {
+      fail(`expected one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}`);
+    }
+
+    if (typeof value === 'number') {
+      if (!Number.isFinite(value)) fail(`expected a finite number, got ${value}`);
+      if (schema.minimum != null && value < schema.minimum) fail(`expected >= ${schema.minimum}, got ${value}`);
+      if (schema.maximum != null && value > schema.maximum) fail(`expected <= ${schema.maximum}, got ${value}`);
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength != null && value.length < schema.minLength) fail(`expected at least ${schema.minLength} characters`);
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(`"${value}" does not match ${schema.pattern}`);
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems != null && value.length < schema.minItems) {
+        fail(`expected at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}, got ${value.length}`);
+      }
+      if (schema.items) value.forEach((item, i) => check(schema.items, item, childPath(path, i), root, errors));
+      return;
+    }
+
+    if (typeOf(value) !== 'object') return;
+
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) fail(`missing required field "${key}"`);
+    });
+
+    const properties = schema.properties || {};
+    const patterns = Object.entries(schema.patternProperties || {}).map(([pattern, sub]) => [new RegExp(pattern), sub]);
+    Object.keys(value).forEach(key => {
+      const keyPath = childPath(path, key);
+      if (schema.propertyNames) {
+        const keyErrors = [];
+        check(schema.propertyNames, key, keyPath, root, keyErrors);
+        if (keyErrors.length) {
+          if (errors.length < MAX_ERRORS) errors.push({ path: keyPath, message: `unexpected key: ${keyErrors[0].message}` });
+          return;
+        }
+      }
+      let matched = false;
+      if (key in properties) {
+        matched = true;
+        check(properties[key], value[key], keyPath, root, errors);
+      }
+      patterns.forEach(([regex, sub]) => {
+        if (!regex.test(key)) return;
+        matched = true;
+        check(sub, value[key], keyPath, root, errors);
+      });
+      if (matched) return;
+      if (schema.additionalProperties === false) {
+        if (errors.length < MAX_ERRORS) errors.push({ path: keyPath, message: 'unexpected field' });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        check(schema.additionalProperties, value[key], keyPath, root, errors);
+      }
+    });
+  }
+
+  /**
+   * Validate data against a schema
+   * Output: [] when valid, otherwise [{ path, message }] (at most MAX_ERRORS)
+   */
+  function validate(schema, data) {
+    const errors = [];
+    check(schema, data, '', schema, errors);
+    return errors;
+  }
+
+  /**
+   * Validate and throw DatasetValidationError listing the problems found
+   * dataset: file name used in messages (e.g. 'viz5_data.json')
+   */
+  function assertValid(schema, data, dataset = schema.title || 'dataset') {
+    const errors = validate(schema, data);
+    if (errors.length) throw new DatasetValidationError(dataset, errors);
+    return data;
+  }
+
+  function formatError({ path, message }) {
+    return `${path}: ${message}`;
+  }
+
+  function escapeHTML(text) {
+    return String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+  }
+
+  /**
+   * Markup for the field-level problems shown by the visualizations' error panels
+   * details: strings, e.g. error.errors.map(formatError)
+   */
+  function errorListHTML(details) {
+    return `<ul style="color: #666; font-size: 13px; line-height: 1.6; max-width: 600px; margin: 0 auto; text-align: left;">
+        ${details.map(d => `<li>${escapeHTML(d)}</li>`).join('')}
+      </ul>`;
+  }
+
+  const DatasetSchema = {
+    MAX_ERRORS,
+    DatasetValidationError,
+    validate,
+    assertValid,
+    formatError,
+    escapeHTML,
+    errorListHTML
+  };
+
+  // Export for Node scripts (scripts/*.js)
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DatasetSchema;
+  }
+
+  // Make validator available globally for classic scripts and ES modules
+  if (typeof window !== 'undefined') {
+    window.DatasetSchema = DatasetSchema;
+  }
+})();
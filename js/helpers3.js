@@ -5,25 +5,21 @@
  * state name/code conversions, number formatting, and tooltip management.
  */
 
+/**
+ * SHARED STATE REGISTRY
+ * Loaded from stateRegistry.js (script tag in the browser, require() in Node)
+ */
+const StateRegistry = (typeof module !== 'undefined' && module.exports)
+  ? require('./stateRegistry.js')
+  : window.StateRegistry;
+
 /**
  * STATE NAME TO CODE MAPPING
- * Converts full state names to two-letter abbreviations
+ * Converts full state names to two-letter abbreviations (50 states + DC)
  */
-const STATE_NAME_TO_CODE = {
-  "Alabama": "AL", "Alaska": "AK", "Arizona": "AZ", "Arkansas": "AR", 
-  "California": "CA", "Colorado": "CO", "Connecticut": "CT", "Delaware": "DE", 
-  "Florida": "FL", "Georgia": "GA", "Hawaii": "HI", "Idaho": "ID", 
-  "Illinois": "IL", "Indiana": "IN", "Iowa": "IA", "Kansas": "KS", 
-  "Kentucky": "KY", "Louisiana": "LA", "Maine": "ME", "Maryland": "MD",
-  "Massachusetts": "MA", "Michigan": "MI", "Minnesota": "MN", "Mississippi": "MS", 
-  "Missouri": "MO", "Montana": "MT", "Nebraska": "NE", "Nevada": "NV", 
-  "New Hampshire": "NH", "New Jersey": "NJ", "New Mexico": "NM", "New York": "NY", 
-  "North Carolina": "NC", "North Dakota": "ND", "Ohio": "OH", "Oklahoma": "OK", 
-  "Oregon": "OR", "Pennsylvania": "PA", "Rhode Island": "RI", "South Carolina": "SC",
-  "South Dakota": "SD", "Tennessee": "TN", "Texas": "TX", "Utah": "UT", 
-  "Vermont": "VT", "Virginia": "VA", "Washington": "WA", "West Virginia": "WV", 
-  "Wisconsin": "WI", "Wyoming": "WY", "District of Columbia": "DC"
-};
+const STATE_NAME_TO_CODE = Object.fromEntries(
+  StateRegistry.listStates().map(({ name, usps }) => [name, usps])
+);
 
 /**
  * STATE CODE TO NAME MAPPING
@@ -35,14 +31,14 @@ const STATE_CODE_TO_NAME = Object.fromEntries(
 
 /**
  * Convert state name to code
- * @param {string} name - Full state name (e.g., "California")
+ * @param {string} name - Full state name (e.g., "California"); padding and case are ignored
  * @returns {string|null} Two-letter state code (e.g., "CA") or null if not found
  * @example
  * getStateCode("California") // Returns "CA"
- * getStateCode("Texas") // Returns "TX"
+ * getStateCode(" Texas ") // Returns "TX"
  */
 function getStateCode(name) {
-  return STATE_NAME_TO_CODE[name] || null;
+  return StateRegistry.toUSPS(name);
 }
 
 /**
@@ -54,7 +50,7 @@ function getStateCode(name) {
  * getStateName("TX") // Returns "Texas"
  */
 function getStateName(code) {
-  return STATE_CODE_TO_NAME[code] || null;
+  return StateRegistry.toName(code);
 }
 
 /**
@@ -0,0 +1,166 @@
+// File: js/naepService.js
+// Purpose: Client for the NAEP Data Service (GetAdhocData.aspx) that returns the same grade blocks as naep_cleaned.json
+// Description: Requests state × year × subgroup means (TOTAL, plus SLUNCH3 for the NSLP breakdown) and
+//              reshapes the flat result rows into { years, states, nationalAvg, flags, nslp, ... }, so
+//              getSESScore, compareToNational and fetchNAEP work on it unchanged. Point it at
+//              scripts/naep_fixture_server.js to develop and test without network access.
+
+import './stateRegistry.js';
+
+const { listStates, toUSPS } = window.StateRegistry;
+
+export const NAEP_SERVICE_URL = 'https://www.nationsreportcard.gov/DataService/GetAdhocData.aspx';
+
+// National public schools; the national averages in naep_cleaned.json are public-school averages too
+export const NATIONAL_JURISDICTION = 'NP';
+
+// Service subject names and composite scales
+const SERVICE_SUBJECTS = {
+  reading: { subject: 'reading', subscale: 'RRPCM' },
+  math: { subject: 'mathematics', subscale: 'MRPCM' }
+};
+
+// Years with state-level results, per subject and grade
+export const ASSESSMENT_YEARS = {
+  reading: {
+    4: [1992, 1994, 1998, 2002, 2003, 2005, 2007, 2009, 2011, 2013, 2015, 2017, 2019, 2022, 2024],
+    8: [1998, 2002, 2003, 2005, 2007, 2009, 2011, 2013, 2015, 2017, 2019, 2022, 2024]
+  },
+  math: {
+    4: [1992, 1996, 2000, 2003, 2005, 2007, 2009, 2011, 2013, 2015, 2017, 2019, 2022, 2024],
+    8: [1990, 1992, 1996, 2000, 2003, 2005, 2007, 2009, 2011, 2013, 2015, 2017, 2019, 2022, 2024]
+  }
+};
+
+// SLUNCH3 (National School Lunch Program eligibility); 3 = information not available is dropped
+const NSLP_VALUES = { '1': 'eligible', '2': 'notEligible' };
+
+/**
+ * Thrown when the service answers with an HTTP error, a non-200 status in
+ * the body, or a body without a result list
+ */
+export class NAEPServiceError extends Error {
+  constructor(url, message) {
+    super(`NAEP Data Service ${message} (${url})`);
+    this.name = 'NAEPServiceError';
+    this.url = url;
+  }
+}
+
+// Input: { subject: 'reading' | 'math', grade, variable, jurisdictions: [...], years: [...] }
+export function buildServiceURL(baseUrl, { subject, grade, variable = 'TOTAL', jurisdictions, years }) {
+  const service = SERVICE_SUBJECTS[subject];
+  if (!service) throw new Error(`No NAEP Data Service scale for subject "${subject}"`);
+  const params = new URLSearchParams({
+    type: 'data',
+    subject: service.subject,
+    grade: String(grade),
+    subscale: service.subscale,
+    variable,
+    jurisdiction: jurisdictions.join(','),
+    stattype: 'MN:MN',
+    Year: years.join(',')
+  });
+  return `${baseUrl}?${params}`;
+}
+
+// Output: the result rows ({ year, jurisdiction, variable, varValue, value, isStatDisplayable, ... })
+export async function fetchServiceResults(baseUrl, query) {
+  const url = buildServiceURL(baseUrl, query);
+  const res = await fetch(url);
+  if (!res.ok) throw new NAEPServiceError(url, `request failed: ${res.status} ${res.statusText}`);
+  const body = await res.json();
+  if (body?.status !== 200 || !Array.isArray(body.result)) {
+    const detail = typeof body?.result === 'string' ? body.result : `status ${body?.status ?? 'missing'}`;
+    throw new NAEPServiceError(url, `returned no results: ${detail}`);
+  }
+  return body.result;
+}
+
+// Suppressed cells ("‡") come back with isStatDisplayable = 0
+function displayedValue(row) {
+  const value = Number(row.value);
+  return row.isStatDisplayable === 0 || !Number.isFinite(value) ? null : value;
+}
+
+/**
+ * Reshape result rows into a grade block shaped like naep_cleaned.json
+ * totals: TOTAL rows; nslpRows: SLUNCH3 rows (may be empty)
+ * The service results carry no standard errors, so se / nationalSE stay empty
+ * and compareToNational reports no confidence interval.
+ */
+export function toGradeData(totals, nslpRows = []) {
+  const block = {
+    years: [],
+    states: {},
+    nationalAvg: {},
+    se: {},
+    nationalSE: {},
+    flags: {},
+    yearFlags: {},
+    nslp: { states: {}, nationalAvg: {} },
+    levels: { states: {}, nationalAvg: {} }
+  };
+  const years = new Set();
+
+  totals.forEach(row => {
+    const year = String(row.year);
+    const value = displayedValue(row);
+    if (row.jurisdiction === NATIONAL_JURISDICTION) {
+      if (value != null) block.nationalAvg[year] = value;
+      return;
+    }
+    const usps = toUSPS(row.jurisdiction);
+    if (!usps) return;
+    if (value == null) {
+      ((block.flags[usps] ||= {})[year] ||= []).push('suppressed');
+      return;
+    }
+    (block.states[usps] ||= {})[year] = value;
+    years.add(Number(year));
+  });
+
+  nslpRows.forEach(row => {
+    const key = NSLP_VALUES[String(row.varValue)];
+    const value = displayedValue(row);
+    if (!key || value == null) return;
+    const year = String(row.year);
+    if (row.jurisdiction === NATIONAL_JURISDICTION) {
+      (block.nslp.nationalAvg[year] ||= {})[key] = value;
+      return;
+    }
+    const usps = toUSPS(row.jurisdiction);
+    if (usps) ((block.nslp.states[usps] ||= {})[year] ||= {})[key] = value;
+  });
+
+  block.years = [...years].sort((a, b) => a - b);
+  return block;
+}
+
+/**
+ * Load one subject and grade from the service (all states, DC and the nation)
+ * Output: grade block (see toGradeData). The NSLP breakdown is optional: if that
+ * request fails the block keeps an empty nslp and getSESScore estimates SES scores.
+ */
+export async function loadServiceGradeData(grade, subject = 'reading', { baseUrl = NAEP_SERVICE_URL } = {}) {
+  const years = ASSESSMENT_YEARS[subject]?.[grade];
+  if (!years) throw new Error(`No NAEP ${subject} assessments for grade ${grade}`);
+  const jurisdictions = [NATIONAL_JURISDICTION, ...listStates().map(s => s.usps)];
+  const query = { subject, grade, jurisdictions, years };
+
+  console.log(`🔗 Requesting NAEP ${subject} grade ${grade} from ${baseUrl}...`);
+  const [totals, nslpRows] = await Promise.all([
+    fetchServiceResults(baseUrl, { ...query, variable: 'TOTAL' }),
+    fetchServiceResults(baseUrl, { ...query, variable: 'SLUNCH3' }).catch(err => {
+      console.warn(`⚠️ No NSLP breakdown from the NAEP Data Service: ${err.message}`);
+      return [];
+    })
+  ]);
+
+  const block = toGradeData(totals, nslpRows);
+  if (!block.years.length) {
+    throw new NAEPServiceError(baseUrl, `returned no state ${subject} scores for grade ${grade}`);
+  }
+  console.log(`✅ NAEP Data Service: ${Object.keys(block.states).length} states, ${block.years.length} years`);
+  return block;
+}
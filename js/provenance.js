@@ -0,0 +1,424 @@
+// File: js/provenance.js
+// Purpose: Shared "About this data" panel: sources, vintages, transformations and citation copy (APA / BibTeX)
+// Description: Every render* function ends with attachProvenance(wrap, { sources, transformations }).
+//              Sources and transformations are looked up by key in the registries below, so a
+//              dataset is described (and cited) the same way wherever it appears. A render can
+//              override a source's vintage / year with what it actually loaded, e.g. the NAEP
+//              years in naep_cleaned.json or the survey year in viz_3_data.json metadata.
+
+import { FALLBACK_SES_GAP } from './dataHelpers.js';
+
+const NCES = 'National Center for Education Statistics';
+const CENSUS = 'U.S. Census Bureau';
+const DIGEST_URL = 'https://nces.ed.gov/programs/digest/';
+
+// key -> { id (BibTeX key stem), author, bibtexAuthor (people only), year, title, publisher, version, url, files, vintage, note }
+// year is the citation year (null = n.d.); vintage is the period the values describe
+export const SOURCES = {
+  naep: {
+    id: 'nces_naep',
+    author: NCES,
+    year: 2022,
+    title: 'National Assessment of Educational Progress (NAEP): State results',
+    publisher: 'U.S. Department of Education, Institute of Education Sciences',
+    url: 'https://nces.ed.gov/nationsreportcard/',
+    files: ['naep_cleaned.json'],
+    vintage: '1992–2022',
+    note: 'State averages from Digest of Education Statistics tables 221.40/221.60 (reading).'
+  },
+  piaac: {
+    id: 'nces_piaac_skills_map',
+    author: NCES,
+    year: 2020,
+    title: 'PIAAC U.S. Skills Map: State and county indicators of adult literacy and numeracy',
+    publisher: 'U.S. Department of Education, Institute of Education Sciences',
+    url: 'https://nces.ed.gov/surveys/piaac/skillsmap/',
+    files: ['PIACC data.xlsx'],
+    vintage: 'PIAAC 2012/2014/2017 (pooled)',
+    note: 'Small-area model estimates for adults 16–74.'
+  },
+  hsGraduation: {
+    id: 'nces_hs_graduates',
+    author: NCES,
+    year: 2023,
+    title: 'Public high school graduates and adjusted cohort graduation rates, by state (Digest of Education Statistics)',
+    url: DIGEST_URL,
+    files: ['HS_grad_rates.csv'],
+    vintage: '1980–81 to 2022–23; ACGR 2021–22'
+  },
+  collegeEnrollment: {
+    id: 'nces_college_enrollment',
+    author: NCES,
+    year: 2021,
+    title: 'Percentage of 18- to 24-year-olds enrolled in college, by race/ethnicity and state (Digest of Education Statistics)',
+    url: DIGEST_URL,
+    files: ['college_enrollment.csv'],
+    vintage: '2021'
+  },
+  collegeAttainment: {
+    id: 'census_acs_attainment',
+    author: CENSUS,
+    year: 2023,
+    title: 'American Community Survey: Educational attainment of adults 25 and over, by state',
+    url: 'https://data.census.gov/',
+    files: ['college-graduation-rates-by-state-2025.csv'],
+    vintage: '2023',
+    note: 'Share of adults with a bachelor\'s degree or higher (College_2023).'
+  },
+  gini: {
+    id: 'census_acs_gini',
+    author: CENSUS,
+    year: 2019,
+    title: 'American Community Survey: Gini index of income inequality (B19083), by state',
+    url: 'https://data.census.gov/',
+    files: ['state_indicators.json', '2019_state_gini_index.csv'],
+    vintage: 'ACS 1-year estimates; 2019 only until state_indicators.csv adds years'
+  },
+  medianIncome: {
+    id: 'census_acs_median_income',
+    author: CENSUS,
+    year: null,
+    title: 'American Community Survey: Median household income in the past 12 months (B19013), by state',
+    url: 'https://data.census.gov/',
+    files: ['state_indicators.json'],
+    vintage: 'ACS 1-year estimates, dollars of each survey year'
+  },
+  childPoverty: {
+    id: 'census_saipe',
+    author: CENSUS,
+    year: null,
+    title: 'Small Area Income and Poverty Estimates (SAIPE): children age 0-17 in poverty, by state',
+    url: 'https://www.census.gov/programs-surveys/saipe.html',
+    files: ['state_indicators.json'],
+    vintage: 'SAIPE state estimates by year'
+  },
+  familyIncome: {
+    id: 'nces_grad_by_income',
+    author: NCES,
+    year: 2017,
+    title: 'College graduation rates by family income quartile',
+    url: 'https://nces.ed.gov/',
+    files: ['college_grad_by_family_income.csv'],
+    vintage: 'Cohorts 1990/1994 to 2012/2017'
+  },
+  schoolFinance: {
+    id: 'census_f33',
+    author: CENSUS,
+    year: null,
+    title: 'Annual Survey of School System Finances (F-33)',
+    url: 'https://www.census.gov/programs-surveys/school-finances.html',
+    files: ['district_perpupil_stats.csv', 'viz5_data.json', 'viz5_national.json'],
+    vintage: 'District-level table used for the committed build'
+  },
+  districtPoverty: {
+    id: 'nces_edge_acs',
+    author: NCES,
+    year: null,
+    title: 'Education Demographic and Geographic Estimates (EDGE): ACS school district estimates',
+    url: 'https://nces.ed.gov/programs/edge/Demographic/ACS',
+    files: ['district_perpupil_stats.csv', 'viz5_data.json'],
+    vintage: 'ACS 5-year district estimates',
+    note: 'Poverty_150: children at or below 150% of the poverty line.'
+  },
+  libraries: {
+    id: 'imls_pls',
+    author: 'Institute of Museum and Library Services',
+    year: 2023,
+    title: 'Public Libraries Survey',
+    url: 'https://www.imls.gov/research-evaluation/data-collection/public-libraries-survey',
+    files: ['viz_3_data.json'],
+    vintage: 'FY2023'
+  },
+  usAtlas: {
+    id: 'bostock_us_atlas',
+    author: 'Bostock, M.',
+    bibtexAuthor: 'Bostock, Mike',
+    year: null,
+    title: 'us-atlas: Pre-built TopoJSON from the U.S. Census Bureau cartographic boundary files',
+    version: 'Version 3.0.1',
+    publisher: 'GitHub',
+    url: 'https://github.com/topojson/us-atlas',
+    files: ['us-states-10m.json', 'us-counties-10m.json'],
+    vintage: '1:10,000,000 boundaries'
+  }
+};
+
+// key -> one sentence shown under "How the numbers were derived"
+export const TRANSFORMATIONS = {
+  literacyScore: 'Adult literacy score = 320 − 2 × Lit_P1 (% of adults at or below PIAAC Level 1), as in toLiteracyScore (scripts/build_outcomes.js). It puts PIAAC on a NAEP-like range for comparison only; it is not an official PIAAC score.',
+  achievementLevels: 'Achievement levels use the NAGB cut scores for the grade and subject (js/achievementLevels.js).',
+  nslpSES: 'Low / High SES = NAEP average for students eligible / not eligible for the National School Lunch Program; Middle = the state average.',
+  nslpSESNationalGap: 'Where NAEP suppressed a Low / High SES cell, it is the state average shifted by the national lunch-eligibility gap for that group and year.',
+  nslpSESFixedGap: `No NAEP lunch-eligibility results are loaded, so Low / High SES is the state average ∓ ${FALLBACK_SES_GAP} points (FALLBACK_SES_GAP in js/dataHelpers.js), a fixed offset rather than a measured gap; Middle = the state average.`,
+  significance: 'Differences from the national average use 95% confidence intervals built from the NAEP standard errors.',
+  timelineGaps: 'NAEP is not given every year. Depending on the timeline setting, years without an assessment are skipped, show the state\'s last assessed value (hatched), or a straight-line estimate between the assessments before and after (dotted, marked estimated).',
+  countyEstimates: 'County values are PIAAC small-area model estimates with 95% credible intervals, not direct survey results.',
+  sesBands: 'Districts are grouped by Poverty_150: 30% or more = Low SES, 15% or more = Middle SES, otherwise High SES.',
+  studentWeighted: 'State figures are averages over districts weighted by enrollment; the national line is the unweighted mean of the states shown.',
+  studentShare: 'K-12 students are estimated as 18% of the population each library system serves.',
+  enrollmentReliability: 'College enrollment by race/ethnicity uses the NCES reliability markers: ‡ (reporting standards not met) estimates are not shown, and ! (coefficient of variation 30–50%) estimates are hatched or hidden. Bars span ±1.96 standard errors.',
+  incomeCohort: 'Income-quartile effects come from one entering cohort of the family-income table (the latest, 2012/2017, unless another is picked): Low SES = lowest quartile, Middle = mean of the second and third, High = highest quartile.',
+  indicatorJoin: 'The Census indicators in state_indicators.json (the shipped file has only the 2019 Gini) are joined to each NAEP state and year: the same year if available, otherwise the closest earlier year within 3 years, otherwise the closest later one. The data year is shown next to each value; with nothing in range the college prediction assumes a Gini of 0.48 and says so.',
+  predictionModel: 'Predicted college graduation = state bachelor\'s attainment + 2 points per 10 NAEP points above the pivot + attainment × (income-quartile graduation rate / 50 − 1) − 10 × (Gini − 0.45), clamped to 15–75%. An illustrative model, not a fitted regression.'
+};
+
+// getSESScore methods behind the scores a render shows -> the nslpSES* keys that describe them
+export function sesTransformations(methods) {
+  const used = new Set(methods);
+  return [
+    ...(used.has('reported') || used.has('nationalGap') ? ['nslpSES'] : []),
+    ...(used.has('nationalGap') ? ['nslpSESNationalGap'] : []),
+    ...(used.has('fixedGap') ? ['nslpSESFixedGap'] : [])
+  ];
+}
+
+// 1992–2022 from a list of assessment years
+export function yearSpan(years = []) {
+  const sorted = [...years].map(Number).filter(Number.isFinite).sort((a, b) => a - b);
+  if (!sorted.length) return null;
+  return sorted[0] === sorted.at(-1) ? String(sorted[0]) : `${sorted[0]}–${sorted.at(-1)}`;
+}
+
+// 'naep' or { key: 'naep', vintage: '1992–2022', year: 2022, note } -> merged source (null if unknown)
+function resolveSource(entry) {
+  const { key, ...overrides } = typeof entry === 'string' ? { key: entry } : entry;
+  const base = SOURCES[key];
+  if (!base) {
+    console.warn(`⚠️ provenance: unknown source "${key}"`);
+    return null;
+  }
+  const defined = Object.fromEntries(Object.entries(overrides).filter(([, v]) => v != null));
+  return { key, ...base, ...defined };
+}
+
+// 'nslpSES' or { text: '...' } -> sentence (null if unknown)
+function resolveTransformation(entry) {
+  if (typeof entry === 'object' && entry?.text) return entry.text;
+  const text = TRANSFORMATIONS[entry];
+  if (!text) console.warn(`⚠️ provenance: unknown transformation "${entry}"`);
+  return text || null;
+}
+
+function formatAPA(source) {
+  const version = source.version ? ` (${source.version})` : '';
+  const publisher = source.publisher && source.publisher !== source.author ? ` ${source.publisher}.` : '';
+  const author = source.author.endsWith('.') ? source.author : `${source.author}.`;
+  return `${author} (${source.year ?? 'n.d.'}). ${source.title}${version} [Data set].${publisher} ${source.url}`;
+}
+
+function formatBibTeX(source) {
+  // Institutional authors are wrapped in braces so BibTeX does not split them into names
+  const author = source.bibtexAuthor ?? `{${source.author}}`;
+  const fields = [
+    ['author', author],
+    ['title', `{${source.title}}`],
+    ['year', source.year],
+    ['publisher', source.publisher],
+    ['version', source.version?.replace(/^Version /, '')],
+    ['howpublished', `\\url{${source.url}}`],
+    ['note', `Data set${source.vintage ? `; ${source.vintage}` : ''}`]
+  ].filter(([, value]) => value != null);
+  const key = `${source.id}_${source.year ?? 'nd'}`;
+  return `@misc{${key},\n${fields.map(([name, value]) => `  ${name.padEnd(12)} = {${value}}`).join(',\n')}\n}`;
+}
+
+/**
+ * Citations for a list of sources
+ * entries: source keys or { key, ...overrides }; format: 'apa' | 'bibtex'
+ */
+export function citeSources(entries, format = 'apa') {
+  const sources = entries.map(resolveSource).filter(Boolean);
+  return format === 'bibtex'
+    ? sources.map(formatBibTeX).join('\n\n')
+    : sources.map(formatAPA).join('\n\n');
+}
+
+async function copyText(text) {
+  if (navigator.clipboard?.writeText) {
+    await navigator.clipboard.writeText(text);
+    return;
+  }
+  // Older browsers / insecure origins: copy from an off-screen textarea
+  const area = document.createElement('textarea');
+  area.value = text;
+  area.setAttribute('readonly', '');
+  area.style.position = 'fixed';
+  area.style.left = '-9999px';
+  document.body.appendChild(area);
+  area.select();
+  const ok = document.execCommand('copy');
+  area.remove();
+  if (!ok) throw new Error('copy command was rejected');
+}
+
+/**
+ * Append a collapsible "About this data" panel to a visualization
+ * container:       D3 selection or element (usually the render's wrapper)
+ * sources:         source keys or { key, vintage, year, note } overrides
+ * transformations: transformation keys or { text } for render-specific notes
+ * Output: { element, citation(format) }
+ */
+export function attachProvenance(container, {
+  sources = [],
+  transformations = [],
+  title = 'About this data'
+} = {}) {
+  const host = typeof container?.append === 'function' ? container : d3.select(container);
+  const resolved = sources.map(resolveSource).filter(Boolean);
+  const steps = transformations.map(resolveTransformation).filter(Boolean);
+
+  const ink = '#111';
+  const fontMono = '"IBM Plex Mono", ui-monospace, monospace';
+
+  const panel = host.append('details')
+    .attr('class', 'provenance-panel')
+    .style('margin-top', '16px')
+    .style('padding', '10px 14px')
+    .style('background', '#f7efe6')
+    .style('border', `2px solid ${ink}`)
+    .style('border-radius', '8px')
+    .style('box-shadow', `3px 3px 0 ${ink}`)
+    .style('font-family', 'Inter, system-ui, sans-serif')
+    .style('font-size', '12px')
+    .style('line-height', '1.5')
+    .style('color', ink)
+    .style('text-align', 'left');
+
+  panel.append('summary')
+    .style('cursor', 'pointer')
+    .style('font-family', fontMono)
+    .style('font-size', '12px')
+    .style('font-weight', 700)
+    .style('letter-spacing', '.06em')
+    .text(`ⓘ ${title.toUpperCase()}`);
+
+  const heading = text => panel.append('div')
+    .style('margin', '12px 0 4px')
+    .style('font-family', fontMono)
+    .style('font-size', '11px')
+    .style('font-weight', 700)
+    .style('letter-spacing', '.06em')
+    .text(text);
+
+  heading('SOURCES');
+  const sourceItems = panel.append('ul')
+    .style('margin', '0')
+    .style('padding-left', '18px')
+    .selectAll('li')
+    .data(resolved)
+    .join('li')
+    .style('margin-bottom', '6px');
+
+  sourceItems.append('a')
+    .attr('href', d => d.url)
+    .attr('target', '_blank')
+    .attr('rel', 'noopener')
+    .style('color', ink)
+    .style('font-weight', 600)
+    .text(d => d.title);
+  sourceItems.append('span')
+    .text(d => ` — ${d.author}${d.vintage ? ` · ${d.vintage}` : ''}`);
+  sourceItems.filter(d => d.files?.length).append('div')
+    .style('font-family', fontMono)
+    .style('font-size', '10px')
+    .style('opacity', 0.75)
+    .text(d => `data/${d.files.join(', data/')}`);
+  sourceItems.filter(d => d.note).append('div')
+    .style('font-style', 'italic')
+    .text(d => d.note);
+
+  if (steps.length) {
+    heading('HOW THE NUMBERS WERE DERIVED');
+    panel.append('ul')
+      .style('margin', '0')
+      .style('padding-left', '18px')
+      .selectAll('li')
+      .data(steps)
+      .join('li')
+      .style('margin-bottom', '4px')
+      .text(d => d);
+  }
+
+  heading('CITE');
+  let format = 'apa';
+  const controls = panel.append('div')
+    .style('display', 'flex')
+    .style('gap', '6px')
+    .style('align-items', 'center')
+    .style('margin-bottom', '6px');
+
+  const citationBox = panel.append('pre')
+    .attr('class', 'provenance-citation')
+    .style('margin', '0')
+    .style('padding', '8px 10px')
+    .style('background', '#fff')
+    .style('border', `1px solid ${ink}`)
+    .style('border-radius', '4px')
+    .style('font-family', fontMono)
+    .style('font-size', '10px')
+    .style('white-space', 'pre-wrap')
+    .style('word-break', 'break-word')
+    .style('max-height', '180px')
+    .style('overflow', 'auto');
+
+  const citation = (which = format) => citeSources(resolved, which);
+
+  const formatButtons = controls.selectAll('button.provenance-format')
+    .data([{ value: 'apa', label: 'APA' }, { value: 'bibtex', label: 'BibTeX' }])
+    .join('button')
+    .attr('type', 'button')
+    .attr('class', 'provenance-format')
+    .style('padding', '3px 10px')
+    .style('border', `2px solid ${ink}`)
+    .style('border-radius', '4px')
+    .style('font-family', fontMono)
+    .style('font-size', '11px')
+    .style('font-weight', 600)
+    .style('cursor', 'pointer')
+    .text(d => d.label)
+    .on('click', (event, d) => {
+      format = d.value;
+      update();
+    });
+
+  const status = controls.append('span')
+    .attr('aria-live', 'polite')
+    .style('font-family', fontMono)
+    .style('font-size', '11px');
+
+  controls.insert('button', 'span')
+    .attr('type', 'button')
+    .attr('class', 'provenance-copy')
+    .style('margin-left', 'auto')
+    .style('padding', '3px 10px')
+    .style('border', `2px solid ${ink}`)
+    .style('border-radius', '4px')
+    .style('background', ink)
+    .style('color', '#fff')
+    .style('font-family', fontMono)
+    .style('font-size', '11px')
+    .style('font-weight', 600)
+    .style('cursor', 'pointer')
+    .text('COPY')
+    .on('click', async () => {
+      try {
+        await copyText(citation());
+        status.text('✓ Copied');
+      } catch (err) {
+        console.warn('⚠️ Could not copy citation:', err);
+        status.text('Select the text to copy');
+      }
+    });
+
+  function update() {
+    formatButtons
+      .attr('aria-pressed', d => String(d.value === format))
+      .style('background', d => d.value === format ? ink : '#fff')
+      .style('color', d => d.value === format ? '#fff' : ink);
+    citationBox.text(citation());
+    status.text('');
+  }
+  update();
+
+  return { element: panel.node(), citation };
+}
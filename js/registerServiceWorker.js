@@ -0,0 +1,15 @@
+// File: js/registerServiceWorker.js
+// Purpose: Register sw.js so every page (and its data) is available offline after the first visit
+// Usage: <script src="js/registerServiceWorker.js"></script> on each page
+
+(function () {
+  if (!('serviceWorker' in navigator)) return;
+  // Service workers need http(s); file:// pages are unsupported anyway (see README)
+  if (!/^https?:$/.test(window.location.protocol)) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('sw.js')
+      .then(reg => console.log('✅ Offline support enabled (service worker scope:', reg.scope + ')'))
+      .catch(err => console.warn('⚠️ Service worker registration failed:', err));
+  });
+})();
@@ -0,0 +1,230 @@
+/**
+ * STATE REGISTRY
+ *
+ * Single source of truth for U.S. jurisdictions used across the project:
+ * USPS codes, full names, FIPS codes (matching the `id` of features in
+ * us-states-10m.json), Census regions/divisions, and the extra
+ * jurisdictions NAEP reports (territories and DoDEA schools).
+ *
+ * Works as a classic <script> (exposes window.StateRegistry), as a
+ * side-effect ES module import, and from Node via require().
+ */
+(function () {
+  /**
+   * Registry entries
+   * type: 'state' | 'district' | 'territory' | 'dodea'
+   */
+  const JURISDICTIONS = [
+    { usps: 'AL', name: 'Alabama', fips: '01', region: 'South', division: 'East South Central', type: 'state' },
+    { usps: 'AK', name: 'Alaska', fips: '02', region: 'West', division: 'Pacific', type: 'state' },
+    { usps: 'AZ', name: 'Arizona', fips: '04', region: 'West', division: 'Mountain', type: 'state' },
+    { usps: 'AR', name: 'Arkansas', fips: '05', region: 'South', division: 'West South Central', type: 'state' },
+    { usps: 'CA', name: 'California', fips: '06', region: 'West', division: 'Pacific', type: 'state' },
+    { usps: 'CO', name: 'Colorado', fips: '08', region: 'West', division: 'Mountain', type: 'state' },
+    { usps: 'CT', name: 'Connecticut', fips: '09', region: 'Northeast', division: 'New England', type: 'state' },
+    { usps: 'DE', name: 'Delaware', fips: '10', region: 'South', division: 'South Atlantic', type: 'state' },
+    { usps: 'DC', name: 'District of Columbia', fips: '11', region: 'South', division: 'South Atlantic', type: 'district',
+      aliases: ['Washington DC', 'Washington, DC', 'Washington D.C.', 'Washington, D.C.', 'D.C.'] },
+    { usps: 'FL', name: 'Florida', fips: '12', region: 'South', division: 'South Atlantic', type: 'state' },
+    { usps: 'GA', name: 'Georgia', fips: '13', region: 'South', division: 'South Atlantic', type: 'state' },
+    { usps: 'HI', name: 'Hawaii', fips: '15', region: 'West', division: 'Pacific', type: 'state', aliases: ["Hawai'i"] },
+    { usps: 'ID', name: 'Idaho', fips: '16', region: 'West', division: 'Mountain', type: 'state' },
+    { usps: 'IL', name: 'Illinois', fips: '17', region: 'Midwest', division: 'East North Central', type: 'state' },
+    { usps: 'IN', name: 'Indiana', fips: '18', region: 'Midwest', division: 'East North Central', type: 'state' },
+    { usps: 'IA', name: 'Iowa', fips: '19', region: 'Midwest', division: 'West North Central', type: 'state' },
+    { usps: 'KS', name: 'Kansas', fips: '20', region: 'Midwest', division: 'West North Central', type: 'state' },
+    { usps: 'KY', name: 'Kentucky', fips: '21', region: 'South', division: 'East South Central', type: 'state' },
+    { usps: 'LA', name: 'Louisiana', fips: '22', region: 'South', division: 'West South Central', type: 'state' },
+    { usps: 'ME', name: 'Maine', fips: '23', region: 'Northeast', division: 'New England', type: 'state' },
+    { usps: 'MD', name: 'Maryland', fips: '24', region: 'South', division: 'South Atlantic', type: 'state' },
+    { usps: 'MA', name: 'Massachusetts', fips: '25', region: 'Northeast', division: 'New England', type: 'state' },
+    { usps: 'MI', name: 'Michigan', fips: '26', region: 'Midwest', division: 'East North Central', type: 'state' },
+    { usps: 'MN', name: 'Minnesota', fips: '27', region: 'Midwest', division: 'West North Central', type: 'state' },
+    { usps: 'MS', name: 'Mississippi', fips: '28', region: 'South', division: 'East South Central', type: 'state' },
+    { usps: 'MO', name: 'Missouri', fips: '29', region: 'Midwest', division: 'West North Central', type: 'state' },
+    { usps: 'MT', name: 'Montana', fips: '30', region: 'West', division: 'Mountain', type: 'state' },
+    { usps: 'NE', name: 'Nebraska', fips: '31', region: 'Midwest', division: 'West North Central', type: 'state' },
+    { usps: 'NV', name: 'Nevada', fips: '32', region: 'West', division: 'Mountain', type: 'state' },
+    { usps: 'NH', name: 'New Hampshire', fips: '33', region: 'Northeast', division: 'New England', type: 'state' },
+    { usps: 'NJ', name: 'New Jersey', fips: '34', region: 'Northeast', division: 'Middle Atlantic', type: 'state' },
+    { usps: 'NM', name: 'New Mexico', fips: '35', region: 'West', division: 'Mountain', type: 'state' },
+    { usps: 'NY', name: 'New York', fips: '36', region: 'Northeast', division: 'Middle Atlantic', type: 'state' },
+    { usps: 'NC', name: 'North Carolina', fips: '37', region: 'South', division: 'South Atlantic', type: 'state' },
+    { usps: 'ND', name: 'North Dakota', fips: '38', region: 'Midwest', division: 'West North Central', type: 'state' },
+    { usps: 'OH', name: 'Ohio', fips: '39', region: 'Midwest', division: 'East North Central', type: 'state' },
+    { usps: 'OK', name: 'Oklahoma', fips: '40', region: 'South', division: 'West South Central', type: 'state' },
+    { usps: 'OR', name: 'Oregon', fips: '41', region: 'West', division: 'Pacific', type: 'state' },
+    { usps: 'PA', name: 'Pennsylvania', fips: '42', region: 'Northeast', division: 'Middle Atlantic', type: 'state' },
+    { usps: 'RI', name: 'Rhode Island', fips: '44', region: 'Northeast', division: 'New England', type: 'state' },
+    { usps: 'SC', name: 'South Carolina', fips: '45', region: 'South', division: 'South Atlantic', type: 'state' },
+    { usps: 'SD', name: 'South Dakota', fips: '46', region: 'Midwest', division: 'West North Central', type: 'state' },
+    { usps: 'TN', name: 'Tennessee', fips: '47', region: 'South', division: 'East South Central', type: 'state' },
+    { usps: 'TX', name: 'Texas', fips: '48', region: 'South', division: 'West South Central', type: 'state' },
+    { usps: 'UT', name: 'Utah', fips: '49', region: 'West', division: 'Mountain', type: 'state' },
+    { usps: 'VT', name: 'Vermont', fips: '50', region: 'Northeast', division: 'New England', type: 'state' },
+    { usps: 'VA', name: 'Virginia', fips: '51', region: 'South', division: 'South Atlantic', type: 'state' },
+    { usps: 'WA', name: 'Washington', fips: '53', region: 'West', division: 'Pacific', type: 'state' },
+    { usps: 'WV', name: 'West Virginia', fips: '54', region: 'South', division: 'South Atlantic', type: 'state' },
+    { usps: 'WI', name: 'Wisconsin', fips: '55', region: 'Midwest', division: 'East North Central', type: 'state' },
+    { usps: 'WY', name: 'Wyoming', fips: '56', region: 'West', division: 'Mountain', type: 'state' },
+
+    // Territories (NAEP reports Puerto Rico in mathematics; the rest appear in some federal tables)
+    { usps: 'AS', name: 'American Samoa', fips: '60', region: null, division: null, type: 'territory' },
+    { usps: 'GU', name: 'Guam', fips: '66', region: null, division: null, type: 'territory' },
+    { usps: 'MP', name: 'Northern Mariana Islands', fips: '69', region: null, division: null, type: 'territory',
+      aliases: ['Commonwealth of the Northern Mariana Islands'] },
+    { usps: 'PR', name: 'Puerto Rico', fips: '72', region: null, division: null, type: 'territory' },
+    { usps: 'VI', name: 'U.S. Virgin Islands', fips: '78', region: null, division: null, type: 'territory',
+      aliases: ['Virgin Islands', 'US Virgin Islands', 'Virgin Islands of the United States'] },
+
+    // Department of Defense schools - NAEP jurisdiction code "DS", no FIPS code
+    { usps: 'DS', name: 'DoDEA', fips: null, region: null, division: null, type: 'dodea',
+      aliases: ['Department of Defense Education Activity', 'Department of Defense Education Activity (DoDEA)', 'DoDEA Schools'] }
+  ];
+
+  // Names NAEP and NCES tables use for the national row
+  const NATIONAL_NAMES = ['united states', 'national', 'nation', 'national public', 'u.s.', 'us total'];
+
+  /**
+   * Normalize a raw jurisdiction label for lookup
+   * Collapses whitespace/line breaks, strips footnote markers (\1\, *, †, ‡) and lowercases
+   * @param {string} raw - Label as it appears in a source file (e.g., " Alabama ", "DoDEA\\3\\ ")
+   * @returns {string} Normalized key
+   * @example
+   * normalizeName("  Alabama ") // Returns "alabama"
+   * normalizeName("Department of Defense\r\n   Education Activity \r\n   (DoDEA)\\3\\ ") // Returns "department of defense education activity (dodea)"
+   */
+  function normalizeName(raw) {
+    if (raw == null) return '';
+    return String(raw)
+      .replace(/\\\d+\\/g, '')
+      .replace(/[*†‡]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .toLowerCase();
+  }
+
+  // Lookup indexes
+  const byUSPS = new Map();
+  const byFips = new Map();
+  const byName = new Map();
+
+  JURISDICTIONS.forEach(entry => {
+    Object.freeze(entry);
+    byUSPS.set(entry.usps, entry);
+    if (entry.fips) byFips.set(entry.fips, entry);
+    byName.set(normalizeName(entry.name), entry);
+    (entry.aliases || []).forEach(alias => byName.set(normalizeName(alias), entry));
+  });
+
+  /**
+   * Tolerant lookup by USPS code, full name, alias, or FIPS code
+   * @param {string|number} query - e.g. "CA", " California ", "06", 6
+   * @returns {object|null} Registry entry or null if not found
+   * @example
+   * lookupState(" Alabama ") // Returns { usps: "AL", name: "Alabama", fips: "01", ... }
+   * lookupState("dc") // Returns the District of Columbia entry
+   */
+  function lookupState(query) {
+    if (query == null) return null;
+    if (typeof query === 'number') return fromFips(query);
+
+    const trimmed = String(query).trim();
+    if (/^\d{1,2}$/.test(trimmed)) return fromFips(trimmed);
+    if (/^[A-Za-z]{2}$/.test(trimmed) && byUSPS.has(trimmed.toUpperCase())) {
+      return byUSPS.get(trimmed.toUpperCase());
+    }
+    return byName.get(normalizeName(trimmed)) || null;
+  }
+
+  /**
+   * Look up an entry by FIPS code
+   * @param {string|number} fips - Two-digit FIPS code (topojson feature id), e.g. "06" or 6
+   * @returns {object|null} Registry entry or null
+   */
+  function fromFips(fips) {
+    if (fips == null || fips === '') return null;
+    return byFips.get(String(fips).padStart(2, '0')) || null;
+  }
+
+  /**
+   * Convert any state identifier to its USPS code
+   * @param {string|number} query - Name, alias, USPS code, or FIPS code
+   * @returns {string|null} Two-letter code (e.g., "CA") or null
+   */
+  function toUSPS(query) {
+    const entry = lookupState(query);
+    return entry ? entry.usps : null;
+  }
+
+  /**
+   * Convert any state identifier to its full name
+   * @param {string|number} query - Name, alias, USPS code, or FIPS code
+   * @returns {string|null} Full name (e.g., "California") or null
+   */
+  function toName(query) {
+    const entry = lookupState(query);
+    return entry ? entry.name : null;
+  }
+
+  /**
+   * Convert any state identifier to its FIPS code
+   * @param {string|number} query - Name, alias, or USPS code
+   * @returns {string|null} Two-digit FIPS code (e.g., "06") or null
+   */
+  function toFips(query) {
+    const entry = lookupState(query);
+    return entry ? entry.fips : null;
+  }
+
+  /**
+   * Check whether a label refers to the national (United States) row
+   * @param {string} raw - Label from a source file
+   * @returns {boolean} True for "United States", "National", etc.
+   */
+  function isNational(raw) {
+    return NATIONAL_NAMES.includes(normalizeName(raw));
+  }
+
+  /**
+   * List registry entries
+   * The 50 states and DC are included by default; territories and DoDEA are opt-in.
+   * @param {object} options
+   * @param {boolean} options.includeDC - Include the District of Columbia (default: true)
+   * @param {boolean} options.includeTerritories - Include territories (default: false)
+   * @param {boolean} options.includeDoDEA - Include DoDEA schools (default: false)
+   * @returns {array} Registry entries sorted by name
+   */
+  function listStates({ includeDC = true, includeTerritories = false, includeDoDEA = false } = {}) {
+    return JURISDICTIONS
+      .filter(entry => {
+        if (entry.type === 'district') return includeDC;
+        if (entry.type === 'territory') return includeTerritories;
+        if (entry.type === 'dodea') return includeDoDEA;
+        return true;
+      })
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  const StateRegistry = {
+    JURISDICTIONS,
+    normalizeName,
+    lookupState,
+    fromFips,
+    toUSPS,
+    toName,
+    toFips,
+    isNational,
+    listStates
+  };
+
+  // Export for Node scripts (scripts/*.js)
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StateRegistry;
+  }
+
+  // Make registry available globally for classic scripts and ES modules
+  if (typeof window !== 'undefined') {
+    window.StateRegistry = StateRegistry;
+  }
+})();
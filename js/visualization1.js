@@ -1,10 +1,24 @@
 // File: js/visualization1.js
-// Purpose: Interactive horizontal gauge where user picks predicted score using a SLIDER, then reveals actual NAEP reading score
+// Purpose: Interactive horizontal gauge where user picks predicted score using a SLIDER, then reveals actual NAEP reading (or math) score
 // Optimized: Uses local data, slider for intuitive UX, shows state score context for benchmarking
 
+import './stateRegistry.js';
+import { getSESScore, describeSESEstimates, getGradeData, hasSubjectData, normalizeSubject } from './dataHelpers.js';
+import { levelBands, describeBand, levelForScore, colorForLevel, percentAtOrAbove } from './achievementLevels.js';
+import { loadJSONDataset } from './datasetCache.js';
+import { attachProvenance, sesTransformations } from './provenance.js';
+
+const { listStates, toName } = window.StateRegistry;
+
 // Cache for NAEP data
 let naepDataCache = null;
 
+// renderScoreComparison modes
+const GAME_MODES = ['single', 'game'];
+
+// Stacked gauges after the reveal: the explored state plus up to three more
+const MAX_COMPARE_STATES = 4;
+
 /**
  * Load NAEP data from local JSON file
  */
@@ -15,61 +29,44 @@ async function loadNAEPData() {
   }
   
   console.log('📊 Loading NAEP data for viz1...');
-  const response = await fetch('data/naep_cleaned.json');
-  if (!response.ok) {
-    throw new Error(`Failed to load NAEP data: ${response.status}`);
-  }
-  
-  const data = await response.json();
+  const data = await loadJSONDataset('data/naep_cleaned.json', { name: 'naep_cleaned' });
   naepDataCache = data;
   console.log('✅ NAEP data loaded and cached for viz1');
   return data;
 }
 
 /**
- * Get score for specific state, grade, and SES
+ * Get score for specific state, grade, SES and subject
+ * Returns { score, estimated, method } from getSESScore - estimated is true when Low / High SES had to be estimated
  */
-async function getStateScore(state, grade, ses) {
+async function getStateScore(state, grade, ses, subject = 'reading') {
   const data = await loadNAEPData();
-  const gradeKey = `grade${grade}`;
-  const gradeData = data[gradeKey];
+  const gradeData = getGradeData(data, grade, subject);
   
   if (!gradeData || !gradeData.states || !gradeData.states[state]) {
-    console.warn(`⚠️ No data found for ${state}, grade ${grade}`);
+    console.warn(`⚠️ No ${subject} data found for ${state}, grade ${grade}`);
     return null;
   }
   
   // Get the latest year's data
   const years = gradeData.years.sort((a, b) => b - a);
   const latestYear = String(years[0]);
-  const stateScores = gradeData.states[state];
-  const score = stateScores[latestYear];
+  const result = getSESScore(gradeData, state, latestYear, ses);
   
-  if (!score) {
+  if (result.score == null) {
     console.warn(`⚠️ No score found for ${state}, grade ${grade}, year ${latestYear}`);
     return null;
   }
   
-  // Apply SES adjustment (typical gap is about 18 points)
-  const sesGap = 18;
-  let adjustedScore = score;
-  
-  if (ses === 'Low') {
-    adjustedScore = score - sesGap;
-  } else if (ses === 'High') {
-    adjustedScore = score + sesGap;
-  }
-  
-  return adjustedScore;
+  return result;
 }
 
 /**
- * Get national average for grade
+ * Get national average for grade and subject
  */
-async function getNationalAverage(grade) {
+async function getNationalAverage(grade, subject = 'reading') {
   const data = await loadNAEPData();
-  const gradeKey = `grade${grade}`;
-  const gradeData = data[gradeKey];
+  const gradeData = getGradeData(data, grade, subject);
   
   if (!gradeData || !gradeData.nationalAvg) {
     return null;
@@ -81,12 +78,12 @@ async function getNationalAverage(grade) {
 }
 
 /**
- * Get scores from multiple states for context
+ * Every state's latest score for the SES group, highest first
+ * Output: [{ state, score, estimated }]
  */
-async function getStateScoresForContext(grade, ses, count = 5) {
+async function getAllStateScores(grade, ses, subject = 'reading') {
   const data = await loadNAEPData();
-  const gradeKey = `grade${grade}`;
-  const gradeData = data[gradeKey];
+  const gradeData = getGradeData(data, grade, subject);
   
   if (!gradeData || !gradeData.states) {
     return [];
@@ -97,45 +94,133 @@ async function getStateScoresForContext(grade, ses, count = 5) {
   
   // Get all state scores
   const stateScores = [];
-  const sesGap = 18;
   
-  for (const [stateCode, scores] of Object.entries(gradeData.states)) {
-    const baseScore = scores[latestYear];
-    if (baseScore != null && !isNaN(baseScore)) {
-      let adjustedScore = baseScore;
-      if (ses === 'Low') {
-        adjustedScore = baseScore - sesGap;
-      } else if (ses === 'High') {
-        adjustedScore = baseScore + sesGap;
-      }
-      
+  for (const stateCode of Object.keys(gradeData.states)) {
+    const { score, estimated, method } = getSESScore(gradeData, stateCode, latestYear, ses);
+    if (score != null && !isNaN(score)) {
       stateScores.push({
         state: stateCode,
-        score: adjustedScore
+        score,
+        estimated,
+        method
       });
     }
   }
   
   // Sort by score
-  stateScores.sort((a, b) => b.score - a.score);
-  
-  // Return top, middle, and bottom states
-  const result = [];
-  if (stateScores.length > 0) {
-    // Highest
-    result.push({ ...stateScores[0], label: 'Highest' });
-    
-    // Some middle states
-    if (stateScores.length > 10) {
-      const midIdx = Math.floor(stateScores.length / 2);
-      result.push({ ...stateScores[midIdx], label: 'Middle' });
-    }
-    
-    // Lowest
-    result.push({ ...stateScores[stateScores.length - 1], label: 'Lowest' });
+  return stateScores.sort((a, b) => b.score - a.score);
+}
+
+// 1st, 2nd, 3rd, 11th, 22nd ...
+function ordinal(n) {
+  const suffixes = { one: 'st', two: 'nd', few: 'rd', other: 'th' };
+  return `${n}${suffixes[new Intl.PluralRules('en-US', { type: 'ordinal' }).select(n)]}`;
+}
+
+/**
+ * Beeswarm layout: vertical offsets so circles of the given radius at these x positions don't overlap,
+ * each placed as close to the centre line as it fits (alternating above and below)
+ */
+function swarmOffsets(xs, radius) {
+  const gap = radius * 2 + 1;
+  const placed = [];
+  const offsets = new Array(xs.length);
+  d3.range(xs.length)
+    .sort((a, b) => xs[a] - xs[b])
+    .forEach(i => {
+      const near = placed.filter(p => Math.abs(p.x - xs[i]) < gap);
+      for (let step = 0; ; step += 1) {
+        const y = step === 0 ? 0 : Math.ceil(step / 2) * (step % 2 ? -1 : 1) * gap / 2;
+        if (near.every(p => Math.hypot(p.x - xs[i], p.y - y) >= gap)) {
+          offsets[i] = y;
+          placed.push({ x: xs[i], y });
+          break;
+        }
+      }
+    });
+  return offsets;
+}
+
+/**
+ * Lists kept in localStorage (game sessions, direction guesses); unreadable or missing -> []
+ */
+function readStoredList(key) {
+  try {
+    const list = JSON.parse(localStorage.getItem(key) || '[]');
+    return Array.isArray(list) ? list : [];
+  } catch (e) {
+    console.warn(`⚠️ Could not read ${key} from localStorage:`, e);
+    return [];
   }
-  
-  return result;
+}
+
+// Append an item, keep the newest `limit`, and return the stored list (oldest first)
+function appendStoredList(key, item, limit) {
+  const list = [...readStoredList(key), item].slice(-limit);
+  try {
+    localStorage.setItem(key, JSON.stringify(list));
+  } catch (e) {
+    console.warn(`⚠️ Could not save ${key} to localStorage:`, e);
+  }
+  return list;
+}
+
+// ========================================
+// TREND REVEAL
+// ========================================
+
+// A change between assessments within this many points counts as "about the same"
+const TREND_SAME_RANGE = 1;
+// Direction guesses for the next assessment, checked once newer results are loaded
+const DIRECTION_GUESSES_KEY = 'viz1DirectionGuesses';
+const DIRECTION_GUESSES_LIMIT = 50;
+
+const DIRECTIONS = {
+  up: { label: 'Higher', symbol: '↑' },
+  same: { label: 'About the same', symbol: '→' },
+  down: { label: 'Lower', symbol: '↓' }
+};
+
+function directionOf(change) {
+  if (Math.abs(change) <= TREND_SAME_RANGE) return 'same';
+  return change > 0 ? 'up' : 'down';
+}
+
+/**
+ * A state's series for one SES group, with the national average (all students)
+ * Output: { points: [{ year, score, estimated }], national: [{ year, score }] } - years ascending
+ */
+function trendSeries(gradeData, state, ses) {
+  const years = [...(gradeData?.years || [])].sort((a, b) => a - b);
+  return {
+    points: years
+      .map(year => ({ year, ...getSESScore(gradeData, state, String(year), ses) }))
+      .filter(d => d.score != null),
+    national: years
+      .map(year => ({ year, score: gradeData.nationalAvg?.[year] ?? null }))
+      .filter(d => d.score != null)
+  };
+}
+
+// Shown in place of the gauge or the game when a render from a click fails
+function renderLoadError(container, error) {
+  console.error('❌ Viz1 error:', error);
+  const root = d3.select(container);
+  root.selectAll('*').remove();
+  root.append('div')
+    .attr('class', 'score-gauge-error')
+    .style('padding', '20px')
+    .style('font-family', '"IBM Plex Mono", ui-monospace, monospace')
+    .style('font-size', '13px')
+    .style('color', '#e74c3c')
+    .text(`Error loading data: ${error.message}`);
+}
+
+// Counts of up / same / down moves between consecutive assessments
+function directionCounts(points) {
+  const counts = { up: 0, same: 0, down: 0 };
+  d3.pairs(points).forEach(([a, b]) => { counts[directionOf(b.score - a.score)] += 1; });
+  return counts;
 }
 
 export async function renderScoreComparison({
@@ -143,6 +228,7 @@ export async function renderScoreComparison({
   state,
   grade,
   ses,                  // 'Low' | 'Middle' | 'High'
+  subject = 'reading',  // 'reading' | 'math'
   predictedScore = null, // Optional: pre-set prediction
   actualScore = null,    // Will be loaded if not provided
   nationalAverage = null, // Will be loaded if not provided
@@ -151,41 +237,57 @@ export async function renderScoreComparison({
   width = 850,
   height = 280,         // Increased height for slider
   margin = { top: 20, right: 30, bottom: 50, left: 30 },
-  domain = [150, 320]   // Adjusted to typical NAEP range
+  domain = [150, 320],  // Adjusted to typical NAEP range
+  mode = 'single',      // 'single' | 'game' (a sequence of random state/grade rounds)
+  rounds = 10,          // Game mode: number of rounds
+  explore = true,       // Show the state/grade/subject controls after the reveal
+  trend = true,         // Expand the reveal into the state's trend and the next-assessment question
+  onReveal = null       // Called with { prediction, actual, estimated } when the score is revealed
 } = {}) {
   if (!container) throw new Error('renderScoreComparison: container is required');
+  if (!GAME_MODES.includes(mode)) {
+    throw new Error(`renderScoreComparison: unknown mode "${mode}" (${GAME_MODES.join(', ')})`);
+  }
+  if (mode === 'game') {
+    if (!Number.isInteger(rounds) || rounds < 1) throw new Error('renderScoreComparison: rounds must be a positive integer');
+    return renderScoreGame({ container, state, grade, ses: ses || 'Middle', subject, rounds, width, height, margin, domain });
+  }
   if (!state) throw new Error('renderScoreComparison: state is required');
   if (!grade) throw new Error('renderScoreComparison: grade is required');
   if (!ses) throw new Error('renderScoreComparison: ses is required');
 
-  console.log('🎯 renderScoreComparison called with:', { state, grade, ses, actualScore, nationalAverage });
+  subject = normalizeSubject(subject);
+  const subjectLabel = subject === 'math' ? 'math' : 'reading';
+
+  console.log('🎯 renderScoreComparison called with:', { state, grade, ses, subject, actualScore, nationalAverage });
+
+  // True when the SES score had to be estimated because NAEP suppressed it
+  let actualEstimated = false;
 
   // Load data if not provided
   try {
     if (actualScore == null) {
       console.log('📊 Loading actual score from data...');
-      actualScore = await getStateScore(state, grade, ses);
-      console.log('✅ Loaded actual score:', actualScore);
+      const loaded = await getStateScore(state, grade, ses, subject);
+      actualScore = loaded?.score ?? null;
+      actualEstimated = loaded?.estimated ?? false;
+      console.log('✅ Loaded actual score:', actualScore, actualEstimated ? '(estimated)' : '');
     }
     
     if (nationalAverage == null) {
       console.log('📊 Loading national average from data...');
-      nationalAverage = await getNationalAverage(grade);
+      nationalAverage = await getNationalAverage(grade, subject);
       console.log('✅ Loaded national average:', nationalAverage);
     }
     
     if (actualScore == null) {
-      throw new Error(`No NAEP data available for ${state}, grade ${grade}`);
+      throw new Error(`No NAEP ${subjectLabel} data available for ${state}, grade ${grade}`);
     }
   } catch (error) {
     console.error('❌ Error loading data:', error);
     throw error;
   }
   
-  // Get context scores from other states
-  const contextScores = await getStateScoresForContext(grade, ses);
-  console.log('📊 Context scores:', contextScores);
-
   // Theme from CSS custom properties (paper & ink aesthetic)
   const styles = getComputedStyle(document.documentElement);
   const paper = styles.getPropertyValue('--paper')?.trim() || '#efe6da';
@@ -206,7 +308,7 @@ export async function renderScoreComparison({
     .style('position', 'relative')
     .style('width', '100%');
 
-  // Score meaning explanation banner
+  // Score meaning explanation banner (official cut scores for this grade and subject)
   const explanationBanner = wrap.append('div')
     .style('margin-bottom', '12px')
     .style('padding', '10px 14px')
@@ -216,34 +318,28 @@ export async function renderScoreComparison({
     .style('font-family', fontMono)
     .style('font-size', '12px')
     .style('color', ink)
-    .style('line-height', '1.5')
-    .html(`
-      <strong>NAEP Score Guide:</strong> Scores range from 0-500. 
-      <span style="color: #c0392b; font-weight: 600;">150-199 = Below Basic</span>, 
-      <span style="color: #e67e22; font-weight: 600;">200-237 = Basic</span>, 
-      <span style="color: #27ae60; font-weight: 600;">238-267 = Proficient</span>, 
-      <span style="color: #2980b9; font-weight: 600;">268+ = Advanced</span>
-    `);
+    .style('line-height', '1.5');
 
-  // Context scores banner
-  if (contextScores.length > 0) {
-    const contextBanner = wrap.append('div')
-      .style('margin-bottom', '16px')
-      .style('padding', '12px 14px')
-      .style('background', '#fff3cd')
-      .style('border', `2px solid #f1c40f`)
-      .style('border-radius', '4px')
-      .style('font-family', fontMono)
-      .style('font-size', '11px')
-      .style('color', ink)
-      .style('line-height', '1.6');
-    
-    const contextHTML = contextScores.map(c => 
-      `<span style="font-weight: 600;">${c.label}: ${c.state}</span> <span style="color: ${muted};">(${Math.round(c.score)})</span>`
-    ).join(' • ');
-    
-    contextBanner.html(`<strong>State Benchmarks (Grade ${grade}, ${ses} SES):</strong> ${contextHTML}`);
+  async function updateScoreGuide(guideState, guideGrade, guideSubject) {
+    const bandsHTML = levelBands(guideGrade, guideSubject)
+      .map(band => `<span style="color: ${band.color}; font-weight: 600;">${describeBand(band)}</span>`)
+      .join(', ');
+
+    // % of the state's students at or above Proficient, when the levels export has been ingested
+    const data = await loadNAEPData();
+    const gradeData = getGradeData(data, guideGrade, guideSubject);
+    const latestYear = gradeData?.years?.length ? String(Math.max(...gradeData.years)) : null;
+    const pct = latestYear ? percentAtOrAbove(gradeData, guideState, latestYear) : null;
+    const pctHTML = pct?.Proficient != null
+      ? `<br>In ${latestYear}, <strong>${Math.round(pct.Proficient)}%</strong> of ${guideState} students scored at or above Proficient (${Math.round(pct.Basic)}% at or above Basic).`
+      : '';
+
+    explanationBanner.html(`
+      <strong>NAEP Score Guide (Grade ${guideGrade} ${guideSubject === 'math' ? 'Math' : 'Reading'}):</strong> Scores range from 0-500. 
+      ${bandsHTML}${pctHTML}
+    `);
   }
+  await updateScoreGuide(state, grade, subject);
 
   // Instruction banner
   const instruction = wrap.append('div')
@@ -258,7 +354,7 @@ export async function renderScoreComparison({
     .style('color', ink)
     .style('text-align', 'center')
     .style('box-shadow', '3px 3px 0 rgba(0,0,0,0.1)')
-    .text(`Use the slider below to predict ${state}'s Grade ${grade} reading score`);
+    .text(`Use the slider below (drag it, or focus it and use the arrow keys) to predict ${state}'s Grade ${grade} ${subjectLabel} score`);
 
   // Placeholder for controls (will be inserted here after reveal)
   const controlsPlaceholder = wrap.append('div')
@@ -269,8 +365,25 @@ export async function renderScoreComparison({
     .attr('viewBox', `0 0 ${width} ${height}`)
     .attr('width', '100%')
     .attr('height', 'auto')
-    .attr('role', 'img')
-    .attr('aria-label', `Interactive NAEP reading score prediction for ${state}, grade ${grade}, ${ses} SES`);
+    .attr('role', 'group')
+    .attr('aria-label', `Interactive NAEP ${subjectLabel} score prediction for ${state}, grade ${grade}, ${ses} SES`);
+
+  // Where the prediction and the state rank among all states (filled by the reveal)
+  const swarmNote = wrap.append('div')
+    .attr('class', 'score-gauge-swarm-note')
+    .attr('aria-live', 'polite')
+    .style('display', 'none')
+    .style('margin', '4px 0 12px')
+    .style('font-family', fontMono)
+    .style('font-size', '12px')
+    .style('color', ink)
+    .style('text-align', 'center')
+    .style('line-height', '1.6');
+
+  // Stacked comparison gauges (filled from the explore controls after the reveal)
+  const compareWrap = wrap.append('div')
+    .attr('class', 'score-gauge-compare')
+    .style('display', 'none');
 
   const innerW = width - margin.left - margin.right;
   const innerH = height - margin.top - margin.bottom;
@@ -302,6 +415,26 @@ export async function renderScoreComparison({
     .attr('stroke', 'none')
     .attr('stroke-width', '0');
 
+  // Achievement-level strip under the track
+  function drawLevelStrip(stripGrade, stripSubject) {
+    g.selectAll('.level-band').remove();
+    const bands = levelBands(stripGrade, stripSubject, x.domain());
+    const strip = g.insert('g', ':first-child').attr('class', 'level-band');
+    strip.selectAll('rect')
+      .data(bands)
+      .enter()
+      .append('rect')
+      .attr('x', d => x(d.from))
+      .attr('y', trackY + trackH + 3)
+      .attr('width', d => x(d.to) - x(d.from))
+      .attr('height', 5)
+      .attr('fill', d => d.color)
+      .attr('opacity', 0.8)
+      .append('title')
+      .text(d => d.level);
+  }
+  drawLevelStrip(grade, subject);
+
   // Track visual background
   const trackBg = g.append('rect')
     .attr('x', 0)
@@ -347,14 +480,35 @@ export async function renderScoreComparison({
     .attr('stroke-width', 3)
     .style('pointer-events', 'none');
 
-  // Draggable circle handle
+  // Focus ring, shown while the handle has keyboard focus
+  const focusRing = predictionGroup.append('circle')
+    .attr('class', 'prediction-focus-ring')
+    .attr('r', 18)
+    .attr('fill', 'none')
+    .attr('stroke', '#3498db')
+    .attr('stroke-width', 3)
+    .attr('opacity', 0)
+    .style('pointer-events', 'none');
+
+  // Draggable circle handle; also an ARIA slider for keyboard and screen-reader users
   const predictionHandle = predictionGroup.append('circle')
     .attr('cy', 0)
     .attr('r', 12)
     .attr('fill', '#e74c3c')
     .attr('stroke', ink)
     .attr('stroke-width', 2)
-    .style('cursor', 'grab');
+    .attr('tabindex', 0)
+    .attr('role', 'slider')
+    .attr('aria-label', `Your prediction of ${state}'s grade ${grade} ${subjectLabel} score`)
+    .attr('aria-orientation', 'horizontal')
+    .attr('aria-valuemin', domain[0])
+    .attr('aria-valuemax', domain[1])
+    .attr('aria-valuenow', userPrediction)
+    .attr('aria-valuetext', `${userPrediction}, ${levelForScore(userPrediction, grade, subject)}`)
+    .style('cursor', 'grab')
+    .style('outline', 'none')
+    .on('focus', () => focusRing.attr('opacity', 1))
+    .on('blur', () => focusRing.attr('opacity', 0));
 
   // Score label on handle
   const predictionLabel = predictionGroup.append('text')
@@ -411,6 +565,33 @@ export async function renderScoreComparison({
       .style('pointer-events', 'none');
   }
 
+  // Every state's score as a dot under the axis (drawn by the reveal)
+  const swarmG = g.append('g').attr('class', 'state-swarm');
+
+  // Screen-reader announcements: predicted value, reveal result and difference
+  const announcer = wrap.append('div')
+    .attr('class', 'score-gauge-announcer')
+    .attr('aria-live', 'polite')
+    .style('position', 'absolute')
+    .style('width', '1px')
+    .style('height', '1px')
+    .style('overflow', 'hidden')
+    .style('clip', 'rect(0 0 0 0)')
+    .style('white-space', 'nowrap');
+  let announceTimer = null;
+  // delay > 0 waits for the value to settle, so dragging or holding an arrow key is announced once
+  function announce(message, delay = 0) {
+    clearTimeout(announceTimer);
+    announceTimer = setTimeout(() => announcer.text(message), delay);
+  }
+
+  // Difference sentence for the announcements
+  function describeDifference(actual, prediction) {
+    const diff = actual - prediction;
+    if (Math.round(diff) === 0) return 'Exact match!';
+    return `The actual score is ${d3.format('.0f')(Math.abs(diff))} points ${diff > 0 ? 'higher' : 'lower'} than your prediction.`;
+  }
+
   // Info display
   const infoDisplay = wrap.append('div')
     .style('margin-top', '16px')
@@ -459,18 +640,37 @@ export async function renderScoreComparison({
     })
     .on('click', revealActual);
 
+  // Trend panel, expanded by the reveal
+  const trendWrap = wrap.append('div')
+    .attr('class', 'score-gauge-trend')
+    .style('display', 'none')
+    .style('margin', '12px 0')
+    .style('padding', '12px 14px')
+    .style('background', '#fff')
+    .style('border', `2px solid ${ink}`)
+    .style('border-radius', '4px')
+    .style('box-shadow', '3px 3px 0 rgba(0,0,0,0.1)')
+    .style('font-family', fontMono)
+    .style('color', ink);
+
   // ===== SLIDER FUNCTIONALITY =====
   let isDragging = false;
 
-  // Update function for slider
+  // Update function for slider (newX in track pixels, from dragging or clicking)
   function updatePrediction(newX) {
+    setPrediction(x.invert(Math.max(0, Math.min(innerW, newX))));
+  }
+
+  // Set the prediction to a score, clamped to the gauge's domain
+  function setPrediction(value) {
     if (isRevealed) return; // Lock after reveal
     
-    // Clamp to valid range
-    newX = Math.max(0, Math.min(innerW, newX));
-    const newValue = x.invert(newX);
-    const clampedValue = Math.max(domain[0], Math.min(domain[1], newValue));
-    userPrediction = Math.round(clampedValue);
+    userPrediction = Math.round(Math.max(domain[0], Math.min(domain[1], value)));
+    const level = levelForScore(userPrediction, grade, subject);
+    predictionHandle
+      .attr('aria-valuenow', userPrediction)
+      .attr('aria-valuetext', `${userPrediction}, ${level}`);
+    announce(`Predicted score ${userPrediction}, ${level}`, 400);
     
     // Update bar width
     mainBar.attr('width', x(userPrediction));
@@ -506,6 +706,24 @@ export async function renderScoreComparison({
 
   predictionHandle.call(drag);
 
+  // Keyboard: arrows ±1, Page Up / Page Down ±10, Home / End to the ends of the scale
+  const SLIDER_KEYS = {
+    ArrowRight: v => v + 1,
+    ArrowUp: v => v + 1,
+    ArrowLeft: v => v - 1,
+    ArrowDown: v => v - 1,
+    PageUp: v => v + 10,
+    PageDown: v => v - 10,
+    Home: () => domain[0],
+    End: () => domain[1]
+  };
+  predictionHandle.on('keydown', event => {
+    const step = SLIDER_KEYS[event.key];
+    if (!step || isRevealed) return;
+    event.preventDefault();
+    setPrediction(step(userPrediction));
+  });
+
   // Also allow clicking on track to jump to position
   g.append('rect')
     .attr('x', 0)
@@ -520,13 +738,523 @@ export async function renderScoreComparison({
       updatePrediction(mouseX);
     });
 
+  // Stacked gauges for several states on the main gauge's x scale, with the national average and the
+  // prediction drawn across all of them. Input: [usps], the first being the explored state
+  let comparisonToken = 0;
+  async function drawComparison(codes, { grade: rowGrade, ses: rowSes, subject: rowSubject }) {
+    const token = ++comparisonToken;
+    if (codes.length < 2) {
+      compareWrap.style('display', 'none').selectAll('*').remove();
+      return;
+    }
+    const [rows, national] = await Promise.all([
+      Promise.all(codes.map(async usps => ({ usps, ...(await getStateScore(usps, rowGrade, rowSes, rowSubject)) }))),
+      getNationalAverage(rowGrade, rowSubject)
+    ]);
+    if (token !== comparisonToken) return; // a newer selection is already drawing
+
+    compareWrap.style('display', 'block').selectAll('*').remove();
+    const rowLabel = rowSubject === 'math' ? 'Math' : 'Reading';
+    compareWrap.append('div')
+      .style('margin', '8px 0 4px')
+      .style('font-family', fontMono)
+      .style('font-size', '11px')
+      .style('font-weight', '600')
+      .style('color', ink)
+      .style('text-transform', 'uppercase')
+      .style('letter-spacing', '0.08em')
+      .text(`Side by side: Grade ${rowGrade} ${rowLabel}, ${rowSes} SES`);
+
+    const rowH = 34;
+    const rowGap = 8;
+    const stackH = rows.length * rowH + (rows.length - 1) * rowGap;
+    const compareSvg = compareWrap.append('svg')
+      .attr('viewBox', `0 0 ${width} ${stackH + 60}`)
+      .attr('width', '100%')
+      .attr('height', 'auto')
+      .attr('role', 'img')
+      .attr('aria-label', `${rowLabel} scores, grade ${rowGrade}, ${rowSes} SES: ` + rows
+        .map(r => `${toName(r.usps)} ${r.score != null ? Math.round(r.score) : 'no data'}`)
+        .join(', ') + (national != null ? `; national average ${Math.round(national)}` : ''));
+    const cg = compareSvg.append('g').attr('transform', `translate(${margin.left}, 20)`);
+
+    const rowsG = cg.selectAll('g.compare-row')
+      .data(rows)
+      .enter()
+      .append('g')
+      .attr('class', 'compare-row')
+      .attr('transform', (d, i) => `translate(0, ${i * (rowH + rowGap)})`);
+
+    rowsG.append('title')
+      .text(d => d.score != null
+        ? `${toName(d.usps)}: ${Math.round(d.score)}${d.estimated ? ' (estimated)' : ''}, ${levelForScore(d.score, rowGrade, rowSubject)}`
+        : `${toName(d.usps)}: no data`);
+
+    rowsG.append('rect')
+      .attr('width', innerW)
+      .attr('height', rowH)
+      .attr('fill', '#f7efe6')
+      .attr('stroke', ink)
+      .attr('stroke-width', 2)
+      .attr('rx', 8);
+
+    rowsG.filter(d => d.score != null).append('rect')
+      .attr('x', 0)
+      .attr('y', 2)
+      .attr('height', rowH - 4)
+      .attr('width', d => x(d.score))
+      .attr('fill', '#3498db')
+      .attr('opacity', (d, i) => (i === 0 ? 0.85 : 0.6))
+      .attr('rx', 6);
+
+    rowsG.append('text')
+      .attr('x', 10)
+      .attr('y', rowH / 2 + 5)
+      .attr('font-family', fontMono)
+      .attr('font-size', '13px')
+      .attr('font-weight', '700')
+      .attr('fill', d => (d.score != null ? '#fff' : muted))
+      .text(d => (d.score != null ? d.usps : `${d.usps} - no data`));
+
+    const scored = rowsG.filter(d => d.score != null);
+    scored.append('line')
+      .attr('x1', d => x(d.score))
+      .attr('x2', d => x(d.score))
+      .attr('y1', -4)
+      .attr('y2', rowH + 4)
+      .attr('stroke', ink)
+      .attr('stroke-width', 2);
+
+    scored.append('text')
+      .attr('x', d => x(d.score) + 6)
+      .attr('y', rowH / 2 + 5)
+      .attr('font-family', fontMono)
+      .attr('font-size', '13px')
+      .attr('font-weight', '700')
+      .attr('fill', ink)
+      .text(d => `${Math.round(d.score)}${d.estimated ? ' est.' : ''}`);
+
+    // National average and the prediction run through every row
+    const spanLine = (value, color, dash, label, anchor) => {
+      cg.append('line')
+        .attr('x1', x(value))
+        .attr('x2', x(value))
+        .attr('y1', -8)
+        .attr('y2', stackH + 8)
+        .attr('stroke', color)
+        .attr('stroke-width', 2)
+        .attr('stroke-dasharray', dash);
+      cg.append('text')
+        .attr('x', x(value))
+        .attr('y', -10)
+        .attr('text-anchor', anchor)
+        .attr('font-family', fontMono)
+        .attr('font-size', '10px')
+        .attr('fill', color)
+        .text(label);
+    };
+    if (national != null) {
+      spanLine(national, muted, '5 3', `National avg ${Math.round(national)}`, national >= userPrediction ? 'start' : 'end');
+    }
+    spanLine(userPrediction, '#e74c3c', '2 3', `Your prediction ${userPrediction}`, national != null && national >= userPrediction ? 'end' : 'start');
+
+    const compareAxis = cg.append('g')
+      .attr('transform', `translate(0, ${stackH + 10})`)
+      .call(d3.axisBottom(x).ticks(8).tickSizeOuter(0));
+    compareAxis.selectAll('text')
+      .attr('font-family', fontMono)
+      .attr('font-size', '13px')
+      .attr('fill', muted);
+    compareAxis.selectAll('line').attr('stroke', 'rgba(0,0,0,0.15)');
+    compareAxis.select('.domain').attr('stroke', 'none');
+
+    cg.insert('g', ':first-child')
+      .attr('transform', `translate(0, ${stackH + 4})`)
+      .selectAll('rect')
+      .data(levelBands(rowGrade, rowSubject, x.domain()))
+      .enter()
+      .append('rect')
+      .attr('x', d => x(d.from))
+      .attr('width', d => x(d.to) - x(d.from))
+      .attr('height', 5)
+      .attr('fill', d => d.color)
+      .attr('opacity', 0.8);
+  }
+
+  // All states on the gauge axis, the chosen one highlighted and labelled; the svg grows to fit the swarm
+  let swarmToken = 0;
+  async function drawSwarm(swarmState, swarmGrade, swarmSubject, { animate = false } = {}) {
+    const token = ++swarmToken;
+    const scores = await getAllStateScores(swarmGrade, ses, swarmSubject);
+    if (token !== swarmToken) return;
+    swarmG.selectAll('*').remove();
+    if (!scores.length) {
+      swarmNote.style('display', 'none');
+      return;
+    }
+
+    const r = 4;
+    const clampX = score => x(Math.max(x.domain()[0], Math.min(x.domain()[1], score)));
+    const offsets = swarmOffsets(scores.map(d => clampX(d.score)), r);
+    const spread = d3.max(offsets, Math.abs) + r;
+    const centerY = trackY + trackH + 38 + spread;
+    svg.attr('viewBox', `0 0 ${width} ${Math.max(height, margin.top + centerY + spread + 16)}`);
+
+    const label = swarmSubject === 'math' ? 'math' : 'reading';
+    const chosenIdx = scores.findIndex(d => d.state === swarmState);
+    const guessRank = 1 + scores.filter(d => d.score > userPrediction).length;
+    swarmG.attr('role', 'img')
+      .attr('aria-label', `Grade ${swarmGrade} ${label} scores of all ${scores.length} states, ${ses} SES: ` +
+        scores.map(d => `${d.state} ${Math.round(d.score)}`).join(', '));
+
+    swarmG.append('text')
+      .attr('x', 0)
+      .attr('y', centerY - spread - 6)
+      .attr('font-family', fontMono)
+      .attr('font-size', '10px')
+      .attr('fill', muted)
+      .text(`ALL ${scores.length} STATES`);
+
+    // The prediction through the swarm
+    swarmG.append('line')
+      .attr('x1', x(userPrediction))
+      .attr('x2', x(userPrediction))
+      .attr('y1', centerY - spread - 4)
+      .attr('y2', centerY + spread + 4)
+      .attr('stroke', '#e74c3c')
+      .attr('stroke-width', 1.5)
+      .style('stroke-dasharray', '3 3');
+
+    const dots = swarmG.selectAll('circle.swarm-dot')
+      .data(scores.map((d, i) => ({ ...d, cx: clampX(d.score), cy: centerY + offsets[i], chosen: i === chosenIdx })))
+      .enter()
+      .append('circle')
+      .attr('class', d => (d.chosen ? 'swarm-dot swarm-dot-chosen' : 'swarm-dot'))
+      .attr('cx', d => d.cx)
+      .attr('cy', d => d.cy)
+      .attr('r', animate ? 0 : r)
+      .attr('fill', d => (d.chosen ? '#3498db' : paper))
+      .attr('stroke', ink)
+      .attr('stroke-width', d => (d.chosen ? 2 : 1))
+      .style('stroke-dasharray', d => (d.estimated ? '2 1' : null))
+      .style('cursor', 'default')
+      .on('mouseenter', function(event, d) {
+        d3.select(this).attr('r', r + 2);
+        hoverLabel
+          .attr('x', d.cx)
+          .attr('y', d.cy - r - 6)
+          .text(`${d.state} ${Math.round(d.score)}${d.estimated ? ' (est.)' : ''}`)
+          .attr('opacity', 1)
+          .raise();
+      })
+      .on('mouseleave', function() {
+        d3.select(this).attr('r', r);
+        hoverLabel.attr('opacity', 0);
+      });
+    dots.append('title')
+      .text((d, i) => `${toName(d.state)}: ${Math.round(d.score)}${d.estimated ? ' (estimated)' : ''}, ${ordinal(i + 1)} of ${scores.length}`);
+    swarmG.select('.swarm-dot-chosen').raise();
+    if (animate) {
+      dots.transition()
+        .delay((d, i) => 300 + (scores.length - i) * 12)
+        .duration(400)
+        .attr('r', r);
+    }
+
+    if (chosenIdx >= 0) {
+      const chosen = dots.filter(d => d.chosen).datum();
+      swarmG.append('text')
+        .attr('x', chosen.cx)
+        .attr('y', chosen.cy + r + 12)
+        .attr('text-anchor', 'middle')
+        .attr('font-family', fontMono)
+        .attr('font-size', '11px')
+        .attr('font-weight', '700')
+        .attr('fill', '#3498db')
+        .style('pointer-events', 'none')
+        .text(swarmState);
+    }
+
+    const hoverLabel = swarmG.append('text')
+      .attr('text-anchor', 'middle')
+      .attr('font-family', fontMono)
+      .attr('font-size', '11px')
+      .attr('font-weight', '700')
+      .attr('fill', ink)
+      .attr('stroke', '#fff')
+      .attr('stroke-width', 3)
+      .attr('paint-order', 'stroke')
+      .attr('opacity', 0)
+      .style('pointer-events', 'none');
+
+    const chosenText = chosenIdx >= 0
+      ? ` ${toName(swarmState)}'s actual score, <strong style="color: #3498db;">${Math.round(scores[chosenIdx].score)}</strong>, ranks <strong>${ordinal(chosenIdx + 1)}</strong>.`
+      : '';
+    swarmNote
+      .style('display', 'block')
+      .html(`Your guess of <strong style="color: #e74c3c;">${userPrediction}</strong> would rank <strong>${ordinal(guessRank)}</strong> of ${scores.length} states.${chosenText}
+        <span style="color: ${muted};">Highest: ${scores[0].state} ${Math.round(scores[0].score)} · Lowest: ${scores.at(-1).state} ${Math.round(scores.at(-1).score)}. Hover a dot for the state.${scores.some(d => d.estimated) ? ` Dashed dots are estimated: ${describeSESEstimates(scores)}` : ''}</span>`);
+  }
+
+  // The state's scores for the SES group since the first assessment against the national average, the
+  // prediction at the latest year, and a question on the direction of the next assessment
+  let trendToken = 0;
+  async function drawTrend(usps, trendGrade, trendSubject) {
+    const token = ++trendToken;
+    const gradeData = getGradeData(await loadNAEPData(), trendGrade, trendSubject);
+    if (token !== trendToken) return;
+    const { points, national } = trendSeries(gradeData, usps, ses);
+    trendWrap.selectAll('*').remove();
+    if (points.length < 2) {
+      trendWrap.style('display', 'none');
+      return;
+    }
+    trendWrap.style('display', 'block');
+
+    const name = toName(usps);
+    const label = trendSubject === 'math' ? 'math' : 'reading';
+    const first = points[0];
+    const latest = points.at(-1);
+    const previous = points.at(-2);
+    const nationalLatest = national.find(d => d.year === latest.year)?.score ?? null;
+    const fmtChange = d3.format('+.0f');
+    // The prediction belongs to the series it was made for, not to states picked while exploring
+    const showGuess = usps === state && trendGrade === grade && trendSubject === subject;
+
+    trendWrap.append('div')
+      .style('font-family', fontTitle)
+      .style('font-size', '18px')
+      .style('letter-spacing', '0.04em')
+      .text(`${usps} OVER TIME: GRADE ${trendGrade} ${label.toUpperCase()}, ${ses.toUpperCase()} SES`);
+
+    trendWrap.append('div')
+      .style('font-size', '11px')
+      .style('line-height', '1.6')
+      .style('margin', '4px 0 6px')
+      .text(`${Math.round(latest.score)} in ${latest.year}: ${fmtChange(latest.score - previous.score)} since ${previous.year}, ` +
+        `${fmtChange(latest.score - first.score)} since ${first.year}` +
+        (nationalLatest != null ? `, ${fmtChange(latest.score - nationalLatest)} vs. the national average.` : '.'));
+
+    // Chart
+    const tW = width;
+    const tH = 230;
+    const tm = { top: 24, right: 110, bottom: 30, left: 44 };
+    const values = [...points, ...national].map(d => d.score).concat(showGuess ? [userPrediction] : []);
+    const tx = d3.scaleLinear().domain(d3.extent(points.concat(national), d => d.year)).range([tm.left, tW - tm.right]);
+    const ty = d3.scaleLinear().domain([d3.min(values) - 4, d3.max(values) + 4]).nice().range([tH - tm.bottom, tm.top]);
+    const trendSvg = trendWrap.append('svg')
+      .attr('viewBox', `0 0 ${tW} ${tH}`)
+      .attr('width', '100%')
+      .attr('height', 'auto')
+      .attr('role', 'img')
+      .attr('aria-label', `${name} grade ${trendGrade} ${label} scores, ${ses} SES, ${first.year} to ${latest.year}: ` +
+        points.map(d => `${d.year} ${Math.round(d.score)}`).join(', ') +
+        (showGuess ? `. Your prediction for ${latest.year}: ${userPrediction}.` : '.'));
+
+    trendSvg.append('g')
+      .attr('transform', `translate(0, ${tH - tm.bottom})`)
+      .call(d3.axisBottom(tx).tickValues(points.map(d => d.year)).tickFormat(d3.format('d')).tickSizeOuter(0))
+      .call(axis => axis.selectAll('text').attr('font-family', fontMono).attr('font-size', '10px').attr('fill', muted));
+    trendSvg.append('g')
+      .attr('transform', `translate(${tm.left}, 0)`)
+      .call(d3.axisLeft(ty).ticks(5).tickSizeOuter(0))
+      .call(axis => axis.selectAll('text').attr('font-family', fontMono).attr('font-size', '10px').attr('fill', muted))
+      .call(axis => axis.select('.domain').attr('stroke', 'none'));
+
+    // The lines draw left to right as the panel opens
+    const clipId = `trend-clip-${Math.random().toString(36).slice(2, 8)}`;
+    const clipRect = trendSvg.append('clipPath').attr('id', clipId)
+      .append('rect')
+      .attr('x', 0)
+      .attr('y', 0)
+      .attr('width', tm.left)
+      .attr('height', tH);
+    const plot = trendSvg.append('g').attr('clip-path', `url(#${clipId})`);
+    const line = d3.line().x(d => tx(d.year)).y(d => ty(d.score));
+
+    plot.append('path')
+      .datum(national)
+      .attr('d', line)
+      .attr('fill', 'none')
+      .attr('stroke', muted)
+      .attr('stroke-width', 2)
+      .attr('stroke-dasharray', '5 3');
+    plot.append('path')
+      .datum(points)
+      .attr('d', line)
+      .attr('fill', 'none')
+      .attr('stroke', '#3498db')
+      .attr('stroke-width', 3);
+    plot.selectAll('circle.trend-point')
+      .data(points)
+      .enter()
+      .append('circle')
+      .attr('class', 'trend-point')
+      .attr('cx', d => tx(d.year))
+      .attr('cy', d => ty(d.score))
+      .attr('r', 4)
+      .attr('fill', d => (d.estimated ? paper : '#3498db'))
+      .attr('stroke', ink)
+      .attr('stroke-width', 1.5)
+      .append('title')
+      .text(d => `${d.year}: ${Math.round(d.score)}${d.estimated ? ' (estimated)' : ''}`);
+
+    // The guess at the latest year, joined to the actual score
+    if (showGuess) {
+      plot.append('line')
+        .attr('x1', tx(latest.year))
+        .attr('x2', tx(latest.year))
+        .attr('y1', ty(userPrediction))
+        .attr('y2', ty(latest.score))
+        .attr('stroke', '#e74c3c')
+        .attr('stroke-width', 1.5)
+        .attr('stroke-dasharray', '2 3');
+      plot.append('circle')
+        .attr('class', 'trend-guess')
+        .attr('cx', tx(latest.year))
+        .attr('cy', ty(userPrediction))
+        .attr('r', 6)
+        .attr('fill', '#e74c3c')
+        .attr('stroke', ink)
+        .attr('stroke-width', 2)
+        .append('title')
+        .text(`Your prediction: ${userPrediction}`);
+    }
+
+    // End labels
+    const endLabels = [
+      { text: `${usps} ${Math.round(latest.score)}`, y: ty(latest.score), color: '#3498db' },
+      ...(showGuess ? [{ text: `Your guess ${userPrediction}`, y: ty(userPrediction), color: '#e74c3c' }] : []),
+      ...(nationalLatest != null ? [{ text: `National ${Math.round(nationalLatest)}`, y: ty(nationalLatest), color: muted }] : [])
+    ].sort((a, b) => a.y - b.y);
+    endLabels.forEach((d, i) => {
+      if (i > 0) d.y = Math.max(d.y, endLabels[i - 1].y + 13);
+    });
+    plot.selectAll('text.trend-end')
+      .data(endLabels)
+      .enter()
+      .append('text')
+      .attr('class', 'trend-end')
+      .attr('x', tx(latest.year) + 10)
+      .attr('y', d => d.y + 4)
+      .attr('font-family', fontMono)
+      .attr('font-size', '11px')
+      .attr('font-weight', '700')
+      .attr('fill', d => d.color)
+      .text(d => d.text);
+
+    clipRect.transition()
+      .duration(1200)
+      .ease(d3.easeCubicOut)
+      .attr('width', tW);
+
+    if (points.some(d => d.estimated)) {
+      trendWrap.append('div')
+        .style('font-size', '10px')
+        .style('color', muted)
+        .text(`Open dots are estimated: ${describeSESEstimates(points)}`);
+    }
+
+    // Earlier direction guesses for this series that newer results can now answer
+    const resolved = readStoredList(DIRECTION_GUESSES_KEY)
+      .filter(g => g.state === usps && g.grade === trendGrade && g.subject === trendSubject && g.ses === ses && g.afterYear < latest.year)
+      .map(g => {
+        const before = points.find(d => d.year === g.afterYear);
+        const next = points.find(d => d.year > g.afterYear);
+        return before && next ? { ...g, next, actual: directionOf(next.score - before.score), change: next.score - before.score } : null;
+      })
+      .filter(Boolean);
+    if (resolved.length) {
+      const last = resolved.at(-1);
+      trendWrap.append('div')
+        .attr('class', 'trend-resolved')
+        .style('margin-top', '8px')
+        .style('font-size', '12px')
+        .style('font-weight', '600')
+        .style('color', last.actual === last.direction ? '#27ae60' : '#e74c3c')
+        .text(`Your earlier call after ${last.afterYear}: ${DIRECTIONS[last.direction].label.toLowerCase()}. ` +
+          `${last.next.year} came in ${DIRECTIONS[last.actual].label.toLowerCase()} (${fmtChange(last.change)}) - ` +
+          (last.actual === last.direction ? 'you called it.' : 'not this time.'));
+    }
+
+    // Next-assessment question
+    const question = trendWrap.append('div')
+      .attr('class', 'trend-question')
+      .attr('role', 'group')
+      .attr('aria-label', 'Guess the direction of the next assessment')
+      .style('margin-top', '10px')
+      .style('padding', '10px 12px')
+      .style('background', '#f7efe6')
+      .style('border', `1.5px solid ${muted}`)
+      .style('border-radius', '4px')
+      .style('font-size', '12px');
+    question.append('div')
+      .style('font-weight', '600')
+      .style('margin-bottom', '6px')
+      .text(`Your call: will ${name}'s next assessment be higher, about the same (within ±${TREND_SAME_RANGE} point) or lower than ${Math.round(latest.score)}?`);
+    const answer = question.append('div')
+      .attr('aria-live', 'polite')
+      .style('margin-top', '8px')
+      .style('line-height', '1.6');
+
+    question.insert('div', 'div[aria-live]')
+      .selectAll('button')
+      .data(Object.entries(DIRECTIONS))
+      .enter()
+      .append('button')
+      .attr('type', 'button')
+      .attr('aria-pressed', 'false')
+      .style('margin-right', '8px')
+      .style('padding', '6px 14px')
+      .style('font-family', fontMono)
+      .style('font-size', '12px')
+      .style('font-weight', '600')
+      .style('color', ink)
+      .style('background', paper)
+      .style('border', `2px solid ${ink}`)
+      .style('border-radius', '4px')
+      .style('cursor', 'pointer')
+      .text(([, d]) => `${d.symbol} ${d.label}`)
+      .on('click', function(event, [direction]) {
+        question.selectAll('button')
+          .attr('aria-pressed', ([key]) => String(key === direction))
+          .style('background', ([key]) => (key === direction ? ink : paper))
+          .style('color', ([key]) => (key === direction ? '#fff' : ink));
+
+        appendStoredList(DIRECTION_GUESSES_KEY, {
+          state: usps,
+          grade: trendGrade,
+          subject: trendSubject,
+          ses,
+          afterYear: latest.year,
+          direction,
+          guessed: new Date().toISOString()
+        }, DIRECTION_GUESSES_LIMIT);
+
+        const counts = directionCounts(points);
+        const moves = d3.sum(Object.values(counts));
+        const lastMove = directionOf(latest.score - previous.score);
+        answer.html(`
+          You said <strong>${DIRECTIONS[direction].label.toLowerCase()}</strong>. Since ${first.year}, ${usps} went
+          up <strong>${counts.up}</strong>, stayed about the same <strong>${counts.same}</strong> and went down
+          <strong>${counts.down}</strong> of ${moves} times from one assessment to the next; most recently
+          ${DIRECTIONS[lastMove].label.toLowerCase()} (${fmtChange(latest.score - previous.score)} from ${previous.year}).
+          <br><span style="color: ${muted};">Saved on this device - the chart will tell you how it went once the next results are loaded.</span>
+        `);
+      });
+  }
+
   // Reveal actual score
   function revealActual() {
     if (isRevealed) return;
     isRevealed = true;
 
     // Lock the handle
-    predictionHandle.style('cursor', 'not-allowed');
+    predictionHandle
+      .style('cursor', 'not-allowed')
+      .attr('aria-disabled', 'true')
+      .attr('aria-valuetext', `${userPrediction}, locked after the reveal`);
+    announce(`Actual score ${d3.format('.0f')(actualScore)}${actualEstimated ? ' (estimated)' : ''}, ${levelForScore(actualScore, grade, subject)}. You predicted ${userPrediction}. ${describeDifference(actualScore, userPrediction)}`);
 
     // Update instruction
     instruction
@@ -579,8 +1307,9 @@ export async function renderScoreComparison({
           </div>
           <div style="font-size: 20px; color: ${muted};">|</div>
           <div>
-            <span style="color: ${muted}; font-size: 12px; text-transform: uppercase; letter-spacing: 0.08em;">Actual score:</span><br>
+            <span style="color: ${muted}; font-size: 12px; text-transform: uppercase; letter-spacing: 0.08em;">${actualEstimated ? 'Actual score (estimated):' : 'Actual score:'}</span><br>
             <strong style="color: #3498db; font-size: 20px;">${d3.format('.0f')(actualScore)}</strong>
+            <span style="color: ${colorForLevel(levelForScore(actualScore, grade, subject))}; font-size: 12px;">${levelForScore(actualScore, grade, subject)}</span>
           </div>
           <div style="font-size: 20px; color: ${muted};">|</div>
           <div>
@@ -615,13 +1344,24 @@ export async function renderScoreComparison({
       .duration(300)
       .style('opacity', 1);
     
-    // Store reference for update function
-    window.viz1ResultText = resultText;
+    if (onReveal) onReveal({ prediction: userPrediction, actual: actualScore, estimated: actualEstimated });
+    
+    // Every state's position, revealed with the actual score
+    drawSwarm(state, grade, subject, { animate: true }).catch(error => console.warn('⚠️ State distribution unavailable:', error));
+    
+    // Expand into the trend once the bar has moved
+    if (trend) {
+      setTimeout(() => {
+        drawTrend(state, grade, subject).catch(error => console.warn('⚠️ Trend unavailable:', error));
+      }, 1200);
+    }
     
     // Add toggle controls above the bar after reveal
-    setTimeout(() => {
-      addToggleControls();
-    }, 1500);
+    if (explore) {
+      setTimeout(() => {
+        addToggleControls();
+      }, 1500);
+    }
   }
   
   // Add toggle controls for exploring different states and grades
@@ -633,6 +1373,7 @@ export async function renderScoreComparison({
     let currentState = state;
     let currentGrade = grade;
     let currentSes = ses;
+    let currentSubject = subject;
     
     // Controls container
     const controlsWrap = wrap.insert('div', '#controls-placeholder')
@@ -687,25 +1428,7 @@ export async function renderScoreComparison({
       .style('color', ink)
       .style('cursor', 'pointer');
     
-    const states = [
-      'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA',
-      'KS', 'KY', 'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ',
-      'NM', 'NY', 'NC', 'ND', 'OH', 'OK', 'OR', 'PA', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT',
-      'VA', 'WA', 'WV', 'WI', 'WY'
-    ];
-    
-    const stateNames = {
-      'AL': 'Alabama', 'AK': 'Alaska', 'AZ': 'Arizona', 'AR': 'Arkansas', 'CA': 'California',
-      'CO': 'Colorado', 'CT': 'Connecticut', 'DE': 'Delaware', 'FL': 'Florida', 'GA': 'Georgia',
-      'HI': 'Hawaii', 'ID': 'Idaho', 'IL': 'Illinois', 'IN': 'Indiana', 'IA': 'Iowa',
-      'KS': 'Kansas', 'KY': 'Kentucky', 'LA': 'Louisiana', 'ME': 'Maine', 'MD': 'Maryland',
-      'MA': 'Massachusetts', 'MI': 'Michigan', 'MN': 'Minnesota', 'MS': 'Mississippi', 'MO': 'Missouri',
-      'MT': 'Montana', 'NE': 'Nebraska', 'NV': 'Nevada', 'NH': 'New Hampshire', 'NJ': 'New Jersey',
-      'NM': 'New Mexico', 'NY': 'New York', 'NC': 'North Carolina', 'ND': 'North Dakota', 'OH': 'Ohio',
-      'OK': 'Oklahoma', 'OR': 'Oregon', 'PA': 'Pennsylvania', 'RI': 'Rhode Island', 'SC': 'South Carolina',
-      'SD': 'South Dakota', 'TN': 'Tennessee', 'TX': 'Texas', 'UT': 'Utah', 'VT': 'Vermont',
-      'VA': 'Virginia', 'WA': 'Washington', 'WV': 'West Virginia', 'WI': 'Wisconsin', 'WY': 'Wyoming'
-    };
+    const states = listStates().map(d => d.usps);
     
     stateSelect.selectAll('option')
       .data(states)
@@ -713,7 +1436,7 @@ export async function renderScoreComparison({
       .append('option')
       .attr('value', d => d)
       .property('selected', d => d === currentState)
-      .text(d => `${d} - ${stateNames[d]}`);
+      .text(d => `${d} - ${toName(d)}`);
     
     // Grade selector
     const gradeGroup = controlsRow.append('div')
@@ -745,16 +1468,131 @@ export async function renderScoreComparison({
       .property('selected', d => d === currentGrade)
       .text(d => `Grade ${d}`);
     
+    // Subject selector, hidden while reading is the only subject with data
+    const naepData = await loadNAEPData();
+    const subjectGroup = controlsRow.append('div')
+      .style('display', (naepData.metadata?.subjects || []).length > 1 ? 'flex' : 'none')
+      .style('align-items', 'center')
+      .style('gap', '8px');
+    
+    subjectGroup.append('span')
+      .style('font-family', fontMono)
+      .style('font-size', '10px')
+      .style('color', muted)
+      .text('Subject:');
+    
+    const subjectSelect = subjectGroup.append('select')
+      .style('padding', '4px 8px')
+      .style('font-family', fontMono)
+      .style('font-size', '11px')
+      .style('border', `1.5px solid ${muted}`)
+      .style('border-radius', '3px')
+      .style('background', paper)
+      .style('color', ink)
+      .style('cursor', 'pointer');
+    
+    subjectSelect.selectAll('option')
+      .data([
+        { value: 'reading', label: 'Reading' },
+        { value: 'math', label: 'Math' }
+      ])
+      .enter()
+      .append('option')
+      .attr('value', d => d.value)
+      .property('selected', d => d.value === currentSubject)
+      .property('disabled', d => !hasSubjectData(naepData, d.value))
+      .text(d => hasSubjectData(naepData, d.value) ? d.label : `${d.label} (no data)`);
+    
+    // Comparison states, stacked under the gauge with currentState on top
+    let compareStates = [];
+    const compareGroup = controlsRow.append('div')
+      .style('display', 'flex')
+      .style('align-items', 'center')
+      .style('gap', '8px')
+      .style('flex-wrap', 'wrap');
+    
+    compareGroup.append('span')
+      .style('font-family', fontMono)
+      .style('font-size', '10px')
+      .style('color', muted)
+      .text('Compare:');
+    
+    const compareSelect = compareGroup.append('select')
+      .attr('aria-label', `Add a state to compare (up to ${MAX_COMPARE_STATES} states)`)
+      .style('padding', '4px 8px')
+      .style('font-family', fontMono)
+      .style('font-size', '11px')
+      .style('border', `1.5px solid ${muted}`)
+      .style('border-radius', '3px')
+      .style('background', paper)
+      .style('color', ink)
+      .style('cursor', 'pointer');
+    
+    const compareChips = compareGroup.append('div')
+      .attr('class', 'compare-chips')
+      .style('display', 'flex')
+      .style('gap', '6px')
+      .style('flex-wrap', 'wrap');
+    
+    function updateComparison() {
+      compareStates = compareStates.filter(s => s !== currentState);
+      const shown = [currentState, ...compareStates];
+      const full = shown.length >= MAX_COMPARE_STATES;
+      
+      compareSelect.selectAll('option')
+        .data(['', ...states.filter(s => !shown.includes(s))], d => d)
+        .join('option')
+        .attr('value', d => d)
+        .text(d => (d ? `${d} - ${toName(d)}` : (full ? `Up to ${MAX_COMPARE_STATES} states` : '+ Add a state')));
+      compareSelect
+        .property('value', '')
+        .property('disabled', full);
+      
+      compareChips.selectAll('button')
+        .data(compareStates, d => d)
+        .join('button')
+        .attr('type', 'button')
+        .attr('aria-label', d => `Remove ${toName(d)} from the comparison`)
+        .style('padding', '2px 8px')
+        .style('font-family', fontMono)
+        .style('font-size', '11px')
+        .style('font-weight', '600')
+        .style('color', '#fff')
+        .style('background', ink)
+        .style('border', `1.5px solid ${ink}`)
+        .style('border-radius', '12px')
+        .style('cursor', 'pointer')
+        .text(d => `${d} ×`)
+        .on('click', (event, d) => {
+          compareStates = compareStates.filter(s => s !== d);
+          updateComparison();
+          compareSelect.node().focus();
+        });
+      
+      drawComparison(shown, { grade: currentGrade, ses: currentSes, subject: currentSubject });
+    }
+    
+    compareSelect.on('change', function() {
+      if (!this.value) return;
+      compareStates = [...compareStates, this.value].slice(0, MAX_COMPARE_STATES - 1);
+      updateComparison();
+    });
+    updateComparison();
+    
     // Update function
     async function updateVisualization() {
       try {
         infoDisplay.html('Loading...');
         
-        const newActualScore = await getStateScore(currentState, currentGrade, currentSes);
-        const newNationalAvg = await getNationalAverage(currentGrade);
+        await updateScoreGuide(currentState, currentGrade, currentSubject);
+        drawLevelStrip(currentGrade, currentSubject);
+        
+        const loaded = await getStateScore(currentState, currentGrade, currentSes, currentSubject);
+        const newActualScore = loaded?.score ?? null;
+        const newNationalAvg = await getNationalAverage(currentGrade, currentSubject);
         
         if (newActualScore == null) {
-          infoDisplay.html(`<span style="color: #e74c3c;">No data available for ${currentState}, Grade ${currentGrade}</span>`);
+          infoDisplay.html(`<span style="color: #e74c3c;">No ${currentSubject} data available for ${currentState}, Grade ${currentGrade}</span>`);
           return;
         }
         
@@ -774,6 +1612,8 @@ export async function renderScoreComparison({
           .duration(500)
           .attr('width', x(newActualScore));
         
+        drawSwarm(currentState, currentGrade, currentSubject).catch(error => console.warn('⚠️ State distribution unavailable:', error));
+        
         const nationalAvgLine = g.select('line[stroke-dasharray]');
         if (nationalAvgLine.size() > 0 && newNationalAvg != null) {
           const nx = x(newNationalAvg);
@@ -803,8 +1643,9 @@ export async function renderScoreComparison({
             </div>
             <div style="font-size: 20px; color: ${muted};">|</div>
             <div>
-              <span style="color: ${muted}; font-size: 12px; text-transform: uppercase; letter-spacing: 0.08em;">Actual score:</span><br>
+              <span style="color: ${muted}; font-size: 12px; text-transform: uppercase; letter-spacing: 0.08em;">${loaded.estimated ? 'Actual score (estimated):' : 'Actual score:'}</span><br>
               <strong style="color: #3498db; font-size: 20px;">${d3.format('.0f')(newActualScore)}</strong>
+              <span style="color: ${colorForLevel(levelForScore(newActualScore, currentGrade, currentSubject))}; font-size: 12px;">${levelForScore(newActualScore, currentGrade, currentSubject)}</span>
             </div>
             <div style="font-size: 20px; color: ${muted};">|</div>
             <div>
@@ -814,20 +1655,20 @@ export async function renderScoreComparison({
           </div>
         `);
         
-        if (window.viz1ContextWrap) {
-          window.viz1ContextWrap
-            .style('border-top', 'none')
-            .style('padding-top', '0')
-            .text(`${currentState} · Grade ${currentGrade} · ${currentSes} SES`);
-        }
+        announce(`${toName(currentState)}, grade ${currentGrade} ${currentSubject}: actual score ${d3.format('.0f')(newActualScore)}${loaded.estimated ? ' (estimated)' : ''}, ${levelForScore(newActualScore, currentGrade, currentSubject)}. You predicted ${userPrediction}. ${describeDifference(newActualScore, userPrediction)}`);
+        
+        contextWrap
+          .style('border-top', 'none')
+          .style('padding-top', '0')
+          .text(`${currentState} · Grade ${currentGrade} · ${currentSubject === 'math' ? 'Math' : 'Reading'} · ${currentSes} SES`);
         
-        if (window.viz1ResultText) {
+        if (resultText) {
           if (Math.abs(diff) <= 5) {
-            window.viz1ResultText.text('Great prediction! Very close to the actual score.');
+            resultText.text('Great prediction! Very close to the actual score.');
           } else if (diff > 0) {
-            window.viz1ResultText.text(`The actual score is ${d3.format('.0f')(diff)} points higher than your prediction.`);
+            resultText.text(`The actual score is ${d3.format('.0f')(diff)} points higher than your prediction.`);
           } else {
-            window.viz1ResultText.text(`The actual score is ${d3.format('.0f')(Math.abs(diff))} points lower than your prediction.`);
+            resultText.text(`The actual score is ${d3.format('.0f')(Math.abs(diff))} points lower than your prediction.`);
           }
         }
         
@@ -840,11 +1681,22 @@ export async function renderScoreComparison({
     stateSelect.on('change', async function() {
       currentState = this.value;
       await updateVisualization();
+      updateComparison();
+      if (trend) drawTrend(currentState, currentGrade, currentSubject).catch(error => console.warn('⚠️ Trend unavailable:', error));
     });
     
     gradeSelect.on('change', async function() {
       currentGrade = parseInt(this.value);
       await updateVisualization();
+      updateComparison();
+      if (trend) drawTrend(currentState, currentGrade, currentSubject).catch(error => console.warn('⚠️ Trend unavailable:', error));
+    });
+    
+    subjectSelect.on('change', async function() {
+      currentSubject = this.value;
+      await updateVisualization();
+      updateComparison();
+      if (trend) drawTrend(currentState, currentGrade, currentSubject).catch(error => console.warn('⚠️ Trend unavailable:', error));
     });
     
     controlsWrap
@@ -853,8 +1705,8 @@ export async function renderScoreComparison({
       .style('opacity', 1);
   }
 
-  // Context information
-  let contextWrap = wrap.append('div')
+  // Context information (also updated by the explore controls)
+  const contextWrap = wrap.append('div')
     .style('margin-top', '6px')
     .style('font-family', fontMono)
     .style('font-size', '10px')
@@ -870,8 +1722,6 @@ export async function renderScoreComparison({
   }
 
   contextWrap.text(contextLines.join('  •  '));
-  
-  window.viz1ContextWrap = contextWrap;
 
   // Legend
   const legend = wrap.append('div')
@@ -924,5 +1774,438 @@ export async function renderScoreComparison({
     addLegendItem('National avg', muted, 'diamond', true);
   }
 
+  // Entry point for the classroom game (not shown inside a game round)
+  if (explore) {
+    wrap.append('div')
+      .style('margin-top', '12px')
+      .style('text-align', 'center')
+      .append('button')
+      .attr('class', 'start-game-button')
+      .style('padding', '8px 16px')
+      .style('font-family', fontMono)
+      .style('font-size', '11px')
+      .style('font-weight', '600')
+      .style('color', ink)
+      .style('background', paper)
+      .style('border', `2px solid ${ink}`)
+      .style('border-radius', '4px')
+      .style('cursor', 'pointer')
+      .style('letter-spacing', '0.06em')
+      .text('Play guess-the-score: 10 random states and grades')
+      .on('click', () => renderScoreComparison({ container, state, grade, ses, subject, width, height, margin, domain, mode: 'game' })
+        .catch(error => renderLoadError(container, error)));
+  }
+
+  // Sources and derivations behind the revealed score (NAEP year = latest assessed)
+  const latestYear = Math.max(...(getGradeData(await loadNAEPData(), grade, subject)?.years || []));
+  const sesMethods = (await getAllStateScores(grade, ses, subject)).map(d => d.method);
+  attachProvenance(wrap, {
+    sources: [
+      { key: 'naep', vintage: Number.isFinite(latestYear) ? `${latestYear} (latest assessment)` : null },
+      ...(literacy != null ? ['piaac'] : []),
+      ...(povertyRate != null ? ['districtPoverty'] : [])
+    ],
+    transformations: [...sesTransformations(sesMethods), 'achievementLevels']
+  });
+
   console.log('✅ Viz1 rendered successfully with slider interface');
 }
+
+// ========================================
+// GUESS-THE-SCORE GAME MODE
+// ========================================
+
+// A guess within this many points is a hit and extends the streak (same bar as "Great prediction!")
+const GAME_HIT_RANGE = 5;
+// Mean signed error within this many points reads as well calibrated
+const GAME_BIAS_RANGE = 2;
+// Finished sessions kept in localStorage, oldest dropped first
+const GAME_HISTORY_KEY = 'viz1GuessHistory';
+const GAME_HISTORY_LIMIT = 20;
+
+/**
+ * Pick up to `count` distinct state/grade rounds that have a score for the SES group in the latest year
+ */
+function drawGameRounds(data, { count, ses, subject, random = Math.random }) {
+  const pool = [];
+  [4, 8].forEach(grade => {
+    const gradeData = getGradeData(data, grade, subject);
+    if (!gradeData?.years?.length) return;
+    const latestYear = String(Math.max(...gradeData.years));
+    Object.keys(gradeData.states || {}).forEach(state => {
+      if (getSESScore(gradeData, state, latestYear, ses).score != null) pool.push({ state, grade });
+    });
+  });
+
+  // Fisher-Yates shuffle, then take the first `count`
+  for (let i = pool.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  return pool.slice(0, count);
+}
+
+/**
+ * Score one guess. error = guess - actual (positive = overestimate); 100 points for an exact guess, 5 fewer per point off
+ */
+function scoreGuess(guess, actual) {
+  const error = Math.round(guess - actual);
+  return {
+    error,
+    points: Math.max(0, 100 - 5 * Math.abs(error)),
+    hit: Math.abs(error) <= GAME_HIT_RANGE
+  };
+}
+
+/**
+ * Calibration over the played rounds
+ * Output: { played, mae, bias, tendency: 'over' | 'under' | 'calibrated', hits, bestStreak, points }
+ */
+function calibrationSummary(results) {
+  const bias = d3.mean(results, r => r.error);
+  let streak = 0;
+  let bestStreak = 0;
+  results.forEach(r => {
+    streak = r.hit ? streak + 1 : 0;
+    bestStreak = Math.max(bestStreak, streak);
+  });
+  return {
+    played: results.length,
+    mae: d3.mean(results, r => Math.abs(r.error)),
+    bias,
+    tendency: bias > GAME_BIAS_RANGE ? 'over' : (bias < -GAME_BIAS_RANGE ? 'under' : 'calibrated'),
+    hits: results.filter(r => r.hit).length,
+    bestStreak,
+    points: d3.sum(results, r => r.points)
+  };
+}
+
+// Append a finished session and return the stored history (oldest first)
+function saveGameSession(session) {
+  return appendStoredList(GAME_HISTORY_KEY, session, GAME_HISTORY_LIMIT);
+}
+
+function describeTendency({ tendency, bias }) {
+  if (tendency === 'over') return `You tend to overestimate, by ${d3.format('.1f')(bias)} points on average.`;
+  if (tendency === 'under') return `You tend to underestimate, by ${d3.format('.1f')(-bias)} points on average.`;
+  return `No consistent lean: your misses average out to ${d3.format('+.1f')(bias)} points.`;
+}
+
+/**
+ * Game mode of renderScoreComparison: `rounds` random state/grade rounds on the same gauge, each guess scored,
+ * hits (within ±GAME_HIT_RANGE) build a streak, and the session ends with a calibration summary saved to localStorage.
+ * state/grade, when given, are where "Back to the gauge" returns to.
+ */
+async function renderScoreGame({ container, state, grade, ses, subject, rounds, width, height, margin, domain }) {
+  const data = await loadNAEPData();
+  subject = hasSubjectData(data, subject) ? normalizeSubject(subject) : 'reading';
+  const subjectLabel = subject === 'math' ? 'math' : 'reading';
+
+  const styles = getComputedStyle(document.documentElement);
+  const paper = styles.getPropertyValue('--paper')?.trim() || '#efe6da';
+  const ink = styles.getPropertyValue('--ink')?.trim() || '#111';
+  const muted = styles.getPropertyValue('--muted')?.trim() || '#232323';
+  const fontMono = '"IBM Plex Mono", ui-monospace, monospace';
+  const fontTitle = 'Anton, sans-serif';
+
+  const root = d3.select(container);
+  root.selectAll('*').remove();
+
+  const wrap = root.append('div')
+    .attr('class', 'score-game-wrap')
+    .style('position', 'relative')
+    .style('width', '100%');
+
+  // Round / streak / points bar
+  const statusBar = wrap.append('div')
+    .attr('class', 'score-game-status')
+    .attr('aria-live', 'polite')
+    .style('display', 'flex')
+    .style('justify-content', 'space-between')
+    .style('flex-wrap', 'wrap')
+    .style('gap', '12px')
+    .style('margin-bottom', '12px')
+    .style('padding', '10px 14px')
+    .style('background', ink)
+    .style('color', paper)
+    .style('border-radius', '4px')
+    .style('font-family', fontMono)
+    .style('font-size', '12px')
+    .style('font-weight', '600')
+    .style('letter-spacing', '0.08em')
+    .style('text-transform', 'uppercase');
+
+  const gaugeDiv = wrap.append('div').attr('class', 'score-game-gauge');
+
+  const feedback = wrap.append('div')
+    .attr('class', 'score-game-feedback')
+    .attr('aria-live', 'polite')
+    .style('display', 'none')
+    .style('margin', '12px 0')
+    .style('padding', '12px 16px')
+    .style('background', '#f7efe6')
+    .style('border', `2px solid ${ink}`)
+    .style('border-radius', '4px')
+    .style('font-family', fontMono)
+    .style('font-size', '13px')
+    .style('color', ink)
+    .style('text-align', 'center')
+    .style('box-shadow', '3px 3px 0 rgba(0,0,0,0.1)');
+
+  const summaryDiv = wrap.append('div').attr('class', 'score-game-summary');
+
+  const addButton = (parent, label, onClick, primary = true) => parent.append('button')
+    .style('margin', '10px 6px 0')
+    .style('padding', '10px 20px')
+    .style('font-family', fontMono)
+    .style('font-size', '12px')
+    .style('font-weight', '600')
+    .style('color', primary ? '#fff' : ink)
+    .style('background', primary ? ink : paper)
+    .style('border', `2px solid ${ink}`)
+    .style('border-radius', '4px')
+    .style('cursor', 'pointer')
+    .style('letter-spacing', '0.06em')
+    .text(label)
+    .on('click', onClick);
+
+  let plan = [];
+  let results = [];
+  let streak = 0;
+
+  function updateStatus(roundIndex) {
+    const points = d3.sum(results, r => r.points);
+    statusBar.html(`
+      <span>Round ${Math.min(roundIndex + 1, plan.length)} / ${plan.length}</span>
+      <span>Streak ${streak}${streak >= 3 ? ' 🔥' : ''}</span>
+      <span>${ses} SES · ${subjectLabel}</span>
+      <span>${points} pts</span>
+    `);
+  }
+
+  async function playRound(roundIndex) {
+    feedback.style('display', 'none').html('');
+    updateStatus(roundIndex);
+    const round = plan[roundIndex];
+    await renderScoreComparison({
+      container: gaugeDiv.node(),
+      state: round.state,
+      grade: round.grade,
+      ses,
+      subject,
+      width,
+      height,
+      margin,
+      domain,
+      explore: false,
+      trend: false,
+      onReveal: ({ prediction, actual, estimated }) => finishRound(roundIndex, { ...round, guess: prediction, actual, estimated })
+    }).catch(error => renderLoadError(gaugeDiv.node(), error));
+  }
+
+  function finishRound(roundIndex, round) {
+    const result = { ...round, ...scoreGuess(round.guess, round.actual) };
+    results.push(result);
+    streak = result.hit ? streak + 1 : 0;
+    updateStatus(roundIndex);
+
+    const verdict = result.hit
+      ? `Hit! ${streak > 1 ? `${streak} in a row.` : 'Streak started.'}`
+      : `Off by more than ${GAME_HIT_RANGE} points${results.length > 1 && results.at(-2).hit ? ' - streak reset.' : '.'}`;
+    feedback
+      .style('display', 'block')
+      .html(`
+        <strong>${toName(result.state)}, grade ${result.grade}:</strong>
+        you guessed ${result.guess}, the ${result.estimated ? 'estimated ' : ''}score is ${Math.round(result.actual)}
+        (${d3.format('+d')(result.error)}) → <strong>+${result.points} pts</strong><br>
+        <span style="color: ${result.hit ? '#27ae60' : '#e74c3c'}; font-weight: 600;">${verdict}</span>
+      `);
+
+    const last = roundIndex === plan.length - 1;
+    addButton(feedback.append('div'), last ? 'See your calibration' : 'Next round →', () => {
+      if (last) showSummary();
+      else playRound(roundIndex + 1);
+    })
+      .node().focus();
+  }
+
+  function showSummary() {
+    gaugeDiv.selectAll('*').remove();
+    feedback.style('display', 'none').html('');
+
+    const summary = calibrationSummary(results);
+    const history = saveGameSession({
+      finished: new Date().toISOString(),
+      ses,
+      subject,
+      ...summary,
+      rounds: results.map(({ state: s, grade: g, guess, actual, error }) => ({ state: s, grade: g, guess, actual: Math.round(actual), error }))
+    });
+    console.log('🎯 Guess game finished:', summary);
+
+    statusBar.html(`
+      <span>Game over</span>
+      <span>Best streak ${summary.bestStreak}</span>
+      <span>${summary.points} / ${summary.played * 100} pts</span>
+    `);
+
+    const panel = summaryDiv.append('div')
+      .style('padding', '16px 20px')
+      .style('background', '#f7efe6')
+      .style('border', `2px solid ${ink}`)
+      .style('border-radius', '4px')
+      .style('font-family', fontMono)
+      .style('font-size', '12px')
+      .style('color', ink)
+      .style('line-height', '1.6')
+      .style('box-shadow', '3px 3px 0 rgba(0,0,0,0.1)');
+
+    panel.append('div')
+      .style('font-family', fontTitle)
+      .style('font-size', '20px')
+      .style('letter-spacing', '0.04em')
+      .style('margin-bottom', '8px')
+      .text('YOUR CALIBRATION');
+
+    panel.append('div')
+      .html(`
+        Mean absolute error: <strong>${d3.format('.1f')(summary.mae)} points</strong><br>
+        Bias (guess − actual): <strong>${d3.format('+.1f')(summary.bias)} points</strong> - ${describeTendency(summary)}<br>
+        Hits within ±${GAME_HIT_RANGE}: <strong>${summary.hits} / ${summary.played}</strong> · Best streak: <strong>${summary.bestStreak}</strong>
+      `);
+
+    // Signed error per round: left of the centre line = underestimate, right = overestimate
+    const chartW = 520;
+    const rowH = 18;
+    const chartH = results.length * rowH + 30;
+    const maxError = Math.max(10, d3.max(results, r => Math.abs(r.error)));
+    const ex = d3.scaleLinear().domain([-maxError, maxError]).range([150, chartW - 20]);
+    const chart = panel.append('svg')
+      .attr('viewBox', `0 0 ${chartW} ${chartH}`)
+      .attr('width', '100%')
+      .attr('role', 'img')
+      .attr('aria-label', `Guess minus actual score for each of the ${results.length} rounds`)
+      .style('margin-top', '10px');
+
+    chart.append('rect')
+      .attr('x', ex(-GAME_HIT_RANGE))
+      .attr('y', 0)
+      .attr('width', ex(GAME_HIT_RANGE) - ex(-GAME_HIT_RANGE))
+      .attr('height', results.length * rowH)
+      .attr('fill', '#27ae60')
+      .attr('opacity', 0.12);
+
+    const rows = chart.selectAll('g.round')
+      .data(results)
+      .enter()
+      .append('g')
+      .attr('class', 'round')
+      .attr('transform', (d, i) => `translate(0, ${i * rowH})`);
+
+    rows.append('text')
+      .attr('x', 0)
+      .attr('y', rowH / 2 + 4)
+      .attr('font-family', fontMono)
+      .attr('font-size', '10px')
+      .attr('fill', ink)
+      .text((d, i) => `${i + 1}. ${d.state} gr ${d.grade} · ${d.guess}/${Math.round(d.actual)}`);
+
+    rows.append('rect')
+      .attr('x', d => Math.min(ex(0), ex(d.error)))
+      .attr('y', 3)
+      .attr('width', d => Math.max(1, Math.abs(ex(d.error) - ex(0))))
+      .attr('height', rowH - 6)
+      .attr('fill', d => (d.hit ? '#27ae60' : (d.error > 0 ? '#e74c3c' : '#3498db')));
+
+    chart.append('line')
+      .attr('x1', ex(0))
+      .attr('x2', ex(0))
+      .attr('y1', 0)
+      .attr('y2', results.length * rowH)
+      .attr('stroke', ink)
+      .attr('stroke-width', 1.5);
+
+    chart.append('g')
+      .attr('transform', `translate(0, ${results.length * rowH + 2})`)
+      .call(d3.axisBottom(ex).ticks(5).tickFormat(d3.format('+d')).tickSizeOuter(0))
+      .call(axis => axis.selectAll('text').attr('font-family', fontMono).attr('fill', muted));
+
+    panel.append('div')
+      .style('font-size', '10px')
+      .style('color', muted)
+      .text(`Red = overestimate, blue = underestimate, green = within ±${GAME_HIT_RANGE} (shaded band).`);
+
+    // Earlier sessions on this device, most recent first
+    const previous = history.slice(0, -1).reverse().slice(0, 5);
+    if (previous.length) {
+      const last = previous[0];
+      const change = summary.mae - last.mae;
+      panel.append('div')
+        .style('margin-top', '14px')
+        .style('font-weight', '600')
+        .text(`Session history (${history.length} on this device)${Math.abs(change) >= 0.1 ? ` - error ${change < 0 ? 'down' : 'up'} ${d3.format('.1f')(Math.abs(change))} points since last time` : ''}`);
+
+      const table = panel.append('table')
+        .style('width', '100%')
+        .style('border-collapse', 'collapse')
+        .style('font-size', '11px')
+        .style('margin-top', '4px');
+      table.append('tr')
+        .selectAll('th')
+        .data(['Date', 'Rounds', 'SES · subject', 'Mean abs. error', 'Bias', 'Best streak'])
+        .enter()
+        .append('th')
+        .style('text-align', 'left')
+        .style('border-bottom', `1.5px solid ${ink}`)
+        .text(d => d);
+      table.selectAll('tr.session')
+        .data([{ ...summary, ses, subject, finished: history.at(-1).finished, current: true }, ...previous])
+        .enter()
+        .append('tr')
+        .attr('class', 'session')
+        .style('font-weight', d => (d.current ? '700' : '400'))
+        .selectAll('td')
+        .data(d => [
+          d.current ? 'This game' : new Date(d.finished).toLocaleDateString(),
+          d.played,
+          `${d.ses} · ${d.subject}`,
+          d3.format('.1f')(d.mae),
+          d3.format('+.1f')(d.bias),
+          d.bestStreak
+        ])
+        .enter()
+        .append('td')
+        .style('padding', '2px 4px')
+        .text(d => d);
+    }
+
+    const buttons = panel.append('div').style('text-align', 'center');
+    addButton(buttons, 'Play again', () => start().catch(error => renderLoadError(container, error))).node().focus();
+    if (state && grade) {
+      addButton(buttons, 'Back to the gauge', () =>
+        renderScoreComparison({ container, state, grade, ses, subject, width, height, margin, domain })
+          .catch(error => renderLoadError(container, error)), false);
+    }
+    addButton(buttons, 'Clear history', function() {
+      try {
+        localStorage.removeItem(GAME_HISTORY_KEY);
+      } catch (e) {
+        console.warn(`⚠️ Could not clear ${GAME_HISTORY_KEY} from localStorage:`, e);
+        d3.select(this).text('Could not clear history');
+        return;
+      }
+      d3.select(this).property('disabled', true).text('History cleared');
+    }, false);
+  }
+
+  async function start() {
+    plan = drawGameRounds(data, { count: rounds, ses, subject });
+    if (!plan.length) throw new Error(`No NAEP ${subjectLabel} scores to play with`);
+    results = [];
+    streak = 0;
+    summaryDiv.selectAll('*').remove();
+    return playRound(0);
+  }
+
+  await start();
+}
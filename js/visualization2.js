@@ -3,25 +3,68 @@
 // Optimized version with avatar integration and local data caching
 // Requires: D3 v7+, topojson (topojson-client)
 
+import './stateRegistry.js';
+import { compareToNational, getGradeData, hasSubjectData, normalizeSubject, loadStateIndicators, indicatorsForYear } from './dataHelpers.js';
+import { getCutScores, levelForScore, colorForLevel, percentAtOrAbove } from './achievementLevels.js';
+import { loadJSONDataset } from './datasetCache.js';
+import { attachProvenance, yearSpan } from './provenance.js';
+
+const { fromFips } = window.StateRegistry;
+
 // Cache for loaded data to prevent multiple fetches
 const dataCache = {
   naep: null,
   topojson: null
 };
 
+// How years without an assessment are shown on the timeline
+const GAP_MODES = [
+  { value: 'assessed', label: 'Assessed years only' },
+  { value: 'carry', label: 'Carry forward' },
+  { value: 'interpolate', label: 'Interpolate' }
+];
+
+function isScore(value) {
+  return value != null && !isNaN(value) && value > 0;
+}
+
+// Value for one year of a { "2019": 219.1, ... } series under a gap mode
+// Output: { value, kind: 'assessed' | 'carried' | 'interpolated', from: [source years] } or null.
+// Carry uses the last assessment before the year; interpolate needs one on each side (no extrapolation).
+function resolveGapValue(series, year, gapMode) {
+  if (isScore(series?.[year])) return { value: series[year], kind: 'assessed', from: [year] };
+  if (gapMode === 'assessed' || !series) return null;
+  const assessed = Object.keys(series).map(Number).filter(y => isScore(series[y])).sort((a, b) => a - b);
+  const before = assessed.filter(y => y < year).at(-1);
+  const after = assessed.find(y => y > year);
+  if (gapMode === 'carry') {
+    return before != null ? { value: series[before], kind: 'carried', from: [before] } : null;
+  }
+  if (before == null || after == null) return null;
+  const t = (year - before) / (after - before);
+  return { value: series[before] + t * (series[after] - series[before]), kind: 'interpolated', from: [before, after] };
+}
+
 export async function renderReadingMap({
     container,
     grade = 4,
     ses = 'Middle',
+    subject = 'reading',   // 'reading' | 'math'
     selectedState = null,
     compareState = null,
-    topojsonUrl = 'https://cdn.jsdelivr.net/npm/us-atlas@3/states-10m.json',
+    gapMode = 'assessed',  // 'assessed' | 'carry' | 'interpolate' (see GAP_MODES)
+    topojsonUrl = 'data/us-states-10m.json',   // us-atlas@3 states-10m, served locally
     width = 900,
     height = 560
   } = {}) {
     if (!container) throw new Error('renderReadingMap: container is required');
   
-    console.log('🗺️ renderReadingMap called with:', { grade, ses, selectedState, compareState });
+    subject = normalizeSubject(subject);
+    if (!GAP_MODES.some(m => m.value === gapMode)) {
+      console.warn(`⚠️ Unknown gapMode "${gapMode}", showing assessed years only`);
+      gapMode = 'assessed';
+    }
+    console.log('🗺️ renderReadingMap called with:', { grade, ses, subject, selectedState, compareState, gapMode });
   
     const css = getComputedStyle(document.documentElement);
     const paper = css.getPropertyValue('--paper')?.trim() || '#efe6da';
@@ -47,21 +90,6 @@ export async function renderReadingMap({
       .style('color', ink)
       .html('Loading map data...');
   
-    // State name to USPS code mapping
-    const stateNameToCode = {
-      'Alabama': 'AL', 'Alaska': 'AK', 'Arizona': 'AZ', 'Arkansas': 'AR', 'California': 'CA',
-      'Colorado': 'CO', 'Connecticut': 'CT', 'Delaware': 'DE', 'District of Columbia': 'DC',
-      'Florida': 'FL', 'Georgia': 'GA', 'Hawaii': 'HI', 'Idaho': 'ID', 'Illinois': 'IL',
-      'Indiana': 'IN', 'Iowa': 'IA', 'Kansas': 'KS', 'Kentucky': 'KY', 'Louisiana': 'LA',
-      'Maine': 'ME', 'Maryland': 'MD', 'Massachusetts': 'MA', 'Michigan': 'MI', 'Minnesota': 'MN',
-      'Mississippi': 'MS', 'Missouri': 'MO', 'Montana': 'MT', 'Nebraska': 'NE', 'Nevada': 'NV',
-      'New Hampshire': 'NH', 'New Jersey': 'NJ', 'New Mexico': 'NM', 'New York': 'NY',
-      'North Carolina': 'NC', 'North Dakota': 'ND', 'Ohio': 'OH', 'Oklahoma': 'OK', 'Oregon': 'OR',
-      'Pennsylvania': 'PA', 'Rhode Island': 'RI', 'South Carolina': 'SC', 'South Dakota': 'SD',
-      'Tennessee': 'TN', 'Texas': 'TX', 'Utah': 'UT', 'Vermont': 'VT', 'Virginia': 'VA',
-      'Washington': 'WA', 'West Virginia': 'WV', 'Wisconsin': 'WI', 'Wyoming': 'WY'
-    };
-  
     // Load NAEP data from cleaned JSON file (with caching)
     async function loadNAEPData() {
       // Check cache first
@@ -72,12 +100,7 @@ export async function renderReadingMap({
       
       console.log('📊 Loading NAEP data from cleaned JSON...');
       
-      const res = await fetch('data/naep_cleaned.json');
-      if (!res.ok) {
-        throw new Error(`Failed to fetch naep_cleaned.json: ${res.status} ${res.statusText}`);
-      }
-      
-      const allData = await res.json();
+      const allData = await loadJSONDataset('data/naep_cleaned.json', { name: 'naep_cleaned' });
       
       // Cache the data
       dataCache.naep = allData;
@@ -94,16 +117,26 @@ export async function renderReadingMap({
       }
       
       console.log('🗺️ Loading TopoJSON...');
-      const us = await d3.json(topojsonUrl);
+      const us = await loadJSONDataset(topojsonUrl);
       dataCache.topojson = us;
       console.log('✅ TopoJSON loaded and cached');
       return us;
     }
     
+    // Gini / income / child poverty for the tooltip; optional, the map works without it
+    async function loadIndicators() {
+      if (dataCache.indicators !== undefined) return dataCache.indicators;
+      dataCache.indicators = await loadStateIndicators().catch(err => {
+        console.warn('⚠️ State indicators unavailable:', err.message);
+        return null;
+      });
+      return dataCache.indicators;
+    }
+    
     // Load data in parallel for better performance
-    let naepAllData, us;
+    let naepAllData, us, stateIndicators;
     try {
-      [naepAllData, us] = await Promise.all([loadNAEPData(), loadTopojson()]);
+      [naepAllData, us, stateIndicators] = await Promise.all([loadNAEPData(), loadTopojson(), loadIndicators()]);
       loading.style('display', 'none');
     } catch (error) {
       console.error('❌ Error loading data:', error);
@@ -111,9 +144,14 @@ export async function renderReadingMap({
       return;
     }
     
+    // Fall back to reading if the requested subject has not been ingested
+    if (!hasSubjectData(naepAllData, subject)) {
+      console.warn(`⚠️ No ${subject} data in naep_cleaned.json, showing reading`);
+      subject = 'reading';
+    }
+    
     // Extract grade data
-    const gradeKey = `grade${grade}`;
-    const gradeData = naepAllData[gradeKey];
+    const gradeData = getGradeData(naepAllData, grade, subject);
     
     if (!gradeData) {
       loading.html(`Error: No data found for grade ${grade}`).style('color', '#c0392b');
@@ -166,8 +204,35 @@ export async function renderReadingMap({
     
     let currentYear = yearsWithData[yearsWithData.length - 1]; // Start with latest year with data
     let currentGrade = grade;
+    let currentSubject = subject;
+    let currentGapMode = gapMode;
+    const subjectTitle = s => s === 'math' ? 'NAEP Math Scores' : 'NAEP Reading Scores';
+    
+    // Slider stops: assessed years only, or every calendar year between the first and last assessment
+    function timelineYears() {
+      if (currentGapMode === 'assessed') return yearsWithData;
+      return d3.range(yearsWithData[0], yearsWithData[yearsWithData.length - 1] + 1);
+    }
     
-    console.log(`✅ Loaded data for Grade ${grade}:`);
+    // Output: Map USPS -> { value, kind, from } for the current year and gap mode
+    function valuesForYear(year) {
+      const values = new Map();
+      stateData.forEach((scores, stateCode) => {
+        const resolved = resolveGapValue(scores, year, currentGapMode);
+        if (resolved) values.set(stateCode, resolved);
+      });
+      return values;
+    }
+    
+    // National average under the same gap mode; falls back to the mean of the states shown
+    function nationalForYear(year, values) {
+      const resolved = resolveGapValue(Object.fromEntries(nationalAvgByYear), year, currentGapMode);
+      if (resolved) return resolved;
+      const stateScores = Array.from(values.values()).map(v => v.value);
+      return stateScores.length > 0 ? { value: d3.mean(stateScores), kind: 'states', from: [year] } : null;
+    }
+    
+    console.log(`✅ Loaded ${subject} data for Grade ${grade}:`);
     console.log(`   - ${stateData.size} states`);
     console.log(`   - ${yearsWithData.length} years with data: ${yearsWithData.join(', ')}`);
     console.log(`   - Global score range: ${globalMin.toFixed(1)} - ${globalMax.toFixed(1)}`);
@@ -186,12 +251,12 @@ export async function renderReadingMap({
       .style('border', `2px solid ${ink}`)
       .style('border-radius', '8px');
   
-    controls.append('span')
+    const titleLabel = controls.append('span')
       .style('font-family', 'Inter, system-ui')
       .style('font-weight', '800')
       .style('font-size', '18px')
       .style('color', ink)
-      .text('NAEP Reading Scores');
+      .text(subjectTitle(currentSubject));
   
     // Grade selector
     const gradeSelect = controls.append('select')
@@ -211,15 +276,81 @@ export async function renderReadingMap({
     
     gradeSelect.property('value', currentGrade);
     
-    gradeSelect.on('change', async function() {
+    // Subject selector, hidden while reading is the only subject with data
+    const subjectSelect = controls.append('select')
+      .style('display', (naepAllData.metadata?.subjects || []).length > 1 ? null : 'none')
+      .style('font-family', '"IBM Plex Mono", ui-monospace, monospace')
+      .style('border', `2px solid ${ink}`)
+      .style('background', paper)
+      .style('padding', '6px 10px')
+      .style('border-radius', '4px')
+      .style('cursor', 'pointer');
+    
+    subjectSelect.selectAll('option')
+      .data([
+        { value: 'reading', label: 'Reading' },
+        { value: 'math', label: 'Math' }
+      ])
+      .enter()
+      .append('option')
+      .attr('value', d => d.value)
+      .property('disabled', d => !hasSubjectData(naepAllData, d.value))
+      .text(d => hasSubjectData(naepAllData, d.value) ? d.label : `${d.label} (no data)`);
+    
+    subjectSelect.property('value', currentSubject);
+    
+    gradeSelect.on('change', function() {
       currentGrade = parseInt(this.value);
+      switchDataset();
+    });
+    
+    subjectSelect.on('change', function() {
+      currentSubject = this.value;
+      titleLabel.text(subjectTitle(currentSubject));
+      switchDataset();
+    });
+    
+    // Gap mode selector - how years without an assessment are shown
+    const gapSelect = controls.append('select')
+      .attr('aria-label', 'Years without an assessment')
+      .style('font-family', '"IBM Plex Mono", ui-monospace, monospace')
+      .style('border', `2px solid ${ink}`)
+      .style('background', paper)
+      .style('padding', '6px 10px')
+      .style('border-radius', '4px')
+      .style('cursor', 'pointer');
+    
+    gapSelect.selectAll('option')
+      .data(GAP_MODES)
+      .enter()
+      .append('option')
+      .attr('value', d => d.value)
+      .text(d => d.label);
+    
+    gapSelect.property('value', currentGapMode);
+    
+    gapSelect.on('change', function() {
+      setGapMode(this.value);
+    });
+    
+    function setGapMode(mode) {
+      currentGapMode = mode;
+      // Leaving a non-assessed year for the assessed-only timeline: go to the last assessment before it
+      if (!timelineYears().includes(currentYear)) {
+        currentYear = yearsWithData.filter(y => y <= currentYear).at(-1) ?? yearsWithData[0];
+      }
+      console.log(`🔄 Gap mode: ${currentGapMode}`);
+      configureSlider();
+      updateMap();
+      updateLegend();
+    }
+    
+    // Reload state/national maps, years and color range for the current grade + subject
+    function switchDataset() {
+      const newGradeData = getGradeData(naepAllData, currentGrade, currentSubject);
       
-      // Extract new grade data
-      const newGradeKey = `grade${currentGrade}`;
-      const newGradeData = naepAllData[newGradeKey];
-      
-      if (!newGradeData) {
-        console.error(`No data found for grade ${currentGrade}`);
+      if (!newGradeData || newGradeData.years.length === 0) {
+        console.error(`No ${currentSubject} data found for grade ${currentGrade}`);
         return;
       }
       
@@ -274,23 +405,12 @@ export async function renderReadingMap({
       yearsWithData.push(...newYearsWithData);
       currentYear = yearsWithData[yearsWithData.length - 1];
       
-      // Update year slider
-      yearSlider
-        .attr('min', Math.min(...yearsWithData))
-        .attr('max', Math.max(...yearsWithData))
-        .property('value', currentYear);
-      
-      // Update year display
-      yearDisplay.text(currentYear);
-      
-      // Update min/max labels
-      minYearLabel.text(Math.min(...yearsWithData));
-      maxYearLabel.text(Math.max(...yearsWithData));
+      configureSlider();
       
-      console.log(`🔄 Grade changed to ${currentGrade}`);
+      console.log(`🔄 Showing ${currentSubject}, Grade ${currentGrade}`);
       updateMap();
       updateLegend();
-    });
+    }
     
     // Year selector - Slider
     const yearGroup = controls.append('div')
@@ -334,13 +454,12 @@ export async function renderReadingMap({
       .style('white-space', 'nowrap')
       .text(Math.min(...yearsWithData));
     
-    // Slider input - only use years with data
+    // Slider input - steps through timelineYears() by index, so every stop is a year the gap mode can show
     const yearSlider = sliderContainer.append('input')
       .attr('type', 'range')
-      .attr('min', Math.min(...yearsWithData))
-      .attr('max', Math.max(...yearsWithData))
+      .attr('aria-label', 'Year')
+      .attr('min', 0)
       .attr('step', 1)
-      .property('value', currentYear)
       .style('width', '200px')
       .style('flex-shrink', '0')
       .style('height', '6px')
@@ -405,23 +524,30 @@ export async function renderReadingMap({
       .style('white-space', 'nowrap')
       .text(Math.max(...yearsWithData));
     
-    // Update visualization as user slides - skip years without data
+    // Non-assessed years are starred in the year display
+    function showYear() {
+      const assessed = yearsWithData.includes(currentYear);
+      yearDisplay
+        .text(assessed ? currentYear : `${currentYear}*`)
+        .attr('title', assessed ? null : 'Not an assessment year');
+      yearSlider.attr('aria-valuetext', assessed ? String(currentYear) : `${currentYear}, not assessed`);
+    }
+    
+    // Range, position and end labels for the current timeline
+    function configureSlider() {
+      const timeline = timelineYears();
+      yearSlider
+        .attr('max', timeline.length - 1)
+        .property('value', Math.max(0, timeline.indexOf(currentYear)));
+      minYearLabel.text(timeline[0]);
+      maxYearLabel.text(timeline[timeline.length - 1]);
+      showYear();
+    }
+    configureSlider();
+    
     yearSlider.on('input', function() {
-      let newYear = parseInt(this.value);
-      
-      // If this year doesn't have data, find the nearest year that does
-      if (!yearsWithData.includes(newYear)) {
-        // Find closest year with data
-        const distances = yearsWithData.map(y => Math.abs(y - newYear));
-        const minDistance = Math.min(...distances);
-        const closestIndex = distances.indexOf(minDistance);
-        newYear = yearsWithData[closestIndex];
-        // Update slider position to the valid year
-        this.value = newYear;
-      }
-      
-      currentYear = newYear;
-      yearDisplay.text(newYear);
+      currentYear = timelineYears()[parseInt(this.value)];
+      showYear();
       console.log(`📅 Year changed to ${currentYear}`);
       updateMap();
       updateLegend();
@@ -464,6 +590,32 @@ export async function renderReadingMap({
     
     const g = svg.append('g');
     
+    // Overlays for values that were not assessed that year: hatched = carried forward, dotted = interpolated
+    const defs = svg.append('defs');
+    defs.append('pattern')
+      .attr('id', 'viz2-gap-carried')
+      .attr('patternUnits', 'userSpaceOnUse')
+      .attr('width', 6)
+      .attr('height', 6)
+      .attr('patternTransform', 'rotate(45)')
+      .append('line')
+      .attr('x1', 0).attr('y1', 0).attr('x2', 0).attr('y2', 6)
+      .attr('stroke', ink)
+      .attr('stroke-width', 1.5)
+      .attr('stroke-opacity', 0.55);
+    defs.append('pattern')
+      .attr('id', 'viz2-gap-interpolated')
+      .attr('patternUnits', 'userSpaceOnUse')
+      .attr('width', 5)
+      .attr('height', 5)
+      .append('circle')
+      .attr('cx', 2.5).attr('cy', 2.5).attr('r', 1)
+      .attr('fill', ink)
+      .attr('fill-opacity', 0.6);
+    const gapLayer = g.append('g')
+      .attr('class', 'gap-overlay')
+      .style('pointer-events', 'none');
+    
     // Projection
     const projection = d3.geoAlbersUsa()
       .scale(1100)
@@ -471,15 +623,12 @@ export async function renderReadingMap({
     
     const path = d3.geoPath().projection(projection);
     
-    // Extract features and build ID to USPS map
+    // Extract features and build ID to USPS map (feature ids are FIPS codes)
     const states = topojson.feature(us, us.objects.states);
     const idToUSPS = new Map();
     states.features.forEach(f => {
-      const name = f.properties?.name;
-      if (name) {
-        const usps = stateNameToCode[name];
-        if (usps) idToUSPS.set(f.id, usps);
-      }
+      const entry = fromFips(f.id);
+      if (entry) idToUSPS.set(f.id, entry.usps);
     });
     
     console.log(`✅ Built ID→USPS mapping for ${idToUSPS.size} states`);
@@ -500,24 +649,14 @@ export async function renderReadingMap({
     function updateMap() {
       console.log(`🎨 Updating map for year ${currentYear}, grade ${currentGrade}`);
       
-      // Get year data
-      const yearKey = String(currentYear);
-      const yearData = new Map();
-      stateData.forEach((scores, stateCode) => {
-        const score = scores[yearKey];
-        if (score != null && !isNaN(score) && score > 0) {
-          yearData.set(stateCode, score);
-        }
-      });
+      // Get year data (assessed, carried forward or interpolated, per gap mode)
+      const yearData = valuesForYear(currentYear);
       
       // Get national average
-      let currentNatAvg = nationalAvgByYear.get(yearKey);
-      if (currentNatAvg == null) {
-        const stateScores = Array.from(yearData.values()).filter(v => v != null && !isNaN(v));
-        currentNatAvg = stateScores.length > 0 ? d3.mean(stateScores) : null;
-      }
+      const national = nationalForYear(currentYear, yearData);
+      const currentNatAvg = national?.value ?? null;
       
-      natAvgDisplay.html(`National Average: <strong>${currentNatAvg ? currentNatAvg.toFixed(1) : 'N/A'}</strong>`);
+      natAvgDisplay.html(`National Average: <strong>${currentNatAvg ? currentNatAvg.toFixed(1) : 'N/A'}</strong>${gapNote(national)}`);
       
       // Get color scale
       const colorScale = getColorScale(yearData, currentNatAvg);
@@ -546,18 +685,60 @@ export async function renderReadingMap({
         .attr('fill', d => {
           const usps = idToUSPS.get(d.id);
           if (!usps) return '#ddd';
-          const score = yearData.get(usps);
-          if (score == null || isNaN(score)) return '#ddd';
-          return colorScale(score);
+          const entry = yearData.get(usps);
+          if (!entry) return '#ddd';
+          return colorScale(entry.value);
         });
       
+      // Hatch / dots over states whose value was not assessed this year
+      gapLayer.raise()
+        .selectAll('path')
+        .data(states.features.filter(f => {
+          const kind = yearData.get(idToUSPS.get(f.id))?.kind;
+          return kind === 'carried' || kind === 'interpolated';
+        }), d => d.id)
+        .join('path')
+        .attr('d', path)
+        .attr('fill', d => `url(#viz2-gap-${yearData.get(idToUSPS.get(d.id)).kind})`);
+      
       // Event handlers
       pathsUpdate
         .on('mouseover', function(event, d) {
           const usps = idToUSPS.get(d.id);
-          const score = yearData.get(usps);
+          const entry = yearData.get(usps);
+          const score = entry?.value ?? null;
           const stateName = d.properties?.name || usps;
           
+          // Confidence interval and significance test against the national average, for the
+          // assessment the value comes from (none for interpolated estimates)
+          const sourceYear = entry && entry.kind !== 'interpolated' ? String(entry.from[0]) : null;
+          const comparison = sourceYear
+            ? compareToNational(getGradeData(naepAllData, currentGrade, currentSubject), usps, sourceYear)
+            : null;
+          const ciHTML = comparison?.ci
+            ? `<span style="font-size: 11px;">95% CI: ${comparison.ci[0].toFixed(1)}–${comparison.ci[1].toFixed(1)}</span><br/>`
+            : '';
+          const sigHTML = comparison && comparison.diff != null && comparison.se != null
+            ? `<span style="font-size: 11px; font-weight: 600; color: ${comparison.direction === 'above' ? '#27ae60' : comparison.direction === 'below' ? '#c0392b' : ink};">${
+                comparison.significant
+                  ? `Significantly ${comparison.direction} national average`
+                  : 'Not significantly different from national average'
+              }</span><br/>`
+            : '';
+          const level = levelForScore(score, currentGrade, currentSubject);
+          const levelHTML = score != null
+            ? `<span style="font-size: 11px;">Level: <strong style="color: ${colorForLevel(level)};">${level}</strong></span><br/>`
+            : '';
+          const pct = sourceYear ? percentAtOrAbove(getGradeData(naepAllData, currentGrade, currentSubject), usps, sourceYear) : null;
+          const pctHTML = pct?.Proficient != null
+            ? `<span style="font-size: 11px;">At or above Proficient: <strong>${Math.round(pct.Proficient)}%</strong></span><br/>`
+            : '';
+          const contextHTML = indicatorContextHTML(usps);
+          const flagDefs = naepAllData.metadata?.flagDefinitions || {};
+          const flagHTML = (comparison?.flags || [])
+            .map(f => `<span style="font-size: 10px; font-style: italic;">⚠ ${flagDefs[f] || f}</span><br/>`)
+            .join('');
+          
           d3.select(this)
             .attr('stroke', ink)
             .attr('stroke-width', 2.5);
@@ -565,11 +746,18 @@ export async function renderReadingMap({
           tooltip
             .style('visibility', 'visible')
             .html(`
-              <div style="line-height: 1.6;">
+              <div style="line-height: 1.6; max-width: 280px;">
                 <strong style="font-size: 14px;">${stateName} (${usps})</strong><br/>
                 <span style="font-size: 12px;">Year: <strong>${currentYear}</strong></span><br/>
-                <span style="font-size: 12px;">Score: <strong>${score != null ? score.toFixed(1) : 'N/A'}</strong></span><br/>
-                <span style="font-size: 12px;">National Avg: <strong>${currentNatAvg ? currentNatAvg.toFixed(1) : 'N/A'}</strong></span>
+                <span style="font-size: 12px;">Score: <strong>${score != null ? score.toFixed(1) : (yearsWithData.includes(currentYear) ? 'N/A' : 'Not assessed')}</strong>${comparison?.se != null ? ` <span style="font-size: 11px;">(±${(1.96 * comparison.se).toFixed(1)})</span>` : ''}</span><br/>
+                ${entry && entry.kind !== 'assessed' ? `<span style="font-size: 11px; font-style: italic;">${gapDescription(entry)}</span><br/>` : ''}
+                ${ciHTML}
+                ${levelHTML}
+                ${pctHTML}
+                <span style="font-size: 12px;">National Avg: <strong>${currentNatAvg ? currentNatAvg.toFixed(1) : 'N/A'}</strong>${gapNote(national)}</span><br/>
+                ${sigHTML}
+                ${contextHTML}
+                ${flagHTML}
               </div>
             `)
             .style('left', (event.clientX + 15) + 'px')
@@ -693,6 +881,23 @@ export async function renderReadingMap({
     }
     
     // Tooltip
+    // Indicator values joined to the displayed year (see indicatorsForYear), each with its data year
+    const INDICATOR_FORMATS = {
+      gini: v => `Gini ${v.toFixed(2)}`,
+      medianIncome: v => `median income ${d3.format('$,.0f')(v)}`,
+      childPoverty: v => `child poverty ${v.toFixed(1)}%`
+    };
+    function indicatorContextHTML(usps) {
+      if (!stateIndicators) return '';
+      const matched = indicatorsForYear(stateIndicators, usps, currentYear);
+      const parts = Object.entries(INDICATOR_FORMATS)
+        .filter(([key]) => matched[key])
+        .map(([key, format]) => `${format(matched[key].value)} (${matched[key].year})`);
+      return parts.length
+        ? `<span style="font-size: 11px;">Context: ${parts.join(' · ')}</span><br/>`
+        : '';
+    }
+    
     const tooltip = wrap.append('div')
       .attr('class', 'map-tooltip')
       .style('position', 'fixed')
@@ -718,32 +923,54 @@ export async function renderReadingMap({
       .style('font-family', 'Inter, system-ui')
       .style('font-size', '12px');
     
+    // Tooltip line for a value that was not assessed this year
+    function gapDescription(entry) {
+      if (entry.kind === 'carried') return `Not assessed in ${currentYear}: carried forward from ${entry.from[0]}`;
+      if (entry.kind === 'interpolated') return `Estimated: interpolated between ${entry.from[0]} and ${entry.from[1]}`;
+      return '';
+    }
+    
+    // Short suffix for the national average when it is not an assessed value
+    function gapNote(entry) {
+      if (entry?.kind === 'carried') return ` <span style="font-size: 11px; font-style: italic;">(from ${entry.from[0]})</span>`;
+      if (entry?.kind === 'interpolated') return ' <span style="font-size: 11px; font-style: italic;">(estimated)</span>';
+      return '';
+    }
+    
+    // Legend swatches match the map overlays (see the viz2-gap-* patterns)
+    const swatch = background => `<span style="display: inline-block; width: 22px; height: 14px; background: ${background}; border: 2px solid ${ink}; border-radius: 3px; vertical-align: middle;"></span>`;
+    const GAP_SWATCHES = {
+      missing: swatch('#ddd'),
+      carried: swatch(`repeating-linear-gradient(45deg, rgba(17,17,17,0.55) 0 1.5px, #f39c12 1.5px 5px)`),
+      interpolated: swatch('radial-gradient(circle, rgba(17,17,17,0.6) 1px, transparent 1.2px) 0 0 / 5px 5px, #f39c12')
+    };
+    
+    function gapLegendHTML(assessedYear) {
+      const items = [`${GAP_SWATCHES.missing} ${assessedYear ? 'No data' : 'Not assessed'}`];
+      if (currentGapMode === 'carry') items.push(`${GAP_SWATCHES.carried} Carried forward from the last assessment`);
+      if (currentGapMode === 'interpolate') items.push(`${GAP_SWATCHES.interpolated} Estimated (interpolated between assessments)`);
+      const mode = GAP_MODES.find(m => m.value === currentGapMode).label;
+      return `
+        <div style="display: flex; align-items: center; gap: 12px; flex-wrap: wrap; margin-top: 6px; font-size: 12px;">
+          <span style="font-weight: 600;">${mode}:</span>
+          ${items.map(item => `<span>${item}</span>`).join('')}
+        </div>`;
+    }
+    
     function updateLegend() {
-      const yearKey = String(currentYear);
-      const yearData = new Map();
-      stateData.forEach((scores, stateCode) => {
-        const score = scores[yearKey];
-        if (score != null && !isNaN(score) && score > 0) {
-          yearData.set(stateCode, score);
-        }
-      });
+      const yearData = valuesForYear(currentYear);
+      const currentNatAvg = nationalForYear(currentYear, yearData)?.value ?? null;
+      const assessedYear = yearsWithData.includes(currentYear);
       
-      let currentNatAvg = nationalAvgByYear.get(yearKey);
-      if (currentNatAvg == null) {
-        const stateScores = Array.from(yearData.values()).filter(v => v != null && !isNaN(v));
-        currentNatAvg = stateScores.length > 0 ? d3.mean(stateScores) : null;
-      }
-      
-      const scores = Array.from(yearData.values()).filter(v => v != null && !isNaN(v));
-      if (scores.length === 0) {
-        legend.html(`<div style="color: #c0392b;">No data available for year ${currentYear}</div>`);
+      if (yearData.size === 0) {
+        legend.html(`<div style="color: #c0392b;">No data available for year ${currentYear}</div>${gapLegendHTML(assessedYear)}`);
         return;
       }
       
       // Use global min/max for consistent legend across all years
       legend.html(`
         <div style="display: flex; align-items: center; gap: 10px; flex-wrap: wrap;">
-          <span style="font-weight: 600; font-size: 13px;">Score Range (${currentYear}):</span>
+          <span style="font-weight: 600; font-size: 13px;">Score Range (${currentYear}${assessedYear ? '' : ', not assessed'}):</span>
           <div style="display: flex; align-items: center; gap: 5px;">
             <span style="font-size: 12px;">${globalMin.toFixed(0)}</span>
             <div style="width: 120px; height: 20px; background: linear-gradient(to right, #c0392b, #f39c12, #27ae60); border: 2px solid ${ink}; border-radius: 3px;"></div>
@@ -751,6 +978,13 @@ export async function renderReadingMap({
           </div>
           <span style="font-size: 12px;">| National Avg: <strong>${currentNatAvg ? currentNatAvg.toFixed(1) : 'N/A'}</strong></span>
         </div>
+        ${gapLegendHTML(assessedYear)}
+        <div style="display: flex; align-items: center; gap: 10px; flex-wrap: wrap; margin-top: 6px; font-size: 12px;">
+          <span style="font-weight: 600;">Achievement levels (Grade ${currentGrade}):</span>
+          ${Object.entries(getCutScores(currentGrade, currentSubject))
+            .map(([lvl, cut]) => `<span style="color: ${colorForLevel(lvl)}; font-weight: 600;">${lvl} ≥ ${cut}</span>`)
+            .join(' · ')}
+        </div>
       `);
     }
     
@@ -758,23 +992,48 @@ export async function renderReadingMap({
     updateMap();
     updateLegend();
     
+    attachProvenance(wrap, {
+      sources: [
+        { key: 'naep', vintage: yearSpan(naepAllData.allYears) },
+        'usAtlas',
+        ...(stateIndicators
+          ? ['gini', 'medianIncome', 'childPoverty']
+            .filter(key => stateIndicators.indicators[key])
+            .map(key => ({ key, vintage: yearSpan(stateIndicators.years) }))
+          : [])
+      ],
+      transformations: ['achievementLevels', 'significance', 'timelineGaps', ...(stateIndicators ? ['indicatorJoin'] : [])]
+    });
+    
     console.log('✅ Map visualization rendered successfully');
     
     return {
       updateYear: (year) => {
-        if (yearsWithData.includes(year)) {
+        if (timelineYears().includes(year)) {
           currentYear = year;
-          yearSlider.property('value', year);
-          yearDisplay.text(year);
+          configureSlider();
           updateMap();
           updateLegend();
         }
       },
+      updateGapMode: (mode) => {
+        if (GAP_MODES.some(m => m.value === mode)) {
+          gapSelect.property('value', mode);
+          setGapMode(mode);
+        }
+      },
       updateGrade: (newGrade) => {
         if ([4, 8].includes(newGrade)) {
           gradeSelect.property('value', newGrade);
           gradeSelect.dispatch('change');
         }
+      },
+      updateSubject: (newSubject) => {
+        newSubject = normalizeSubject(newSubject);
+        if (hasSubjectData(naepAllData, newSubject)) {
+          subjectSelect.property('value', newSubject);
+          subjectSelect.dispatch('change');
+        }
       }
     };
   }
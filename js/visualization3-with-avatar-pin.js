@@ -12,6 +12,11 @@
 
 // Import helper functions (will be available globally when loaded via script tag)
 // Make sure helpers3.js is loaded before this file
+import { loadJSONDataset } from './datasetCache.js';
+import { attachProvenance } from './provenance.js';
+import './datasetSchema.js';
+
+const { DatasetValidationError, formatError, errorListHTML } = window.DatasetSchema;
 
 // Configuration
 const CONFIG = {
@@ -75,15 +80,19 @@ function getAvatarStateFromLocalStorage() {
  * Display error message in the container
  * @param {d3.selection} container - Container element
  * @param {string} message - Error message to display
+ * @param {string[]} [details] - Field-level problems (e.g. from a DatasetValidationError)
  */
-function displayError(container, message = 'Error loading visualization') {
+function displayError(container, message = 'Error loading visualization', details = null) {
+  const body = details?.length
+    ? errorListHTML(details)
+    : `<p style="color: #666; font-size: 14px; line-height: 1.6; max-width: 500px; margin: 0 auto;">
+        This visualization requires D3.js and TopoJSON libraries. Please ensure you have an active 
+        internet connection, or download the libraries locally and place them in the lib/ folder.
+      </p>`;
   container.html(`
     <div style="padding: 60px 40px; text-align: center; font-family: monospace;">
       <h2 style="color: #c85a54; font-size: 20px; margin-bottom: 16px;">⚠️ ${message}</h2>
-      <p style="color: #666; font-size: 14px; line-height: 1.6; max-width: 500px; margin: 0 auto;">
-        This visualization requires D3.js and TopoJSON libraries. Please ensure you have an active 
-        internet connection, or download the libraries locally and place them in the lib/ folder.
-      </p>
+      ${body}
     </div>
   `);
 }
@@ -199,7 +208,7 @@ export async function renderBookDesertMap({
       .style('max-width', '280px');
     
     // Load the data
-    const vizData = await loadData(dataUrl);
+    const vizData = await loadJSONDataset(dataUrl);
     const stateLookup = createStateLookup(vizData);
     
     console.log(`📊 Data loaded: ${vizData.states.length} states`);
@@ -207,6 +216,18 @@ export async function renderBookDesertMap({
     // Create the map
     await createMap(wrap, tooltip, vizData, stateLookup, topoJsonUrl, width, height, selectedState);
     
+    // Survey year and student estimate come from the dataset's own metadata
+    const { metadata = {} } = vizData;
+    attachProvenance(wrap, {
+      sources: [
+        { key: 'libraries', year: metadata.year, vintage: metadata.year && `FY${metadata.year}`, note: metadata.source },
+        'usAtlas'
+      ],
+      transformations: [
+        metadata.calculation ? { text: `Books per student = ${metadata.calculation}.` } : 'studentShare'
+      ]
+    });
+    
     // Log statistics to console
     logStatistics(vizData);
     
@@ -214,7 +235,11 @@ export async function renderBookDesertMap({
   } catch (error) {
     console.error('❌ Error initializing visualization:', error);
     const root = d3.select(container);
-    displayError(root, 'Failed to load data');
+    if (error instanceof DatasetValidationError) {
+      displayError(root, `Invalid data in ${error.dataset}`, error.errors.map(formatError));
+    } else {
+      displayError(root, 'Failed to load data');
+    }
   }
 }
 
@@ -241,7 +266,7 @@ async function createMap(wrap, tooltip, vizData, stateLookup, topoJsonUrl, width
     console.log('📥 Loading US map topology...');
     
     // Load US TopoJSON
-    const us = await d3.json(topoJsonUrl);
+    const us = await loadJSONDataset(topoJsonUrl);
     const states = topojson.feature(us, us.objects.states);
 
     console.log(`🗺️  Map loaded: ${states.features.length} states`);
@@ -3,12 +3,72 @@
 // Multi-factor prediction based on reading scores, SES, state, and inequality
 // ========================================
 
+import './stateRegistry.js';
+import { getSESScore, FALLBACK_SES_GAP, getGradeData, hasSubjectData, normalizeSubject, loadStateIndicators, indicatorsForYear } from './dataHelpers.js';
+import { getCutScores, colorForLevel } from './achievementLevels.js';
+import { loadCSVDataset, loadJSONDataset } from './datasetCache.js';
+import { attachProvenance, sesTransformations } from './provenance.js';
+import { loadGraduationSeries, graduationSeriesFor, loadCollegeEnrollment, enrollmentReliability } from './dataOutcomes.js';
+
+const { toUSPS, toName } = window.StateRegistry;
+
+// Views of the all-states panel below the prediction card
+const VIEWS = {
+  prediction: {
+    label: 'Predicted college graduation',
+    title: 'ALL STATES: PREDICTED GRADUATION RATES',
+    intro: 'See how reading scores predict college outcomes across all states. Filter by socioeconomic status to see disparities.'
+  },
+  graduation: {
+    label: 'HS graduates over time',
+    title: 'HIGH SCHOOL GRADUATES OVER TIME',
+    intro: 'Public high school graduates per school year, 1980–81 to 2022–23. Open dots carry a footnote in the source table; dashed lines bridge school years the table skips.'
+  },
+  income: {
+    label: 'Income gap by cohort',
+    title: 'COLLEGE GRADUATION BY FAMILY INCOME, 1990–2017',
+    intro: 'Share of each entering cohort with a bachelor\'s degree by the end year, by family income quartile. Click a cohort to use its quartile rates in the prediction.'
+  },
+  enrollment: {
+    label: 'College enrollment by group',
+    title: 'COLLEGE ENROLLMENT BY RACE/ETHNICITY',
+    intro: 'Share of 18- to 24-year-olds enrolled in college (2021) against each state\'s average NAEP score. Pick a group; estimates NCES marks as unreliable can be hatched or hidden.'
+  }
+};
+
+// Columns of data/college_grad_by_family_income.csv, lowest to highest quartile
+const INCOME_QUARTILES = [
+  { key: 'q1', column: 'First (Lowest) Income Quartile', label: 'Lowest quartile', color: '#e74c3c' },
+  { key: 'q2', column: 'Second Income Quartile', label: 'Second quartile', color: '#f39c12' },
+  { key: 'q3', column: 'Third Income Quartile', label: 'Third quartile', color: '#7fb3d5' },
+  { key: 'q4', column: 'Fourth (Highest) Income Quartile', label: 'Highest quartile', color: '#3498db' }
+];
+
+// How estimates flagged "interpret with caution" (!) are drawn in the enrollment view
+const UNRELIABLE_MODES = {
+  hatch: 'Hatch',
+  hide: 'Hide'
+};
+
+// Gini the model assumes when state_indicators.json has no value within 3 years of the NAEP year
+// (indicatorsForYear); the card, the About text and the scatter tooltip say when it is used
+const FALLBACK_GINI = 0.48;
+
 export async function renderLiteracyOutcomesScatter({
   container,
   defaultMetric = 'HS Graduation',
-  avatarState = null
+  avatarState = null,
+  subject = 'reading',  // 'reading' | 'math'
+  view = 'prediction',  // 'prediction' (all-states scatter) | 'graduation' (HS graduates over time) | 'enrollment'
+  subgroup = 'total',   // enrollment view: race/ethnicity group key from data/college_enrollment.json
+  unreliable = 'hatch', // enrollment view: 'hatch' | 'hide' estimates flagged unreliable
+  cohort = null         // income cohort feeding the model ('1990/1994' ... '2012/2017'); latest if null
 } = {}) {
   if (!container) throw new Error('renderLiteracyOutcomesScatter: container is required');
+  if (!VIEWS[view]) throw new Error(`renderLiteracyOutcomesScatter: unknown view "${view}" (${Object.keys(VIEWS).join(', ')})`);
+  if (!UNRELIABLE_MODES[unreliable]) {
+    throw new Error(`renderLiteracyOutcomesScatter: unknown unreliable mode "${unreliable}" (${Object.keys(UNRELIABLE_MODES).join(', ')})`);
+  }
   
   const containerEl = typeof container === 'string' ? document.querySelector(container) : container;
   if (!containerEl) throw new Error('Container element not found');
@@ -55,15 +115,13 @@ export async function renderLiteracyOutcomesScatter({
   
   // Load all data files
   try {
-    const [collegeGradData, giniData, incomeData, naepData] = await Promise.all([
-      d3.csv('data/college-graduation-rates-by-state-2025.csv'),
-      d3.csv('data/2019_state_gini_index.csv'),
-      d3.csv('data/college_grad_by_family_income.csv'),
-      fetch('data/naep_cleaned.json').then(r => r.json())
+    const [collegeGradData, stateIndicators, incomeData, naepData] = await Promise.all([
+      loadCSVDataset('data/college-graduation-rates-by-state-2025.csv'),
+      loadStateIndicators(),
+      loadCSVDataset('data/college_grad_by_family_income.csv'),
+      loadJSONDataset('data/naep_cleaned.json', { name: 'naep_cleaned' })
     ]);
     
-    loading.remove();
-    
     console.log('✅ All data loaded');
     
     // Process data into lookup maps
@@ -77,57 +135,48 @@ export async function renderLiteracyOutcomesScatter({
       }
     });
     
-    const stateGini = new Map();
-    giniData.forEach(row => {
-      if (row.State && row.Gini) {
-        const stateCode = getStateCode(row.State);
-        if (stateCode) {
-          stateGini.set(stateCode, parseFloat(row.Gini));
-        }
-      }
-    });
+    // Gini for a state in the Census year matched to a NAEP year: { value, year, offset } or null
+    const giniFor = (stateCode, naepYear) => indicatorsForYear(stateIndicators, stateCode, Number(naepYear)).gini ?? null;
     
-    // Income quartile effects (from most recent cohort 2012/2017)
-    const latestCohort = incomeData[incomeData.length - 1];
-    const incomeEffects = {
-      'low': parseFloat(latestCohort['First (Lowest) Income Quartile'].replace('%', '')),
-      'medium': (parseFloat(latestCohort['Second Income Quartile'].replace('%', '')) + 
-                 parseFloat(latestCohort['Third Income Quartile'].replace('%', ''))) / 2,
-      'high': parseFloat(latestCohort['Fourth (Highest) Income Quartile'].replace('%', ''))
-    };
+    // Income quartile effects from one entering cohort (the most recent unless `cohort` is given)
+    const incomeCohorts = parseIncomeCohorts(incomeData);
+    const selectedCohort = cohort ?? incomeCohorts.at(-1).cohort;
+    const cohortRow = incomeCohorts.find(c => c.cohort === selectedCohort);
+    if (!cohortRow) {
+      throw new Error(`No income cohort "${selectedCohort}" (${incomeCohorts.map(c => c.cohort).join(', ')})`);
+    }
+    const incomeEffects = cohortEffects(cohortRow);
     
-    console.log('📊 Income quartile effects:', incomeEffects);
+    console.log(`📊 Income quartile effects (${selectedCohort} cohort):`, incomeEffects);
     
-    // Get NAEP score for avatar
-    const gradeKey = `grade${avatarData.grade}`;
-    const gradeData = naepData[gradeKey];
+    // Get NAEP score for avatar (reading unless math has been ingested and requested)
+    subject = hasSubjectData(naepData, subject) ? normalizeSubject(subject) : 'reading';
+    const gradeData = getGradeData(naepData, avatarData.grade, subject);
     let avatarScore = null;
+    const latestYear = gradeData?.years?.length ? String(Math.max(...gradeData.years)) : null;
     
     if (gradeData && gradeData.states && gradeData.states[avatarData.state]) {
-      const years = gradeData.years.sort((a, b) => b - a);
-      const latestYear = String(years[0]);
-      avatarScore = gradeData.states[avatarData.state][latestYear];
-      
-      // Apply SES adjustment
-      const sesGap = 18;
-      if (avatarData.ses === 'low') avatarScore -= sesGap;
-      else if (avatarData.ses === 'high') avatarScore += sesGap;
+      // SES-specific score from NSLP eligibility results (estimated when not reported)
+      const { score, estimated } = getSESScore(gradeData, avatarData.state, latestYear, avatarData.ses);
+      avatarScore = score;
+      if (estimated) console.log('⚠️ Avatar SES score is estimated (no reported NSLP score)');
     }
     
-    console.log('📚 Avatar reading score:', avatarScore);
+    console.log(`📚 Avatar ${subject} score:`, avatarScore);
     
     // Build prediction model
     const baseRate = stateGradRates.get(avatarData.state) || 35;
-    const giniScore = stateGini.get(avatarData.state) || 0.48;
+    const gini = latestYear ? giniFor(avatarData.state, latestYear) : null;
+    const giniScore = gini?.value ?? FALLBACK_GINI;
+    if (!gini) console.warn(`⚠️ No Census Gini for ${avatarData.state} near NAEP ${latestYear} - assuming ${FALLBACK_GINI}`);
     const incomeEffect = incomeEffects[avatarData.ses] || incomeEffects.medium;
     
     // Prediction formula
-    const readingAdjustment = avatarScore ? ((avatarScore - 240) / 10) * 2 : 0;
+    const readingAdjustment = avatarScore ? ((avatarScore - scorePivot(naepData, avatarData.grade, subject)) / 10) * 2 : 0;
     const incomeModifier = (incomeEffect / 50);
     const giniPenalty = (giniScore - 0.45) * 10;
     
-    const predictedRate = baseRate + readingAdjustment + (baseRate * (incomeModifier - 1)) - giniPenalty;
-    const finalPrediction = Math.max(15, Math.min(75, predictedRate));
+    const finalPrediction = predictRate({ baseRate, readingAdjustment, incomeEffect, giniPenalty });
     
     console.log('🎯 Prediction factors:', {
       baseRate,
@@ -137,7 +186,8 @@ export async function renderLiteracyOutcomesScatter({
       finalPrediction
     });
     
-    // Render visualization
+    // Render visualization (the loading message stays up until here so data errors show in it)
+    loading.remove();
     renderPredictionViz({
       containerSel,
       avatarData,
@@ -145,16 +195,40 @@ export async function renderLiteracyOutcomesScatter({
       readingAdjustment,
       incomeEffect,
       giniScore,
+      giniYear: gini?.year ?? null,
       giniPenalty,
       finalPrediction,
       avatarScore,
       paper,
       ink,
       stateGradRates,
-      stateGini,
+      giniFor,
       incomeEffects,
+      incomeCohorts,
+      cohort: selectedCohort,
       naepData,
-      gradeData
+      gradeData,
+      subject,
+      view,
+      subgroup,
+      unreliable
+    });
+    
+    // How the SES scores behind the avatar and the state dots (any SES button) were derived
+    const sesMethods = latestYear
+      ? Object.keys(gradeData?.states || {}).flatMap(usps =>
+        ['low', 'medium', 'high'].map(ses => getSESScore(gradeData, usps, latestYear, ses).method))
+      : [];
+    attachProvenance(containerSel.select('div'), {
+      sources: [
+        'collegeAttainment',
+        { key: 'gini', vintage: gini ? `${gini.year} (matched to NAEP ${latestYear})` : null },
+        'familyIncome',
+        { key: 'naep', vintage: gradeData?.years?.length ? `${Math.max(...gradeData.years)} (latest assessment)` : null },
+        'hsGraduation',
+        'collegeEnrollment'
+      ],
+      transformations: ['predictionModel', 'indicatorJoin', 'incomeCohort', ...sesTransformations(sesMethods), 'enrollmentReliability']
     });
     
   } catch (error) {
@@ -163,43 +237,56 @@ export async function renderLiteracyOutcomesScatter({
   }
 }
 
-// Helper function to convert state names to codes
+// Helper functions to convert between state names and codes (shared registry)
 function getStateCode(stateName) {
-  const map = {
-    'Alabama': 'AL', 'Alaska': 'AK', 'Arizona': 'AZ', 'Arkansas': 'AR',
-    'California': 'CA', 'Colorado': 'CO', 'Connecticut': 'CT', 'Delaware': 'DE',
-    'Florida': 'FL', 'Georgia': 'GA', 'Hawaii': 'HI', 'Idaho': 'ID',
-    'Illinois': 'IL', 'Indiana': 'IN', 'Iowa': 'IA', 'Kansas': 'KS',
-    'Kentucky': 'KY', 'Louisiana': 'LA', 'Maine': 'ME', 'Maryland': 'MD',
-    'Massachusetts': 'MA', 'Michigan': 'MI', 'Minnesota': 'MN', 'Mississippi': 'MS',
-    'Missouri': 'MO', 'Montana': 'MT', 'Nebraska': 'NE', 'Nevada': 'NV',
-    'New Hampshire': 'NH', 'New Jersey': 'NJ', 'New Mexico': 'NM', 'New York': 'NY',
-    'North Carolina': 'NC', 'North Dakota': 'ND', 'Ohio': 'OH', 'Oklahoma': 'OK',
-    'Oregon': 'OR', 'Pennsylvania': 'PA', 'Rhode Island': 'RI', 'South Carolina': 'SC',
-    'South Dakota': 'SD', 'Tennessee': 'TN', 'Texas': 'TX', 'Utah': 'UT',
-    'Vermont': 'VT', 'Virginia': 'VA', 'Washington': 'WA', 'West Virginia': 'WV',
-    'Wisconsin': 'WI', 'Wyoming': 'WY', 'District of Columbia': 'DC'
-  };
-  return map[stateName] || null;
+  return toUSPS(stateName);
 }
 
 function getStateName(stateCode) {
-  const map = {
-    'AL': 'Alabama', 'AK': 'Alaska', 'AZ': 'Arizona', 'AR': 'Arkansas',
-    'CA': 'California', 'CO': 'Colorado', 'CT': 'Connecticut', 'DE': 'Delaware',
-    'FL': 'Florida', 'GA': 'Georgia', 'HI': 'Hawaii', 'ID': 'Idaho',
-    'IL': 'Illinois', 'IN': 'Indiana', 'IA': 'Iowa', 'KS': 'Kansas',
-    'KY': 'Kentucky', 'LA': 'Louisiana', 'ME': 'Maine', 'MD': 'Maryland',
-    'MA': 'Massachusetts', 'MI': 'Michigan', 'MN': 'Minnesota', 'MS': 'Mississippi',
-    'MO': 'Missouri', 'MT': 'Montana', 'NE': 'Nebraska', 'NV': 'Nevada',
-    'NH': 'New Hampshire', 'NJ': 'New Jersey', 'NM': 'New Mexico', 'NY': 'New York',
-    'NC': 'North Carolina', 'ND': 'North Dakota', 'OH': 'Ohio', 'OK': 'Oklahoma',
-    'OR': 'Oregon', 'PA': 'Pennsylvania', 'RI': 'Rhode Island', 'SC': 'South Carolina',
-    'SD': 'South Dakota', 'TN': 'Tennessee', 'TX': 'Texas', 'UT': 'Utah',
-    'VT': 'Vermont', 'VA': 'Virginia', 'WA': 'Washington', 'WV': 'West Virginia',
-    'WI': 'Wisconsin', 'WY': 'Wyoming', 'DC': 'District of Columbia'
+  return toName(stateCode) || stateCode;
+}
+
+// Rows of college_grad_by_family_income.csv ("26%") -> [{ cohort: '1990/1994', quartiles: { q1: 26, ... } }], oldest first
+function parseIncomeCohorts(rows) {
+  const cohorts = rows
+    .filter(row => row.Cohort)
+    .map(row => ({
+      cohort: row.Cohort.trim(),
+      quartiles: Object.fromEntries(INCOME_QUARTILES.map(({ key, column }) =>
+        [key, parseFloat(String(row[column] ?? '').replace('%', ''))]))
+    }))
+    .filter(c => Object.values(c.quartiles).every(Number.isFinite))
+    .sort((a, b) => parseInt(a.cohort) - parseInt(b.cohort));
+  if (!cohorts.length) throw new Error('college_grad_by_family_income.csv has no complete cohort rows');
+  return cohorts;
+}
+
+// SES level -> graduation rate: lowest quartile, mean of the middle two, highest quartile
+function cohortEffects({ quartiles }) {
+  return {
+    low: quartiles.q1,
+    medium: (quartiles.q2 + quartiles.q3) / 2,
+    high: quartiles.q4
   };
-  return map[stateCode] || stateCode;
+}
+
+// The model itself, shared by the avatar's card and every state in the scatter
+function predictRate({ baseRate, readingAdjustment, incomeEffect, giniPenalty }) {
+  const incomeModifier = incomeEffect / 50;
+  const predicted = baseRate + readingAdjustment + (baseRate * (incomeModifier - 1)) - giniPenalty;
+  return Math.max(15, Math.min(75, predicted));
+}
+
+// Score the model treats as "average" (240 on the reading scale). Other subjects
+// shift the pivot by their gap to reading in national averages, latest shared year.
+function scorePivot(naepData, grade, subject) {
+  if (subject === 'reading') return 240;
+  const reading = getGradeData(naepData, grade, 'reading');
+  const other = getGradeData(naepData, grade, subject);
+  const shared = (other?.years || []).filter(y => reading?.years.includes(y));
+  if (shared.length === 0) return 240;
+  const year = String(Math.max(...shared));
+  return 240 + (other.nationalAvg[year] - reading.nationalAvg[year]);
 }
 
 // Render the prediction visualization
@@ -210,16 +297,23 @@ function renderPredictionViz({
   readingAdjustment,
   incomeEffect,
   giniScore,
+  giniYear,
   giniPenalty,
   finalPrediction,
   avatarScore,
   paper,
   ink,
   stateGradRates,
-  stateGini,
+  giniFor,
   incomeEffects,
+  incomeCohorts,
+  cohort,
   naepData,
-  gradeData
+  gradeData,
+  subject,
+  view = 'prediction',
+  subgroup = 'total',
+  unreliable = 'hatch'
 }) {
   // Create wrapper - minimal padding
   const wrapper = containerSel.append('div')
@@ -292,7 +386,8 @@ function renderPredictionViz({
     .style('margin', '0 auto')
     .style('display', 'block');
   
-  const filledDots = Math.round(finalPrediction);
+  let filledDots = Math.round(finalPrediction);
+  let animated = false;
   
   // Create all dots
   const dots = [];
@@ -344,6 +439,7 @@ function renderPredictionViz({
       .attr('r', dotRadius)
       .attr('opacity', 1)
       .on('end', function() {
+        animated = true;
         // After all dots appear, fill the appropriate ones
         dotGroup.filter(d => d.filled)
           .transition()
@@ -365,32 +461,103 @@ function renderPredictionViz({
   startAnimation();
   
   // Footnote explaining the prediction - compact
-  wrapper.append('div')
+  const predictionNote = wrapper.append('div')
     .style('font-size', '10px')
     .style('color', '#888')
     .style('text-align', 'center')
     .style('font-family', '"IBM Plex Mono", monospace')
     .style('font-style', 'italic')
-    .style('margin-bottom', '15px')
-    .style('margin-top', '4px')
-    .html(`Based on ${avatarData.state} baseline, reading score, ${avatarData.ses} SES, and state inequality`);
+    .style('margin-top', '4px');
+  
+  // Which entering cohort's income-quartile rates feed the model
+  let currentCohort = cohort;
+  const cohortControls = wrapper.append('div')
+    .style('display', 'flex')
+    .style('gap', '8px')
+    .style('align-items', 'center')
+    .style('justify-content', 'center')
+    .style('margin', '6px 0 15px')
+    .style('font-family', '"IBM Plex Mono", monospace')
+    .style('font-size', '11px')
+    .style('color', ink);
+  
+  cohortControls.append('label')
+    .attr('for', 'income-cohort-select')
+    .text('Income cohort (entered / finished)');
+  
+  const cohortSelect = cohortControls.append('select')
+    .attr('id', 'income-cohort-select')
+    .style('font-family', '"IBM Plex Mono", ui-monospace, monospace')
+    .style('border', `2px solid ${ink}`)
+    .style('background', paper)
+    .style('padding', '4px 8px')
+    .style('border-radius', '4px')
+    .style('cursor', 'pointer')
+    .on('change', function() {
+      applyCohort(this.value);
+    });
+  
+  cohortSelect.selectAll('option')
+    .data(incomeCohorts)
+    .enter()
+    .append('option')
+    .attr('value', d => d.cohort)
+    .property('selected', d => d.cohort === currentCohort)
+    .text((d, i) => (i === incomeCohorts.length - 1 ? `${d.cohort} (latest)` : d.cohort));
+  
+  function describePrediction() {
+    predictionNote.text(`Based on ${avatarData.state} baseline, reading score, ${avatarData.ses} SES (${currentCohort} income cohort), and state inequality${giniYear ? '' : ` (no Census Gini within 3 years of the NAEP year, so ${FALLBACK_GINI} is assumed)`}`);
+  }
+  describePrediction();
+  
+  // Re-run the model with another cohort: the card, the all-states scatter and the cohort chart follow
+  function applyCohort(next) {
+    const row = incomeCohorts.find(c => c.cohort === next);
+    if (!row || next === currentCohort) return;
+    currentCohort = next;
+    incomeEffects = cohortEffects(row);
+    incomeEffect = incomeEffects[avatarData.ses] || incomeEffects.medium;
+    finalPrediction = predictRate({ baseRate, readingAdjustment, incomeEffect, giniPenalty });
+    console.log(`🔄 Income cohort ${next}:`, incomeEffects, `→ ${finalPrediction.toFixed(1)}%`);
+    
+    filledDots = Math.round(finalPrediction);
+    dots.forEach(d => { d.filled = d.index < filledDots; });
+    percentText.text(`${finalPrediction.toFixed(0)}%`);
+    if (animated) {
+      dotGroup.transition()
+        .duration(300)
+        .attr('fill', d => (d.filled ? '#3498db' : '#e0e0e0'))
+        .attr('stroke-width', d => (d.filled ? 2 : 1.5));
+    }
+    cohortSelect.property('value', next);
+    describePrediction();
+    renderScatterPlot(currentSES);
+    panels.income.handle?.highlight(next);
+  }
   
   // REPLACED: State Comparison Scatter Plot (instead of visual breakdown)
-  wrapper.append('div')
+  const viewTitle = wrapper.append('div')
     .style('margin-top', '20px')
     .style('margin-bottom', '10px')
     .style('font-size', '18px')
     .style('font-weight', 'bold')
     .style('font-family', 'Anton, Impact, system-ui')
-    .style('color', ink)
-    .text('ALL STATES: PREDICTED GRADUATION RATES');
+    .style('color', ink);
   
-  wrapper.append('div')
+  const viewIntro = wrapper.append('div')
     .style('font-size', '11px')
     .style('color', '#666')
     .style('margin-bottom', '12px')
-    .style('font-family', '"IBM Plex Mono", monospace')
-    .text('See how reading scores predict college outcomes across all states. Filter by socioeconomic status to see disparities.');
+    .style('font-family', '"IBM Plex Mono", monospace');
+  
+  // View toggle: prediction scatter or HS graduates trend
+  const viewGroup = wrapper.append('div')
+    .attr('role', 'group')
+    .attr('aria-label', 'Chart')
+    .style('display', 'flex')
+    .style('gap', '8px')
+    .style('margin-bottom', '12px')
+    .style('flex-wrap', 'wrap');
   
   // Create scatter plot container - compact
   const scatterContainer = wrapper.append('div')
@@ -401,6 +568,72 @@ function renderPredictionViz({
     .style('padding', '15px 12px')
     .style('margin-bottom', '15px');
   
+  const panelContainer = id => wrapper.append('div')
+    .attr('id', id)
+    .style('display', 'none')
+    .style('background', '#fff')
+    .style('border', `3px solid ${ink}`)
+    .style('border-radius', '8px')
+    .style('padding', '15px 12px')
+    .style('margin-bottom', '15px');
+  
+  // The other views fetch their data the first time they are shown
+  const panels = {
+    prediction: { container: scatterContainer, rendered: true },
+    graduation: {
+      container: panelContainer('graduation-trend-container'),
+      render: container => renderGraduationTrend(container, { state: avatarData.state, paper, ink })
+    },
+    income: {
+      container: panelContainer('income-cohort-container'),
+      render: container => renderIncomeCohortTrend(container, {
+        incomeCohorts, cohort: currentCohort, onSelect: applyCohort, paper, ink
+      })
+    },
+    enrollment: {
+      container: panelContainer('enrollment-scatter-container'),
+      render: container => renderEnrollmentScatter(container, {
+        naepData, grade: avatarData.grade, subject, state: avatarData.state, subgroup, unreliable, paper, ink
+      })
+    }
+  };
+  
+  let currentView = null;
+  
+  function setView(next) {
+    currentView = next;
+    viewTitle.text(VIEWS[next].title);
+    viewIntro.text(VIEWS[next].intro);
+    Object.entries(panels).forEach(([name, panel]) => {
+      panel.container.style('display', name === next ? null : 'none');
+    });
+    viewGroup.selectAll('button')
+      .attr('aria-pressed', function() { return String(d3.select(this).attr('data-view') === next); })
+      .style('background', function() { return d3.select(this).attr('data-view') === next ? ink : paper; })
+      .style('color', function() { return d3.select(this).attr('data-view') === next ? paper : ink; });
+    const panel = panels[next];
+    if (!panel.rendered) {
+      panel.rendered = true;
+      panel.handle = panel.render(panel.container);
+    }
+  }
+  
+  Object.entries(VIEWS).forEach(([value, { label }]) => {
+    viewGroup.append('button')
+      .attr('data-view', value)
+      .style('padding', '6px 18px')
+      .style('border', `2px solid ${ink}`)
+      .style('border-radius', '6px')
+      .style('font-family', '"IBM Plex Mono", monospace')
+      .style('font-size', '12px')
+      .style('font-weight', '600')
+      .style('cursor', 'pointer')
+      .text(label)
+      .on('click', () => {
+        if (currentView !== value) setView(value);
+      });
+  });
+  
   // SES filter buttons - compact
   const buttonGroup = scatterContainer.append('div')
     .style('display', 'flex')
@@ -416,19 +649,19 @@ function renderPredictionViz({
   ];
   
   let currentSES = avatarData.ses;
+  let currentSubject = subject;
   
-  // Function to calculate prediction for a state at a given SES level
-  function calculateStatePrediction(stateCode, sesLevel, literacyScore) {
+  // Function to calculate prediction for a state at a given SES level, with the Gini matched to the NAEP year
+  function calculateStatePrediction(stateCode, sesLevel, literacyScore, naepYear) {
     const baseRate = stateGradRates.get(stateCode) || 35;
-    const gini = stateGini.get(stateCode) || 0.48;
+    const gini = giniFor(stateCode, naepYear)?.value ?? FALLBACK_GINI;
     const income = incomeEffects[sesLevel] || incomeEffects.medium;
     
-    const readingAdj = literacyScore ? ((literacyScore - 240) / 10) * 2 : 0;
-    const incomeMod = (income / 50);
+    const pivot = scorePivot(naepData, avatarData.grade, currentSubject);
+    const readingAdj = literacyScore ? ((literacyScore - pivot) / 10) * 2 : 0;
     const giniPen = (gini - 0.45) * 10;
     
-    const predicted = baseRate + readingAdj + (baseRate * (incomeMod - 1)) - giniPen;
-    return Math.max(15, Math.min(75, predicted));
+    return predictRate({ baseRate, readingAdjustment: readingAdj, incomeEffect: income, giniPenalty: giniPen });
   }
   
   // Function to render scatter plot
@@ -437,34 +670,33 @@ function renderPredictionViz({
     d3.select('#scatter-svg').remove();
     
     // Prepare data for all states
-    const sesGap = 18;
     const stateScores = [];
+    const subjectData = getGradeData(naepData, avatarData.grade, currentSubject) || gradeData;
     
     // Get all state codes
-    const stateCodes = Object.keys(gradeData.states || {});
-    const years = gradeData.years.sort((a, b) => b - a);
+    const stateCodes = Object.keys(subjectData.states || {});
+    const years = subjectData.years.sort((a, b) => b - a);
     const latestYear = String(years[0]);
     
     stateCodes.forEach(stateCode => {
-      let baseScore = gradeData.states[stateCode][latestYear];
-      if (!baseScore) return;
+      // SES-specific score from NSLP eligibility results (estimated when not reported)
+      const { score, estimated, method } = getSESScore(subjectData, stateCode, latestYear, selectedSES);
+      if (!score) return;
       
-      // Apply SES adjustment
-      let adjustedScore = baseScore;
-      if (selectedSES === 'low') adjustedScore -= sesGap;
-      else if (selectedSES === 'high') adjustedScore += sesGap;
-      
-      const prediction = calculateStatePrediction(stateCode, selectedSES, adjustedScore);
+      const prediction = calculateStatePrediction(stateCode, selectedSES, score, latestYear);
       
       stateScores.push({
         state: stateCode,
-        literacyScore: adjustedScore,
+        literacyScore: score,
+        estimated,
+        method,
+        gini: giniFor(stateCode, latestYear),
         prediction: prediction,
         isAvatar: stateCode === avatarData.state
       });
     });
     
-    console.log(`📊 Prepared ${stateScores.length} states for scatter plot (SES: ${selectedSES})`);
+    console.log(`📊 Prepared ${stateScores.length} states for scatter plot (SES: ${selectedSES}, ${currentSubject})`);
     
     // Update button styles
     buttonGroup.selectAll('button')
@@ -532,7 +764,7 @@ function renderPredictionViz({
       .attr('font-weight', '600')
       .attr('font-family', '"IBM Plex Mono", monospace')
       .attr('fill', ink)
-      .text('Reading Literacy Score (NAEP)');
+      .text(currentSubject === 'math' ? 'Math Score (NAEP)' : 'Reading Literacy Score (NAEP)');
     
     g.append('text')
       .attr('transform', 'rotate(-90)')
@@ -545,6 +777,29 @@ function renderPredictionViz({
       .attr('fill', ink)
       .text('Predicted College Graduation Rate (%)');
     
+    // Achievement-level cut scores for this grade and subject
+    Object.entries(getCutScores(avatarData.grade, currentSubject))
+      .filter(([, cut]) => cut >= xScale.domain()[0] && cut <= xScale.domain()[1])
+      .forEach(([level, cut]) => {
+        g.append('line')
+          .attr('x1', xScale(cut))
+          .attr('x2', xScale(cut))
+          .attr('y1', 0)
+          .attr('y2', innerHeight)
+          .attr('stroke', colorForLevel(level))
+          .attr('stroke-width', 1.5)
+          .attr('stroke-dasharray', '4,4')
+          .attr('opacity', 0.6);
+        
+        g.append('text')
+          .attr('x', xScale(cut) + 4)
+          .attr('y', 12)
+          .attr('font-size', '10px')
+          .attr('font-family', '"IBM Plex Mono", monospace')
+          .attr('fill', colorForLevel(level))
+          .text(`${level} (${cut})`);
+      });
+    
     // Trend line
     const xMean = d3.mean(stateScores, d => d.literacyScore);
     const yMean = d3.mean(stateScores, d => d.prediction);
@@ -604,6 +859,7 @@ function renderPredictionViz({
       })
       .attr('stroke', d => d.isAvatar ? '#000' : ink)
       .attr('stroke-width', d => d.isAvatar ? 3 : 1.5)
+      .attr('stroke-dasharray', d => d.estimated ? '3,2' : null)
       .attr('opacity', 0.8)
       .style('cursor', 'pointer')
       .on('mouseover', function(event, d) {
@@ -616,8 +872,9 @@ function renderPredictionViz({
           .style('visibility', 'visible')
           .html(`
             <strong>${getStateName(d.state)}</strong> ${d.isAvatar ? '(Your State)' : ''}<br/>
-            Literacy Score: <strong>${d.literacyScore.toFixed(0)}</strong><br/>
+            ${currentSubject === 'math' ? 'Math' : 'Literacy'} Score: <strong>${d.literacyScore.toFixed(0)}</strong>${d.estimated ? ' (estimated)' : ''}<br/>
             Predicted Grad Rate: <strong>${d.prediction.toFixed(1)}%</strong><br/>
+            Gini: <strong>${(d.gini?.value ?? FALLBACK_GINI).toFixed(2)}</strong> ${d.gini ? `(${d.gini.year})` : '(assumed, no Census value)'}<br/>
             SES: <strong>${selectedSES.toUpperCase()}</strong>
           `);
       })
@@ -717,6 +974,40 @@ function renderPredictionViz({
         .attr('fill', ink)
         .text(item.label);
     });
+    
+    // Footnote for estimated SES scores
+    if (stateScores.some(d => d.estimated)) {
+      const note = legend.append('g')
+        .attr('transform', `translate(0, ${legendData.length * 25 + 25})`);
+      
+      note.append('circle')
+        .attr('cx', 8)
+        .attr('cy', 0)
+        .attr('r', 6)
+        .attr('fill', 'none')
+        .attr('stroke', ink)
+        .attr('stroke-width', 1.5)
+        .attr('stroke-dasharray', '3,2');
+      
+      note.append('text')
+        .attr('x', 20)
+        .attr('y', 0)
+        .attr('dy', '0.35em')
+        .attr('font-size', '11px')
+        .attr('font-family', '"IBM Plex Mono", monospace')
+        .attr('fill', ink)
+        .text('Estimated score');
+      
+      note.append('text')
+        .attr('x', 0)
+        .attr('y', 20)
+        .attr('font-size', '9px')
+        .attr('font-family', '"IBM Plex Mono", monospace')
+        .attr('fill', ink)
+        .text(stateScores.some(d => d.method === 'fixedGap')
+          ? `State average ∓ ${FALLBACK_SES_GAP} (no NSLP results loaded)`
+          : 'NAEP suppressed this SES group');
+    }
   }
   
   // Create SES filter buttons
@@ -740,8 +1031,55 @@ function renderPredictionViz({
       });
   });
   
+  // Subject toggle, hidden while reading is the only subject with data
+  const subjectGroup = scatterContainer.append('div')
+    .style('display', (naepData.metadata?.subjects || []).length > 1 ? 'flex' : 'none')
+    .style('gap', '8px')
+    .style('justify-content', 'center')
+    .style('margin-bottom', '12px');
+  
+  const subjectOptions = [
+    { value: 'reading', label: 'Reading' },
+    { value: 'math', label: 'Math' }
+  ];
+  
+  function styleSubjectButtons() {
+    subjectGroup.selectAll('button')
+      .style('background', function() {
+        return d3.select(this).attr('data-subject') === currentSubject ? ink : paper;
+      })
+      .style('color', function() {
+        return d3.select(this).attr('data-subject') === currentSubject ? paper : ink;
+      });
+  }
+  
+  subjectOptions.forEach(option => {
+    const available = hasSubjectData(naepData, option.value);
+    subjectGroup.append('button')
+      .attr('data-subject', option.value)
+      .property('disabled', !available)
+      .attr('title', available ? null : 'Math results have not been added to naep_cleaned.json yet')
+      .style('padding', '6px 18px')
+      .style('border', `2px solid ${ink}`)
+      .style('border-radius', '6px')
+      .style('font-family', '"IBM Plex Mono", monospace')
+      .style('font-size', '12px')
+      .style('font-weight', '600')
+      .style('cursor', available ? 'pointer' : 'not-allowed')
+      .style('opacity', available ? 1 : 0.4)
+      .text(option.label)
+      .on('click', function() {
+        if (!available) return;
+        currentSubject = option.value;
+        styleSubjectButtons();
+        renderScatterPlot(currentSES);
+      });
+  });
+  styleSubjectButtons();
+  
   // Initial render
   renderScatterPlot(currentSES);
+  setView(view);
   
   // Explanation
   wrapper.append('div')
@@ -759,7 +1097,7 @@ function renderPredictionViz({
       • <strong>State baseline</strong>: Historical college completion rate for ${avatarData.state}<br/>
       • <strong>Reading proficiency</strong>: Students with higher NAEP scores have significantly better college outcomes<br/>
       • <strong>Socioeconomic status</strong>: Income quartile strongly predicts college completion (${avatarData.ses} SES)<br/>
-      • <strong>State inequality</strong>: Higher Gini index correlates with lower educational mobility<br/><br/>
+      • <strong>State inequality</strong>: Higher Gini index correlates with lower educational mobility${giniYear ? ` (${avatarData.state}: ${giniScore.toFixed(2)}, the ${giniYear} Census estimate matched to the latest NAEP year)` : ` (no Census estimate for ${avatarData.state} within 3 years of the latest NAEP year, so the model assumes ${FALLBACK_GINI})`}<br/><br/>
       <strong>What the scatter plot shows:</strong> Each dot represents a state's predicted college graduation rate 
       based on average reading scores. Filter by SES to see how outcomes vary dramatically by socioeconomic status. 
       States with higher literacy scores generally have better predicted outcomes, but SES creates substantial disparities.<br/><br/>
@@ -770,3 +1108,694 @@ function renderPredictionViz({
   
   console.log('✅ Prediction visualization rendered');
 }
+
+// Line chart of one state's public high school graduates for every school year in
+// data/hs_graduation.json, with a state picker (defaults to the avatar's state)
+async function renderGraduationTrend(container, { state, paper, ink }) {
+  const status = container.append('div')
+    .style('text-align', 'center')
+    .style('padding', '40px')
+    .style('font-family', '"IBM Plex Mono", monospace')
+    .style('color', ink)
+    .text('Loading graduation series...');
+  
+  let series;
+  try {
+    series = await loadGraduationSeries();
+  } catch (error) {
+    console.error('❌ Error loading graduation series:', error);
+    status.text(`Error: ${error.message}`).style('color', '#c0392b');
+    return;
+  }
+  status.remove();
+  
+  const stateCodes = Object.keys(series.states)
+    .sort((a, b) => getStateName(a).localeCompare(getStateName(b)));
+  let currentState = series.states[state] ? state : stateCodes[0];
+  const flagText = code => series.metadata?.flagDefinitions?.[code] || code;
+  
+  const controls = container.append('div')
+    .style('display', 'flex')
+    .style('gap', '8px')
+    .style('align-items', 'center')
+    .style('justify-content', 'center')
+    .style('margin-bottom', '12px')
+    .style('font-family', '"IBM Plex Mono", monospace')
+    .style('font-size', '12px');
+  
+  controls.append('label')
+    .attr('for', 'graduation-trend-state')
+    .text('State');
+  
+  const stateSelect = controls.append('select')
+    .attr('id', 'graduation-trend-state')
+    .style('font-family', '"IBM Plex Mono", ui-monospace, monospace')
+    .style('border', `2px solid ${ink}`)
+    .style('background', paper)
+    .style('padding', '6px 10px')
+    .style('border-radius', '4px')
+    .style('cursor', 'pointer')
+    .on('change', function() {
+      currentState = this.value;
+      drawTrend();
+    });
+  
+  stateSelect.selectAll('option')
+    .data(stateCodes)
+    .enter()
+    .append('option')
+    .attr('value', d => d)
+    .property('selected', d => d === currentState)
+    .text(d => (d === state ? `${getStateName(d)} (your state)` : getStateName(d)));
+  
+  const chart = container.append('div');
+  const note = container.append('div')
+    .style('margin-top', '8px')
+    .style('font-family', '"IBM Plex Mono", monospace')
+    .style('font-size', '11px')
+    .style('color', '#666')
+    .style('text-align', 'center');
+  
+  const tooltip = d3.select('body').selectAll('.viz4-trend-tooltip').data([0]);
+  const tooltipMerged = tooltip.enter().append('div').attr('class', 'viz4-trend-tooltip')
+    .merge(tooltip)
+    .style('position', 'absolute')
+    .style('visibility', 'hidden')
+    .style('background', '#fff')
+    .style('border', `2px solid ${ink}`)
+    .style('border-radius', '6px')
+    .style('padding', '10px')
+    .style('font-family', '"IBM Plex Mono", monospace')
+    .style('font-size', '12px')
+    .style('max-width', '280px')
+    .style('pointer-events', 'none')
+    .style('z-index', '10000')
+    .style('box-shadow', '0 2px 8px rgba(0,0,0,0.2)');
+  
+  function drawTrend() {
+    chart.selectAll('*').remove();
+    const points = graduationSeriesFor(series, currentState);
+    console.log(`📈 Graduation trend for ${currentState}: ${points.length} school years`);
+    
+    const width = 1000;
+    const height = 420;
+    const margin = { top: 30, right: 40, bottom: 60, left: 90 };
+    const innerWidth = width - margin.left - margin.right;
+    const innerHeight = height - margin.top - margin.bottom;
+    
+    const svg = chart.append('svg')
+      .attr('id', 'graduation-trend-svg')
+      .attr('width', width)
+      .attr('height', height)
+      .attr('role', 'img')
+      .attr('aria-label', `Public high school graduates in ${getStateName(currentState)}, ${series.schoolYears[series.years[0]]} to ${series.schoolYears[series.years.at(-1)]}`)
+      .style('display', 'block')
+      .style('margin', '0 auto');
+    
+    const g = svg.append('g')
+      .attr('transform', `translate(${margin.left}, ${margin.top})`);
+    
+    const xScale = d3.scaleLinear()
+      .domain(d3.extent(series.years))
+      .range([0, innerWidth]);
+    
+    const yScale = d3.scaleLinear()
+      .domain([0, (d3.max(points, d => d.graduates) || 1) * 1.1])
+      .nice()
+      .range([innerHeight, 0]);
+    
+    g.append('g')
+      .attr('transform', `translate(0, ${innerHeight})`)
+      .call(d3.axisBottom(xScale).ticks(10).tickFormat(d3.format('d')))
+      .selectAll('text')
+      .style('font-family', '"IBM Plex Mono", monospace')
+      .style('font-size', '11px');
+    
+    g.append('g')
+      .call(d3.axisLeft(yScale).ticks(8).tickFormat(d3.format(',')))
+      .selectAll('text')
+      .style('font-family', '"IBM Plex Mono", monospace')
+      .style('font-size', '11px');
+    
+    g.append('text')
+      .attr('x', innerWidth / 2)
+      .attr('y', innerHeight + 45)
+      .attr('text-anchor', 'middle')
+      .attr('font-size', '13px')
+      .attr('font-weight', '600')
+      .attr('font-family', '"IBM Plex Mono", monospace')
+      .attr('fill', ink)
+      .text('School Year (ending spring)');
+    
+    g.append('text')
+      .attr('transform', 'rotate(-90)')
+      .attr('x', -innerHeight / 2)
+      .attr('y', -70)
+      .attr('text-anchor', 'middle')
+      .attr('font-size', '13px')
+      .attr('font-weight', '600')
+      .attr('font-family', '"IBM Plex Mono", monospace')
+      .attr('fill', ink)
+      .text('Public HS Graduates');
+    
+    // One segment per pair of neighbouring points; dashed where school years are missing in between
+    g.selectAll('line.trend-segment')
+      .data(d3.pairs(points))
+      .enter()
+      .append('line')
+      .attr('class', 'trend-segment')
+      .attr('x1', ([a]) => xScale(a.year))
+      .attr('y1', ([a]) => yScale(a.graduates))
+      .attr('x2', ([, b]) => xScale(b.year))
+      .attr('y2', ([, b]) => yScale(b.graduates))
+      .attr('stroke', ink)
+      .attr('stroke-width', 2)
+      .attr('stroke-dasharray', ([a, b]) => (b.year - a.year > 1 ? '6,4' : null));
+    
+    g.selectAll('circle.trend-point')
+      .data(points)
+      .enter()
+      .append('circle')
+      .attr('class', 'trend-point')
+      .attr('cx', d => xScale(d.year))
+      .attr('cy', d => yScale(d.graduates))
+      .attr('r', 5)
+      .attr('fill', d => (d.flags.length ? '#fff' : ink))
+      .attr('stroke', ink)
+      .attr('stroke-width', 2)
+      .style('cursor', 'pointer')
+      .on('mouseover', function(event, d) {
+        d3.select(this).attr('r', 7);
+        const notes = d.flags.map(code => `<br/><span style="color:#666;">${flagText(code)}</span>`).join('');
+        tooltipMerged
+          .style('visibility', 'visible')
+          .html(`
+            <strong>${getStateName(currentState)}</strong> • ${d.schoolYear}<br/>
+            Graduates: <strong>${d.graduates.toLocaleString()}</strong>${notes}
+          `);
+      })
+      .on('mousemove', function(event) {
+        tooltipMerged
+          .style('top', (event.pageY - 10) + 'px')
+          .style('left', (event.pageX + 10) + 'px');
+      })
+      .on('mouseout', function() {
+        d3.select(this).attr('r', 5);
+        tooltipMerged.style('visibility', 'hidden');
+      });
+    
+    const acgr = series.acgr?.states?.[currentState];
+    const acgrFlags = series.acgr?.flags?.[currentState] || [];
+    note.text(acgr != null
+      ? `Adjusted cohort graduation rate ${series.acgr.schoolYear}: ${acgr}%`
+      : `Adjusted cohort graduation rate ${series.acgr?.schoolYear || ''}: ${acgrFlags.map(flagText).join(' ') || 'not reported'}`);
+  }
+  
+  drawTrend();
+}
+
+// Scatter of each state's average NAEP score against the % of 18- to 24-year-olds enrolled in
+// college for one race/ethnicity group, with ±1.96 SE bars. Suppressed (‡) estimates are left out;
+// unreliable (!) ones are hatched or hidden.
+async function renderEnrollmentScatter(container, { naepData, grade, subject, state, subgroup, unreliable, paper, ink }) {
+  const status = container.append('div')
+    .style('text-align', 'center')
+    .style('padding', '40px')
+    .style('font-family', '"IBM Plex Mono", monospace')
+    .style('color', ink)
+    .text('Loading college enrollment...');
+  
+  let enrollment;
+  try {
+    enrollment = await loadCollegeEnrollment();
+  } catch (error) {
+    console.error('❌ Error loading college enrollment:', error);
+    status.text(`Error: ${error.message}`).style('color', '#c0392b');
+    return;
+  }
+  status.remove();
+  
+  const groups = enrollment.groups;
+  let currentGroup = groups.some(g => g.key === subgroup) ? subgroup : 'total';
+  let unreliableMode = unreliable;
+  const flagText = code => enrollment.metadata?.flagDefinitions?.[code] || code;
+  const groupLabel = key => groups.find(g => g.key === key)?.label || key;
+  
+  // x: all-students state average for the avatar's grade, latest assessment
+  const subjectData = getGradeData(naepData, grade, subject);
+  const latestYear = subjectData?.years?.length ? String(Math.max(...subjectData.years)) : null;
+  const scoreFor = usps => (latestYear ? subjectData.states?.[usps]?.[latestYear] ?? null : null);
+  const subjectLabel = subject === 'math' ? 'Math' : 'Reading';
+  
+  const controls = container.append('div')
+    .style('display', 'flex')
+    .style('gap', '8px')
+    .style('align-items', 'center')
+    .style('justify-content', 'center')
+    .style('flex-wrap', 'wrap')
+    .style('margin-bottom', '12px')
+    .style('font-family', '"IBM Plex Mono", monospace')
+    .style('font-size', '12px');
+  
+  controls.append('label')
+    .attr('for', 'enrollment-subgroup')
+    .text('Group');
+  
+  const groupSelect = controls.append('select')
+    .attr('id', 'enrollment-subgroup')
+    .style('font-family', '"IBM Plex Mono", ui-monospace, monospace')
+    .style('border', `2px solid ${ink}`)
+    .style('background', paper)
+    .style('padding', '6px 10px')
+    .style('border-radius', '4px')
+    .style('cursor', 'pointer')
+    .on('change', function() {
+      currentGroup = this.value;
+      drawScatter();
+    });
+  
+  groupSelect.selectAll('option')
+    .data(groups)
+    .enter()
+    .append('option')
+    .attr('value', d => d.key)
+    .property('selected', d => d.key === currentGroup)
+    .text(d => (d.key === 'total' ? 'All students' : d.label));
+  
+  controls.append('span')
+    .style('margin-left', '12px')
+    .text('Unreliable (!)');
+  
+  const modeGroup = controls.append('div')
+    .attr('role', 'group')
+    .attr('aria-label', 'Estimates flagged unreliable')
+    .style('display', 'flex')
+    .style('gap', '4px');
+  
+  function styleModeButtons() {
+    modeGroup.selectAll('button')
+      .attr('aria-pressed', function() { return String(d3.select(this).attr('data-mode') === unreliableMode); })
+      .style('background', function() { return d3.select(this).attr('data-mode') === unreliableMode ? ink : paper; })
+      .style('color', function() { return d3.select(this).attr('data-mode') === unreliableMode ? paper : ink; });
+  }
+  
+  Object.entries(UNRELIABLE_MODES).forEach(([mode, label]) => {
+    modeGroup.append('button')
+      .attr('data-mode', mode)
+      .style('padding', '4px 12px')
+      .style('border', `2px solid ${ink}`)
+      .style('border-radius', '6px')
+      .style('font-family', '"IBM Plex Mono", monospace')
+      .style('font-size', '12px')
+      .style('font-weight', '600')
+      .style('cursor', 'pointer')
+      .text(label)
+      .on('click', () => {
+        unreliableMode = mode;
+        styleModeButtons();
+        drawScatter();
+      });
+  });
+  styleModeButtons();
+  
+  const chart = container.append('div');
+  const note = container.append('div')
+    .style('margin-top', '8px')
+    .style('font-family', '"IBM Plex Mono", monospace')
+    .style('font-size', '11px')
+    .style('color', '#666')
+    .style('text-align', 'center');
+  
+  const tooltip = d3.select('body').selectAll('.viz4-enrollment-tooltip').data([0]);
+  const tooltipMerged = tooltip.enter().append('div').attr('class', 'viz4-enrollment-tooltip')
+    .merge(tooltip)
+    .style('position', 'absolute')
+    .style('visibility', 'hidden')
+    .style('background', '#fff')
+    .style('border', `2px solid ${ink}`)
+    .style('border-radius', '6px')
+    .style('padding', '10px')
+    .style('font-family', '"IBM Plex Mono", monospace')
+    .style('font-size', '12px')
+    .style('max-width', '300px')
+    .style('pointer-events', 'none')
+    .style('z-index', '10000')
+    .style('box-shadow', '0 2px 8px rgba(0,0,0,0.2)');
+  
+  function drawScatter() {
+    chart.selectAll('*').remove();
+    
+    const counts = { reliable: 0, unreliable: 0, suppressed: 0, missing: 0, noScore: 0 };
+    const points = [];
+    Object.entries(enrollment.states).forEach(([usps, byGroup]) => {
+      const estimate = byGroup[currentGroup];
+      const reliability = enrollmentReliability(estimate);
+      counts[reliability] += 1;
+      if (reliability !== 'reliable' && reliability !== 'unreliable') return;
+      const score = scoreFor(usps);
+      if (score == null) {
+        counts.noScore += 1;
+        return;
+      }
+      if (reliability === 'unreliable' && unreliableMode === 'hide') return;
+      points.push({ state: usps, score, ...estimate, reliability, isAvatar: usps === state });
+    });
+    console.log(`📊 Enrollment scatter (${currentGroup}): ${points.length} states shown`, counts);
+    
+    const width = 1000;
+    const height = 460;
+    const margin = { top: 30, right: 40, bottom: 60, left: 70 };
+    const innerWidth = width - margin.left - margin.right;
+    const innerHeight = height - margin.top - margin.bottom;
+    
+    const svg = chart.append('svg')
+      .attr('id', 'enrollment-scatter-svg')
+      .attr('width', width)
+      .attr('height', height)
+      .attr('role', 'img')
+      .attr('aria-label', `College enrollment, ${groupLabel(currentGroup)}, against state average NAEP ${subjectLabel.toLowerCase()} score`)
+      .style('display', 'block')
+      .style('margin', '0 auto');
+    
+    svg.append('defs')
+      .append('pattern')
+      .attr('id', 'viz4-unreliable-hatch')
+      .attr('patternUnits', 'userSpaceOnUse')
+      .attr('width', 5)
+      .attr('height', 5)
+      .attr('patternTransform', 'rotate(45)')
+      .append('line')
+      .attr('x1', 0).attr('y1', 0).attr('x2', 0).attr('y2', 5)
+      .attr('stroke', '#3498db')
+      .attr('stroke-width', 2);
+    
+    const g = svg.append('g')
+      .attr('transform', `translate(${margin.left}, ${margin.top})`);
+    
+    const scores = Object.keys(enrollment.states).map(scoreFor).filter(v => v != null);
+    const xScale = d3.scaleLinear()
+      .domain(scores.length ? [d3.min(scores) - 3, d3.max(scores) + 3] : [200, 300])
+      .nice()
+      .range([0, innerWidth]);
+    
+    const yMax = d3.max(points, d => d.rate + 1.96 * (d.se || 0)) || 60;
+    const yScale = d3.scaleLinear()
+      .domain([0, Math.min(100, yMax * 1.1)])
+      .nice()
+      .range([innerHeight, 0]);
+    
+    g.append('g')
+      .attr('transform', `translate(0, ${innerHeight})`)
+      .call(d3.axisBottom(xScale).ticks(10))
+      .selectAll('text')
+      .style('font-family', '"IBM Plex Mono", monospace')
+      .style('font-size', '11px');
+    
+    g.append('g')
+      .call(d3.axisLeft(yScale).ticks(8).tickFormat(d => d + '%'))
+      .selectAll('text')
+      .style('font-family', '"IBM Plex Mono", monospace')
+      .style('font-size', '11px');
+    
+    g.append('text')
+      .attr('x', innerWidth / 2)
+      .attr('y', innerHeight + 45)
+      .attr('text-anchor', 'middle')
+      .attr('font-size', '13px')
+      .attr('font-weight', '600')
+      .attr('font-family', '"IBM Plex Mono", monospace')
+      .attr('fill', ink)
+      .text(`State Average ${subjectLabel} Score, Grade ${grade} (NAEP ${latestYear || ''}, all students)`);
+    
+    g.append('text')
+      .attr('transform', 'rotate(-90)')
+      .attr('x', -innerHeight / 2)
+      .attr('y', -50)
+      .attr('text-anchor', 'middle')
+      .attr('font-size', '13px')
+      .attr('font-weight', '600')
+      .attr('font-family', '"IBM Plex Mono", monospace')
+      .attr('fill', ink)
+      .text(`18–24 Enrolled in College, ${enrollment.year} (%)`);
+    
+    // 95% confidence bars
+    g.selectAll('line.enrollment-ci')
+      .data(points.filter(d => d.se != null))
+      .enter()
+      .append('line')
+      .attr('class', 'enrollment-ci')
+      .attr('x1', d => xScale(d.score))
+      .attr('x2', d => xScale(d.score))
+      .attr('y1', d => yScale(Math.max(0, d.rate - 1.96 * d.se)))
+      .attr('y2', d => yScale(Math.min(100, d.rate + 1.96 * d.se)))
+      .attr('stroke', ink)
+      .attr('stroke-width', 1)
+      .attr('opacity', d => (d.reliability === 'unreliable' ? 0.25 : 0.4));
+    
+    g.selectAll('circle.enrollment-point')
+      .data(points)
+      .enter()
+      .append('circle')
+      .attr('class', d => `enrollment-point ${d.reliability}`)
+      .attr('cx', d => xScale(d.score))
+      .attr('cy', d => yScale(d.rate))
+      .attr('r', 7)
+      .attr('fill', d => (d.reliability === 'unreliable' ? 'url(#viz4-unreliable-hatch)' : '#3498db'))
+      .attr('stroke', d => (d.isAvatar ? '#000' : ink))
+      .attr('stroke-width', d => (d.isAvatar ? 3 : 1.5))
+      .attr('stroke-dasharray', d => (d.reliability === 'unreliable' ? '3,2' : null))
+      .attr('opacity', 0.85)
+      .style('cursor', 'pointer')
+      .on('mouseover', function(event, d) {
+        d3.select(this).attr('opacity', 1).attr('r', 9);
+        const ci = d.se != null ? ` <span style="color:#666;">(±${(1.96 * d.se).toFixed(1)})</span>` : '';
+        const notes = d.flags.map(code => `<br/><span style="color:#666;">${flagText(code)}</span>`).join('');
+        tooltipMerged
+          .style('visibility', 'visible')
+          .html(`
+            <strong>${getStateName(d.state)}</strong> ${d.isAvatar ? '(Your State)' : ''}<br/>
+            ${groupLabel(currentGroup)}: <strong>${d.rate.toFixed(1)}%</strong>${ci}<br/>
+            ${subjectLabel} Score: <strong>${d.score.toFixed(0)}</strong>${notes}
+          `);
+      })
+      .on('mousemove', function(event) {
+        tooltipMerged
+          .style('top', (event.pageY - 10) + 'px')
+          .style('left', (event.pageX + 10) + 'px');
+      })
+      .on('mouseout', function() {
+        d3.select(this).attr('opacity', 0.85).attr('r', 7);
+        tooltipMerged.style('visibility', 'hidden');
+      });
+    
+    const avatarPoint = points.find(d => d.isAvatar);
+    if (avatarPoint) {
+      g.append('text')
+        .attr('x', xScale(avatarPoint.score))
+        .attr('y', yScale(avatarPoint.rate) - 14)
+        .attr('text-anchor', 'middle')
+        .attr('font-size', '11px')
+        .attr('font-weight', 'bold')
+        .attr('font-family', '"IBM Plex Mono", monospace')
+        .attr('fill', ink)
+        .text(getStateName(avatarPoint.state).toUpperCase());
+    }
+    
+    const notShown = [
+      counts.suppressed && `${counts.suppressed} state${counts.suppressed === 1 ? '' : 's'} not shown: reporting standards not met (‡)`,
+      counts.unreliable && (unreliableMode === 'hide'
+        ? `${counts.unreliable} unreliable estimate${counts.unreliable === 1 ? '' : 's'} (!) hidden`
+        : `${counts.unreliable} unreliable estimate${counts.unreliable === 1 ? '' : 's'} (!) hatched`),
+      counts.noScore && `${counts.noScore} without a NAEP score`
+    ].filter(Boolean);
+    note.text(`${points.length} states shown. ${notShown.join(' • ')}`.trim());
+    // Say why the avatar's state is missing (flag codes match the reliability names)
+    const avatarReliability = enrollmentReliability(enrollment.states[state]?.[currentGroup]);
+    if (!avatarPoint && (avatarReliability === 'suppressed' || avatarReliability === 'unreliable')) {
+      note.append('div').text(`${getStateName(state)}: ${flagText(avatarReliability)}`);
+    }
+  }
+  
+  drawScatter();
+}
+
+// Graduation rate of each income quartile across the entering cohorts, with the highest-minus-lowest
+// gap marked per cohort. Clicking a cohort (or Enter / Space on it) passes it to onSelect.
+// Output: { highlight(cohort) } to mark the cohort the model uses
+function renderIncomeCohortTrend(container, { incomeCohorts, cohort, onSelect, paper, ink }) {
+  const width = 1000;
+  const height = 440;
+  const margin = { top: 40, right: 160, bottom: 60, left: 70 };
+  const innerWidth = width - margin.left - margin.right;
+  const innerHeight = height - margin.top - margin.bottom;
+  
+  const gapOf = c => c.quartiles.q4 - c.quartiles.q1;
+  const first = incomeCohorts[0];
+  const last = incomeCohorts.at(-1);
+  
+  const svg = container.append('svg')
+    .attr('id', 'income-cohort-svg')
+    .attr('width', width)
+    .attr('height', height)
+    .attr('role', 'img')
+    .attr('aria-label', `College graduation by family income quartile, cohorts ${first.cohort} to ${last.cohort}`)
+    .style('display', 'block')
+    .style('margin', '0 auto');
+  
+  const g = svg.append('g')
+    .attr('transform', `translate(${margin.left}, ${margin.top})`);
+  
+  const xScale = d3.scalePoint()
+    .domain(incomeCohorts.map(c => c.cohort))
+    .range([0, innerWidth])
+    .padding(0.5);
+  
+  const yScale = d3.scaleLinear()
+    .domain([0, Math.max(80, d3.max(incomeCohorts, c => c.quartiles.q4) + 5)])
+    .nice()
+    .range([innerHeight, 0]);
+  
+  // Cohort bands: the selected one is shaded, and each band selects its cohort
+  const bandWidth = xScale.step();
+  const bands = g.selectAll('rect.cohort-band')
+    .data(incomeCohorts)
+    .enter()
+    .append('rect')
+    .attr('class', 'cohort-band')
+    .attr('x', d => xScale(d.cohort) - bandWidth / 2)
+    .attr('y', 0)
+    .attr('width', bandWidth)
+    .attr('height', innerHeight)
+    .attr('tabindex', 0)
+    .attr('role', 'button')
+    .attr('aria-label', d => `Use the ${d.cohort} cohort in the prediction`)
+    .style('cursor', 'pointer')
+    .style('outline', 'none')
+    .on('click', (event, d) => onSelect(d.cohort))
+    .on('keydown', (event, d) => {
+      if (event.key === 'Enter' || event.key === ' ') {
+        event.preventDefault();
+        onSelect(d.cohort);
+      }
+    });
+  
+  g.append('g')
+    .attr('transform', `translate(0, ${innerHeight})`)
+    .call(d3.axisBottom(xScale))
+    .selectAll('text')
+    .style('font-family', '"IBM Plex Mono", monospace')
+    .style('font-size', '11px');
+  
+  g.append('g')
+    .call(d3.axisLeft(yScale).ticks(8).tickFormat(d => d + '%'))
+    .selectAll('text')
+    .style('font-family', '"IBM Plex Mono", monospace')
+    .style('font-size', '11px');
+  
+  g.append('text')
+    .attr('x', innerWidth / 2)
+    .attr('y', innerHeight + 45)
+    .attr('text-anchor', 'middle')
+    .attr('font-size', '13px')
+    .attr('font-weight', '600')
+    .attr('font-family', '"IBM Plex Mono", monospace')
+    .attr('fill', ink)
+    .text('Cohort (entered college / finished by)');
+  
+  g.append('text')
+    .attr('transform', 'rotate(-90)')
+    .attr('x', -innerHeight / 2)
+    .attr('y', -50)
+    .attr('text-anchor', 'middle')
+    .attr('font-size', '13px')
+    .attr('font-weight', '600')
+    .attr('font-family', '"IBM Plex Mono", monospace')
+    .attr('fill', ink)
+    .text('Earned a Bachelor\'s Degree (%)');
+  
+  const marks = g.append('g').style('pointer-events', 'none');
+  
+  // Gap between the highest and lowest quartile in each cohort
+  incomeCohorts.forEach(c => {
+    const x = xScale(c.cohort);
+    marks.append('line')
+      .attr('class', 'income-gap')
+      .attr('x1', x).attr('x2', x)
+      .attr('y1', yScale(c.quartiles.q1))
+      .attr('y2', yScale(c.quartiles.q4))
+      .attr('stroke', ink)
+      .attr('stroke-width', 2)
+      .attr('stroke-dasharray', '4,3');
+    marks.append('text')
+      .attr('x', x + 8)
+      .attr('y', (yScale(c.quartiles.q1) + yScale(c.quartiles.q4)) / 2)
+      .attr('dominant-baseline', 'middle')
+      .attr('font-size', '11px')
+      .attr('font-weight', 'bold')
+      .attr('font-family', '"IBM Plex Mono", monospace')
+      .attr('fill', ink)
+      .text(`${gapOf(c)} pts`);
+  });
+  
+  const line = d3.line()
+    .x(d => xScale(d.cohort))
+    .y(d => yScale(d.value));
+  
+  INCOME_QUARTILES.forEach(({ key, label, color }) => {
+    const values = incomeCohorts.map(c => ({ cohort: c.cohort, value: c.quartiles[key] }));
+    marks.append('path')
+      .attr('class', `income-line ${key}`)
+      .attr('d', line(values))
+      .attr('fill', 'none')
+      .attr('stroke', color)
+      .attr('stroke-width', 3);
+    marks.selectAll(`circle.${key}`)
+      .data(values)
+      .enter()
+      .append('circle')
+      .attr('class', key)
+      .attr('cx', d => xScale(d.cohort))
+      .attr('cy', d => yScale(d.value))
+      .attr('r', 5)
+      .attr('fill', color)
+      .attr('stroke', ink)
+      .attr('stroke-width', 1.5);
+    const end = values.at(-1);
+    marks.append('text')
+      .attr('x', xScale(end.cohort) + bandWidth / 2 + 6)
+      .attr('y', yScale(end.value))
+      .attr('dominant-baseline', 'middle')
+      .attr('font-size', '11px')
+      .attr('font-family', '"IBM Plex Mono", monospace')
+      .attr('fill', ink)
+      .text(`${label} ${end.value}%`);
+  });
+  
+  const inModel = marks.append('text')
+    .attr('y', -12)
+    .attr('text-anchor', 'middle')
+    .attr('font-size', '11px')
+    .attr('font-weight', 'bold')
+    .attr('font-family', '"IBM Plex Mono", monospace')
+    .attr('fill', ink)
+    .text('IN MODEL');
+  
+  container.append('div')
+    .style('margin-top', '8px')
+    .style('font-family', '"IBM Plex Mono", monospace')
+    .style('font-size', '11px')
+    .style('color', '#666')
+    .style('text-align', 'center')
+    .text(`Highest minus lowest quartile: ${gapOf(first)} points for the ${first.cohort} cohort, ${gapOf(last)} points for ${last.cohort}.`);
+  
+  function highlight(selected) {
+    bands
+      .attr('fill', d => (d.cohort === selected ? '#f7efe6' : paper))
+      .attr('fill-opacity', d => (d.cohort === selected ? 1 : 0))
+      .attr('aria-pressed', d => String(d.cohort === selected));
+    inModel.attr('x', xScale(selected));
+  }
+  
+  highlight(cohort);
+  return { highlight };
+}
@@ -16,6 +16,12 @@
  * - helpers3.js (for state name/code conversions and formatting)
  */
 
+import { loadJSONDataset } from './datasetCache.js';
+import { attachProvenance } from './provenance.js';
+import './datasetSchema.js';
+
+const { DatasetValidationError, formatError, errorListHTML } = window.DatasetSchema;
+
 // Configuration
 const CONFIG = {
   dimensions: {
@@ -98,14 +104,18 @@ function checkLibraries() {
 
 /**
  * Display error message
+ * details: optional field-level problems, listed under the message
  */
-function displayError(container, message = 'Error loading visualization') {
+function displayError(container, message = 'Error loading visualization', details = null) {
+  const body = details?.length
+    ? errorListHTML(details)
+    : `<p style="color: #666; font-size: 14px; line-height: 1.6; max-width: 500px; margin: 0 auto;">
+        Unable to load visualization data. Please check your data files and try again.
+      </p>`;
   container.html(`
     <div style="padding: 60px 40px; text-align: center; font-family: ${CONFIG.fonts.mono};">
       <h2 style="color: ${CONFIG.colors.lowSES}; font-size: 20px; margin-bottom: 16px;">⚠️ ${message}</h2>
-      <p style="color: #666; font-size: 14px; line-height: 1.6; max-width: 500px; margin: 0 auto;">
-        Unable to load visualization data. Please check your data files and try again.
-      </p>
+      ${body}
     </div>
   `);
 }
@@ -148,8 +158,8 @@ export async function renderFundingLiteracy({
     
     // Load data
     const [stateData, nationalData] = await Promise.all([
-      d3.json(dataUrl),
-      d3.json(nationalUrl)
+      loadJSONDataset(dataUrl),
+      loadJSONDataset(nationalUrl)
     ]);
     
     console.log(`📊 Loaded data for ${stateData.length} states`);
@@ -170,7 +180,11 @@ export async function renderFundingLiteracy({
   } catch (error) {
     console.error('❌ Error initializing visualization:', error);
     const root = d3.select(container);
-    displayError(root, 'Failed to load data');
+    if (error instanceof DatasetValidationError) {
+      displayError(root, `Invalid data in ${error.dataset}`, error.errors.map(formatError));
+    } else {
+      displayError(root, 'Failed to load data');
+    }
   }
 }
 
@@ -212,6 +226,17 @@ function createVisualization(root, stateData, nationalData, avatarStateData, ava
   
   // Add insights section
   createInsightsSection(wrapper, avatarStateData, nationalData, avatar, stateData);
+  
+  // viz5_data.json is built by scripts/build_viz5_data.js from these inputs
+  attachProvenance(wrapper, {
+    sources: [
+      'schoolFinance',
+      'districtPoverty',
+      { key: 'naep', vintage: nationalData.naep_year ? `${nationalData.naep_year} (reading)` : null },
+      { key: 'piaac', note: 'adult_literacy is the average literacy score (Lit_A).' }
+    ],
+    transformations: ['sesBands', 'studentWeighted']
+  });
 }
 
 /**
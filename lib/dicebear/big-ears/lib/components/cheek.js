@@ -0,0 +1,14 @@
+/**
+ * Do not change this file manually! This file was generated with the "Dicebear Exporter"-Plugin for Figma.
+ *
+ * Plugin: https://www.figma.com/community/plugin/1005765655729342787
+ * File: https://www.figma.com/file/KhTfMFWWniVgZmGVFL0KK6
+ */
+export const cheek = {
+    variant06: (components, colors) => `<g fill="#F88888"><rect x="21" y="16" width="43.4" height="43.4" rx="21.7"/><rect x="194" y="16" width="43.4" height="43.4" rx="21.7"/></g>`,
+    variant05: (components, colors) => `<g fill="#FFC6C6"><rect x="21" y="16" width="43.4" height="43.4" rx="21.7"/><rect x="194" y="16" width="43.4" height="43.4" rx="21.7"/></g>`,
+    variant04: (components, colors) => `<g fill="#F88888"><rect x="11" y="16" width="56.3" height="43.4" rx="21.7"/><rect x="191" y="16" width="56.3" height="43.4" rx="21.7"/></g>`,
+    variant03: (components, colors) => `<g fill="#FFC6C6"><rect x="11" y="16" width="56.3" height="43.4" rx="21.7"/><rect x="191" y="16" width="56.3" height="43.4" rx="21.7"/></g>`,
+    variant02: (components, colors) => `<g fill="#000" fill-opacity=".4"><rect x="33" y="38.5" width="12.9" height="12.9" rx="6.4"/><rect x="57.1" y="24" width="12.9" height="14.5" rx="6.4"/><rect x="76.4" y="38.5" width="12.9" height="12.9" rx="6.4"/><rect x="166.4" y="38.5" width="12.9" height="12.9" rx="6.4"/><rect x="190.5" y="24" width="12.9" height="14.5" rx="6.4"/><rect x="209.8" y="38.5" width="12.9" height="12.9" rx="6.4"/></g>`,
+    variant01: (components, colors) => `<g fill="#000" fill-opacity=".2"><rect x="33" y="38.5" width="12.9" height="12.9" rx="6.4"/><rect x="57.1" y="24" width="12.9" height="14.5" rx="6.4"/><rect x="76.4" y="38.5" width="12.9" height="12.9" rx="6.4"/><rect x="166.4" y="38.5" width="12.9" height="12.9" rx="6.4"/><rect x="190.5" y="24" width="12.9" height="14.5" rx="6.4"/><rect x="209.8" y="38.5" width="12.9" height="12.9" rx="6.4"/></g>`,
+};
@@ -0,0 +1,40 @@
+/**
+ * Do not change this file manually! This file was generated with the "Dicebear Exporter"-Plugin for Figma.
+ *
+ * Plugin: https://www.figma.com/community/plugin/1005765655729342787
+ * File: https://www.figma.com/file/KhTfMFWWniVgZmGVFL0KK6
+ */
+export const eyes = {
+    variant32: (components, colors) => `<g stroke="#000" stroke-linecap="round"><path d="M68 60.1c4.3-3.3 11-10 23.8-10.1a30 30 0 0 1 21.8 10.1" stroke-width="8.3"/><path d="M68 97.1c4.3-3.3 11-10 23.8-10.1a30 30 0 0 1 21.8 10.1" stroke-width="4.1"/><path d="M177 60.1c4.3-3.3 11-10 23.8-10.1a30 30 0 0 1 21.8 10.1" stroke-width="8.3"/><path d="M177 97.1c4.3-3.3 11-10 23.8-10.1a30 30 0 0 1 21.8 10.1" stroke-width="4.1"/></g>`,
+    variant31: (components, colors) => `<g stroke="#000" stroke-linecap="round"><path d="M222 49c-4.2 3.4-10.8 10.1-23.7 10.1a30 30 0 0 1-21.8-10" stroke-width="8.3"/><path d="M222 89c-4.2 3.4-10.8 10.1-23.7 10.1a30 30 0 0 1-21.8-10" stroke-width="4.1"/><path d="M110.6 49c-4.3 3.4-11 10.1-23.8 10.1A30 30 0 0 1 65 49" stroke-width="8.3"/><path d="M110.6 89c-4.3 3.4-11 10.1-23.8 10.1a30 30 0 0 1-21.8-10" stroke-width="4.1"/></g>`,
+    variant30: (components, colors) => `<g fill="#161616"><path d="M206.1 81.6a11.6 11.6 0 1 1-23.1 0 11.6 11.6 0 0 1 23.1 0Z"/><circle cx="93.6" cy="81.6" r="11.6"/></g>`,
+    variant29: (components, colors) => `<circle cx="196.2" cy="81.6" r="11.6" fill="#161616"/><circle cx="96.2" cy="81.6" r="11.6" fill="#161616"/><path d="M180 70c.9 2.5 4 7.8 9.2 9.2M80 70c.9 2.5 4 7.8 9.2 9.2" stroke="#000" stroke-width="4.6" stroke-linecap="round" stroke-linejoin="round"/>`,
+    variant28: (components, colors) => `<path d="M187 76a7 7 0 1 1 13.9 0v13.8a7 7 0 1 1-13.9 0V75.9ZM88 76a7 7 0 1 1 13.9 0v13.8a7 7 0 0 1-13.9 0V75.9Z" fill="#000"/>`,
+    variant27: (components, colors) => `<path d="M92.4 79.9a7 7 0 1 1 13.9 0v13.8a7 7 0 1 1-13.9 0V80ZM190.4 79.9a7 7 0 0 1 13.9 0v13.8a7 7 0 1 1-13.9 0V80Z" fill="#000"/><path d="M83.2 66c-.8 3 .4 10.2 11.5 13.9M181.2 66c-.8 3 .4 10.2 11.5 13.9" stroke="#000" stroke-width="4.6" stroke-linecap="round" stroke-linejoin="round"/>`,
+    variant26: (components, colors) => `<path d="M178.4 52.7c3.7-2.9 9.4-8.7 20.6-8.7a26 26 0 0 1 18.8 8.7M67.4 52.7C71 49.8 76.8 44 87.9 44a26 26 0 0 1 18.9 8.7" stroke="#000" stroke-width="3.7" stroke-linecap="round"/><circle cx="88.4" cy="90.8" r="28.4" fill="#fff"/><circle cx="198.7" cy="90.8" r="28.4" fill="#fff"/><circle cx="88.4" cy="90.8" r="15.3" fill="#000"/><circle cx="198.7" cy="90.8" r="15.3" fill="#000"/>`,
+    variant25: (components, colors) => `<path d="M75 75a23.9 23.9 0 1 0 40.7 22.7L75.2 75ZM211.1 75a23.9 23.9 0 1 1-40.7 22.7L211 75Z" fill="#fff"/><path d="M74.5 52.5c7.5 5 40 26 49 31.5M213 53c-7.5 5-40 26-49 31.5" stroke="#000" stroke-width="3.7" stroke-linecap="round"/><path d="M75 53c7.5 5 40 26 49 31.5M213.5 53.5c-7.5 5-40 26-49 31.5" stroke="#000" stroke-width="3.7" stroke-linecap="round"/>`,
+    variant24: (components, colors) => `<path d="M178.4 52.7c3.7-2.9 9.4-8.7 20.6-8.7a26 26 0 0 1 18.8 8.7M67.4 52.7C71 49.8 76.8 44 87.9 44a26 26 0 0 1 18.9 8.7" stroke="#000" stroke-width="3.7" stroke-linecap="round"/><circle cx="88.4" cy="90.8" r="28.4" fill="#fff"/><circle cx="198.7" cy="90.8" r="28.4" fill="#fff"/><circle cx="88.4" cy="90.8" r="15.3" fill="#757575"/><circle cx="198.7" cy="90.8" r="15.3" fill="#757575"/>`,
+    variant23: (components, colors) => `<path d="M51 66.6c6.9-2.2 17.4-6.6 38-6.6 17.6 0 32.3 4.9 35 6.6M164 66.6c6.9-2.2 17.4-6.6 38-6.6 17.6 0 32.3 4.9 35 6.6" stroke="#000" stroke-width="3.7" stroke-linecap="round"/><path d="M120.6 94.8s-24 11.6-35.4 11.6c-11.4 0-30.9-11.6-30.9-11.6s21.8-11.6 33.2-11.6c11.3 0 33.1 11.6 33.1 11.6ZM233.6 94.8s-24 11.6-35.4 11.6c-11.4 0-30.9-11.6-30.9-11.6s21.8-11.6 33.2-11.6c11.3 0 33.1 11.6 33.1 11.6Z" fill="#fff"/><circle cx="89.1" cy="94.8" r="11.6" fill="#000"/><circle cx="198.8" cy="94.8" r="11.6" fill="#000"/>`,
+    variant22: (components, colors) => `<path d="M78.2 51.4c3.1-2.5 8-7.4 17.3-7.4 8 0 14.6 5.4 15.8 7.4M179.2 51.4c3-2.5 7.9-7.4 17.2-7.4 8 0 14.7 5.4 15.9 7.4" stroke="#000" stroke-width="3.7" stroke-linecap="round"/><rect x="72" y="64.7" width="43.3" height="52.9" rx="14.4" fill="#fff"/><rect x="173" y="64.7" width="43.3" height="52.9" rx="14.4" fill="#fff"/><path d="M184 76.7a12 12 0 0 1 12.2-12l10 .1a12 12 0 0 1 11.8 12V106a12 12 0 0 1-12 12h-10a12 12 0 0 1-12-12V76.7ZM83 76.7a12 12 0 0 1 12.2-12l10 .1a12 12 0 0 1 11.8 12V106a12 12 0 0 1-12 12H95a12 12 0 0 1-12-12V76.7Z" fill="#757575"/><rect x="90.6" y="76.2" width="18.6" height="29" rx="9.3" fill="#000"/><rect x="191.6" y="76.2" width="18.6" height="29" rx="9.3" fill="#000"/>`,
+    variant21: (components, colors) => `<path d="M75 52.4c3.6-2.8 9-8.4 19.7-8.4 9 0 16.7 6.2 18 8.4M179.6 52.4c3.5-2.8 9-8.4 19.7-8.4 9 0 16.7 6.2 18 8.4" stroke="#000" stroke-width="4.2" stroke-linecap="round"/><rect x="72" y="60.4" width="49.4" height="60.4" rx="16.5" fill="#fff"/><rect x="173.6" y="60.4" width="49.4" height="60.4" rx="16.5" fill="#fff"/><rect x="81.4" y="68.8" width="30.2" height="46.7" rx="15.1" fill="#757575"/><rect x="182.9" y="68.8" width="30.2" height="46.7" rx="15.1" fill="#757575"/><rect x="88.5" y="78.4" width="16.5" height="26" rx="8.3" fill="#000"/><rect x="190" y="78.4" width="16.5" height="26" rx="8.3" fill="#000"/>`,
+    variant20: (components, colors) => `<path d="M76 52.4c3.6-2.8 9-8.4 19.8-8.4a25 25 0 0 1 18 8.4M180 52.4c3.6-2.8 9-8.4 19.8-8.4a25 25 0 0 1 18 8.4" stroke="#000" stroke-width="3.7" stroke-linecap="round"/><rect x="71" y="61.5" width="49.6" height="60.6" rx="14.4" fill="#fff"/><rect x="173" y="61.5" width="49.6" height="60.6" rx="14.4" fill="#fff"/><rect x="82" y="69.7" width="30.3" height="46.9" rx="9.6" fill="#000"/><rect x="181.3" y="69.7" width="30.3" height="46.9" rx="9.6" fill="#000"/>`,
+    variant19: (components, colors) => `<path d="M76 52.4c3.6-2.8 9-8.4 19.8-8.4a25 25 0 0 1 18 8.4M180 52.4c3.6-2.8 9-8.4 19.8-8.4a25 25 0 0 1 18 8.4" stroke="#000" stroke-width="3.7" stroke-linecap="round"/><rect x="71" y="61.5" width="49.6" height="60.6" rx="14.4" fill="#fff"/><rect x="173" y="61.5" width="49.6" height="60.6" rx="14.4" fill="#fff"/><rect x="82" y="69.7" width="30.3" height="46.9" rx="9.6" fill="#757575"/><rect x="181.3" y="69.7" width="30.3" height="46.9" rx="9.6" fill="#757575"/>`,
+    variant18: (components, colors) => `<path d="M120.9 100.5s-24.3 11.7-35.7 11.7c-11.5 0-31.2-11.7-31.2-11.7s22-11.7 33.5-11.7c11.4 0 33.4 11.7 33.4 11.7ZM235.3 100.5s-24.3 11.7-35.7 11.7c-11.5 0-31.2-11.7-31.2-11.7s22-11.7 33.5-11.7c11.4 0 33.4 11.7 33.4 11.7Z" fill="#fff"/><circle cx="89.1" cy="100.5" r="11.7" fill="#000"/><circle cx="200.2" cy="100.5" r="11.7" fill="#000"/><path fill="#403E3E" d="M49 52h76.9v20.1H49zM161.4 52h76.9v20.1h-76.9z"/>`,
+    variant17: (components, colors) => `<path d="M74 93.1h40.4v11H74zM74 60h40.4v11H74zM173.3 93.1h40.4v11h-40.4zM173.3 60h40.4v11h-40.4z" fill="#000"/>`,
+    variant16: (components, colors) => `<path d="M74 81.1h40.4v36.8H74zM74 48h40.4v11H74zM173.3 81.1h40.4v36.8h-40.4zM173.3 48h40.4v11h-40.4z" fill="#000"/>`,
+    variant15: (components, colors) => `<ellipse cx="92.3" cy="93.8" rx="19.7" ry="32.2" fill="#fff"/><ellipse cx="195.9" cy="93.8" rx="18.7" ry="32.2" fill="#fff"/><ellipse cx="96.5" cy="93.8" rx="15.6" ry="25.9" fill="#000"/><ellipse cx="191.8" cy="92.8" rx="14.5" ry="24.9" fill="#000"/><path d="M63 48.3c2-1.4 13-8.3 29-8.3s31 6.9 29 8.3c0 16-3 0-28.1 0-27 0-30 16-30 0ZM167 48.3c2-1.4 13-8.3 29-8.3s31 6.9 29 8.3c0 16-3 0-28.1 0-27 0-29.9 16-29.9 0Z" fill="#000"/>`,
+    variant14: (components, colors) => `<ellipse cx="93.3" cy="94.7" rx="20.8" ry="33.9" fill="#fff"/><ellipse cx="192.1" cy="94.7" rx="20.8" ry="33.9" fill="#fff"/><ellipse cx="93.3" cy="94.7" rx="16.4" ry="27.4" fill="#000"/><ellipse cx="192.1" cy="94.7" rx="16.4" ry="27.4" fill="#000"/><path d="M64 44.4A54 54 0 0 1 93.4 36c16.3 0 31.4 7 29.4 8.4 0 16.2-3 0-28.5 0-27.4 0-30.3 16.2-30.3 0ZM166 44.4a54 54 0 0 1 29.4-8.4c16.3 0 31.4 7 29.4 8.4 0 16.2-3 0-28.5 0-27.4 0-30.3 16.2-30.3 0Z" fill="#000"/>`,
+    variant13: (components, colors) => `<path d="M58.7 45.3A60 60 0 0 1 91.4 36c18 0 34.8 7.8 32.6 9.3 0 18-3.3 0-31.6 0-30.5 0-33.7 18-33.7 0ZM165.7 45.3a60 60 0 0 1 32.7-9.3c18 0 34.8 7.8 32.6 9.3 0 18-3.3 0-31.6 0-30.5 0-33.7 18-33.7 0Z" fill="#000"/><path d="M87.3 69.1a4.1 4.1 0 0 1 7.8 0l3.3 10a4.1 4.1 0 0 0 4 3h10.5c4 0 5.7 5 2.4 7.4l-8.5 6.2c-1.5 1-2 3-1.5 4.6l3.2 10c1.3 3.9-3 7-6.3 4.7l-8.6-6.2c-1.4-1-3.4-1-4.8 0l-8.6 6.2a4.1 4.1 0 0 1-6.3-4.6l3.2-10c.6-1.8 0-3.6-1.5-4.7l-8.5-6.2a4.1 4.1 0 0 1 2.4-7.5h10.6c1.8 0 3.4-1.1 4-2.8l3.2-10ZM194.8 69.1a4.1 4.1 0 0 1 8 0l3.2 10a4.1 4.1 0 0 0 4 3h10.5c4 0 5.7 5 2.4 7.4l-8.5 6.2c-1.5 1-2 3-1.5 4.6l3.2 10c1.3 3.9-3.1 7-6.3 4.7l-8.6-6.2c-1.4-1-3.4-1-4.9 0l-8.5 6.2a4.1 4.1 0 0 1-6.4-4.6l3.3-10c.6-1.8 0-3.6-1.5-4.7l-8.5-6.2A4.1 4.1 0 0 1 177 82h10.5c1.8 0 3.4-1.1 4-2.8l3.2-10Z" fill="#FFEBB7"/>`,
+    variant12: (components, colors) => `<g stroke="#000" stroke-linecap="round"><path d="M106 43c-3.6 2.9-9.3 8.7-20.3 8.7-9.4 0-17.3-6.4-18.7-8.7M184.9 43c3.7 2.9 9.3 8.7 20.4 8.7 9.4 0 17.3-6.4 18.7-8.7" stroke-width="7"/><path d="m73 74 35.5 15.5L73 110M220.5 74 185 89.5l35.5 20.5" stroke-width="4" stroke-linejoin="round"/></g>`,
+    variant11: (components, colors) => `<g stroke="#000" stroke-linecap="round"><path d="M184.9 51.7c3.7-3 9.3-8.7 20.4-8.7 9.4 0 17.3 6.4 18.7 8.7M106 51.7c-3.6-3-9.3-8.7-20.3-8.7-9.4 0-17.3 6.4-18.7 8.7" stroke-width="7"/><path d="m73 74 35.5 15.5L73 110M220.5 74 185 89.5l35.5 20.5" stroke-width="4" stroke-linejoin="round"/></g>`,
+    variant10: (components, colors) => `<path d="M55.3 43.2A59.1 59.1 0 0 1 87.4 34c17.8 0 34.4 7.7 32.2 9.2 0 17.8-3.3 0-31.2 0-30 0-33.1 17.8-33.1 0ZM169.3 43.2a59.1 59.1 0 0 1 32.1-9.2c17.8 0 34.4 7.7 32.2 9.2 0 17.8-3.3 0-31.2 0-30 0-33.1 17.8-33.1 0Z" fill="#000"/><path d="m87.2 56.6 8.1 25h26.3l-21.2 15.5 8 25-21.2-15.4L66 122l8.2-25-21.3-15.4H79l8.1-25ZM201 56.6l8.1 25h26.3l-21.3 15.5 8.2 25-21.3-15.4-21.3 15.4 8.1-25-21.2-15.4h26.3l8-25Z" fill="#FFEBB7"/>`,
+    variant09: (components, colors) => `<path d="M56 44.4A60.5 60.5 0 0 1 89 35c18.2 0 35.1 7.8 33 9.4 0 18.2-3.5 0-32 0-30.8 0-34 18.2-34 0ZM166.9 44.4a60.5 60.5 0 0 1 33-9.4c18.1 0 35 7.8 32.9 9.4 0 18.2-3.4 0-32 0-30.7 0-34 18.2-34 0Z" fill="#000"/><ellipse cx="88" cy="97.5" rx="29" ry="17.5" fill="#fff"/><path d="M81.2 114.5a18 18 0 0 0-1.9-33.7C67.5 83 59 89.7 59 97.5c0 8.2 9.5 15.2 22.2 17Z" fill="#000"/><ellipse cx="198" cy="97.5" rx="29" ry="17.5" fill="#fff"/><path d="M191.2 114.5a18 18 0 0 0-1.9-33.7C177.5 83 169 89.7 169 97.5c0 8.2 9.5 15.2 22.2 17Z" fill="#000"/>`,
+    variant08: (components, colors) => `<ellipse cx="29" cy="17.5" rx="29" ry="17.5" transform="matrix(-1 0 0 1 117 80)" fill="#fff"/><path d="M94.8 114.5a18 18 0 0 1 1.9-33.7C108.5 83 117 89.7 117 97.5c0 8.2-9.5 15.2-22.2 17Z" fill="#000"/><path d="M57 43.4A60.5 60.5 0 0 1 90 34c18.2 0 35.1 7.8 33 9.4 0 18.2-3.5 0-32 0-30.8 0-34 18.2-34 0ZM167.9 43.4a60.5 60.5 0 0 1 33-9.4c18.1 0 35 7.8 32.9 9.4 0 18.2-3.4 0-32 0-30.7 0-34 18.2-34 0Z" fill="#000"/><ellipse cx="29" cy="17.5" rx="29" ry="17.5" transform="matrix(-1 0 0 1 227 80)" fill="#fff"/><path d="M204.8 114.5a18 18 0 0 1 1.9-33.7C218.5 83 227 89.7 227 97.5c0 8.2-9.5 15.2-22.2 17Z" fill="#000"/>`,
+    variant07: (components, colors) => `<path d="M183.1 52.7c3.7-3 9.4-8.7 20.4-8.7 9.4 0 17.3 6.4 18.7 8.7M104.3 52.7C100.6 49.7 95 44 84 44c-9.4 0-17.2 6.4-18.7 8.7" stroke="#000" stroke-width="3.7" stroke-linecap="round"/><circle cx="87.2" cy="92" r="28.2" fill="#fff"/><circle cx="200.8" cy="92" r="28.2" fill="#fff"/><circle cx="87.2" cy="92" r="15.2" fill="#000"/><circle cx="200.8" cy="92" r="15.2" fill="#000"/><path d="M228.3 86.6h-56a28.2 28.2 0 0 1 56 0ZM115 86.6H59a28.2 28.2 0 0 1 56 0Z" fill="#CD9166"/>`,
+    variant06: (components, colors) => `<path d="M183.1 52.7c3.7-3 9.4-8.7 20.4-8.7 9.4 0 17.3 6.4 18.7 8.7M104.3 52.7C100.6 49.7 95 44 84 44c-9.3 0-17.2 6.4-18.7 8.7" stroke="#000" stroke-width="3.7" stroke-linecap="round"/><circle cx="87.2" cy="92" r="28.2" fill="#fff"/><circle cx="200.8" cy="92" r="28.2" fill="#fff"/><circle cx="87.2" cy="92" r="15.2" fill="#757575"/><circle cx="200.8" cy="92" r="15.2" fill="#757575"/><path d="M228.3 86.6h-56a28.2 28.2 0 0 1 56 0ZM115 86.6H59a28.2 28.2 0 0 1 56 0Z" fill="#CD9166"/>`,
+    variant05: (components, colors) => `<circle cx="199" cy="93.3" r="11.6" fill="#161616"/><circle cx="91" cy="93.3" r="11.6" fill="#161616"/><path d="M175 68.2c4.4-3 11-9.2 24.1-9.2 11.1 0 20.4 6.8 22.1 9.2M67 68.2c4.4-3 11-9.2 24.1-9.2 11.1 0 20.4 6.8 22.1 9.2" stroke="#000" stroke-width="9.2" stroke-linecap="round"/>`,
+    variant04: (components, colors) => `<circle cx="202.2" cy="92.6" r="11.6" fill="#161616"/><circle cx="89.2" cy="92.6" r="11.6" fill="#161616"/><path d="M177 68.2c4.4-3 11-9.2 24.1-9.2 11.1 0 20.4 6.8 22.1 9.2M64 68.2c4.4-3 11-9.2 24.1-9.2 11.1 0 20.4 6.8 22.1 9.2" stroke="#000" stroke-width="4.6" stroke-linecap="round"/><path d="M186 81c.9 2.5 4 7.8 9.2 9.2M73 81c.9 2.5 4 7.8 9.2 9.2" stroke="#000" stroke-width="4.6" stroke-linecap="round" stroke-linejoin="round"/>`,
+    variant03: (components, colors) => `<path d="M171.2 63.2c4.3-3 11-9.2 24.1-9.2 11.1 0 20.4 6.8 22.1 9.2M71 63.2c4.4-3 11-9.2 24.1-9.2 11.1 0 20.4 6.8 22.1 9.2" stroke="#000" stroke-width="9.2" stroke-linecap="round"/><path d="M187.7 89.4a7 7 0 0 1 13.9 0v14a7 7 0 1 1-13.9 0v-14ZM87.5 89.4a7 7 0 1 1 13.9 0v14a7 7 0 0 1-13.9 0v-14Z" fill="#000"/>`,
+    variant02: (components, colors) => `<path d="M71 65.2c4-3 10-9.2 21.7-9.2 10 0 18.4 6.8 19.9 9.2M171 65.2c4-3 10-9.2 21.7-9.2 10 0 18.4 6.8 19.9 9.2" stroke="#000" stroke-width="4.6" stroke-linecap="round"/><path d="M88.7 90a7 7 0 1 1 13.9 0v14a7 7 0 0 1-13.9 0V90ZM188.7 90a7 7 0 1 1 13.9 0v14a7 7 0 1 1-13.9 0V90Z" fill="#000"/><path d="M79.5 76.2c-.8 3.1.4 10.2 11.5 13.9M179.5 76.2c-.8 3.1.4 10.2 11.5 13.9" stroke="#000" stroke-width="4.6" stroke-linecap="round" stroke-linejoin="round"/>`,
+    variant01: (components, colors) => `<path d="M76 75.5a23.9 23.9 0 1 0 40.7 22.7L76.2 75.6ZM212.1 75.5a23.9 23.9 0 1 1-40.7 22.7L212 75.6Z" fill="#fff"/><path d="M74.5 52.5c7.5 5 40 26 49 31.5M213 53c-7.5 5-40 26-49 31.5" stroke="#000" stroke-width="3.7" stroke-linecap="round"/><path d="M86.1 81.2a12.8 12.8 0 1 0 20.6 11.5L86.1 81.2ZM202 81.2a12.8 12.8 0 1 1-20.5 11.5L202 81.2Z" fill="#000"/>`,
+};
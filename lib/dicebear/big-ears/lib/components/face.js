@@ -0,0 +1,19 @@
+/**
+ * Do not change this file manually! This file was generated with the "Dicebear Exporter"-Plugin for Figma.
+ *
+ * Plugin: https://www.figma.com/community/plugin/1005765655729342787
+ * File: https://www.figma.com/file/KhTfMFWWniVgZmGVFL0KK6
+ */
+import { escape } from '@dicebear/core';
+export const face = {
+    variant10: (components, colors) => `<ellipse cx="190" cy="198.5" rx="132" ry="152.5" fill="${escape.xml(`${colors.skin}`)}"/><path d="M322 192.4c-2.6 81.6-60.7 146.8-132 146.8-71.2 0-129.3-65.2-132-146.8v5.9c0 84.2 59.1 152.6 132 152.6 73 0 132.1-68.4 132.1-152.6v-5.9Z" fill="#000" fill-opacity=".2"/>`,
+    variant09: (components, colors) => `<path d="M190.5 37C120.6 37 64 102.1 64 182.5a170.3 170.3 0 0 0 0 3C64 265.8 120.6 361 190.5 361S317 265.8 317 185.5a182.4 182.4 0 0 0 0-3C317 102 260.4 37 190.5 37Z" fill="${escape.xml(`${colors.skin}`)}"/><path d="M64 181.5v4C64 265.8 120.6 361 190.5 361S317 265.8 317 185.5v-4C315 261 259.2 353 190.5 353S65.9 261 64 181.5Z" fill="#000" fill-opacity=".2"/>`,
+    variant08: (components, colors) => `<circle cx="189.5" cy="199.5" r="133.5" fill="${escape.xml(`${colors.skin}`)}"/><path d="M323.3 192.3a133.8 133.8 0 0 1-267.1 0 133.7 133.7 0 1 0 267.1 0Z" fill="#000" fill-opacity=".2"/>`,
+    variant07: (components, colors) => `<path d="M325 213v-1.6C325 139.8 264.6 55 190 55S55 139.8 55 211.4a128.6 128.6 0 0 0 0 3.2c0 71.5 60.4 129.5 135 129.5s135-58 135-129.5V213Z" fill="${escape.xml(`${colors.skin}`)}"/><path d="M324.6 204.8c-5.1 67-63.4 119.8-134.6 119.8-71.2 0-129.5-52.8-134.6-119.8-.3 3.3-.4 6.6-.4 9.8 0 71.5 60.4 129.5 135 129.5s135-58 135-129.5c0-3.2-.1-6.5-.4-9.8Z" fill="#000" fill-opacity=".2"/>`,
+    variant06: (components, colors) => `<path d="M191 39c103.2 3 112.2 97.8 114 138.3.5 12.7 3.3 23.8 6 34.9 3.3 13 6.5 26 6 41 .5 14.7-2.3 31.1-12 51.8-12.8 27-64.4 56-114 56-52.2 0-102.3-30.5-115.6-65.1A142.3 142.3 0 0 1 64 239.5c-.6-16.8 3-29.7 6.5-42.3 1.8-6.5 3.6-13 4.8-20 .7-4.1 1.3-9.3 2-15.3C82 119 91 39 191 39Z" fill="${escape.xml(`${colors.skin}`)}"/><path d="M64.5 233c-1.6 16.1.3 35.5 10.9 62.9C88.7 330.5 138.8 361 191 361c49.6 0 101.2-29 114-56a105.2 105.2 0 0 0 11.3-60.2 118.6 118.6 0 0 1-11.5 38.6c-12.8 27-64.4 56-114 56-52.1 0-102.3-30.6-115.6-65.1A164.3 164.3 0 0 1 64.5 233Z" fill="#000" fill-opacity=".2"/>`,
+    variant05: (components, colors) => `<path d="M69 111.3C69 95 82 82 98.3 82h185.4C300 82 313 95 313 111.3v241.4c0 16.2-13 29.3-29.3 29.3H98.3C82 382 69 369 69 352.7V111.3Z" fill="${escape.xml(`${colors.skin}`)}"/><path d="M69 330.8v22c0 16.1 13 29.2 29.3 29.2h185.4c16.2 0 29.3-13 29.3-29.3v-22c0 16.2-13 29.3-29.3 29.3H98.3C82 360 69 347 69 330.8Z" fill="#000" fill-opacity=".2"/>`,
+    variant04: (components, colors) => `<circle cx="190.2" cy="167.2" r="121.2" fill="${escape.xml(`${colors.skin}`)}"/><path fill="${escape.xml(`${colors.skin}`)}" d="M69 164.5h242.4v191.2H69z"/><path d="M69 336h242v20H69v-20Z" fill="#000" fill-opacity=".2"/>`,
+    variant03: (components, colors) => `<path d="M309 148H71v124h.3v1.3c0 29.8 53.3 77.4 119 77.4 65.8 0 119.1-47.6 119.1-77.4 0-1.6-.1-3.1-.4-4.7V148Z" fill="${escape.xml(`${colors.skin}`)}"/><path d="M71.2 253.6v.9-.9ZM71.2 254.5v18.8c0 29.8 53.4 77.4 119.1 77.4 65.8 0 119.1-47.6 119.1-77.4v-19.7.9c0 29.9-53.3 77.4-119 77.4-65.8 0-119.1-47.5-119.2-77.4Z" fill="#000" fill-opacity=".2"/><path d="M309 152.5c0 55.9-54.2 101.8-120 101.8-65.7 0-119-45.3-119-101.2C70 97.3 123.3 52 189 52c65.8 0 120 44.6 120 100.5Z" fill="${escape.xml(`${colors.skin}`)}"/>`,
+    variant02: (components, colors) => `<path d="M293.1 88.7C258 38.7 171.6 25.4 120.3 58 69 91 57.5 145.2 65 204.8c3.1 24.1 7 43 9 63.5 6.6 63.2 93 94.7 118.6 94.7 40.4 0 108.3-44.3 116.8-94.7 7.7-46 7-42.4 7.5-63.5.6-21 11.3-66.1-23.9-116.1Z" fill="${escape.xml(`${colors.skin}`)}"/><path d="M76.2 279.7c22.6 47.6 92.6 71.3 115.6 71.3 39 0 102.8-38.9 118-85.2l-.5 2.8C301 319 233 363.5 192.6 363.5c-24 0-101.7-27.9-116.4-83.8Z" fill="#000" fill-opacity=".2"/>`,
+    variant01: (components, colors) => `<path d="M310 123.1H72.8v167.3c0 31 53 80.6 118.6 80.6 65.5 0 118.6-49.5 118.6-80.6V123Z" fill="${escape.xml(`${colors.skin}`)}"/><path d="M72.8 269.9v.8-.8ZM72.8 270.9v19.5c0 31 53 80.6 118.6 80.6 65.5 0 118.6-49.5 118.6-80.6v-20.5.9c0 31.1-53.1 80.6-118.6 80.6C126 351.4 72.9 302 72.8 271Z" fill="#000" fill-opacity=".2"/><ellipse cx="190.5" cy="129" rx="119.5" ry="105" fill="${escape.xml(`${colors.skin}`)}"/>`,
+};
@@ -0,0 +1,21 @@
+/**
+ * Do not change this file manually! This file was generated with the "Dicebear Exporter"-Plugin for Figma.
+ *
+ * Plugin: https://www.figma.com/community/plugin/1005765655729342787
+ * File: https://www.figma.com/file/KhTfMFWWniVgZmGVFL0KK6
+ */
+import { escape } from '@dicebear/core';
+export const frontHair = {
+    variant12: (components, colors) => `<path d="M374 130c6.5 15.9 11.5 34.5 11.5 70-11 0-73.7 6-114.5-10s-46.9-28.5-60-48c-13 27-37 38-73.5 48s-83.3 7.5-99.5 10c0-23.1 2-46 10.9-67.4A176 176 0 0 1 211 24a175 175 0 0 1 124 51.5c16.4 16.4 30.2 33.1 39 54.5Z" fill="${escape.xml(`${colors.hair}`)}"/>`,
+    variant11: (components, colors) => `<path d="M374 133c6.5 15.9 11.5 34.5 11.5 70-11 0-38.5 11-92.5-18-54.8-29.5-68.9-59.5-82-79-13 27-37 51.3-72.5 73.5C103 201.7 54.2 200.5 38 203c0-23.1 2-46 10.9-67.4A176 176 0 0 1 211 27a175 175 0 0 1 124 51.5c16.4 16.4 30.2 33.1 39 54.5Z" fill="${escape.xml(`${colors.hair}`)}"/>`,
+    variant10: (components, colors) => `<g fill="${escape.xml(`${colors.hair}`)}"><path d="M374 133c6.5 15.9 11.5 34.5 11.5 70-11 0-38.5 11-92.5-18-54.8-29.5-68.9-59.5-82-79-13 27-37 51.3-72.5 73.5C103 201.7 54.2 200.5 38 203c0-23.1 2-46 10.9-67.4A176 176 0 0 1 211 27a175 175 0 0 1 124 51.5c16.4 16.4 30.2 33.1 39 54.5Z"/><path d="M210 148c10.4-22.4 12-39.5 12-47.5-4.5-25-20.5-14-22-7.5s.5 17-1.5 43c-1.6 20.8-22.3 46-34 54a90.6 90.6 0 0 0 45.5-42Z"/></g>`,
+    variant09: (components, colors) => `<g fill="${escape.xml(`${colors.hair}`)}"><path d="M374 131c6.5 15.9 11.5 34.5 11.5 70-11 0-38.5 11-92.5-18-54.8-29.5-68.9-59.5-82-79-13 27-37 51.3-72.5 73.5C103 199.7 54.2 198.5 38 201c0-23.1 2-46 10.9-67.4A176 176 0 0 1 211 25a175 175 0 0 1 124 51.5c16.4 16.4 30.2 33.1 39 54.5Z"/><circle cx="149.5" cy="159.5" r="38.5"/><path d="M251 159.5a38.5 38.5 0 1 1-77 0c0-21.3 17.2-64 38.5-64s38.5 42.7 38.5 64Z"/><circle cx="274.5" cy="159.5" r="38.5"/></g>`,
+    variant08: (components, colors) => `<path d="M143.3 136.7c-3.5-17 23.9-29.6 38.9-33.1 15-3.6 17.8-3.6 37.4-3.6 19.6 0 63.8 6.8 62.4 30.3-1.2 18.8-21.9 18.3-32.1 15.7 4.9 8 13.2 25.9 7.5 33.8-5.7 8-18.8 1.2-24.6-3.2-.5 5.5-5.2 18-20 24.3C198 207 194 185.7 194 174c-6.6 2.3-21.9 4.6-29.6-4.2-7.7-8.9 3.3-19.6 9.7-24-8.2 3.5-28 3.9-30.7-9.2Z" fill="${escape.xml(`${colors.hair}`)}"/><path d="M374 131c6.5 15.9 11.5 34.5 11.5 70-11 0-38.5 11-92.5-18-54.8-29.5-68.9-59.5-82-79-13 27-37 51.3-72.5 73.5C103 199.7 54.2 198.5 38 201c0-23.1 2-46 10.9-67.4A176 176 0 0 1 211 25a175 175 0 0 1 124 51.5c16.4 16.4 30.2 33.1 39 54.5Z" fill="${escape.xml(`${colors.hair}`)}"/>`,
+    variant07: (components, colors) => `<g fill="${escape.xml(`${colors.hair}`)}"><path d="m292.5 119.2-39-41.2h-95l-36 49.3L164 115l-5.5 73.7L192 165l16.5 36.9 22.5-36.9 33 21.6-10.5-67.5h39Z"/><path d="M374 130c6.5 15.9 11.5 34.5 11.5 70-11 0-38.5 11-92.5-18-54.8-29.5-68.9-59.5-82-79-13 27-37 51.3-72.5 73.5-35.5 22.2-83.8 22.5-100 25 0-23.1 1.5-47.5 10.4-68.9A176 176 0 0 1 211 24a175 175 0 0 1 124 51.5c16.4 16.4 30.2 33.1 39 54.5Z"/></g>`,
+    variant06: (components, colors) => `<path d="M375 133c6.5 15.9 11.5 34.5 11.5 70-11 0-47.9-4.6-107.3-23-59.5-18.4-101.6-50-114.7-69.5.3 6 0 34-19.7 55A124.2 124.2 0 0 1 39 203c0-23.1 2-46 10.9-67.4A176 176 0 0 1 212 27a175 175 0 0 1 124 51.5c16.4 16.4 30.2 33.1 39 54.5Z" fill="${escape.xml(`${colors.hair}`)}"/>`,
+    variant05: (components, colors) => `<path d="M384.9 132.5a185.5 185.5 0 0 1 14.1 71H151.5l-24-47-24 47H28a185.5 185.5 0 0 1 356.9-71Z" fill="${escape.xml(`${colors.hair}`)}"/>`,
+    variant04: (components, colors) => `<g fill="${escape.xml(`${colors.hair}`)}"><path d="M276 196.5a63.5 63.5 0 0 0-18.6-45c-5.9-5.8-12.9-61-20.6-64.2a63.5 63.5 0 0 0-48.6 0c-7.7 3.2-14.7 58.4-20.6 64.3a63.5 63.5 0 0 0-18.6 44.9h127Z"/><path d="M374 132c6.5 15.9 11.5 34.5 11.5 70-11 0-38.5 11-92.5-18-54.8-29.5-68.9-59.5-82-79-13 27-37 51.3-72.5 73.5C103 200.7 54.2 199.5 38 202c0-23.1 2-46 10.9-67.4A176 176 0 0 1 211 26a175 175 0 0 1 124 51.5c16.4 16.4 30.2 33.1 39 54.5Z"/></g>`,
+    variant03: (components, colors) => `<g fill="${escape.xml(`${colors.hair}`)}"><path d="M132 85.2c2.7-21 39-24.4 57.5-22.6 18.5 1.8 21.7 3 44 10.7 22.4 7.8 70.2 33 59.3 59.4-8.7 21.2-32.1 12.4-42.8 5.3 2.5 11 5 34.9-4.8 41.8-9.6 6.9-21.8-6-26.8-13.4-2.6 6-12.9 18.5-32.3 19.8-19.4 1.4-15.4-24.8-11-38-8.5-.1-26.8-3.5-32-16.7-5.4-13.2 11.3-21.2 20.3-23.5-10.7.7-33.4-6.7-31.3-22.8Z"/><path d="M375 131c6.5 15.9 11.5 34.5 11.5 70-11 0-38.5 11-92.5-18-54.8-29.5-68.9-59.5-82-79-13 27-37 51.3-72.5 73.5C104 199.7 55.2 198.5 39 201c0-23.1 2-46 10.9-67.4A176 176 0 0 1 212 25a175 175 0 0 1 124 51.5c16.4 16.4 30.2 33.1 39 54.5Z"/></g>`,
+    variant02: (components, colors) => `<g fill="${escape.xml(`${colors.hair}`)}"><path d="M374 131c6.5 15.9 11.5 34.5 11.5 70-11 0-38.5 11-92.5-18-54.8-29.5-68.9-59.5-82-79-13 27-37 51.3-72.5 73.5C103 199.7 54.2 198.5 38 201c0-23.1 2-46 10.9-67.4A176 176 0 0 1 211 25a175 175 0 0 1 124 51.5c16.4 16.4 30.2 33.1 39 54.5Z"/><path d="M302 77c-11.6-28.6-41.2-46.3-87-39.6-30.2 3.7-48.3 24.3-67.4 39.6-19.2 15.3-44.3 49.6-24.2 83.5 20.1 33.8 163.5 72.5 212.8 6.7 26.6-35.6-22.6-61.6-34.2-90.2Z"/></g>`,
+    variant01: (components, colors) => `<path d="M399 203.5a185.5 185.5 0 0 0-371 0h371Z" fill="${escape.xml(`${colors.hair}`)}"/>`,
+};
@@ -0,0 +1,49 @@
+/**
+ * Do not change this file manually! This file was generated with the "Dicebear Exporter"-Plugin for Figma.
+ *
+ * Plugin: https://www.figma.com/community/plugin/1005765655729342787
+ * File: https://www.figma.com/file/KhTfMFWWniVgZmGVFL0KK6
+ */
+import { escape } from '@dicebear/core';
+export const hair = {
+    long20: (components, colors) => `<path d="M457 309c-2.8-64.3-16.5-214.8-174-219.6-173.7 0-167.4 164.2-176.7 219.7-8.1 49.1-34.5 84.3 0 177.5 20.4 54.8 97 103.2 176.6 103.1 75.7 0 154.6-46 174-88.7 40-87.7 2.8-127.6 0-192Z" fill="${escape.xml(`${colors.hair}`)}"/>`,
+    long19: (components, colors) => `<path d="M76.7 282.7C90.2 142.2 192 71.9 284.7 76.3 427 83 480 203 486.3 282.7c5.4 68.2 63.2 138 23.9 205-64.6 109.4-382.2 92.5-442 21.5-59.7-70.8-.8-129.6 8.6-226.5Z" fill="${escape.xml(`${colors.hair}`)}"/>`,
+    long18: (components, colors) => `<path d="M288 73.1h-10.2c-101.3 0-183.4 94-183.4 210.1V431c0 116 82.1 210.1 183.4 210.1H288c101.3 0 183.4-94 183.4-210V283.1c0-116-82-210-183.4-210Z" fill="${escape.xml(`${colors.hair}`)}"/>`,
+    long17: (components, colors) => `<g fill="${escape.xml(`${colors.hair}`)}"><path d="M287.2 87H277C175.7 87 93.6 181 93.6 297S175.7 426.4 277 426.4h10.2c101.3 0 183.4-13.3 183.4-129.4 0-116-82.1-210-183.4-210Z"/><path d="M131.1 74.4c66.4-6.4 94 60 99.5 94 10.3 21.5 24.8 105 0 267C199.6 638 6.6 550 26.6 539s56.5-84.5 19-205.5 2.5-251 85.5-259Z"/></g>`,
+    long16: (components, colors) => `<g fill="${escape.xml(`${colors.hair}`)}"><path d="M287.2 100H277c-101.3 0-183.4 94-183.4 210 0 116.1 82.1 129.5 183.4 129.5h10.2c101.3 0 183.4-13.4 183.4-129.4S388.5 100 287.2 100Z"/><path d="M116.6 74.4c66.4-6.4 94 60 99.5 94 10.3 21.5 24.8 105 0 267C185 638-8 550 12 539s56.5-84.5 19-205.5 2.5-251 85.5-259ZM448.8 74.4c-66.4-6.4-94 60-99.5 94-10.3 21.5-24.8 105 0 267 31 202.5 224 114.5 204 103.5s-56.5-84.5-19-205.5-2.5-251-85.5-259Z"/></g>`,
+    long15: (components, colors) => `<g fill="${escape.xml(`${colors.hair}`)}"><path d="M478.7 297.5C475.7 228 460.3 65.2 283.8 60 89.3 60 96.4 237.5 86 297.5 77 350.7 52.4 342.2 91.1 443c22.8 59.3 103.5 14.1 192.7 14 84.8 0 167.5 24.1 195-34 27.3-58.1 3-55.9 0-125.5Z"/><path d="M51.6 409.5c-4-36 20-62.3 32.5-71L470.7 317c4.8.5 20.8 22.6 33 65.4 22.3 79-8 91.5 0 106.1 6.2 11.7 36.5 5 51 0-3 9.6-17.5 31-51 40.1-33.7 9.1-76-17.5-93-32-2.8 3.1-4.3 14.7 12.3 36.3 16.6 21.7 6.9 53.1 0 66.1.7-7-6.6-24.3-42-36.8-34.3-12.2-46.8-35.4-54.2-54.4-.7 2-4 7.2-5.2 31-1.8 33.9-50 45.2-74 46.7 8-8.7 22.1-32.2 14-56.9-8-24.7-16.7-31.6-20.1-32-9 7-26 28.2-22.4 58.5 3.6 30.4-38.5 36.1-60 35.2 4.7-1.6 14-8.7 14-24.3 0-19.5-16.7-8.7-39.1-33-12.2-13.3-11.3-30.4-7.1-43.7-8.4 11-25 23.1-55.1 28-46.2 7.3-60.7-20.8-62.2-35.8 5.4 2.9 20.3 7 36.4 0 20.2-8.7 10.7-27 5.6-72Z"/></g>`,
+    long14: (components, colors) => `<g fill="${escape.xml(`${colors.hair}`)}"><path d="M288.2 88.3H278C176.7 88.3 94.6 151 94.6 228.1v98.4c0 77.2 82.1 139.8 183.4 139.8h10.2c101.3 0 183.4-62.6 183.4-139.8v-98.4c0-77.2-82.1-139.8-183.4-139.8Z"/><path d="M127.1 76.8c50-43.7 238-81 278 48 38 14.5-104 177.3-104 278 0 107.5-93 181.4-210 147-65.3-19.1-74.5-95.1-57.5-147 17.5-53.3 30-45 7.5-143-9.2-40 38-84.4 63-113.5-13-41.5 11-59 23-69.5Z"/></g>`,
+    long13: (components, colors) => `<path d="M282.6 50c63-24.5 58.5 20.5 85 40.5 8.3-5 42-8 55 0 35.5 22 10 39.3 43.5 63 44.5 31.5 19.5 47.1 17 74.1-2.5 27 19.7 33 34 49 22.5 25.5 16.5 70 0 85.5s12.5 13 10 70-42 41.5-61 55.5-.5 33-43.5 48-32.5-8.5-92-9.5c-37-.6-39.5 35-92 21.5-27.1-7-29-44.6-63.5-21.5-48.5 32.5-104-8.1-100-45.1s-33.3-22.3-39.5-48.9C21.8 373.6 60.9 364 54 344.6c-9-25.5-19.5-37.5-8-77.5 12.8-44.6 48-36 35-68s8.5-51.6 30-65.6c21.5-14 40-9.5 35-27.5s11.8-56 50.5-56c37.5 0 42 17.1 86 0Z" fill="${escape.xml(`${colors.hair}`)}"/>`,
+    long12: (components, colors) => `<g fill="${escape.xml(`${colors.hair}`)}"><path d="M76.6 230.4C90 111 191.9 51.4 284.6 55.2c142.2 5.7 195.1 107.5 201.5 175.2 5.4 58 63.2 117.2 23.9 174-64.6 93-259.2 81.5-333.9 41.1-76-41.1-108.9-132.9-99.5-215.1Z"/><path d="M516.6 454c28.3-77-7.2-159.8-35.7-198.5-15.1-21.7-73.5 114-181 149.5-107.3 35.6-105.3 128.6-33.8 155.5C337.6 587.4 488.4 531 516.6 454Z"/></g>`,
+    long11: (components, colors) => `<g fill="${escape.xml(`${colors.hair}`)}"><path d="M75.1 204.2c-7-30.3 21.3-27.4 61.7-65.4 40.4-38 87.4-58.9 169-57.6 81.8 1.2 135.8 55.2 147.7 66 36.2 47.6 10.8 40.6 37.7 57 33.6 20.4 42.6 51.1 16.2 81.8-26.3 30.7-5 15.3 28.7 45s-10.8 56.9-21 82.4c-10.3 25.6 27.5 11.8 27.5 63.6 0 19.5-25 39-79 53-62.9 16.3-176.5 31.5-326.8 0-21.8-4.6-64.8-23.5-83.7-40-19-16.5-24.6-66.9 12-94.5 36.6-27.6 15.6-39-5-64.5-20.4-25.6-11-52.6 25.5-77.2 36.6-24.5-1.7-11.8-10.5-49.6Z"/><ellipse cx="294.1" cy="463.5" rx="250.5" ry="123.5"/></g>`,
+    long10: (components, colors) => `<path d="M506 402.8c39.6-108.3-13.3-145.4-46.7-202.2-33.3-56.8-86.9-77.8-95.3-62.3-18.5-37.2-46.3-47.2-95.7-47.2-60.8 0-136 35-149 81-17.2 61-33 68-57.3 111.5-16.2 29-22.2 92 0 130.5 33.8 58.7 101.3 109 222.4 109 71.8 0 189.7-33 221.6-120.3Z" fill="${escape.xml(`${colors.hair}`)}"/>`,
+    long09: (components, colors) => `<path d="M288 73.1h-10.2c-101.3 0-183.4 94-183.4 210.1v222.3h377V283.2c0-116-82-210-183.4-210Z" fill="${escape.xml(`${colors.hair}`)}"/>`,
+    long08: (components, colors) => `<path d="M287.2 73H277C175.7 73 93.6 167 93.6 283v141l377 81.4V283C470.6 167 388.5 73 287.2 73Z" fill="${escape.xml(`${colors.hair}`)}"/>`,
+    long07: (components, colors) => `<g fill="${escape.xml(`${colors.hair}`)}"><path d="M288 73.1h-10.2c-101.3 0-183.4 94-183.4 210.1V466h377V283.2c0-116-82-210-183.4-210Z"/><circle cx="182.1" cy="466.5" r="87.5"/><circle cx="282.1" cy="466.5" r="87.5"/><circle cx="384.1" cy="466.5" r="87.5"/></g>`,
+    long06: (components, colors) => `<g fill="${escape.xml(`${colors.hair}`)}"><path d="M287.2 74H277C175.7 74 93.6 152.1 93.6 248.5S175.7 423 277 423h10.2c101.3 0 183.4-78.1 183.4-174.5S388.5 74 287.2 74Z"/><circle cx="282.1" cy="74.5" r="73.5"/></g>`,
+    long05: (components, colors) => `<g fill="${escape.xml(`${colors.hair}`)}"><path d="M462.3 352C506 292.5 488.8 80 287 80 85 80 56.3 277.5 110.8 352c9.6 18 52.9 88 176.2 88 79.6 0 131.6-28.5 175.3-88Z"/><circle cx="146.6" cy="103" r="77"/><circle cx="411.6" cy="103" r="77"/></g>`,
+    long04: (components, colors) => `<g fill="${escape.xml(`${colors.hair}`)}"><path d="M78.2 230.7c13.5-123 115.4-184.4 208.3-180.5C428.7 56 481.7 161 488 230.7c5.4 59.7 63.3 120.8 23.8 179.3-23.5 34.9-57.4 4.4-127.4 8-2.5 45-188.5 46-196.5-6-73.8-7.7-108 24.8-118.4 17-70-53-.8-113.5 8.6-198.3Z"/><path d="M102.8 500c-32.5-21-70-73-63.5-127.9 7-37.2 164.8 28 158.8 61.8-4.7 27 22.4 59.4 36.5 72.3-4-.3-15.7-3.2-30.5-12.3-14.7-9.1-32-22.6-35-27.2a74.4 74.4 0 0 0 35 51.3 190 190 0 0 1-47.9-18c-18.5-10-27.8-32.7-29.5-42.5-.6 3.8-.6 19.4 4 30.7 8 19.3 14 24.5 29.5 36.8-8.3-3.5-31.5-8.1-57.4-25ZM466.6 495c32.5-21.2 59-62.5 59-123.2-7-37.4-160.5 22.9-154.5 56.7 4.8 27.1-22.3 59.7-36.5 72.6 4-.3 15.7-3.2 30.5-12.3 14.8-9.2 32.2-22.7 35-27.3a74.6 74.6 0 0 1-35 51.4 190 190 0 0 0 48-18c18.5-10 27.8-32.8 29.5-42.6a72 72 0 0 1-4 30.8c-8 19.3-14 24.6-29.5 36.9 8.3-3.5 31.5-8.2 57.5-25Z"/></g>`,
+    long03: (components, colors) => `<g fill="${escape.xml(`${colors.hair}`)}"><path d="M78.2 224.1c13.5-116.4 115.4-174.6 208.3-171 142.2 5.6 195.2 105 201.6 171 5.4 56.6 63.3 114.4 23.8 169.8-64.5 90.7-415.8 36.9-442.3 17.9-70-50.2-.8-107.4 8.6-187.7Z"/><path d="M290.1 418.8c16.4-31-7-44-10.4-46.5-27.3-13-86-6-98.5 5.9-3.7 3.5-18 55-11.6 69 4.7 10 24.6 19 33.7 24.8-10.4-1.4-26.6-2-22 21.2 6 29.5 22.5 13.6 11.2 35.7-3.3 6.7-11.2 18.2-3.5 23.9 11.6 3.6 19.3 4 32.5 1 28-6.3 45.6-15.8 37.3-37.5-2.3-6-12-6-3.3-11 22.2-12.5 25.3-45.6 10.5-47.2-7.8-.8 7.8-8.3 24.1-39.3ZM139.7 409.9c28.2-17 14.7-42 13-46.2-16.7-27.6-69-56.4-85-53.6-4.8.9-41 36.8-42.1 52.6-.9 11.5 11.6 31 16.5 41.4-8.1-7.4-21.3-17.5-28.3 5.3-9 29 12.3 25-7.5 37.4-6 3.7-18 9-14.2 18.4 8 10 14.4 15 26.8 20.2 26.3 11.3 45.5 13.5 48.7-10.2 1-6.4-7.2-12.2 2.4-11.3 24.5 2.4 42.7-24.3 31-34.4-6.1-5.4 10.4-2.6 38.7-19.6Z"/><path d="M88.6 363c-8.5-35.3 16.9-39.8 20.7-41.1 29.3-3.4 84 23 93.2 38.7 2.8 4.6 4.6 59-4.8 70.1-6.8 8.2-28 10-38.1 12.5 10.3 2.2 26 7.1 16 27.8-12.4 26.3-24.5 5.6-19 30.5 1.8 7.6 6.7 21.3-2 24.2-12-.5-19.5-2.8-31.5-10C97.7 500.1 83 485.1 96 467c3.5-4.9 12.8-1.7 5.6-9.3-18.4-19.5-13.7-52.4.9-49 7.7 2-5.5-10.6-14-45.8ZM268.7 419.5c-17.9-29.7 4.7-44.4 8-47.1 26.7-15 85.5-12.5 98.6-1.5 3.9 3.3 20.8 53.7 15.1 68-4.1 10.5-23.5 20.8-32.3 27.3 10.3-2.1 26.4-4 23 19.6-4.5 29.8-21.7 15.2-9.4 36.4 3.7 6.4 12.2 17.4 4.8 23.6a54.7 54.7 0 0 1-32.5 3.4c-28.2-4.2-46.3-12.4-39-34.7 2-6 11.6-6.9 2.7-11.1-22.8-11-27.6-43.8-13-46.4 7.8-1.4-8.1-7.8-26-37.5ZM435 399.2c-28.7-14.7-16.5-41-15-45.3 15.3-29 65.7-62.3 81.8-60.8 4.8.5 42.3 33.6 44.2 49.4 1.4 11.5-10 32-14.5 43 7.7-8.1 20.3-19.3 28.3 3 10.2 28.3-11 26.1 9.1 37 6.1 3.2 18.2 7.5 15 17.3a62.2 62.2 0 0 1-25.7 22.5c-25.6 13.5-44.5 17.3-48.7-6.2-1.2-6.5 6.5-13-2.9-11.2-24.1 4.4-43.4-21-32.3-32.1 5.8-5.9-10.5-1.8-39.2-16.6Z"/><path d="M360.6 414c-25.5-20.1-8.8-43.5-6.5-47.5 20.4-25.6 76-48.5 91.6-43.9 4.6 1.4 35.4 41.1 34.4 57-.8 11.5-15.8 29.5-22.1 39.4 9-6.5 23.5-15 27.2 8.3 4.8 29.8-15.6 23.6 2.2 38 5.4 4.5 16.5 11 11.5 20a61.4 61.4 0 0 1-29.3 17.2c-27.6 8.2-47 8.4-46.8-15.6 0-6.5 8.8-11.3-.8-11.5-24.5-.3-38.8-29-25.8-37.7 6.8-4.6-10-3.7-35.6-23.8Z"/><path d="M299.6 430c-25.5-20.1-8.8-43.5-6.5-47.5 20.4-25.6 76-48.5 91.6-43.9 4.6 1.4 35.4 41.1 34.4 57-.8 11.5-15.8 29.5-22.1 39.4 9-6.5 23.5-15 27.2 8.3 4.8 29.8-15.6 23.6 2.2 38 5.4 4.5 16.5 11 11.5 20a61.4 61.4 0 0 1-29.3 17.2c-27.6 8.2-47 8.4-46.8-15.6 0-6.5 8.8-11.3-.8-11.5-24.5-.3-38.8-29-25.8-37.7 6.8-4.6-10-3.7-35.6-23.8Z"/><path d="M189.6 438c-25.5-20.1-8.8-43.5-6.5-47.5 20.4-25.6 76-48.5 91.6-43.9 4.6 1.4 35.4 41.1 34.4 57-.8 11.5-15.8 29.5-22.1 39.4 9-6.5 23.5-15 27.2 8.3 4.8 29.8-15.6 23.6 2.2 38 5.4 4.5 16.5 11 11.5 20a61.4 61.4 0 0 1-29.3 17.2c-27.6 8.2-47 8.4-46.8-15.6 0-6.5 8.8-11.3-.8-11.5-24.5-.3-38.8-29-25.8-37.7 6.8-4.6-10-3.7-35.6-23.8Z"/><path d="M72.6 414c-25.5-20.1-8.8-43.5-6.5-47.5 20.4-25.6 76-48.5 91.6-43.9 4.6 1.4 35.4 41.1 34.4 57-.8 11.5-15.8 29.5-22.1 39.4 9-6.5 23.5-15 27.2 8.3 4.8 29.8-15.6 23.6 2.2 38 5.4 4.5 16.5 11 11.5 20a61.4 61.4 0 0 1-29.3 17.2c-27.6 8.2-47 8.4-46.8-15.6 0-6.5 8.8-11.3-.8-11.5-24.5-.3-38.8-29-25.8-37.7 6.8-4.6-10-3.7-35.6-23.8Z"/></g>`,
+    long02: (components, colors) => `<g fill="${escape.xml(`${colors.hair}`)}"><path d="M78.7 224.1c13.7-116.4 116.8-174.6 210.8-171 144 5.6 197.7 105 204 171 5.6 56.6 64.2 114.4 24.3 169.8-65.4 90.7-421 36.9-447.8 17.9-71-50.2-.8-107.4 8.7-187.7Z"/><path d="M63.4 400.5a127.3 127.3 0 0 0 39-46.5c28.6-62.2-36.7-75.8-47.5-48.7a328 328 0 0 1-19.4 38.4C25.4 362 15.8 369.7-15 371c12 16 41.6 54.4 78.4 29.5ZM506.8 400.5a127.3 127.3 0 0 1-39-46.5c-28.6-62.2 36.7-75.8 47.5-48.7 2.5 6.2 6.7 15.6 19.4 38.4 10.1 18.3 19.7 26 50.5 27.3-12 16-41.6 54.4-78.4 29.5Z"/><path d="M513.7 359.5c-25.4-7.2-46.2-26-51.7-31.8-46.8-50 7.3-108.5 26.1-86.2 4.3 5 14.8 37.7 34 55.3 15.5 14.1 27 18.6 56.6 10-6.3 18.9-22.3 64.7-65 52.7ZM57.1 359.5c25.4-7.2 46.2-26 51.7-31.8 46.8-50-13-108-31.7-85.7-4.3 5-9.3 37.2-28.5 54.8-15.4 14.1-26.9 18.6-56.5 10 6.3 18.9 22.3 64.7 65 52.7ZM409.4 455.3a127.3 127.3 0 0 1-11.3-59.6c5.5-68.2 69.1-48 65.3-19.2a328 328 0 0 0-2 43c0 20.9 4.4 32.4 30.7 48.5-18.2 8-62.9 27-82.7-12.7ZM168.5 455.3a127.3 127.3 0 0 0 11.2-59.6c-5.5-68.2-69-48-65.2-19.2.8 6.6 1.8 17 2 43 0 20.9-4.5 32.4-30.8 48.5 18.2 8 63 27 82.8-12.7ZM287.7 489.4c13.8-27.7 14-60.7 13.2-70C294.4 339 199 356 203.6 390c1 7.8 16.4 20.3 16.5 51 .1 24.5 1.2 44.3-29.7 63.4 21.4 9.4 74 31.8 97.3-15Z"/><path d="M102.5 438c17.3-19.8 24.4-47 25.8-54.9 11.6-67.5-55-63.8-58.4-34.8a328 328 0 0 1-8.9 42c-5 20.3-12.3 30.3-41.8 39.4 15.6 12.4 54.2 41.9 83.3 8.4ZM467.7 438a127.3 127.3 0 0 1-25.8-54.9c-11.6-67.5 55-63.8 58.5-34.8a328 328 0 0 0 8.8 42c5 20.3 12.3 30.3 41.8 39.4-15.6 12.4-54.2 41.9-83.3 8.4ZM356.8 469c-5.3-25.8 1.8-53 4.5-60.6 22.8-64.5 79-28.7 68-1.8-2.6 6.2-6.2 16-13 41-5.4 20.2-4 32.5 17.2 54.9-19.7 3-67.7 10-76.7-33.6ZM221 469c5.4-25.8-1.7-53-4.4-60.6-22.9-64.5-79.2-28.7-68-1.8a328 328 0 0 1 13 41c5.4 20.2 4 32.5-17.3 54.9 19.7 3 67.7 10 76.7-33.6Z"/><path d="M288.9 486.4c-10.3-29.2-6.4-62-4.5-71.2 16.4-79 87.7-46 79-13-2 7.7 4 15.4 0 45.8-3.1 24.3-8.1 42.6 20.2 65.3-22.4 6.7-77.3 22.3-94.7-27Z"/></g>`,
+    long01: (components, colors) => `<path d="M42.3 359.7c7.7 52.3 73.5 107.6 170.4 85.4 30.6-18.3 99.5-17 139-9.2 39.5 7.9 85.6 33 157-14s41-161-27-212.5C437 175.7 410.4 93 289.7 93c-112.5 0-144.1 75.9-190.3 116.3a166.3 166.3 0 0 0-57 150.3Z" fill="${escape.xml(`${colors.hair}`)}"/>`,
+    short20: (components, colors) => `<path d="M253.3 156.2c76.7-3 104.7 35 110.6 55.5 47.1 0 81.2 35 87 81.8 4.8 37.4-7.2 56.5-23.7 77.4a53.4 53.4 0 0 1-30.7 18.8c-16.6 5-18 6.3-57 6.3h-67.6c-51.6 0-71.7-7-95.3-17.4-26.6-11.7-76.6-32.1-76.6-106 0-59.2 76.7-113.5 153.3-116.4Z" fill="${escape.xml(`${colors.hair}`)}"/>`,
+    short19: (components, colors) => `<path d="m37 283 89.6 81h308.5l83.9-67.5-101.8-33.1 18-151.8-108.9 64L272.8 75l-64.3 94.5-116-52.7 34.1 134.8L37 283Z" fill="${escape.xml(`${colors.hair}`)}"/>`,
+    short18: (components, colors) => `<path d="M41.6 296.4c-5.7 42.1 30.8 58.1 63.3 60-7.7 18.8 9.6 62 47.2 69.8 37.7 7.7 66.2-26.5 75.8-44.5 2.5 16.2 19.2 51 65.5 60.1 46.4 9.1 59.8-61.6 62.1-85.5 29 21 69 49.2 115.5 25.4 26.5-13.6 14-58.3 0-71 16.1-9.8 46.7-37.5 40-69.7-6.5-32.2-52.3-38.3-74.4-37.3 15.3-13 40-45.6 16.6-71.5-23.5-26-59.9-10.9-75.1 0 4.8-16.9 1.8-50.2-45.9-63.2-27.7-7.5-68 19.9-71.9 36.1-10.8-17-41.6-44.5-74.7-32.5-33 12-38.6 45.4-33.3 66.2-13.1-4-47.4-6.6-68.2 23.7-21 30.3 6.1 65.3 20.8 78.5-17.6 2-58.7 21.8-63.3 55.4Z" fill="${escape.xml(`${colors.hair}`)}"/>`,
+    short17: (components, colors) => `<path d="M363 148H189a89 89 0 0 0-89 89v147a89 89 0 0 0 89 89h174a89 89 0 0 0 89-89V237a89 89 0 0 0-89-89Z" fill="${escape.xml(`${colors.hair}`)}"/>`,
+    short16: (components, colors) => `<path d="M131.5 150.4c-30.2 28.5-103.6 121.5 0 245.1 27.7 33 248.2 11.2 271 0C492.8 351 436 132.7 262.8 163c-80.6 14-93-48.6-131.3-12.5Z" fill="${escape.xml(`${colors.hair}`)}"/>`,
+    short15: (components, colors) => `<path d="M131 137c-35 8.5-14 205 3.3 255.6 41.2 51.3 261.2 38.3 281 5.7 13.3-21.7 46.4-257.1 3.2-264.5-87-14.9-252.6-5.4-287.6 3.1Z" fill="${escape.xml(`${colors.hair}`)}"/>`,
+    short14: (components, colors) => `<path d="M293 197h-35a138 138 0 0 0 0 276h35a138 138 0 0 0 0-276Z" fill="${escape.xml(`${colors.hair}`)}"/>`,
+    short13: (components, colors) => `<path d="M431 317.5v-8a155.5 155.5 0 0 0-311 0v8a155.5 155.5 0 0 0 311 0Z" fill="${escape.xml(`${colors.hair}`)}"/>`,
+    short12: (components, colors) => `<g fill="${escape.xml(`${colors.hair}`)}"><path d="M431 317.5v-8a155.5 155.5 0 0 0-311 0v8a155.5 155.5 0 0 0 311 0Z"/><path d="M114.2 293.4c-15.2 52.4 6.4 90.2 19 102.5 40.5 90.5 233.5 67.5 293 0 47.6-54-19.8-207.2-59.5-277L332 161.4c-16.5-14.2-46.5-53.4-55-53.4-8.7 0-29.6 33.2-47.8 53.4-10.5-17.7-33-51-39.5-42.5-8 10.5-56.5 109-75.5 174.5Z"/></g>`,
+    short11: (components, colors) => `<g fill="${escape.xml(`${colors.hair}`)}"><path d="M431 317.5v-8a155.5 155.5 0 0 0-311 0v8a155.5 155.5 0 0 0 311 0Z"/><path d="M94.5 288.5c4.6 30.3 15.8 96.2 45.5 133 47.3 72.2 259.1 111.6 289.2-23.2C468 224.5 449.7 138 334 138c-96 0-140.2 19.5-156.5 51.5-38-28-91.5 43.5-83 99Z"/></g>`,
+    short10: (components, colors) => `<g fill="${escape.xml(`${colors.hair}`)}"><path d="M431 317.5v-8a155.5 155.5 0 0 0-311 0v8a155.5 155.5 0 0 0 311 0Z"/><path d="M130.5 297.5c20.8 4.8 31 13.3 33.5 17 3.8 22.7 9.2 63 0 43S86.8 326.2 54 323c16.8-10.5 55.7-30.3 76.5-25.5Z"/><path d="M154.4 230.3c11.4 18 12.7 31.3 12 35.6-13.3 18.9-37.7 51.4-30.3 30.7 7.5-20.7-33-76.5-54-101.8 19.3 4.3 60.8 17.5 72.3 35.5ZM210 170.8c-1.7 21.3-8.6 32.6-11.9 35.6-21.8 7.2-60.9 18.5-42.5 6.4 18.4-12 19.6-81 17.9-114 12.8 15.2 38.2 50.7 36.5 72ZM290.8 148.8c-13.7 16.4-26 21.6-30.3 22.2-22-6.8-60.4-20.2-38.4-19.4 22 .8 62.8-54.7 80.4-82.6 1.8 19.8 2 63.4-11.7 79.8Z"/><path d="M358 207c-35.2 8-57 2.6-63.5-1.1-22.6-31.7-60.5-89.1-31.8-65.5 28.8 23.7 140.6-9.2 193-28.7-18 28.5-62.5 87.3-97.7 95.3Z"/><path d="M414 266.5c-19.6-8.4-28.1-18.6-30-22.6.3-23 2.1-63.6 7.7-42.3 5.5 21.3 70.4 44.4 102.1 53.3-18.4 7.4-60.1 20-79.8 11.6Z"/><path d="M403.7 339.5c-11.2-18.1-12.4-31.4-11.5-35.7 13.3-18.8 38.1-51 30.4-30.4-7.7 20.6 32.3 76.8 53.2 102.3-19.3-4.5-60.8-18-72-36.2ZM139.7 357.1c6.4-20.3 15.8-29.8 19.6-32 23-2 63.6-4 42.9 3.5-20.7 7.6-37.5 74.4-43.3 106.9-9.1-17.7-25.7-58-19.2-78.4ZM109.3 302.2c18.2 11.1 31.5 12.1 35.9 11.2 18.5-13.5 50.5-38.7 30-30.8-20.6 8-77.2-31.4-102.9-52 4.7 19.2 18.8 60.5 37 71.6ZM136 218.8c5.2 20.7 14 30.7 17.6 33.2 22.8 3.3 63.2 7.9 43-1-20.1-8.7-32.8-76.4-36.7-109.2-10.1 17-29.1 56.3-24 77ZM202.2 150.5c-8.3 19.7-7.3 33-5.8 37.1 16.2 16.4 45.8 44.3 35 25.2-11-19.2 19.6-81 36.2-109.5-18.4 7.6-57.2 27.5-65.4 47.2ZM307.7 127.5c-18 11.3-25 22.7-26.1 27 3.7 22.6 11.7 62.5 13.9 40.6 2.2-21.9 62.8-54.6 92.9-68.3-19.4-4.5-62.5-10.6-80.7.7ZM394.3 179.7c-21.3-2-33.7 2.9-37.2 5.6-10.8 20.3-28.6 56.9-13.6 40.8 15-16 83.1-5.4 115.3 2-12.7-15.3-43.3-46.4-64.5-48.4Z"/><path d="M435.7 265.6c-16-14.1-28.8-17.4-33.3-17.3-20.6 10-56.6 29.1-35 25 21.7-4.2 70.4 44.5 92.1 69.4-1.2-19.8-7.7-63-23.8-77ZM418.8 359.6c-5-20.8-13.7-30.9-17.3-33.3-22.8-3.6-63.1-8.6-43 .4 20 9 32.1 76.9 35.6 109.7 10.4-17 29.7-56 24.7-76.8ZM155.6 354.6c12.6-17.2 14.6-30.4 14.1-34.8-12-19.6-34.4-53.5-28.2-32.4 6.2 21.1-37.6 74.3-60.3 98.3 19.6-3.1 62-13.8 74.4-31Z"/></g>`,
+    short09: (components, colors) => `<path d="M280.6 154h-10.2C169.1 154 87 248 87 364v222.4h377V364C464 248 381.9 154 280.6 154Z" fill="${escape.xml(`${colors.hair}`)}"/>`,
+    short08: (components, colors) => `<path d="M431 346v-8c0-35.3-11.7-76.1-31.5-112-28.4-51.6-73.4-93-124-93-53.2 0-100.2 45.8-128.2 101A238.8 238.8 0 0 0 120 338v8a155.5 155.5 0 0 0 311 0Z" fill="${escape.xml(`${colors.hair}`)}"/>`,
+    short07: (components, colors) => `<path d="M476.4 267.7c-14.4-21.3 9.1-32.6 0-76.2-9.2-43.6-47-23.2-65.4-43.6-18.5-20.4-18.8-38.6-47.8-47-50.7-14.8-83 24.5-127.5 0s-95 12.8-103 47c-5.5 24-9.5 43.3-43.5 68.8-39.6 29.7-37.5 91.5-9.5 125.5s19.5 49 18.5 81 29.5 65 75 53.5 46.5 26.4 96.5 39.7c54 14.3 41-21.5 93.5-22.5s63.5-31 73-60.5 4-39 31-69 36-57.2 9.2-96.7Z" fill="${escape.xml(`${colors.hair}`)}"/>`,
+    short06: (components, colors) => `<g fill="${escape.xml(`${colors.hair}`)}"><path d="M443.4 284.6c-12.6-18.5 8-28.4 0-66.3-8-38-40.8-20.2-57-38-16-17.8-16.3-33.5-41.5-40.9-44.2-12.9-72.2 21.3-111 0-38.7-21.3-82.7 11.1-89.6 41-4.8 20.8-8.3 37.6-38 59.8C72 266 73.9 319.8 98.2 349.4c24.4 29.6 17 42.7 16.1 70.5-.8 27.9 25.7 56.6 65.3 46.6 39.6-10 40.5 23 84 34.5 47 12.5 35.7-18.7 81.4-19.6 45.7-.8 55.3-27 63.6-52.6 8.2-25.7 3.4-34 27-60 23.4-26.2 31.2-49.8 7.9-84.2Z"/><path d="M94.6 244.4a48.3 48.3 0 0 1 46.2-9.5l148.5 181.3c1.5 2.6-3.6 18.3-20.2 39.5-30.6 39.1-47.5 28.8-51.8 37.8-3.5 7.3 10.7 19.6 18.2 25-5.7 1.9-21.3 2.5-37.8-10.7-16.4-13.2-18.5-43.4-17.6-56.8-2.5-.3-8.6 3.1-13.3 19-4.6 15.8-23.4 22.2-32.3 23.5 3.7-2.1 9.5-11.9 3-33.7-6.3-21 .6-35.4 7.2-45.8-1.2.3-4.8.6-17 8.5-17.1 11.2-39.9-8.4-49.1-19.5 7 .8 23.6-.7 32.8-13.5 9.1-12.7 9.4-19.4 8.4-21.2a40 40 0 0 0-36.6 9.9c-13.5 12.6-31.4-6-38.6-16.7 2.5 1.7 9.3 3.7 17-1.9 9.4-7-1.9-11.3 2-31 2.2-10.6 10.9-16.3 18.8-19-8.3-.1-20.2-4-33.3-17-20-19.9-11.5-37-4.7-43 .5 3.6 3.9 12.3 13 17.7 11.4 6.8 17-4.4 37.2-23Z"/><path d="M328.9 133.5a48.3 48.3 0 0 1 5.1 46.9L140 311.6c-2.7 1.2-17.9-5.3-37.4-23.7-36.2-34.1-24.4-50-33-55.2-6.9-4-20.5 8.9-26.5 15.9-1.4-6-.6-21.5 14-36.7 14.7-15.1 45-14.5 58.3-12.2.5-2.5-2.3-9-17.7-15-15.3-6.1-20-25.5-20.5-34.4 1.8 4 11 10.6 33.3 6.1a51.6 51.6 0 0 1 45 11.4c-.2-1.2-.2-5-7-17.7-9.5-18.1 12-39 24-47.2-1.5 7-1.5 23.6 10.4 34 11.9 10.2 18.5 11 20.4 10.2a40 40 0 0 0-6.5-37.3c-11.3-14.6 8.8-30.7 20.2-36.9-2 2.3-4.6 9 .3 17 6 10.2 11.4-.7 30.6 5 10.4 3.1 15.3 12.3 17.2 20.5 1-8.3 5.8-19.8 20-31.6 21.7-18.2 38-8 43.4-.8-3.7.2-12.7 2.7-19 11.3-7.7 10.8 3 17.4 19.5 39.2Z"/><path d="M452.9 363.5a48.3 48.3 0 0 1-47 5.5L273.7 175.6c-1.3-2.7 5.1-17.9 23.5-37.5 33.8-36.4 49.8-24.7 54.9-33.3 4-7-9-20.5-16-26.4 5.9-1.5 21.4-.7 36.7 13.8 15.2 14.6 14.8 44.8 12.6 58.2 2.5.4 9-2.4 15-17.8s25.2-20.2 34.1-20.7c-3.9 1.8-10.5 11-5.9 33.3a51.6 51.6 0 0 1-11 45c1.2-.2 4.8-.1 17.6-7 18-9.7 39 11.8 47.3 23.7-7-1.5-23.6-1.4-33.8 10.6-10.2 11.9-11 18.6-10.2 20.4a40 40 0 0 0 37.3-6.7c14.5-11.4 30.7 8.6 37 20-2.3-2-9-4.5-17 .3-10 6.2.8 11.5-4.8 30.7-3 10.4-12.2 15.3-20.3 17.3 8.3 1 19.8 5.7 31.7 19.8 18.3 21.6 8.3 38 1 43.4a27.1 27.1 0 0 0-11.4-18.9c-10.8-7.7-17.4 3-39 19.7Z"/><path d="M232.2 481.7a48.3 48.3 0 0 1-12.6-45.5l170.8-160.5c2.5-1.6 18.5 2.4 40.7 17.5 41.2 27.9 32 45.4 41.3 49.2 7.5 3 18.9-12 23.7-19.9 2.3 5.6 4 21.1-8 38.4-12.1 17.3-42.1 21.5-55.6 21.4-.1 2.5 3.7 8.4 19.8 12 16.1 3.6 23.9 22 25.7 30.6-2.4-3.5-12.5-8.6-33.8-.7a51.6 51.6 0 0 1-46.2-4c.4 1.1 1 4.8 9.7 16.4 12.3 16.3-5.7 40.3-16.2 50.3.4-7.1-2.3-23.5-15.6-31.8-13.4-8.3-20.1-8-21.8-7a40 40 0 0 0 12.4 35.9c13.4 12.6-3.8 31.7-14.1 39.6 1.5-2.6 3-9.5-3-16.7-7.6-9-11.2 2.5-31 0-10.8-1.5-17-9.7-20.3-17.5.4 8.3-2.6 20.4-14.6 34.4-18.6 21.3-36.2 14-42.8 7.6 3.7-.8 12.1-4.7 17-14.2 5.9-11.8-5.7-16.6-25.5-35.5Z"/></g>`,
+    short05: (components, colors) => `<path d="M84 356.5c11.3 73.5 27.3 93.7 57 130.5 47.3 72.2 222.5 105.7 289.2-15.2C539 274.5 400.2 142 284.5 142c-96 0-109.6 36-126 68-57-12.5-83 91-74.5 146.5Z" fill="${escape.xml(`${colors.hair}`)}"/>`,
+    short04: (components, colors) => `<g fill="${escape.xml(`${colors.hair}`)}"><path d="M83.6 337.2c11.2 73.5 27.2 93.7 57 130.5 47.2 72.2 222.4 105.8 289-15.2 109-197.3-24.8-183.3-140.6-183.3-96 0-132.1-32-148.4 0-38-28-65.5 12.5-57 68Z"/><path d="M99.9 245c-8.8 46.2-3.7 65.5 0 69.4 47 69.5 273.3 129.3 336.2 17.4 50.4-89.6-6.7-176.2-41.5-208.4 2 2.6 7.6 12.4 4.7 29.6a34.7 34.7 0 0 1-13.5 23.8c1.3-11.8 6.1-40.5-3-59.8-11.6-24.5-23.8-33.3-36.5-39.3 6 18.7 8.2 27.7 6.5 39.3-1.7 11.5-12.1 31.7-20.1 36 3.8-14.5 4.8-36-2.2-55.5-11.3-31.4-31.5-46.1-44.8-50.6 1 2.7 6 24.3 4.3 43-2.6 29.6-13.5 39.6-17.5 44.6 4-9.5 6-25 4-43-3.5-31.2-34.1-52.4-43.6-57.5 1.5 6.6 2.1 37-4 63.7C223 123.4 211 137 198 153c3.5-9.5 2-24-4-41-5.1-14.6-10.9-17.3-15.2-22 .2 7-2.2 27.5-13 52.7-13.5 31.5-18.5 56.6-18.5 43v-43A254.4 254.4 0 0 0 100 244.9Z"/></g>`,
+    short03: (components, colors) => `<path d="m275.5 51 40.3 49 57.5-26.7 15 61.6 63.5 1-13.2 62 56.7 28.4-38.7 50.2 38.7 50.2-56.7 28.4 13.2 62-63.4 1-15 61.6-57.6-26.7-40.3 49-40.3-49-57.5 26.7-15-61.6-63.5-1 13.2-62-56.7-28.4 38.7-50.2-38.7-50.2 56.7-28.4-13.2-62 63.4-1 15-61.6 57.6 26.7 40.3-49Z" fill="${escape.xml(`${colors.hair}`)}"/>`,
+    short02: (components, colors) => `<path d="M73 341.5c-51 49 19.3 74.7 49 109 21 29.9 84.5 36.5 127 20 52 13.1 48.5 44.3 104.5 16.5 90 5 76.7-55.4 98.7-67.5 30.8-17 62.8-56 30.8-89 0-41-1.5-79.4-30.8-106.3-13-59.4-24-77.1-82.5-77.1-39-33.8-66.5-3.7-90.5-25-69.6-61.7-118.9 35.4-135.2 65.3-22.5-15.5-61.3 18.2-55.3 61-43 26.6 2.9 75.2-15.7 93.1Z" fill="${escape.xml(`${colors.hair}`)}"/>`,
+    short01: (components, colors) => `<g fill="${escape.xml(`${colors.hair}`)}"><path d="M73 341.5c-51 49 15.7 94 55 94 0 35 78.5 51.5 121 35 14.5 26 48.5 44.3 104.5 16.5 90 5 76.7-55.4 98.7-67.5 30.8-17 62.8-56 30.8-89 0-41-1.5-79.4-30.8-106.3 11.8-40.2-18.7-80.7-77.2-80.7-39-33.8-62.2-10-93-19-92.5-27-119.2 19.2-135.5 49-22.5-15.4-73 20.1-67 63-43 26.6 12 87.1-6.5 105Z"/><path d="M149 129.5c20 9.2 28.2 35.3 30.5 46l-45.5 37c3.2-10.2.5-37.3-3.5-56.5-4-19.2-30.3-25.8-49.5-26.5a84.6 84.6 0 0 1 68 0ZM313 93c-20.6 8-30.4 33.6-33.4 44l43 39.9c-2.5-10.4 2-37.3 7.1-56.2 5.2-18.9 32-23.8 51.1-23.3a84.6 84.6 0 0 0-67.9-4.3ZM501.3 247.8c-16.5-14.6-43.7-11.5-54.4-9.4L431.3 295c8-7 34-15.5 53.1-19.6 19.2-4 35.9 17.4 44.2 34.7a84.6 84.6 0 0 0-27.3-62.3ZM49 321.7c16.4 14.6 43.6 11.5 54.3 9.4l15.6-56.6c-8 7-34 15.5-53.1 19.6-19.2 4-35.9-17.4-44.2-34.7A84.6 84.6 0 0 0 49 321.7ZM173 494.8c20.8-7 31.5-32.3 35-42.6l-41.6-41.5c2.1 10.5-3.3 37.2-9.2 56-6 18.6-32.8 22.5-52 21.3 12 6.5 38 17 67.7 6.8ZM456.4 440.4c-21.7-3.9-36.2-27.1-41.1-36.9l34.7-47.2c-.5 10.6 9 36.2 17.6 53.8 8.7 17.6 35.9 17.4 54.6 13.2a84.6 84.6 0 0 1-65.9 17.1Z"/></g>`,
+};
@@ -0,0 +1,15 @@
+/**
+ * Do not change this file manually! This file was generated with the "Dicebear Exporter"-Plugin for Figma.
+ *
+ * Plugin: https://www.figma.com/community/plugin/1005765655729342787
+ * File: https://www.figma.com/file/KhTfMFWWniVgZmGVFL0KK6
+ */
+export { hair } from './hair.js';
+export { face } from './face.js';
+export { mouth } from './mouth.js';
+export { ear } from './ear.js';
+export { eyes } from './eyes.js';
+export { cheek } from './cheek.js';
+export { nose } from './nose.js';
+export { sideburn } from './sideburn.js';
+export { frontHair } from './frontHair.js';
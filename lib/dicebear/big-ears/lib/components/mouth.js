@@ -0,0 +1,46 @@
+/**
+ * Do not change this file manually! This file was generated with the "Dicebear Exporter"-Plugin for Figma.
+ *
+ * Plugin: https://www.figma.com/community/plugin/1005765655729342787
+ * File: https://www.figma.com/file/KhTfMFWWniVgZmGVFL0KK6
+ */
+export const mouth = {
+    variant0708: (components, colors) => `<path fill-rule="evenodd" clip-rule="evenodd" d="M-1.7 8c1.5-.2 2.9.9 3 2.4.8 5.2 8.4 18.8 37.2 20.2a2.7 2.7 0 1 1-.2 5.4C7.9 34.5-3 19.7-4 11c-.2-1.4.9-2.8 2.3-3Z" fill="#000"/>`,
+    variant0707: (components, colors) => `<path fill-rule="evenodd" clip-rule="evenodd" d="M16.8 33.3a2.5 2.5 0 0 1 3.5-.7c4.1 2.7 18.5 5.6 37-14a2.5 2.5 0 0 1 3.7 3.5C41.4 42.8 24.4 41.3 17.5 36.9a2.5 2.5 0 0 1-.7-3.6Z" fill="#000"/>`,
+    variant0706: (components, colors) => `<path fill-rule="evenodd" clip-rule="evenodd" d="M20 47.5c0-1.4 1.2-2.6 2.6-2.6 3.2-.1 8-.7 12-2 2-.8 3.5-1.6 4.5-2.5 1-.8 1.4-1.7 1.4-2.6 0-.8-.4-1.7-1.4-2.5-1-1-2.6-1.8-4.6-2.4-3.9-1.4-8.7-2-12-2a2.5 2.5 0 0 1 .1-5.1c3.2 0 8-.6 12-2 2-.6 3.5-1.4 4.5-2.3 1-1 1.4-1.8 1.4-2.8 0-1-.4-1.8-1.4-2.7-1-.9-2.6-1.7-4.5-2.4a42 42 0 0 0-12-1.9 2.5 2.5 0 0 1 0-5c3.6 0 9 .6 13.6 2.1 2.3.8 4.6 1.9 6.3 3.5 1.8 1.5 3 3.7 3 6.4 0 2.8-1.2 5-3 6.5a17.4 17.4 0 0 1-5.4 3.2c2 .7 3.9 1.7 5.4 3 1.7 1.6 3 3.7 3 6.4 0 2.8-1.3 4.9-3 6.4-1.8 1.6-4 2.7-6.3 3.4-4.6 1.6-10 2.2-13.5 2.3-1.4 0-2.6-1-2.6-2.4Z" fill="#000"/>`,
+    variant0705: (components, colors) => `<path fill-rule="evenodd" clip-rule="evenodd" d="M-1.5 27.9-6 31.4a3.2 3.2 0 1 1-3.7-5.2l4-3.1 2.3-1.9c2.3-1.7 4.8-3.6 7.8-5.2a52 52 0 0 1 25.8-5.7 52.5 52.5 0 0 1 38.2 16.5 3.2 3.2 0 1 1-4.8 4 46.3 46.3 0 0 0-33.4-14c-11 0-17.7 2-22.8 4.8a48 48 0 0 0-6.9 4.6l-2 1.7Z" fill="#000"/>`,
+    variant0704: (components, colors) => `<path d="M-2.4 23.5a57 57 0 0 1 31-8.9c17 0 33 7.4 31 8.9 0 17-2-3.6-29-3.6-28.9 0-33 20.7-33 3.6Z" fill="#000"/>`,
+    variant0703: (components, colors) => `<path fill-rule="evenodd" clip-rule="evenodd" d="M-13.2 18c1.4 0 2.6 1 2.7 2.4.2 3 1.3 7.6 4.1 11.4a16 16 0 0 0 13.7 6.6c6.8 0 11-3 13.7-6.6 2.8-3.8 4-8.4 4.1-11.4a2.5 2.5 0 0 1 5.1 0c.1 3 1.2 7.6 3.9 11.4 2.6 3.6 7 6.6 14 6.6s11.3-3 14-6.6c2.7-3.8 3.7-8.3 3.8-11.3a2.5 2.5 0 0 1 5 .1c0 3.8-1.3 9.4-4.7 14.2A21.3 21.3 0 0 1 48 43.5a21.3 21.3 0 0 1-20.5-12.8c-.7 1.4-1.5 2.8-2.5 4a21.2 21.2 0 0 1-17.8 8.8c-8.5 0-14.2-3.9-17.8-8.7a27.7 27.7 0 0 1-5-14.1c-.2-1.4.9-2.6 2.3-2.7Z" fill="#000"/>`,
+    variant0702: (components, colors) => `<path fill-rule="evenodd" clip-rule="evenodd" d="M59.2 13 63.7 9a3.2 3.2 0 0 1 4 5l-4.1 3.5-2.3 2a49 49 0 0 1-33.7 11.8 51 51 0 0 1-38.3-17.8 3.2 3.2 0 0 1 5-4c4 5 16.3 15.4 33.3 15.4 11 0 17.7-2.3 22.7-5.2a48 48 0 0 0 9-6.9Z" fill="#000"/>`,
+    variant0701: (components, colors) => `<path d="M59.7 22.8a57 57 0 0 1-31 8.8c-17 0-33-7.3-31-8.8 0-17.1 3.2 0 30 0 29 0 32-17.1 32 0Z" fill="#000"/>`,
+    variant0405: (components, colors) => `<path d="M59.2 32c0 17.1-13.8 4.1-31 4.1-17 0-31 13-31-4a31 31 0 1 1 62 0Z" fill="#DE8383"/>`,
+    variant0605: (components, colors) => `<path d="M-24 21.8a17 17 0 0 1 17-17h65.7a17 17 0 0 1 0 34H-7a17 17 0 0 1-17-17Z" fill="#DE8383"/>`,
+    variant0604: (components, colors) => `<path d="M-22.5 25a17 17 0 0 1 17-16.9h65.6a17 17 0 0 1 0 34H-5.5a17 17 0 0 1-17-17Z" fill="#F9F9F9"/>`,
+    variant0603: (components, colors) => `<path d="M-24 22.9a17 17 0 0 1 17-17h65.7a17 17 0 0 1 0 34H-7a17 17 0 0 1-17-17Z" fill="#DE8383"/><path fill-rule="evenodd" clip-rule="evenodd" d="M73.9 14.7c-3 5.4-8.7 9-15.3 9H-6.2c-6.6 0-12.3-3.6-15.3-9 3-5.3 8.7-9 15.3-9h64.8c6.6 0 12.3 3.7 15.3 9Z" fill="#F9F9F9"/>`,
+    variant0602: (components, colors) => `<path d="M-24 27.7a17 17 0 0 1 17-17h65.7a17 17 0 0 1 0 34H-7a17 17 0 0 1-17-17Z" fill="#DE8383"/><path fill-rule="evenodd" clip-rule="evenodd" d="M75.6 26h-99.5A17 17 0 0 1-7 9.7h65.6a17 17 0 0 1 17 16.3Z" fill="#F9F9F9"/>`,
+    variant0601: (components, colors) => `<path d="M-24 25.4a17 17 0 0 1 17-17h65.7a17 17 0 1 1 0 34H-7a17 17 0 0 1-17-17Z" fill="#DE8383"/><path fill-rule="evenodd" clip-rule="evenodd" d="M71.8 35c-2.6 4.2-7.2 7-12.5 7H-8.4c-5.2 0-9.9-2.8-12.4-7 2.5-4.3 7.2-7.1 12.4-7.1h67.7c5.3 0 10 2.8 12.5 7Z" fill="#C06E6E"/><path fill-rule="evenodd" clip-rule="evenodd" d="M75.6 23.7h-99.5A17 17 0 0 1-7 7.4h65.6a17 17 0 0 1 17 16.3Z" fill="#F9F9F9"/>`,
+    variant0505: (components, colors) => `<path d="M82.7 33.4c0 16.9-24.2 4-54.2 4-30 0-54.2 12.9-54.2-4S-1.4 3 28.5 3c30 0 54.2 13.6 54.2 30.5Z" fill="#DE8383"/>`,
+    variant0504: (components, colors) => `<path d="M84 36.8c0 16.9-24.2 4-54.2 4-29.9 0-54.2 12.9-54.2-4 0-17 24.3-30.6 54.2-30.6 30 0 54.3 13.7 54.3 30.6Z" fill="#F9F9F9"/>`,
+    variant0503: (components, colors) => `<path d="M82 34.6c0 16.9-24.2 4-54.2 4-29.9 0-54.2 12.9-54.2-4C-26.4 17.6-2 4 27.8 4c30 0 54.3 13.7 54.3 30.6Z" fill="#DE8383"/><path fill-rule="evenodd" clip-rule="evenodd" d="M69.2 15.1c-9.8 3.2-24.8 5.3-41.7 5.3-16.5 0-31.2-2-41-5.1A71 71 0 0 1 28 3.5C44.7 3.5 59.6 8 69.2 15Z" fill="#F9F9F9"/>`,
+    variant0502: (components, colors) => `<path d="M81 37.1c0 17-24.2 4.1-54.2 4.1-29.9 0-54.2 12.8-54.2-4 0-17 24.3-30.6 54.2-30.6 30 0 54.3 13.7 54.3 30.5Z" fill="#DE8383"/><path fill-rule="evenodd" clip-rule="evenodd" d="M74.2 22.2h-94.7c9.3-9.3 27-15.6 47.3-15.6 20.4 0 38 6.3 47.4 15.6Z" fill="#F9F9F9"/>`,
+    variant0501: (components, colors) => `<path d="M81.8 35.3c0 17-24.3 4-54.2 4-30 0-54.3 13-54.3-4 0-16.9 24.3-30.5 54.3-30.5 30 0 54.2 13.6 54.2 30.5Z" fill="#DE8383"/><path fill-rule="evenodd" clip-rule="evenodd" d="M-23.6 42.4C-16.2 30.6 4 22 27.6 22c23.6 0 43.7 8.6 51.1 20.4-4.2 2.8-12.3 1.5-22.8-.2a178 178 0 0 0-28.3-2.8A178 178 0 0 0-.8 42.2c-10.5 1.7-18.6 3-22.8.2Z" fill="#C06E6E"/><path fill-rule="evenodd" clip-rule="evenodd" d="M74.7 20.3h-94.3c9.3-9.3 27-15.5 47.2-15.5 20.2 0 37.8 6.2 47.1 15.5Z" fill="#F9F9F9"/>`,
+    variant0404: (components, colors) => `<path d="M58.4 36.8c0 17.1-13.9 4.2-31 4.2s-31 13-31-4.2a31 31 0 1 1 62 0Z" fill="#F9F9F9"/>`,
+    variant0403: (components, colors) => `<path d="M58.4 34.6c0 17.2-13.9 4.2-31 4.2s-31 13-31-4.2a31 31 0 0 1 62 0Z" fill="#DE8383"/><path fill-rule="evenodd" clip-rule="evenodd" d="M51.5 14.8a49 49 0 0 1-24.3 5.6c-9.5 0-18-2-23.7-5.2a31 31 0 0 1 48-.4Z" fill="#F9F9F9"/>`,
+    variant0402: (components, colors) => `<path d="M58.4 39.3c0 17.1-13.9 4.2-31 4.2s-31 13-31-4.2a31 31 0 0 1 62 0Z" fill="#DE8383"/><path fill-rule="evenodd" clip-rule="evenodd" d="M52.7 22.6h-51A29.8 29.8 0 0 1 27.4 8C38 8 47.5 13.9 52.7 22.6Z" fill="#F9F9F9"/>`,
+    variant0401: (components, colors) => `<path d="M59.8 40.1c0 17.1-13.9 4.2-31 4.2s-31 13-31-4.2a31 31 0 0 1 62 0Z" fill="#DE8383"/><path fill-rule="evenodd" clip-rule="evenodd" d="M1.4 47.3a30.4 30.4 0 0 1 28.3-19.7c12.8 0 23.8 8.2 28.3 19.7-2.5 2.3-6.9 1-12.5-.6-4.6-1.3-10-2.8-15.8-2.8-5.8 0-11.3 1.5-15.9 2.8-5.6 1.6-10 3-12.4.6Z" fill="#C06E6E"/><path fill-rule="evenodd" clip-rule="evenodd" d="M54 22H4.5A29.5 29.5 0 0 1 29.3 8.2c10.2 0 19.2 5.5 24.6 13.8Z" fill="#F9F9F9"/>`,
+    variant0305: (components, colors) => `<path d="M59.7 18.5a31 31 0 1 1-62 0c0-17.2 4.1-15 31-15 24.8 0 31-2.2 31 15Z" fill="#DE8383"/>`,
+    variant0304: (components, colors) => `<path d="M60.9 25c0 17-14.8 30.6-33 30.6C9.5 55.6-5.3 42-5.3 25.1c0-16.9 4.4-14.9 33-14.9 26.5 0 33-2 33 14.9Z" fill="#F9F9F9"/>`,
+    variant0303: (components, colors) => `<path d="M60.7 22.9c0 16.9-14.8 30.5-33 30.5C9.2 53.4-5.6 39.8-5.6 23S-1 8 27.6 8c34 0 33-2 33 14.8Z" fill="#DE8383"/><path fill-rule="evenodd" clip-rule="evenodd" d="M55.1 8.7c-5 4.8-15.3 9-27.2 9A42 42 0 0 1 1 9.3C4 7.9 9.8 8 21.5 8a2115 2115 0 0 0 14.8 0c9.4 0 15.3 0 18.8.7Z" fill="#F9F9F9"/>`,
+    variant0302: (components, colors) => `<path d="M59 18.4A31 31 0 0 1 27.6 49 31 31 0 0 1-4 18.4c0-17 4.2-14.9 31.5-14.9 25 0 31.4-2 31.4 14.9Z" fill="#DE8383"/><path fill-rule="evenodd" clip-rule="evenodd" d="M58.8 19.7H-3.7v-1.2C-3.8 2.6-.5 2.7 19.5 2.8a829.2 829.2 0 0 0 15.2 0c19-.1 24-.2 24 15.7v1.2Z" fill="#F9F9F9"/>`,
+    variant0301: (components, colors) => `<path d="M59 19.1a31 31 0 0 1-31.5 30.6A31 31 0 0 1-3.9 19.1c0-17 4.2-14.9 31.4-14.9 25.2 0 31.5-2 31.5 15Z" fill="#DE8383"/><path fill-rule="evenodd" clip-rule="evenodd" d="M58.8 17.7H-4c.2-14.1 4.1-14 23.5-14l8 .1h7.2c18.4-.2 23.7-.2 24 14Z" fill="#F9F9F9"/><path fill-rule="evenodd" clip-rule="evenodd" d="M53.8 35.7A31.7 31.7 0 0 1 27.7 49c-11 0-20.8-5.5-26.4-13.8a42.7 42.7 0 0 1 26-7.6 42 42 0 0 1 26.5 8Z" fill="#C06E6E"/>`,
+    variant0205: (components, colors) => `<path d="M59.7 22.3a31 31 0 0 1-62 0c0-17 13.9-4 31-4 17 0 31-13 31 4Z" fill="#DE8383"/>`,
+    variant0204: (components, colors) => `<path d="M59 15.6a31 31 0 1 1-62 0c0-17.1 13.8-4.1 31-4.1 17 0 31-13 31 4Z" fill="#F9F9F9"/>`,
+    variant0203: (components, colors) => `<path d="M59 15a31 31 0 0 1-62 0C-3-2 10.8 11 28 11c17 0 31-13 31 4.1Z" fill="#DE8383"/><path fill-rule="evenodd" clip-rule="evenodd" d="M56.3 7A31 31 0 0 1-.3 7c2.5-1.7 6.8-.5 12.1 1 4.7 1.3 10.3 2.9 16.2 2.9 6 0 11.5-1.6 16.2-3 5.3-1.4 9.5-2.6 12-1Z" fill="#F9F9F9"/>`,
+    variant0202: (components, colors) => `<path d="M59 19.4a31 31 0 1 1-62 0c0-17.2 13.8-4.2 31-4.2 17 0 31-13 31 4.2Z" fill="#DE8383"/><path fill-rule="evenodd" clip-rule="evenodd" d="M57.5 28.6H-1.7c-.9-3-1.3-6-1.3-9.2 0-11.2 5.9-9.6 14.8-7a59.5 59.5 0 0 0 16.1 2.8c6 0 11.5-1.5 16.2-2.9 9-2.5 14.8-4.1 14.8 7a31 31 0 0 1-1.4 9.3Z" fill="#F9F9F9"/>`,
+    variant0201: (components, colors) => `<path d="M58.2 16.4a30.6 30.6 0 0 1-61.2 0c0-17 13.7-4.1 30.6-4.1 17 0 30.6-12.8 30.6 4Z" fill="#DE8383"/><path fill-rule="evenodd" clip-rule="evenodd" d="M56.8 25.4H-1.7c-1-3-2.2-6-2.2-9.3 0-11.1 6-9.5 15-7A61.6 61.6 0 0 0 27.6 12c6 0 11.6-1.6 16.4-2.9 9-2.5 14.3-3.4 14.3 7.7 0 3.2-.5 5.6-1.5 8.6Z" fill="#F9F9F9"/><path fill-rule="evenodd" clip-rule="evenodd" d="M50.4 36a29 29 0 0 1-23 11.5 29 29 0 0 1-22.6-11c4.1-5 12.9-8.4 23-8.4 9.8 0 18.3 3.2 22.6 8Z" fill="#C06E6E"/>`,
+    variant0105: (components, colors) => `<path d="M59.5 28.2a31 31 0 1 1-62 0 31 31 0 0 1 62 0Z" fill="#DE8383"/>`,
+    variant0104: (components, colors) => `<path d="M59.5 27.6a31 31 0 1 1-62 0 31 31 0 0 1 62 0Z" fill="#F9F9F9"/>`,
+    variant0103: (components, colors) => `<path d="M59.5 28.4a31 31 0 1 1-62 0 31 31 0 0 1 62 0Z" fill="#DE8383"/><path d="M55.4 13H1.6C5.2 6.1 14.2-3 29-3c14.8 0 23.4 9.6 26.4 16Z" fill="#F9F9F9"/>`,
+    variant0102: (components, colors) => `<g fill="#DE8383"><path d="M59.8 28.1a31 31 0 1 1-62 0 31 31 0 0 1 62 0Z"/><path fill-rule="evenodd" clip-rule="evenodd" d="M57 19.5H.7A31.1 31.1 0 0 1 29 1.3c12.5 0 23.2 7.5 28 18.2Z"/></g><path fill-rule="evenodd" clip-rule="evenodd" d="M57 15.1H.7A31.1 31.1 0 0 1 29-3c12.5 0 23.2 7.5 28 18.2Z" fill="#F9F9F9"/>`,
+    variant0101: (components, colors) => `<path d="M59.8 28.9a31 31 0 1 1-62 0 31 31 0 0 1 62 0Z" fill="#DE8383"/><path fill-rule="evenodd" clip-rule="evenodd" d="M5.6 49.5a31 31 0 0 1 47.9-2 31 31 0 0 1-47.9 2Z" fill="#C06E6E"/><path fill-rule="evenodd" clip-rule="evenodd" d="M57.4 16.4H.4a31 31 0 0 1 57 0Z" fill="#F9F9F9"/>`,
+};
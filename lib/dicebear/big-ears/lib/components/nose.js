@@ -0,0 +1,20 @@
+/**
+ * Do not change this file manually! This file was generated with the "Dicebear Exporter"-Plugin for Figma.
+ *
+ * Plugin: https://www.figma.com/community/plugin/1005765655729342787
+ * File: https://www.figma.com/file/KhTfMFWWniVgZmGVFL0KK6
+ */
+export const nose = {
+    variant12: (components, colors) => `<path d="M22.6 34.4a17 17 0 1 0 32.6 0 16.9 16.9 0 0 1-32.6 0Z" fill="#000" fill-opacity=".2"/>`,
+    variant11: (components, colors) => `<path d="M5.6 34.4a17 17 0 0 0 16.3 21.4h33.7A16.9 16.9 0 0 0 72 34.4C70 41.6 63.4 47 55.6 47H22c-7.8 0-14.4-5.3-16.3-12.5Z" fill="#000" fill-opacity=".2"/>`,
+    variant10: (components, colors) => `<path d="M18.6 38.3A10 10 0 0 0 29 45a10 10 0 0 0 19.4 0h.9a10 10 0 0 0 9.5-6.7 10 10 0 0 1-10.4 13.4 10 10 0 0 1-19.4 0H28a10 10 0 0 1-9.5-13.4Z" fill="#000" fill-opacity=".2"/>`,
+    variant09: (components, colors) => `<path d="M16.6 46.2A11.3 11.3 0 0 0 28.3 61 11.3 11.3 0 0 0 50 61h1a11.3 11.3 0 0 0 10.7-15A11.3 11.3 0 0 1 50 53.9a11.3 11.3 0 0 1-21.8 0h-1c-5 0-9.2-3.1-10.7-7.6Z" fill="#000" fill-opacity=".2"/>`,
+    variant08: (components, colors) => `<g fill="#000" fill-opacity=".2"><rect x="25.9" y="51.5" width="11.7" height="8.9" rx="4.4" transform="rotate(-90 25.9 51.5)"/><rect x="43.7" y="51.5" width="11.7" height="8.9" rx="4.4" transform="rotate(-90 43.7 51.5)"/><path d="M61.2 41.4c.2-.8.2-1.7.2-2.5C61.4 29.6 54 22 44.5 22H34a16.9 16.9 0 0 0-16.7 19.4A16.9 16.9 0 0 1 33.9 27h10.6C53 27 60 33.2 61.2 41.4Z"/></g>`,
+    variant07: (components, colors) => `<path d="M17.2 34.5a17 17 0 0 0-.2 2.4v3.3C17 49.5 24.6 57 33.9 57H44C53.4 57 61 49.5 61 40V37c0-.8 0-1.6-.2-2.4a16.9 16.9 0 0 1-16.7 14.4H34c-8.5 0-15.6-6.2-16.7-14.4Z" fill="#000" fill-opacity=".2"/>`,
+    variant06: (components, colors) => `<path d="M37 14v27c-3.7.7-11 4-11 10.5 0 8.2 7.3 10.5 11 11.7" stroke="#000" stroke-opacity=".5" stroke-width="4" stroke-linecap="round" stroke-linejoin="round"/>`,
+    variant05: (components, colors) => `<path d="M39 28c-3.7.8-11 4-11 10.5 0 8.2 7.3 10.6 11 11.7" stroke="#000" stroke-opacity=".5" stroke-width="4" stroke-linecap="round" stroke-linejoin="round"/>`,
+    variant04: (components, colors) => `<path d="M37.8 22c-7.1 9.5-20.2 29-16 31 4.3 2 18.6 2.5 25.3 2.5" stroke="#000" stroke-opacity=".5" stroke-width="4" stroke-linecap="round" stroke-linejoin="round"/>`,
+    variant03: (components, colors) => `<path d="M33.4 22c-7.1 9.5-12 31.5-7.8 33.5 4.2 2.1 10.4 0 17 0" stroke="#000" stroke-opacity=".5" stroke-width="4" stroke-linecap="round" stroke-linejoin="round"/>`,
+    variant02: (components, colors) => `<path d="M42.4 22c-.7 5.4-3 16.3-7.1 17-5 1-11-8-13.1-2-2 6 12 21.2 22.2 18.2" stroke="#000" stroke-opacity=".5" stroke-width="3.7" stroke-linecap="round" stroke-linejoin="round"/>`,
+    variant01: (components, colors) => `<path d="m24.6 39.3-.2 2.6a14.7 14.7 0 1 0 29-.4l-.1-2a14.7 14.7 0 0 1-28.7-.2Z" fill="#000" fill-opacity=".2"/>`,
+};
@@ -0,0 +1,12 @@
+/*!
+ * DiceBear (@dicebear/core)
+ *
+ * Code licensed under MIT (https://github.com/dicebear/dicebear/blob/main/LICENSE)
+ * Copyright (c) 2024 Florian Körner
+ */
+import * as license from './utils/license.js';
+import * as escape from './utils/escape.js';
+export * from './core.js';
+export * from './schema.js';
+export * from './types.js';
+export { license, escape };
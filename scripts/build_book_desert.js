@@ -0,0 +1,235 @@
+// Script to build data/viz_3_data.json (Book Desert Index) from the IMLS Public Libraries Survey
+// Run with: node scripts/build_book_desert.js [--student-share=0.18] [--enrollment]
+//           (or as part of node scripts/build_data.js, which accepts the same options)
+// Requires: xlsx package (npm install xlsx)
+//
+// Input (in data/, CSV or Excel, file name as downloaded from https://www.imls.gov/research-evaluation/data-collection/public-libraries-survey):
+//   PLS_FY*_AE_*.csv      administrative entities (library systems): STABR, FSCSKEY, LIBNAME, CITY, POPU_LSA, BKVOL
+//
+// K-12 students per state are estimated as --student-share of the population of the libraries'
+// legal service areas (default 0.18), or with --enrollment taken from district_perpupil_stats.csv
+// (district enrollment summed by state, built by scripts/build_district_data.js).
+
+const fs = require('fs');
+const path = require('path');
+
+// Shared state registry (names, USPS codes, FIPS)
+const { lookupState, listStates } = require('../js/stateRegistry.js');
+
+// Raw input reading and shape checks shared with scripts/build_data.js
+const {
+  MissingInputError,
+  InputShapeError,
+  findInputMatching,
+  readTable,
+  requireColumns
+} = require('./sourceFiles.js');
+
+const DEFAULT_STUDENT_SHARE = 0.18;
+
+// Upper bounds (books per student) of each category; the last one is open-ended
+const CATEGORIES = {
+  desert: { label: 'Desert', range: '< 8 books/student', color: '#c85a54', description: 'Critically low book access', below: 8 },
+  moderate: { label: 'Moderate', range: '8-12 books/student', color: '#e89456', description: 'Below adequate book access', below: 12 },
+  adequate: { label: 'Adequate', range: '12-16 books/student', color: '#f4d58d', description: 'Adequate book access', below: 16, inclusive: true },
+  excellent: { label: 'Excellent', range: '> 16 books/student', color: '#8ab8d0', description: 'Excellent book access', below: Infinity }
+};
+
+function categoryFor(booksPerStudent) {
+  return Object.keys(CATEGORIES).find(key => {
+    const { below, inclusive } = CATEGORIES[key];
+    return inclusive ? booksPerStudent <= below : booksPerStudent < below;
+  });
+}
+
+// PLS codes missing / not applicable / suppressed values as negative numbers (-1, -3, -9)
+function plsNumber(value) {
+  if (value == null) return null;
+  const n = parseFloat(String(value).replace(/,/g, ''));
+  return isNaN(n) || n < 0 ? null : n;
+}
+
+function text(value) {
+  const s = value == null ? '' : String(value).trim();
+  return s || null;
+}
+
+// Title-case PLS's upper-case city names: "SIOUX FALLS" -> "Sioux Falls"
+function cityName(value) {
+  const s = text(value);
+  return s ? s.toLowerCase().replace(/(^|[\s\-'.])([a-z])/g, (m, sep, c) => sep + c.toUpperCase()) : null;
+}
+
+const round = (x, digits) => Math.round(x * 10 ** digits) / 10 ** digits;
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Output: Map FSCSKEY -> library record (states and DC only)
+function parseAdministrativeEntities(filePath) {
+  console.log(`\n📊 Processing ${filePath} (PLS administrative entities)...`);
+  const { rows, columns } = readTable(filePath);
+  requireColumns(filePath, columns, ['STABR', 'FSCSKEY', 'LIBNAME', 'CITY', 'POPU_LSA', 'BKVOL']);
+
+  const libraries = new Map();
+  const skipped = { notStateOrDC: 0, notPublicLibrary: 0 };
+  rows.forEach(row => {
+    const entry = lookupState(row.STABR);
+    if (!entry || (entry.type !== 'state' && entry.type !== 'district')) { skipped.notStateOrDC++; return; }
+    // C_FSCS = 'N': the entity does not meet the FSCS public library definition
+    if (text(row.C_FSCS) === 'N') { skipped.notPublicLibrary++; return; }
+    const fscskey = text(row.FSCSKEY);
+    if (!fscskey) return;
+
+    libraries.set(fscskey, {
+      fscskey,
+      name: text(row.LIBNAME),
+      state: entry.usps,
+      city: cityName(row.CITY),
+      population: plsNumber(row.POPU_LSA),
+      books: plsNumber(row.BKVOL)
+    });
+  });
+
+  console.log(`   ✅ ${libraries.size} library systems`);
+  const noBooks = [...libraries.values()].filter(l => l.books == null).length;
+  if (noBooks) console.log(`   ⚠️ ${noBooks} library systems report no book volumes (counted as 0 books)`);
+  Object.entries(skipped).forEach(([reason, count]) => {
+    if (count) console.log(`   ⚠️ Skipped ${count} rows (${reason})`);
+  });
+  return libraries;
+}
+
+// Output: { AL: students } from district_perpupil_stats.csv
+function enrollmentByState(dataDir) {
+  const filePath = path.join(dataDir, 'district_perpupil_stats.csv');
+  if (!fs.existsSync(filePath)) {
+    throw new MissingInputError(filePath, '--enrollment needs it; run node scripts/build_district_data.js first');
+  }
+  const { rows, columns } = readTable(filePath);
+  requireColumns(filePath, columns, ['State', 'Students']);
+  const out = {};
+  rows.forEach(r => {
+    const entry = lookupState(r.State);
+    const students = parseFloat(r.Students);
+    if (entry && students > 0) out[entry.usps] = (out[entry.usps] || 0) + students;
+  });
+  return out;
+}
+
+// Options from command-line arguments (shared with scripts/build_data.js)
+function parseOptions(args) {
+  const shareArg = args.find(a => a.startsWith('--student-share='));
+  const studentShare = shareArg ? parseFloat(shareArg.split('=')[1]) : DEFAULT_STUDENT_SHARE;
+  if (!(studentShare > 0 && studentShare < 1)) {
+    throw new Error(`--student-share must be a fraction between 0 and 1 (got ${shareArg.split('=')[1]})`);
+  }
+  return { studentShare, enrollment: args.includes('--enrollment') };
+}
+
+// Output: the contents of viz_3_data.json
+function buildBookDesert(dataDir, { studentShare = DEFAULT_STUDENT_SHARE, enrollment = false } = {}) {
+  const aeFile = findInputMatching(dataDir, /^PLS.*_AE_/i, 'PLS_FY*_AE_*.csv',
+    'IMLS Public Libraries Survey administrative entity data file');
+  const fyMatch = path.basename(aeFile).match(/FY_?(\d{2,4})/i);
+  if (!fyMatch) {
+    throw new InputShapeError(aeFile, 'file name has no fiscal year (expected PLS_FY<year>_AE_...)');
+  }
+  const year = fyMatch[1].length === 2 ? 2000 + +fyMatch[1] : +fyMatch[1];
+
+  const libraries = parseAdministrativeEntities(aeFile);
+
+  const enrolled = enrollment ? enrollmentByState(dataDir) : null;
+  const byState = new Map();
+  libraries.forEach(library => {
+    if (!byState.has(library.state)) byState.set(library.state, []);
+    byState.get(library.state).push(library);
+  });
+
+  const states = [];
+  listStates().map(s => s.usps).sort().forEach(usps => {
+    const systems = byState.get(usps);
+    if (!systems) {
+      console.warn(`   ⚠️ ${usps}: no library systems in the PLS file - left out`);
+      return;
+    }
+    const totalBooks = systems.reduce((sum, l) => sum + (l.books || 0), 0);
+    const totalPopulation = systems.reduce((sum, l) => sum + (l.population || 0), 0);
+    const estStudents = enrolled ? enrolled[usps] : totalPopulation * studentShare;
+    if (!estStudents) {
+      console.warn(`   ⚠️ ${usps}: no ${enrolled ? 'enrollment' : 'service population'} - left out`);
+      return;
+    }
+    // City of the library system serving the most people
+    const largest = systems.reduce((a, b) => ((b.population || 0) > (a.population || 0) ? b : a));
+    const booksPerStudent = totalBooks / estStudents;
+
+    states.push({
+      state: usps,
+      books_per_student: round(booksPerStudent, 1),
+      category: categoryFor(booksPerStudent),
+      num_libraries: systems.length,
+      city: largest.city,
+      total_books: totalBooks,
+      total_population: totalPopulation,
+      est_students: round(estStudents, 2)
+    });
+  });
+
+  const deserts = states.filter(s => s.category === 'desert');
+  const bps = states.map(s => s.books_per_student);
+  const vizData = {
+    metadata: {
+      title: `Book Desert Index - Library Access FY${year}`,
+      description: 'Public library book access by state, measured in books per K-12 student',
+      source: `IMLS Public Libraries Survey FY${year} Data Files`,
+      year,
+      calculation: enrolled
+        ? 'Total library book volumes / K-12 enrollment (district_perpupil_stats.csv)'
+        : `Total library book volumes / Estimated K-12 students (${round(studentShare * 100, 1)}% of population served)`,
+      student_share: enrolled ? null : studentShare,
+      last_updated: new Date().toISOString().slice(0, 10)
+    },
+    categories: Object.fromEntries(Object.entries(CATEGORIES).map(([key, { label, range, color, description }]) =>
+      [key, { label, range, color, description }])),
+    summary: {
+      national_avg: round(bps.reduce((a, b) => a + b, 0) / bps.length, 1),
+      national_median: round(median(bps), 1),
+      total_states: states.length,
+      desert_states: deserts.length,
+      desert_students: Math.round(deserts.reduce((sum, s) => sum + s.est_students, 0)),
+      total_libraries: states.reduce((sum, s) => sum + s.num_libraries, 0),
+      total_books: states.reduce((sum, s) => sum + s.total_books, 0)
+    },
+    states
+  };
+
+  console.log(`   ✅ ${states.length} states, ${deserts.length} book deserts (national average ${vizData.summary.national_avg} books/student)`);
+  return vizData;
+}
+
+function main() {
+  const dataDir = path.join(__dirname, '..', 'data');
+  console.log('🚀 Building Book Desert Index data...');
+
+  let vizData;
+  try {
+    vizData = buildBookDesert(dataDir, parseOptions(process.argv.slice(2)));
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  fs.writeFileSync(path.join(dataDir, 'viz_3_data.json'), JSON.stringify(vizData, null, 2));
+  console.log('\n✅ Saved data/viz_3_data.json');
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { buildBookDesert, parseOptions, DEFAULT_STUDENT_SHARE };
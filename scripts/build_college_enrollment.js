@@ -0,0 +1,142 @@
+// Script to build data/college_enrollment.json: % of 18- to 24-year-olds enrolled in college by state and race/ethnicity
+// Run with: node scripts/build_college_enrollment.js (or as part of node scripts/build_data.js)
+// Requires: xlsx package (npm install xlsx)
+//
+// Input (in data/):
+//   college_enrollment.csv   NCES Digest table (ACS 2021). Every group spans three columns - the estimate,
+//                            an unnamed reliability marker column ("!") and an unnamed (standard error) column:
+//                            State,Total,,,American Indian/Alaska Native,,,Asian,,,...
+// "‡" estimates (reporting standards not met) are kept as suppressed with no rate; "!" estimates keep their
+// rate and are flagged unreliable. Loaded in the browser by js/dataOutcomes.js (loadCollegeEnrollment).
+
+const fs = require('fs');
+const path = require('path');
+
+// Shared state registry (names, USPS codes, FIPS)
+const { toUSPS } = require('../js/stateRegistry.js');
+
+// Raw input reading and shape checks shared with scripts/build_data.js
+const { InputShapeError, readTable, columnKeys, requireColumns } = require('./sourceFiles.js');
+
+const SURVEY_YEAR = 2021;
+
+// Column headings (label) -> stable keys, in the table's order
+const GROUPS = [
+  { key: 'total', label: 'Total' },
+  { key: 'americanIndian', label: 'American Indian/Alaska Native' },
+  { key: 'asian', label: 'Asian' },
+  { key: 'black', label: 'Black' },
+  { key: 'hispanic', label: 'Hispanic' },
+  { key: 'pacificIslander', label: 'Pacific Islander' },
+  { key: 'white', label: 'White' },
+  { key: 'twoOrMore', label: 'Two or more races' }
+];
+
+// NCES reporting conventions
+const FLAG_DEFINITIONS = {
+  suppressed: 'Reporting standards not met. Either there are too few cases for a reliable estimate or the coefficient of variation (CV) is 50 percent or greater.',
+  unreliable: 'Interpret data with caution. The coefficient of variation (CV) for this estimate is between 30 and 50 percent.'
+};
+
+// Group heading followed by its marker and standard-error columns. Output: [{ key, label, rateKey, markerKey, seKey }]
+function describeGroups(filePath, columns) {
+  const keys = columnKeys(columns);
+  const groups = [];
+  columns.forEach((column, i) => {
+    if (column === '' || column === 'State') return;
+    const group = GROUPS.find(g => g.label.toLowerCase() === column.toLowerCase());
+    if (!group) throw new InputShapeError(filePath, `unknown group column "${column}"`);
+    if (columns[i + 1] !== '' || columns[i + 2] !== '') {
+      throw new InputShapeError(filePath, `"${column}" is not followed by its marker and standard-error columns`);
+    }
+    groups.push({ key: group.key, label: group.label, rateKey: keys[i], markerKey: keys[i + 1], seKey: keys[i + 2] });
+  });
+  return groups;
+}
+
+// Output: { rate, se, flags } from "39.6" | "‡", "" | "!", "(1.16)" | "(†)"
+function parseEstimate(rateCell, markerCell, seCell) {
+  const text = String(rateCell ?? '').trim();
+  const flags = [];
+  if (text.includes('‡')) flags.push('suppressed');
+  if (String(markerCell ?? '').includes('!') || text.includes('!')) flags.push('unreliable');
+  const rate = parseFloat(text);
+  const se = parseFloat(String(seCell ?? '').replace(/[()]/g, ''));
+  return {
+    rate: flags.includes('suppressed') || isNaN(rate) ? null : rate,
+    se: isNaN(se) ? null : se,
+    flags
+  };
+}
+
+/**
+ * Parse college_enrollment.csv into every group's estimate per state
+ * Output: { groups: [{ key, label }], states: { AL: { total: { rate, se, flags }, asian: {...}, ... } } }
+ * Shared with scripts/build_outcomes.js, which takes the Total rate from it.
+ */
+function parseCollegeEnrollmentTable(filePath) {
+  const { rows, columns } = readTable(filePath);
+  requireColumns(filePath, columns, ['State', 'Total']);
+  const groups = describeGroups(filePath, columns);
+
+  const states = {};
+  rows.forEach(row => {
+    const usps = toUSPS(row.State);
+    if (!usps) return;
+    states[usps] = Object.fromEntries(groups.map(g =>
+      [g.key, parseEstimate(row[g.rateKey], row[g.markerKey], row[g.seKey])]));
+  });
+  if (!Object.values(states).some(s => s.total.rate != null)) {
+    throw new InputShapeError(filePath, 'no state rows with a Total enrollment rate');
+  }
+  return { groups: groups.map(({ key, label }) => ({ key, label })), states };
+}
+
+// Output: contents of data/college_enrollment.json
+function buildCollegeEnrollment(dataDir) {
+  const filePath = path.join(dataDir, 'college_enrollment.csv');
+  console.log(`\n📊 Processing ${filePath} (college enrollment by race/ethnicity)...`);
+  const { groups, states } = parseCollegeEnrollmentTable(filePath);
+
+  groups.forEach(({ key, label }) => {
+    const estimates = Object.values(states).map(s => s[key]);
+    const count = flag => estimates.filter(e => e.flags.includes(flag)).length;
+    console.log(`   ✅ ${label}: ${estimates.filter(e => e.rate != null).length} states (${count('unreliable')} unreliable, ${count('suppressed')} suppressed)`);
+  });
+
+  return {
+    year: SURVEY_YEAR,
+    groups,
+    states,
+    metadata: {
+      generated: new Date().toISOString(),
+      source: 'college_enrollment.csv (NCES Digest of Education Statistics, American Community Survey 2021)',
+      units: 'Percent of 18- to 24-year-olds enrolled in degree-granting postsecondary institutions; se = standard error',
+      flagDefinitions: FLAG_DEFINITIONS
+    }
+  };
+}
+
+function main() {
+  const dataDir = path.join(__dirname, '..', 'data');
+  const outputFile = path.join(dataDir, 'college_enrollment.json');
+  console.log('🚀 Building college enrollment subgroups...');
+
+  let enrollment;
+  try {
+    enrollment = buildCollegeEnrollment(dataDir);
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  fs.writeFileSync(outputFile, JSON.stringify(enrollment, null, 2));
+  console.log(`\n✅ Saved ${outputFile}`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { buildCollegeEnrollment, parseCollegeEnrollmentTable };
@@ -0,0 +1,320 @@
+// Script to regenerate every derived dataset in data/ from the raw CSV/XLSX files and write data/manifest.json
+// Run with: node scripts/build_data.js [--strict] [--accept-shape-changes] [--student-share=0.18] [--enrollment]
+// Requires: xlsx package (npm install xlsx)
+//
+// Steps run in order (later steps read earlier outputs):
+//   naep       scripts/clean_naep_data.js      -> naep_cleaned.json
+//   districts  scripts/build_district_data.js  -> district_perpupil_stats.csv
+//   viz5       scripts/build_viz5_data.js      -> viz5_data.json, viz5_national.json
+//   graduation scripts/build_graduation_series.js -> hs_graduation.json
+//   enrollment scripts/build_college_enrollment.js -> college_enrollment.json
+//   indicators scripts/build_state_indicators.js -> state_indicators.json
+//   outcomes   scripts/build_outcomes.js       -> outcomes.json
+//   libraries  scripts/build_book_desert.js    -> viz_3_data.json
+// A step whose raw input is missing is skipped and its committed output kept (--strict makes this fatal).
+// A raw input that no longer has the layout a parser expects, or whose columns differ from the ones
+// recorded in the previous manifest, stops the build (--accept-shape-changes records the new columns).
+// JSON outputs with a schema in data/schemas/ are validated before they are written; committed outputs
+// that were not rebuilt are validated as they are on disk. A rebuilt JSON output that only differs from
+// the file on disk by metadata.generated is left as it is, so a rebuild doesn't touch unrelated outputs.
+
+const fs = require('fs');
+const path = require('path');
+
+const { MissingInputError, InputShapeError, takeRecordedInputs, sha256 } = require('./sourceFiles.js');
+const { buildNAEP, logSummary } = require('./clean_naep_data.js');
+const { buildDistricts } = require('./build_district_data.js');
+const { buildViz5 } = require('./build_viz5_data.js');
+const { buildGraduationSeries } = require('./build_graduation_series.js');
+const { buildCollegeEnrollment } = require('./build_college_enrollment.js');
+const { buildStateIndicators } = require('./build_state_indicators.js');
+const { buildOutcomes } = require('./build_outcomes.js');
+const { buildBookDesert, parseOptions: parseBookDesertOptions } = require('./build_book_desert.js');
+const { validate, formatError } = require('../js/datasetSchema.js');
+
+const json = value => JSON.stringify(value, null, 2);
+
+// Each step returns { file: { content, rows } } for the outputs it declares; options come from the command line
+const STEPS = [
+  {
+    name: 'naep',
+    outputs: ['naep_cleaned.json'],
+    run: dataDir => {
+      const combined = buildNAEP(dataDir);
+      logSummary(combined);
+      const rows = Object.keys(combined.reading.grade4.states).length;
+      return { 'naep_cleaned.json': { content: json(combined), rows } };
+    }
+  },
+  {
+    name: 'districts',
+    outputs: ['district_perpupil_stats.csv'],
+    run: dataDir => {
+      const csv = buildDistricts(dataDir);
+      return { 'district_perpupil_stats.csv': { content: csv, rows: csv.trim().split('\n').length - 1 } };
+    }
+  },
+  {
+    name: 'viz5',
+    outputs: ['viz5_data.json', 'viz5_national.json'],
+    run: dataDir => {
+      const { records, national } = buildViz5(dataDir);
+      return {
+        'viz5_data.json': { content: json(records), rows: records.length },
+        'viz5_national.json': { content: json(national), rows: 1 }
+      };
+    }
+  },
+  {
+    name: 'graduation',
+    outputs: ['hs_graduation.json'],
+    run: dataDir => {
+      const series = buildGraduationSeries(dataDir);
+      return { 'hs_graduation.json': { content: json(series), rows: Object.keys(series.states).length } };
+    }
+  },
+  {
+    name: 'enrollment',
+    outputs: ['college_enrollment.json'],
+    run: dataDir => {
+      const enrollment = buildCollegeEnrollment(dataDir);
+      return { 'college_enrollment.json': { content: json(enrollment), rows: Object.keys(enrollment.states).length } };
+    }
+  },
+  {
+    name: 'indicators',
+    outputs: ['state_indicators.json'],
+    run: dataDir => {
+      const indicators = buildStateIndicators(dataDir);
+      return { 'state_indicators.json': { content: json(indicators), rows: Object.keys(indicators.states).length } };
+    }
+  },
+  {
+    name: 'outcomes',
+    outputs: ['outcomes.json'],
+    run: dataDir => {
+      const outcomes = buildOutcomes(dataDir);
+      return { 'outcomes.json': { content: json(outcomes), rows: outcomes.states.length } };
+    }
+  },
+  {
+    name: 'libraries',
+    outputs: ['viz_3_data.json'],
+    run: (dataDir, options) => {
+      const vizData = buildBookDesert(dataDir, options.bookDesert);
+      return { 'viz_3_data.json': { content: json(vizData), rows: vizData.states.length } };
+    }
+  }
+];
+
+// Columns added / removed since the previous manifest, per source file
+function shapeChanges(previousSources, recorded) {
+  const changes = [];
+  recorded.forEach(({ columns }, file) => {
+    const before = previousSources?.[file]?.columns;
+    if (!before) return;
+    const added = columns.filter(c => !before.includes(c));
+    const removed = before.filter(c => !columns.includes(c));
+    if (added.length || removed.length) changes.push({ file, added, removed });
+  });
+  return changes;
+}
+
+// Row count of a derived file that was not regenerated: CSV lines, a JSON array or its `states` list
+function countRows(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  if (file.endsWith('.csv')) return text.trim().split('\n').length - 1;
+  const data = JSON.parse(text);
+  if (Array.isArray(data)) return data.length;
+  const list = data.states;
+  return Array.isArray(list) ? list.length : 1;
+}
+
+// Output: [{ path, message }] for a JSON output with a schema in data/schemas/, [] otherwise
+function schemaErrors(dataDir, file, content) {
+  const schemaFile = path.join(dataDir, 'schemas', file.replace(/\.json$/, '.schema.json'));
+  if (!file.endsWith('.json') || !fs.existsSync(schemaFile)) return [];
+  const schema = JSON.parse(fs.readFileSync(schemaFile, 'utf8'));
+  return validate(schema, JSON.parse(content));
+}
+
+function reportSchemaErrors(file, errors) {
+  console.error(`\n❌ data/${file} does not match data/schemas/${file.replace(/\.json$/, '.schema.json')}:`);
+  errors.forEach(err => console.error(`   ${formatError(err)}`));
+}
+
+// True when the JSON file on disk matches content apart from metadata.generated
+function unchangedOutput(file, content) {
+  if (!file.endsWith('.json') || !fs.existsSync(file)) return false;
+  const withoutTimestamp = text => {
+    const data = JSON.parse(text);
+    if (data?.metadata) delete data.metadata.generated;
+    return JSON.stringify(data);
+  };
+  try {
+    return withoutTimestamp(fs.readFileSync(file, 'utf8')) === withoutTimestamp(content);
+  } catch (err) {
+    return false;
+  }
+}
+
+function readManifest(manifestFile) {
+  if (!fs.existsSync(manifestFile)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(manifestFile, 'utf8'));
+  } catch (err) {
+    console.warn(`⚠️ Ignoring unreadable ${manifestFile}: ${err.message}`);
+    return null;
+  }
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const strict = args.includes('--strict');
+  const acceptShapeChanges = args.includes('--accept-shape-changes');
+  let options;
+  try {
+    options = { bookDesert: parseBookDesertOptions(args) };
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const dataDir = path.join(__dirname, '..', 'data');
+  const manifestFile = path.join(dataDir, 'manifest.json');
+  const rel = file => path.relative(dataDir, file).split(path.sep).join('/');
+
+  const previous = readManifest(manifestFile);
+  const sources = {};
+  const outputs = {};
+  const steps = {};
+
+  console.log('🚀 Building derived datasets...');
+
+  for (const step of STEPS) {
+    console.log(`\n==== ${step.name} → ${step.outputs.join(', ')} ====`);
+    const started = Date.now();
+    let result;
+    try {
+      result = step.run(dataDir, options);
+    } catch (err) {
+      takeRecordedInputs();
+      if (err instanceof MissingInputError && !strict) {
+        console.warn(`⚠️ Skipped ${step.name}: ${err.message}`);
+        steps[step.name] = { status: 'skipped', reason: err.message, outputs: step.outputs };
+        continue;
+      }
+      const kind = err instanceof InputShapeError ? 'Input shape changed'
+        : err instanceof MissingInputError ? 'Required input missing (--strict)'
+          : 'Build failed';
+      console.error(`\n❌ ${kind} in step ${step.name}: ${err.message}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    // Compare the columns of every input read by this step with the previous manifest
+    const recorded = new Map([...takeRecordedInputs()].map(([file, shape]) => [rel(file), shape]));
+    const changes = shapeChanges(previous?.sources, recorded);
+    if (changes.length) {
+      changes.forEach(({ file, added, removed }) => {
+        console.error(`\n❌ ${file} changed shape since the last build`);
+        if (added.length) console.error(`   added columns:   ${added.join(', ')}`);
+        if (removed.length) console.error(`   removed columns: ${removed.join(', ')}`);
+      });
+      if (!acceptShapeChanges) {
+        console.error('\n   Check the parser still reads this file correctly, then rerun with --accept-shape-changes.');
+        process.exitCode = 1;
+        return;
+      }
+      console.warn('⚠️ Accepting the new columns (--accept-shape-changes)');
+    }
+
+    recorded.forEach(({ columns, rows }, file) => {
+      const absolute = path.join(dataDir, file);
+      const entry = sources[file] || {
+        sha256: sha256(absolute),
+        bytes: fs.statSync(absolute).size,
+        rows,
+        columns,
+        usedBy: []
+      };
+      entry.usedBy.push(step.name);
+      sources[file] = entry;
+    });
+
+    const invalid = Object.entries(result)
+      .map(([file, { content }]) => [file, schemaErrors(dataDir, file, content)])
+      .filter(([, errors]) => errors.length);
+    if (invalid.length) {
+      invalid.forEach(([file, errors]) => reportSchemaErrors(file, errors));
+      console.error(`\n   Nothing from step ${step.name} was written.`);
+      process.exitCode = 1;
+      return;
+    }
+
+    // Write before the next step runs: later steps read earlier outputs
+    Object.entries(result).forEach(([file, { content, rows }]) => {
+      outputs[file] = { step: step.name, rows };
+      if (unchangedOutput(path.join(dataDir, file), content)) {
+        console.log(`✅ data/${file} unchanged (${rows} rows)`);
+        return;
+      }
+      fs.writeFileSync(path.join(dataDir, file), content);
+      console.log(`✅ Wrote data/${file} (${rows} rows)`);
+    });
+    steps[step.name] = { status: 'built', outputs: step.outputs, durationMs: Date.now() - started };
+  }
+
+  // Outputs of skipped steps: describe what is on disk
+  STEPS.filter(step => steps[step.name].status === 'skipped').forEach(step => {
+    step.outputs.forEach(file => {
+      outputs[file] = { step: step.name, regenerated: false };
+    });
+  });
+  let staleInvalid = false;
+  Object.entries(outputs).forEach(([file, entry]) => {
+    const absolute = path.join(dataDir, file);
+    if (!fs.existsSync(absolute)) {
+      entry.missing = true;
+      return;
+    }
+    if (entry.regenerated === false) {
+      const errors = schemaErrors(dataDir, file, fs.readFileSync(absolute, 'utf8'));
+      if (errors.length) {
+        reportSchemaErrors(file, errors);
+        staleInvalid = true;
+      }
+    }
+    if (entry.rows == null) entry.rows = countRows(absolute);
+    entry.sha256 = sha256(absolute);
+    entry.bytes = fs.statSync(absolute).size;
+  });
+
+  if (staleInvalid) {
+    process.exitCode = 1;
+    return;
+  }
+
+  const manifest = {
+    generated: new Date().toISOString(),
+    command: 'node scripts/build_data.js',
+    node: process.version,
+    options,
+    steps,
+    sources,
+    outputs
+  };
+  fs.writeFileSync(manifestFile, json(manifest) + '\n');
+
+  const skipped = Object.entries(steps).filter(([, s]) => s.status === 'skipped');
+  console.log(`\n✅ Saved ${manifestFile}`);
+  console.log(`   Built: ${Object.keys(steps).filter(name => steps[name].status === 'built').join(', ') || 'nothing'}`);
+  if (skipped.length) {
+    console.log(`   Skipped (missing inputs, committed outputs kept): ${skipped.map(([name]) => name).join(', ')}`);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,200 @@
+// Script to build data/district_perpupil_stats.csv from district finance and poverty files
+// Run with: node scripts/build_district_data.js
+// Requires: xlsx package (npm install xlsx)
+//
+// Inputs (in data/, CSV or Excel):
+//   district_finance.(csv|xlsx)  Census Annual Survey of School System Finances (F-33), district table:
+//                                NCESID, NAME, ENROLL, PPCSTOT (or TCURELSC / TOTALEXP to derive per-pupil)
+//   district_poverty.(csv|xlsx)  NCES EDGE ACS school-district estimates: LEAID and either Poverty_150
+//                                (% of children at or below 150% of poverty) or POV150 + POP counts
+// The finance file is required; without the poverty file Poverty_150 is left blank.
+// District rows are joined on the 7-digit NCES district ID (LEAID); its first two digits are the state FIPS.
+
+const fs = require('fs');
+const path = require('path');
+
+// Shared state registry (names, USPS codes, FIPS)
+const { fromFips } = require('../js/stateRegistry.js');
+
+// Raw input reading and shape checks shared with scripts/build_data.js
+const { MissingInputError, findInput, readTable, requireColumns } = require('./sourceFiles.js');
+
+// Column aliases, compared case-insensitively
+const COLUMNS = {
+  leaid: ['LEAID', 'NCESID', 'LEA_ID', 'ID'],
+  name: ['NAME', 'LEA_NAME', 'District', 'DISTRICT'],
+  students: ['ENROLL', 'Enrollment', 'Students', 'MEMBER'],
+  perPupil: ['PPCSTOT', 'PerPupilSpending', 'PPE'],
+  currentSpending: ['TCURELSC', 'TCURSPND'],
+  totalSpending: ['TOTALEXP'],
+  poverty150: ['Poverty_150', 'POV150_PCT', 'PCT_POV150'],
+  poverty150Count: ['POV150', 'POV150_CNT'],
+  povertyUniverse: ['POP', 'POP_TOTAL', 'POVUNIV']
+};
+
+// Value of the first alias present in the row
+function pick(row, aliases) {
+  const keys = Object.keys(row);
+  for (const alias of aliases) {
+    const key = keys.find(k => k.trim().toLowerCase() === alias.toLowerCase());
+    if (key && row[key] != null && String(row[key]).trim() !== '') return row[key];
+  }
+  return null;
+}
+
+function toNumber(value) {
+  if (value == null) return null;
+  const n = parseFloat(String(value).replace(/[$,%\s]/g, ''));
+  return isNaN(n) ? null : n;
+}
+
+// NCES district IDs are 7 digits; spreadsheets often drop the leading zero
+function normalizeLEAID(value) {
+  if (value == null) return null;
+  const digits = String(value).replace(/\D/g, '');
+  return digits.length >= 6 && digits.length <= 7 ? digits.padStart(7, '0') : null;
+}
+
+function parseFinanceFile(filePath) {
+  console.log(`\n📊 Processing ${filePath} (district finance)...`);
+  const { rows, columns } = readTable(filePath);
+  requireColumns(filePath, columns, [
+    COLUMNS.leaid,
+    COLUMNS.students,
+    [...COLUMNS.perPupil, ...COLUMNS.currentSpending, ...COLUMNS.totalSpending]
+  ]);
+  const districts = new Map();
+  const skipped = { noId: 0, noState: 0, noEnrollment: 0, noSpending: 0 };
+
+  rows.forEach(row => {
+    const leaid = normalizeLEAID(pick(row, COLUMNS.leaid));
+    if (!leaid) { skipped.noId++; return; }
+
+    const entry = fromFips(leaid.slice(0, 2));
+    if (!entry || (entry.type !== 'state' && entry.type !== 'district')) { skipped.noState++; return; }
+
+    const students = toNumber(pick(row, COLUMNS.students));
+    if (!students || students <= 0) { skipped.noEnrollment++; return; }
+
+    // Prefer the published per-pupil current spending; otherwise derive it from totals
+    let perPupil = toNumber(pick(row, COLUMNS.perPupil));
+    if (perPupil == null) {
+      const current = toNumber(pick(row, COLUMNS.currentSpending));
+      const total = toNumber(pick(row, COLUMNS.totalSpending));
+      // F-33 reports dollar amounts in thousands
+      const amount = current ?? total;
+      if (amount != null) perPupil = (amount * 1000) / students;
+    }
+    if (perPupil == null || perPupil <= 0) { skipped.noSpending++; return; }
+
+    districts.set(leaid, {
+      State: entry.usps,
+      LEAID: leaid,
+      District: String(pick(row, COLUMNS.name) || '').trim(),
+      Students: Math.round(students),
+      PerPupilSpending: Math.round(perPupil * 100) / 100,
+      Poverty_150: null
+    });
+  });
+
+  console.log(`   ✅ ${districts.size} districts`);
+  Object.entries(skipped).forEach(([reason, count]) => {
+    if (count) console.log(`   ⚠️ Skipped ${count} rows (${reason})`);
+  });
+  return districts;
+}
+
+// Output: Map LEAID -> % of children at or below 150% of poverty
+function parsePovertyFile(filePath) {
+  console.log(`\n📊 Processing ${filePath} (district poverty)...`);
+  const { rows, columns } = readTable(filePath);
+  requireColumns(filePath, columns, [
+    COLUMNS.leaid,
+    [...COLUMNS.poverty150, ...COLUMNS.poverty150Count]
+  ]);
+  const poverty = new Map();
+
+  rows.forEach(row => {
+    const leaid = normalizeLEAID(pick(row, COLUMNS.leaid));
+    if (!leaid) return;
+
+    let pct = toNumber(pick(row, COLUMNS.poverty150));
+    if (pct == null) {
+      const count = toNumber(pick(row, COLUMNS.poverty150Count));
+      const universe = toNumber(pick(row, COLUMNS.povertyUniverse));
+      if (count != null && universe) pct = (count / universe) * 100;
+    }
+    if (pct != null && pct >= 0 && pct <= 100) poverty.set(leaid, Math.round(pct * 100) / 100);
+  });
+
+  console.log(`   ✅ ${poverty.size} districts with Poverty_150`);
+  return poverty;
+}
+
+function csvCell(value) {
+  if (value == null) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Output: contents of data/district_perpupil_stats.csv
+function buildDistricts(dataDir) {
+  const financeFile = findInput(dataDir, 'district_finance');
+  if (!financeFile) {
+    throw new MissingInputError(path.join(dataDir, 'district_finance.csv'),
+      'download the district table of the Census Annual Survey of School System Finances ' +
+      '(https://www.census.gov/programs-surveys/school-finances.html)');
+  }
+
+  const districts = parseFinanceFile(financeFile);
+
+  const povertyFile = findInput(dataDir, 'district_poverty');
+  if (povertyFile) {
+    const poverty = parsePovertyFile(povertyFile);
+    let matched = 0;
+    districts.forEach((district, leaid) => {
+      if (poverty.has(leaid)) {
+        district.Poverty_150 = poverty.get(leaid);
+        matched++;
+      }
+    });
+    console.log(`   🔗 Joined poverty rates for ${matched} of ${districts.size} districts`);
+  } else {
+    console.warn('\n⚠️ data/district_poverty.csv not found - Poverty_150 will be blank');
+  }
+
+  const header = ['State', 'LEAID', 'District', 'Students', 'PerPupilSpending', 'Poverty_150'];
+  const lines = [header.join(',')];
+  [...districts.values()]
+    .sort((a, b) => a.State.localeCompare(b.State) || a.LEAID.localeCompare(b.LEAID))
+    .forEach(d => lines.push(header.map(col => csvCell(d[col])).join(',')));
+
+  const states = new Set([...districts.values()].map(d => d.State));
+  console.log(`   ✅ ${districts.size} districts (${states.size} states)`);
+  return lines.join('\n') + '\n';
+}
+
+function main() {
+  const dataDir = path.join(__dirname, '..', 'data');
+  const outputFile = path.join(dataDir, 'district_perpupil_stats.csv');
+
+  console.log('🚀 Building district per-pupil spending data...');
+
+  let csv;
+  try {
+    csv = buildDistricts(dataDir);
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  fs.writeFileSync(outputFile, csv);
+  console.log(`\n✅ Saved ${outputFile}`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { buildDistricts };
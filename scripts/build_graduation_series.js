@@ -0,0 +1,193 @@
+// Script to build data/hs_graduation.json: public high school graduates by state for every school year in HS_grad_rates.csv
+// Run with: node scripts/build_graduation_series.js (or as part of node scripts/build_data.js)
+// Requires: xlsx package (npm install xlsx)
+//
+// Input (in data/):
+//   HS_grad_rates.csv   NCES Digest table: graduates by state for 1980-81 ... 2022-23, plus hsRate (ACGR 2021–22)
+// The header carries footnote markers (2013-14\1\) and one unnamed column that only holds markers for
+// the year to its left (Massachusetts 1989-90 \5\). Both become flags instead of being dropped.
+// Loaded in the browser by js/dataOutcomes.js (loadGraduationSeries).
+
+const fs = require('fs');
+const path = require('path');
+
+// Shared state registry (names, USPS codes, FIPS)
+const { toUSPS } = require('../js/stateRegistry.js');
+
+// Raw input reading and shape checks shared with scripts/build_data.js
+const { InputShapeError, readTable, columnKeys, requireColumns } = require('./sourceFiles.js');
+
+// hsRate is the adjusted cohort graduation rate for this school year (see data/DATA_SOURCES.txt)
+const ACGR_SCHOOL_YEAR = '2021-22';
+
+// Same codes as the NAEP cells in scripts/clean_naep_data.js
+const MARKER_FLAGS = {
+  '‡': 'suppressed',
+  '---': 'not_available'
+};
+
+// School-year header: 1980-81, 1999-2000, 2013-14\1\ (hyphen or en dash)
+const SCHOOL_YEAR = /^(\d{4})[–-](\d{2}|\d{4})\s*((?:\\\d+\\)*)$/;
+
+// Footnote numbers in text like "\1\" or "55,941\5\"
+function footnotes(text) {
+  return [...String(text).matchAll(/\\(\d+)\\/g)].map(m => `footnote_${m[1]}`);
+}
+
+// Read a cell: "44,894", "44,894\2\", "---", "‡". Output: { value, flags }
+function parseCountCell(cell) {
+  if (cell == null || String(cell).trim() === '') return { value: null, flags: [] };
+  const text = String(cell).trim();
+  const flags = footnotes(text);
+  Object.entries(MARKER_FLAGS).forEach(([marker, flag]) => {
+    if (text.startsWith(marker)) flags.push(flag);
+  });
+  const match = text.replace(/\\\d+\\/g, '').replace(/(\d),(?=\d{3})/g, '$1').match(/^-?\d+(?:\.\d+)?/);
+  return { value: match ? +match[0] : null, flags };
+}
+
+// Header layout: school-year columns (with footnotes) and unnamed marker columns tied to the year before them
+function describeColumns(filePath, columns) {
+  const yearColumns = [];
+  const markerColumns = [];
+  const keys = columnKeys(columns);
+  columns.forEach((column, i) => {
+    if (column === '') {
+      if (!yearColumns.length) throw new InputShapeError(filePath, 'unnamed column before the first school year');
+      markerColumns.push({ key: keys[i], year: yearColumns.at(-1).year });
+      return;
+    }
+    const match = column.match(SCHOOL_YEAR);
+    if (!match) return;
+    const start = Number(match[1]);
+    yearColumns.push({
+      key: column,
+      year: start + 1,
+      schoolYear: `${start}-${String(start + 1).slice(-2)}`,
+      footnotes: footnotes(match[3])
+    });
+  });
+  if (!yearColumns.length) {
+    throw new InputShapeError(filePath, 'no school-year columns (e.g. 2021-22)');
+  }
+  return { yearColumns, markerColumns };
+}
+
+/**
+ * Parse HS_grad_rates.csv into per-state series keyed by the calendar year the school year ends
+ * Output: { years, schoolYears, states, flags, yearFlags, acgr: { schoolYear, states, flags } }
+ * Shared with scripts/build_outcomes.js, which takes the 2021–22 counts and the ACGR from it.
+ */
+function parseGraduationTable(filePath) {
+  const { rows, columns } = readTable(filePath);
+  requireColumns(filePath, columns, ['State', 'hsRate']);
+  const { yearColumns, markerColumns } = describeColumns(filePath, columns);
+
+  const series = {
+    years: yearColumns.map(c => c.year),
+    schoolYears: Object.fromEntries(yearColumns.map(c => [c.year, c.schoolYear])),
+    states: {},
+    flags: {},
+    yearFlags: {},
+    acgr: { schoolYear: ACGR_SCHOOL_YEAR, states: {}, flags: {} }
+  };
+  yearColumns.forEach(({ year, footnotes: notes }) => {
+    if (notes.length) series.yearFlags[year] = notes;
+  });
+
+  const addFlags = (usps, year, flags) => {
+    if (!flags.length) return;
+    const cell = ((series.flags[usps] ||= {})[year] ||= []);
+    flags.forEach(flag => {
+      if (!cell.includes(flag)) cell.push(flag);
+    });
+  };
+
+  rows.forEach(row => {
+    const usps = toUSPS(row.State);
+    if (!usps) return;
+    yearColumns.forEach(({ key, year }) => {
+      const { value, flags } = parseCountCell(row[key]);
+      if (value != null) (series.states[usps] ||= {})[year] = value;
+      addFlags(usps, year, flags);
+    });
+    markerColumns.forEach(({ key, year }) => {
+      const { value, flags } = parseCountCell(row[key]);
+      if (value != null) {
+        throw new InputShapeError(filePath, `unexpected value "${row[key]}" for ${usps} in the unnamed column after ${series.schoolYears[year]}`);
+      }
+      addFlags(usps, year, flags);
+    });
+    const { value: rate, flags: rateFlags } = parseCountCell(row.hsRate);
+    if (rate != null) series.acgr.states[usps] = rate;
+    if (rateFlags.length) series.acgr.flags[usps] = rateFlags;
+  });
+
+  if (!Object.keys(series.states).length) {
+    throw new InputShapeError(filePath, 'no state rows with graduate counts');
+  }
+  return series;
+}
+
+// Codes -> meaning, for tooltips. The CSV export drops the Digest table's footnote text.
+function flagDefinitions(series) {
+  const defs = {
+    not_available: 'Not available.',
+    suppressed: 'Reporting standards not met.'
+  };
+  const codes = new Set([
+    ...Object.values(series.yearFlags).flat(),
+    ...Object.values(series.flags).flatMap(byYear => Object.values(byYear).flat()),
+    ...Object.values(series.acgr.flags).flat()
+  ]);
+  [...codes].filter(code => code.startsWith('footnote_')).sort().forEach(code => {
+    defs[code] = `Footnote ${code.slice('footnote_'.length)} of the source NCES Digest table (text not included in HS_grad_rates.csv).`;
+  });
+  return defs;
+}
+
+// Output: contents of data/hs_graduation.json
+function buildGraduationSeries(dataDir) {
+  const filePath = path.join(dataDir, 'HS_grad_rates.csv');
+  console.log(`\n📊 Processing ${filePath} (HS graduates by school year)...`);
+  const series = parseGraduationTable(filePath);
+
+  const states = Object.keys(series.states).length;
+  const flagged = Object.values(series.flags).reduce((n, byYear) => n + Object.keys(byYear).length, 0);
+  console.log(`   ✅ ${states} states × ${series.years.length} school years (${series.schoolYears[series.years[0]]} to ${series.schoolYears[series.years.at(-1)]})`);
+  console.log(`   ✅ ${Object.keys(series.yearFlags).length} footnoted years, ${flagged} flagged state values, ${Object.keys(series.acgr.states).length} states with ACGR`);
+
+  return {
+    ...series,
+    metadata: {
+      generated: new Date().toISOString(),
+      source: 'HS_grad_rates.csv (NCES Digest of Education Statistics)',
+      units: 'Public high school graduates; years are the calendar year the school year ends (2023 = 2022-23)',
+      flagDefinitions: flagDefinitions(series)
+    }
+  };
+}
+
+function main() {
+  const dataDir = path.join(__dirname, '..', 'data');
+  const outputFile = path.join(dataDir, 'hs_graduation.json');
+  console.log('🚀 Building HS graduation series...');
+
+  let series;
+  try {
+    series = buildGraduationSeries(dataDir);
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  fs.writeFileSync(outputFile, JSON.stringify(series, null, 2));
+  console.log(`\n✅ Saved ${outputFile}`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { buildGraduationSeries, parseGraduationTable };
@@ -0,0 +1,130 @@
+// Script to build data/outcomes.json: PIAAC literacy joined with HS graduation and college enrollment by state
+// Run with: node scripts/build_outcomes.js (or as part of node scripts/build_data.js)
+// Requires: xlsx package (npm install xlsx)
+//
+// Inputs (in data/):
+//   PIACC data.xlsx         PIAAC U.S. Skills Map, state sheet (Lit_P1 = % adults at or below Level 1); optional,
+//                           literacyScore is null without it
+//   HS_grad_rates.csv       public high school graduates by school year, plus hsRate (ACGR 2021–22)
+//   college_enrollment.csv  % of 18- to 24-year-olds enrolled in college, 2021 (Total column)
+// Loaded in the browser by js/dataOutcomes.js (loadOutcomes).
+
+const fs = require('fs');
+const path = require('path');
+
+// Shared state registry (names, USPS codes, FIPS)
+const { listStates } = require('../js/stateRegistry.js');
+
+// Raw input reading and shape checks shared with scripts/build_data.js
+const {
+  findInput,
+  readPIAACStates
+} = require('./sourceFiles.js');
+
+// HS_grad_rates.csv and college_enrollment.csv parsers shared with their own build steps
+const { parseGraduationTable } = require('./build_graduation_series.js');
+const { parseCollegeEnrollmentTable } = require('./build_college_enrollment.js');
+
+// Convert PIAAC % at/below Level 1 (Lit_P1) to an approximate NAEP-like literacy score.
+// Keeps values in ~150–320 range; higher Lit_P1 => lower score.
+function toLiteracyScore(litP1Percent) {
+  if (litP1Percent == null || isNaN(litP1Percent)) return null;
+  return 320 - (Number(litP1Percent) * 2);
+}
+
+// Output: { gradsByState, rateByState, latestHSYear }
+function parseHSFile(filePath) {
+  console.log(`\n📊 Processing ${filePath} (HS graduates / ACGR)...`);
+  const series = parseGraduationTable(filePath);
+
+  // Prefer the ACGR school year (2021–22) for the counts; fall back to the latest year present.
+  const year = series.years.find(y => series.schoolYears[y] === series.acgr.schoolYear) ?? series.years.at(-1);
+  const latestHSYear = series.schoolYears[year];
+
+  const gradsByState = new Map();
+  Object.entries(series.states).forEach(([usps, byYear]) => {
+    if (byYear[year] != null) gradsByState.set(usps, byYear[year]);
+  });
+  const rateByState = new Map(Object.entries(series.acgr.states));
+
+  console.log(`   ✅ ${gradsByState.size} states with ${latestHSYear} graduates, ${rateByState.size} with ACGR`);
+  return { gradsByState, rateByState, latestHSYear };
+}
+
+// Output: Map USPS -> % of 18- to 24-year-olds enrolled in college
+function parseCollegeFile(filePath) {
+  console.log(`\n📊 Processing ${filePath} (college enrollment)...`);
+  const { states } = parseCollegeEnrollmentTable(filePath);
+
+  const rateByState = new Map();
+  Object.entries(states).forEach(([usps, groups]) => {
+    const pct = groups.total.rate;
+    if (pct != null && pct > 0) rateByState.set(usps, pct);
+  });
+
+  console.log(`   ✅ ${rateByState.size} states with college enrollment`);
+  return rateByState;
+}
+
+// Output: contents of data/outcomes.json ({ latestHSYear, states: [...] })
+function buildOutcomes(dataDir) {
+  // The workbook is optional: without it the join is still written, with literacyScore / litP1 null
+  const piaacFile = findInput(dataDir, 'PIACC data');
+  if (!piaacFile) console.warn('   ⚠️ PIACC data.xlsx not found - literacyScore is null for every state');
+  const piaac = piaacFile ? readPIAACStates(piaacFile) : {};
+  const hs = parseHSFile(path.join(dataDir, 'HS_grad_rates.csv'));
+  const collegeRateByState = parseCollegeFile(path.join(dataDir, 'college_enrollment.csv'));
+
+  // For bubble sizing, use HS graduates in **2021–22** if present
+  const gradCounts = [...hs.gradsByState.values()];
+  const minG = Math.min(...gradCounts), maxG = Math.max(...gradCounts);
+
+  const states = listStates().map(({ name: fullName, usps }) => {
+    const litP1 = piaac[usps]?.litP1 ?? null;
+    const hsGraduates = hs.gradsByState.get(usps) ?? null;
+    const hsRate = hs.rateByState.get(usps) ?? null;
+    const hsRateProxy = hsRate == null && (hsGraduates != null && maxG > minG)
+      ? ((hsGraduates - minG) / (maxG - minG)) * 100
+      : null;
+
+    return {
+      stateName: fullName,
+      state: usps,
+      literacyScore: toLiteracyScore(litP1),
+      litP1,
+      hsGraduates,
+      hsRate,        // ACGR 2021–22 if provided
+      hsRateProxy,   // fallback only
+      collegeRate: collegeRateByState.get(usps) ?? null,  // % (18–24 enrolled, 2021)
+      cohortSize: hsGraduates,
+      latestHSYear: hs.latestHSYear
+    };
+  });
+
+  console.log(`   ✅ ${states.filter(s => s.literacyScore != null).length} of ${states.length} states with a literacy score`);
+  return { latestHSYear: hs.latestHSYear, states };
+}
+
+function main() {
+  const dataDir = path.join(__dirname, '..', 'data');
+  const outputFile = path.join(dataDir, 'outcomes.json');
+  console.log('🚀 Building outcomes data...');
+
+  let outcomes;
+  try {
+    outcomes = buildOutcomes(dataDir);
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  fs.writeFileSync(outputFile, JSON.stringify(outcomes, null, 2));
+  console.log(`\n✅ Saved ${outputFile}`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { buildOutcomes };
@@ -0,0 +1,204 @@
+// Script to build data/state_indicators.json: income inequality, median household income and child poverty
+// by state and year, keyed so each value joins to NAEP on (state, year)
+// Run with: node scripts/build_state_indicators.js (or as part of node scripts/build_data.js)
+// Requires: xlsx package (npm install xlsx)
+//
+// Inputs (in data/, CSV or Excel; at least one is required):
+//   state_indicators.(csv|xlsx)   one row per state and year: State (name, USPS or FIPS), Year, and any of
+//                                 Gini                   ACS 1-year Gini index (table B19083)
+//                                 MedianHouseholdIncome  median household income in that year's dollars
+//                                                        (ACS B19013, or the SAIPE state file)
+//                                 ChildPovertyRate       % of related children 0-17 in poverty (SAIPE)
+//   2019_state_gini_index.csv     the 2019 Gini snapshot (State, Gini); fills 2019 where the series has no Gini
+// Blank cells are left out rather than stored as null. Loaded in the browser by js/dataHelpers.js
+// (loadStateIndicators / indicatorsForYear).
+
+const fs = require('fs');
+const path = require('path');
+
+// Shared state registry (names, USPS codes, FIPS)
+const { toUSPS } = require('../js/stateRegistry.js');
+
+// Raw input reading and shape checks shared with scripts/build_data.js
+const { MissingInputError, InputShapeError, findInput, readTable, requireColumns } = require('./sourceFiles.js');
+
+const SNAPSHOT_YEAR = 2019;
+
+// Output key -> column aliases (compared case-insensitively), label and units
+const INDICATORS = {
+  gini: {
+    aliases: ['Gini', 'Gini Index', 'B19083'],
+    label: 'Gini index of income inequality',
+    units: '0 (equal) to 1 (unequal)',
+    range: [0, 1]
+  },
+  medianIncome: {
+    aliases: ['MedianHouseholdIncome', 'Median Household Income', 'B19013'],
+    label: 'Median household income',
+    units: 'US dollars of that year (not inflation-adjusted)',
+    range: [0, 1e6]
+  },
+  childPoverty: {
+    aliases: ['ChildPovertyRate', 'Child Poverty Rate', 'Poverty Percent, Age 0-17'],
+    label: 'Children 0-17 in poverty',
+    units: 'percent',
+    range: [0, 100]
+  }
+};
+
+const STATE_COLUMNS = ['State', 'Name', 'State FIPS Code', 'Postal Code'];
+const YEAR_COLUMNS = ['Year', 'YEAR'];
+
+// Value of the first alias present in the row
+function pick(row, aliases) {
+  const keys = Object.keys(row);
+  for (const alias of aliases) {
+    const key = keys.find(k => k.trim().toLowerCase() === alias.toLowerCase());
+    if (key && row[key] != null && String(row[key]).trim() !== '') return row[key];
+  }
+  return null;
+}
+
+function toNumber(value) {
+  if (value == null) return null;
+  const n = parseFloat(String(value).replace(/[$,%\s]/g, ''));
+  return isNaN(n) ? null : n;
+}
+
+// Store a value after checking it is in the indicator's range
+function setValue(states, filePath, usps, year, key, value) {
+  const [min, max] = INDICATORS[key].range;
+  if (value < min || value > max) {
+    throw new InputShapeError(filePath, `${key} ${value} for ${usps} ${year} is outside ${min}-${max} (${INDICATORS[key].units})`);
+  }
+  ((states[usps] ||= {})[year] ||= {})[key] = value;
+}
+
+// Output: { states: { AL: { 2019: { gini, medianIncome, childPoverty } } }, indicators: ['gini', ...] }
+function parseSeriesFile(filePath) {
+  console.log(`\n📊 Processing ${filePath} (state indicators by year)...`);
+  const { rows, columns } = readTable(filePath);
+  requireColumns(filePath, columns, [STATE_COLUMNS, YEAR_COLUMNS]);
+  const present = Object.keys(INDICATORS).filter(key =>
+    INDICATORS[key].aliases.some(alias => columns.some(c => c.toLowerCase() === alias.toLowerCase())));
+  if (!present.length) {
+    const expected = Object.values(INDICATORS).map(i => i.aliases[0]).join(', ');
+    throw new InputShapeError(filePath, `no indicator columns (expected any of ${expected}); found ${columns.filter(Boolean).join(', ')}`);
+  }
+
+  const states = {};
+  let skipped = 0;
+  rows.forEach(row => {
+    const usps = toUSPS(pick(row, STATE_COLUMNS));
+    const year = parseInt(pick(row, YEAR_COLUMNS), 10);
+    if (!usps || !(year > 1900)) {
+      skipped += 1;
+      return;
+    }
+    present.forEach(key => {
+      const value = toNumber(pick(row, INDICATORS[key].aliases));
+      if (value != null) setValue(states, filePath, usps, year, key, value);
+    });
+  });
+
+  console.log(`   ✅ ${Object.keys(states).length} states with ${present.join(', ')}${skipped ? ` (${skipped} rows without a state or year skipped)` : ''}`);
+  return { states, indicators: present };
+}
+
+// Output: Map USPS -> Gini for SNAPSHOT_YEAR
+function parseGiniSnapshot(filePath) {
+  console.log(`\n📊 Processing ${filePath} (Gini ${SNAPSHOT_YEAR})...`);
+  const { rows, columns } = readTable(filePath);
+  requireColumns(filePath, columns, ['State', 'Gini']);
+  const giniByState = new Map();
+  rows.forEach(row => {
+    const usps = toUSPS(row.State);
+    const gini = toNumber(row.Gini);
+    if (usps && gini != null) giniByState.set(usps, gini);
+  });
+  if (!giniByState.size) throw new InputShapeError(filePath, 'no state rows with a Gini value');
+  console.log(`   ✅ ${giniByState.size} states`);
+  return giniByState;
+}
+
+// Output: contents of data/state_indicators.json
+function buildStateIndicators(dataDir) {
+  const seriesFile = findInput(dataDir, 'state_indicators');
+  const snapshotFile = path.join(dataDir, `${SNAPSHOT_YEAR}_state_gini_index.csv`);
+  const hasSnapshot = fs.existsSync(snapshotFile);
+  if (!seriesFile && !hasSnapshot) {
+    throw new MissingInputError(path.join(dataDir, 'state_indicators.csv'),
+      'state Gini / median household income / child poverty by year (ACS B19083, B19013; Census SAIPE)');
+  }
+
+  const states = {};
+  const indicators = new Set();
+  const sources = [];
+  if (seriesFile) {
+    const series = parseSeriesFile(seriesFile);
+    Object.assign(states, series.states);
+    series.indicators.forEach(key => indicators.add(key));
+    sources.push(path.basename(seriesFile));
+  } else {
+    console.warn(`⚠️ No state_indicators.csv / .xlsx in ${dataDir}: only the ${SNAPSHOT_YEAR} Gini snapshot is available`);
+  }
+
+  if (hasSnapshot) {
+    let filled = 0;
+    parseGiniSnapshot(snapshotFile).forEach((gini, usps) => {
+      const existing = states[usps]?.[SNAPSHOT_YEAR]?.gini;
+      if (existing != null) {
+        if (Math.abs(existing - gini) > 0.005) {
+          console.warn(`⚠️ ${usps} ${SNAPSHOT_YEAR} Gini: ${existing} in the series, ${gini} in the snapshot - keeping the series`);
+        }
+        return;
+      }
+      setValue(states, snapshotFile, usps, SNAPSHOT_YEAR, 'gini', gini);
+      filled += 1;
+    });
+    if (filled) {
+      indicators.add('gini');
+      sources.push(path.basename(snapshotFile));
+    }
+  }
+
+  const years = [...new Set(Object.values(states).flatMap(byYear => Object.keys(byYear).map(Number)))]
+    .sort((a, b) => a - b);
+  console.log(`   ✅ ${Object.keys(states).length} states, years ${years[0]}–${years.at(-1)}, indicators: ${[...indicators].join(', ')}`);
+
+  return {
+    years,
+    indicators: Object.fromEntries(Object.entries(INDICATORS)
+      .filter(([key]) => indicators.has(key))
+      .map(([key, { label, units }]) => [key, { label, units }])),
+    states,
+    metadata: {
+      generated: new Date().toISOString(),
+      sources
+    }
+  };
+}
+
+function main() {
+  const dataDir = path.join(__dirname, '..', 'data');
+  const outputFile = path.join(dataDir, 'state_indicators.json');
+  console.log('🚀 Building state indicators...');
+
+  let indicators;
+  try {
+    indicators = buildStateIndicators(dataDir);
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  fs.writeFileSync(outputFile, JSON.stringify(indicators, null, 2));
+  console.log(`\n✅ Saved ${outputFile}`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { buildStateIndicators };
@@ -0,0 +1,146 @@
+// Script to build data/viz5_data.json and data/viz5_national.json (Visualization 5: spending by SES)
+// Run with: node scripts/build_viz5_data.js (or as part of node scripts/build_data.js)
+// Requires: xlsx package (npm install xlsx)
+//
+// Inputs (in data/):
+//   district_perpupil_stats.csv  built by scripts/build_district_data.js
+//   naep_cleaned.json            built by scripts/clean_naep_data.js (reading, 2022)
+//   PIACC data.xlsx              PIAAC U.S. Skills Map, state sheet (Lit_A average literacy score)
+// Districts are grouped into SES bands by Poverty_150 with the same cut-offs as
+// dataHelpers.getSESCategory (>= 30% Low, >= 15% Middle, otherwise High).
+
+const fs = require('fs');
+const path = require('path');
+
+// Shared state registry (names, USPS codes, FIPS)
+const { toUSPS } = require('../js/stateRegistry.js');
+
+// Raw input reading and shape checks shared with scripts/build_data.js
+const {
+  MissingInputError,
+  InputShapeError,
+  findInput,
+  readTable,
+  requireColumns,
+  readPIAACStates
+} = require('./sourceFiles.js');
+
+const NAEP_YEAR = '2022';
+const SES_BANDS = ['Low SES', 'Middle SES', 'High SES'];
+
+function sesBand(povertyRate) {
+  if (povertyRate >= 30) return 'Low SES';
+  if (povertyRate >= 15) return 'Middle SES';
+  return 'High SES';
+}
+
+const round2 = x => Math.round(x * 100) / 100;
+
+// Output: { AL: { 'Low SES': { amount, students }, ... } } - student-weighted spending per band
+function spendingBySES(filePath) {
+  console.log(`\n📊 Processing ${filePath} (district spending by SES)...`);
+  const { rows, columns } = readTable(filePath);
+  requireColumns(filePath, columns, ['State', 'Students', 'PerPupilSpending', 'Poverty_150']);
+
+  const totals = {};
+  rows.forEach(r => {
+    const usps = toUSPS(r.State);
+    const students = parseFloat(r.Students);
+    const spending = parseFloat(r.PerPupilSpending);
+    const poverty = parseFloat(r.Poverty_150);
+    if (!usps || !(students > 0) || isNaN(spending) || isNaN(poverty)) return;
+    const band = ((totals[usps] ||= {})[sesBand(poverty)] ||= { dollars: 0, students: 0 });
+    band.dollars += spending * students;
+    band.students += students;
+  });
+
+  const out = {};
+  Object.entries(totals).forEach(([usps, bands]) => {
+    out[usps] = Object.fromEntries(Object.entries(bands).map(([band, t]) => [
+      band, { amount: round2(t.dollars / t.students), students: Math.round(t.students) }
+    ]));
+  });
+  console.log(`   ✅ ${Object.keys(out).length} states with district spending`);
+  return out;
+}
+
+// Output: { records, national } - the contents of viz5_data.json and viz5_national.json
+function buildViz5(dataDir) {
+  const districtFile = path.join(dataDir, 'district_perpupil_stats.csv');
+  if (!fs.existsSync(districtFile)) {
+    throw new MissingInputError(districtFile, 'run node scripts/build_district_data.js first');
+  }
+  const naepFile = path.join(dataDir, 'naep_cleaned.json');
+  if (!fs.existsSync(naepFile)) {
+    throw new MissingInputError(naepFile, 'run node scripts/clean_naep_data.js first');
+  }
+  const piaacFile = findInput(dataDir, 'PIACC data');
+  if (!piaacFile) {
+    throw new MissingInputError(path.join(dataDir, 'PIACC data.xlsx'), 'PIAAC U.S. Skills Map state estimates');
+  }
+
+  const spending = spendingBySES(districtFile);
+  const naep = JSON.parse(fs.readFileSync(naepFile, 'utf8'));
+  const piaac = readPIAACStates(piaacFile);
+
+  const score = (grade, usps) => naep.reading?.[`grade${grade}`]?.states?.[usps]?.[NAEP_YEAR] ?? null;
+  if (!naep.reading?.grade4?.years?.includes(+NAEP_YEAR)) {
+    throw new InputShapeError(naepFile, `no ${NAEP_YEAR} reading scores`);
+  }
+
+  // Only states with every SES band, both grades and an adult literacy estimate
+  const records = [];
+  Object.keys(spending).sort().forEach(usps => {
+    const bands = spending[usps];
+    const fourth = score(4, usps);
+    const eighth = score(8, usps);
+    const adult = piaac[usps]?.litAvg ?? null;
+    if (!SES_BANDS.every(b => bands[b]) || fourth == null || eighth == null || adult == null) {
+      console.warn(`   ⚠️ ${usps}: incomplete (SES bands, NAEP ${NAEP_YEAR} or PIAAC) - left out`);
+      return;
+    }
+    records.push({
+      state: usps,
+      spending: Object.fromEntries(SES_BANDS.map(b => [b, bands[b]])),
+      fourth_grade_score: fourth,
+      eighth_grade_score: eighth,
+      adult_literacy: adult
+    });
+  });
+
+  // National reference line: unweighted mean over the states shown
+  const mean = values => round2(values.reduce((a, b) => a + b, 0) / values.length);
+  const national = {
+    ...Object.fromEntries(SES_BANDS.map(b => [b, mean(records.map(r => r.spending[b].amount))])),
+    fourth_grade: mean(records.map(r => r.fourth_grade_score)),
+    eighth_grade: mean(records.map(r => r.eighth_grade_score)),
+    naep_year: +NAEP_YEAR
+  };
+
+  console.log(`   ✅ ${records.length} states in viz5_data.json`);
+  return { records, national };
+}
+
+function main() {
+  const dataDir = path.join(__dirname, '..', 'data');
+  console.log('🚀 Building Visualization 5 data...');
+
+  let result;
+  try {
+    result = buildViz5(dataDir);
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  fs.writeFileSync(path.join(dataDir, 'viz5_data.json'), JSON.stringify(result.records, null, 2));
+  fs.writeFileSync(path.join(dataDir, 'viz5_national.json'), JSON.stringify(result.national, null, 2));
+  console.log('\n✅ Saved data/viz5_data.json and data/viz5_national.json');
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { buildViz5 };
@@ -1,4 +1,4 @@
-// Script to clean and combine NAEP data from Excel files
+// Script to clean and combine NAEP reading and math data from Excel files
 // Run with: node scripts/clean_naep_data.js
 // Requires: xlsx package (npm install xlsx)
 
@@ -6,21 +6,57 @@ const XLSX = require('xlsx');
 const fs = require('fs');
 const path = require('path');
 
-// State name to USPS code mapping
-const stateNameToCode = {
-  'Alabama': 'AL', 'Alaska': 'AK', 'Arizona': 'AZ', 'Arkansas': 'AR', 'California': 'CA',
-  'Colorado': 'CO', 'Connecticut': 'CT', 'Delaware': 'DE', 'District of Columbia': 'DC',
-  'Florida': 'FL', 'Georgia': 'GA', 'Hawaii': 'HI', 'Idaho': 'ID', 'Illinois': 'IL',
-  'Indiana': 'IN', 'Iowa': 'IA', 'Kansas': 'KS', 'Kentucky': 'KY', 'Louisiana': 'LA',
-  'Maine': 'ME', 'Maryland': 'MD', 'Massachusetts': 'MA', 'Michigan': 'MI', 'Minnesota': 'MN',
-  'Mississippi': 'MS', 'Missouri': 'MO', 'Montana': 'MT', 'Nebraska': 'NE', 'Nevada': 'NV',
-  'New Hampshire': 'NH', 'New Jersey': 'NJ', 'New Mexico': 'NM', 'New York': 'NY',
-  'North Carolina': 'NC', 'North Dakota': 'ND', 'Ohio': 'OH', 'Oklahoma': 'OK', 'Oregon': 'OR',
-  'Pennsylvania': 'PA', 'Rhode Island': 'RI', 'South Carolina': 'SC', 'South Dakota': 'SD',
-  'Tennessee': 'TN', 'Texas': 'TX', 'Utah': 'UT', 'Vermont': 'VT', 'Virginia': 'VA',
-  'Washington': 'WA', 'West Virginia': 'WV', 'Wisconsin': 'WI', 'Wyoming': 'WY'
+// Shared state registry (names, USPS codes, FIPS)
+const { lookupState, isNational } = require('../js/stateRegistry.js');
+
+// Input shape tracking for scripts/build_data.js
+const { InputShapeError, MissingInputError, recordInput } = require('./sourceFiles.js');
+
+// Cell markers used in the NCES Digest tables
+const MARKER_FLAGS = {
+  '‡': 'suppressed',       // Reporting standards not met
+  '---': 'not_available',  // Not available
+  '*': 'significant'       // Significantly different from the comparison group
 };
 
+// Short codes for the numbered footnotes (\1\, \2\, ...), which differ per table
+function footnoteCode(text, num) {
+  if (/nonresponse bias/i.test(text)) return 'nonresponse_bias';
+  if (/accommodations were not permitted/i.test(text)) return 'no_accommodations';
+  if (/DoDEA/.test(text)) return 'dodea_recalculated';
+  return `footnote_${num}`;
+}
+
+// Read a score cell: 214.8, "214.8*", "‡", "---"
+function parseScoreCell(cellValue) {
+  const flags = [];
+  let score = null;
+  
+  if (typeof cellValue === 'number') {
+    score = cellValue;
+  } else if (typeof cellValue === 'string') {
+    const text = cellValue.trim();
+    const match = text.match(/^(\d+\.?\d*)/);
+    score = match ? parseFloat(match[1]) : null;
+    if (text.startsWith('---')) flags.push(MARKER_FLAGS['---']);
+    if (text.includes('‡')) flags.push(MARKER_FLAGS['‡']);
+    if (match && text.slice(match[0].length).includes('*')) flags.push(MARKER_FLAGS['*']);
+  }
+  
+  if (score != null && (isNaN(score) || score <= 0)) score = null;
+  return { score, flags };
+}
+
+// Read a standard error cell: 1.68, "(1.68)", "(†)"
+function parseSECell(cellValue) {
+  if (typeof cellValue === 'number') return cellValue;
+  if (typeof cellValue === 'string') {
+    const match = cellValue.match(/(\d+\.?\d*)/);
+    return match ? parseFloat(match[1]) : null;
+  }
+  return null;
+}
+
 function parseNAEPFile(filePath, grade) {
   console.log(`\n📊 Processing ${filePath} (Grade ${grade})...`);
   
@@ -31,18 +67,31 @@ function parseNAEPFile(filePath, grade) {
   
   console.log(`  Loaded ${rows.length} rows`);
   
+  // Numbered footnotes at the bottom of the table: "\2\Did not meet ..."
+  const footnotes = {};
+  rows.forEach(row => {
+    if (!row || !Array.isArray(row)) return;
+    const match = String(row[0] || '').trim().match(/^\\(\d+)\\([\s\S]*)$/);
+    if (match) {
+      const text = match[2].replace(/\s+/g, ' ').trim();
+      footnotes[match[1]] = { code: footnoteCode(text, match[1]), text };
+    }
+  });
+  
   // Find header row
   let headerRowIdx = -1;
   let dataStartIdx = -1;
   const years = [];
   const yearColumns = new Map();
+  const yearFlags = {};
   
   for (let i = 0; i < Math.min(10, rows.length); i++) {
     const row = rows[i];
     if (!row || !Array.isArray(row)) continue;
     const firstCell = String(row[0] || '').trim().toLowerCase();
     
-    if (firstCell.includes('state') && firstCell.includes('jurisdiction')) {
+    // The table title also mentions "state or jurisdiction", so match the column header exactly
+    if (firstCell.startsWith('state or jurisdiction')) {
       headerRowIdx = i;
       dataStartIdx = i + 2;
       
@@ -58,6 +107,12 @@ function parseNAEPFile(filePath, grade) {
           if (year >= 1990 && year <= 2025 && !years.includes(year)) {
             years.push(year);
             yearColumns.set(year, j);
+            
+            // Footnotes on the year itself ("1992\1\") apply to every cell in that column
+            const notes = [...cellStr.matchAll(/\\(\d+)\\/g)]
+              .map(m => footnotes[m[1]]?.code)
+              .filter(Boolean);
+            if (notes.length > 0) yearFlags[year] = notes;
           }
         }
       }
@@ -65,12 +120,41 @@ function parseNAEPFile(filePath, grade) {
     }
   }
   
+  if (headerRowIdx === -1) {
+    throw new InputShapeError(filePath, 'could not find the "State or jurisdiction" header row in the first 10 rows');
+  }
+  if (years.length === 0) {
+    throw new InputShapeError(filePath, 'no assessment year columns in the header row');
+  }
+  
   years.sort((a, b) => a - b);
   console.log(`  ✅ Found ${years.length} years:`, years);
   
+  // Each year spans a score column, an SE column and (in early years) a footnote column
+  const allColumns = [...yearColumns.values()].sort((a, b) => a - b);
+  function readYear(row, year) {
+    const colIdx = yearColumns.get(year);
+    const nextIdx = allColumns.find(c => c > colIdx) ?? colIdx + 3;
+    const { score, flags } = parseScoreCell(row[colIdx]);
+    const se = score != null ? parseSECell(row[colIdx + 1]) : null;
+    
+    for (let j = colIdx + 2; j < nextIdx; j++) {
+      const cell = String(row[j] ?? '');
+      for (const m of cell.matchAll(/\\(\d+)\\/g)) {
+        const code = footnotes[m[1]]?.code || `footnote_${m[1]}`;
+        if (!flags.includes(code)) flags.push(code);
+      }
+    }
+    
+    return { score, se, flags: flags.filter(f => f !== 'not_available') };
+  }
+  
   // Parse state data
   const stateData = new Map(); // stateCode -> {year: score}
+  const stateSE = new Map();   // stateCode -> {year: standard error}
+  const stateFlags = new Map(); // stateCode -> {year: [flag codes]}
   const nationalAvgByYear = new Map();
+  const nationalSEByYear = new Map();
   
   for (let i = dataStartIdx; i < rows.length; i++) {
     const row = rows[i];
@@ -80,77 +164,384 @@ function parseNAEPFile(filePath, grade) {
     if (!stateName) continue;
     
     // Check for national average
-    if (stateName.toLowerCase().replace(/\s+/g, ' ').includes('united states')) {
+    if (isNational(stateName)) {
       years.forEach(year => {
-        const colIdx = yearColumns.get(year);
-        if (colIdx !== undefined && row[colIdx] != null) {
-          let score = null;
-          const cellValue = row[colIdx];
-          
-          if (typeof cellValue === 'number') {
-            score = cellValue;
-          } else if (typeof cellValue === 'string') {
-            const match = cellValue.match(/^(\d+\.?\d*)/);
-            score = match ? parseFloat(match[1]) : null;
-          }
-          
-          if (score != null && !isNaN(score) && score > 0) {
-            nationalAvgByYear.set(year, score);
-          }
+        const { score, se } = readYear(row, year);
+        if (score != null) {
+          nationalAvgByYear.set(year, score);
+          if (se != null) nationalSEByYear.set(year, se);
         }
       });
       continue;
     }
     
-    // Match state
-    let stateCode = stateNameToCode[stateName];
-    if (!stateCode) {
-      for (const [key, code] of Object.entries(stateNameToCode)) {
-        if (key.toLowerCase() === stateName.toLowerCase()) {
-          stateCode = code;
-          break;
-        }
-      }
-    }
+    // Match state (50 states + DC; DoDEA and territories are not mapped)
+    const entry = lookupState(stateName);
+    const stateCode = entry && (entry.type === 'state' || entry.type === 'district') ? entry.usps : null;
     
     if (stateCode) {
       const yearScores = {};
+      const yearSE = {};
+      const yearCellFlags = {};
       years.forEach(year => {
-        const colIdx = yearColumns.get(year);
-        if (colIdx !== undefined && row[colIdx] != null) {
-          let score = null;
-          const cellValue = row[colIdx];
-          
-          if (typeof cellValue === 'number') {
-            score = cellValue;
-          } else if (typeof cellValue === 'string') {
-            const match = cellValue.match(/^(\d+\.?\d*)/);
-            score = match ? parseFloat(match[1]) : null;
-          }
-          
-          if (score != null && !isNaN(score) && score > 0) {
-            yearScores[year] = score;
-          }
-        }
+        const { score, se, flags } = readYear(row, year);
+        if (score != null) yearScores[year] = score;
+        if (se != null) yearSE[year] = se;
+        if (flags.length > 0) yearCellFlags[year] = flags;
       });
       
       if (Object.keys(yearScores).length > 0) {
         stateData.set(stateCode, yearScores);
+        stateSE.set(stateCode, yearSE);
+      }
+      if (Object.keys(yearCellFlags).length > 0) {
+        stateFlags.set(stateCode, yearCellFlags);
       }
     }
   }
   
+  recordInput(filePath, {
+    columns: ['State or jurisdiction', ...years.map(String)],
+    rows: stateData.size + (nationalAvgByYear.size > 0 ? 1 : 0)
+  });
+  
   console.log(`  ✅ Loaded data for ${stateData.size} states`);
   console.log(`  ✅ National averages for ${nationalAvgByYear.size} years`);
+  console.log(`  ✅ Flagged cells in ${stateFlags.size} states`);
   
   return {
     grade,
     years,
     stateData: Object.fromEntries(stateData),
-    nationalAvgByYear: Object.fromEntries(nationalAvgByYear)
+    stateSE: Object.fromEntries(stateSE),
+    stateFlags: Object.fromEntries(stateFlags),
+    yearFlags,
+    footnotes,
+    nationalAvgByYear: Object.fromEntries(nationalAvgByYear),
+    nationalSEByYear: Object.fromEntries(nationalSEByYear)
   };
 }
 
+// Parse a NAEP Data Explorer export of average scale scores by
+// National School Lunch Program eligibility (SLUNCH3), one file per grade.
+// Expected columns: Year | Jurisdiction | National School Lunch Program eligibility | Average scale score
+// NDE leaves Year/Jurisdiction blank on repeated rows, so those carry forward.
+function parseNSLPFile(filePath, grade) {
+  console.log(`\n📊 Processing ${filePath} (Grade ${grade}, NSLP eligibility)...`);
+  
+  if (!fs.existsSync(filePath)) {
+    console.warn(`  ⚠️ ${path.basename(filePath)} not found - Low/High SES scores will be estimated`);
+    return { states: {}, nationalAvg: {} };
+  }
+  
+  const wb = XLSX.readFile(filePath);
+  const ws = wb.Sheets[wb.SheetNames[0]];
+  const rows = XLSX.utils.sheet_to_json(ws, { header: 1, defval: null });
+  
+  // Find header row and columns by label
+  let headerRowIdx = -1;
+  const cols = {};
+  for (let i = 0; i < Math.min(20, rows.length); i++) {
+    const row = rows[i];
+    if (!row || !Array.isArray(row)) continue;
+    const labels = row.map(c => String(c || '').trim().toLowerCase());
+    const jurCol = labels.findIndex(l => l === 'jurisdiction');
+    const nslpCol = labels.findIndex(l => l.includes('lunch') || l.includes('nslp'));
+    const scoreCol = labels.findIndex(l => l.includes('average scale score'));
+    if (jurCol !== -1 && nslpCol !== -1 && scoreCol !== -1) {
+      headerRowIdx = i;
+      cols.year = labels.findIndex(l => l === 'year');
+      cols.jurisdiction = jurCol;
+      cols.nslp = nslpCol;
+      cols.score = scoreCol;
+      break;
+    }
+  }
+  
+  if (headerRowIdx === -1) {
+    throw new InputShapeError(filePath, 'could not find Jurisdiction / NSLP / Average scale score header');
+  }
+  recordInput(filePath, { columns: rows[headerRowIdx].map(c => c ?? ''), rows: rows.length - headerRowIdx - 1 });
+  
+  const stateData = {};   // stateCode -> {year: {eligible, notEligible}}
+  const nationalAvg = {}; // year -> {eligible, notEligible}
+  let year = null;
+  let jurisdiction = null;
+  let suppressed = 0;
+  
+  for (let i = headerRowIdx + 1; i < rows.length; i++) {
+    const row = rows[i];
+    if (!row || !Array.isArray(row)) continue;
+    
+    if (cols.year !== -1 && row[cols.year] != null) {
+      const yearMatch = String(row[cols.year]).match(/(19|20)\d{2}/);
+      if (yearMatch) year = parseInt(yearMatch[0]);
+    }
+    if (row[cols.jurisdiction] != null && String(row[cols.jurisdiction]).trim()) {
+      jurisdiction = String(row[cols.jurisdiction]).trim();
+    }
+    
+    const category = String(row[cols.nslp] || '').trim().toLowerCase();
+    let key = null;
+    if (category.startsWith('not eligible')) key = 'notEligible';
+    else if (category.startsWith('eligible')) key = 'eligible';
+    if (!key || !year || !jurisdiction) continue; // skips "Info not available" and footnotes
+    
+    // Suppressed cells ("‡" reporting standards not met, "—" not available) are kept as null
+    const cellValue = row[cols.score];
+    let score = null;
+    if (typeof cellValue === 'number') {
+      score = cellValue;
+    } else if (typeof cellValue === 'string') {
+      const match = cellValue.match(/^(\d+\.?\d*)/);
+      score = match ? parseFloat(match[1]) : null;
+    }
+    if (score == null) suppressed++;
+    
+    let target = null;
+    if (isNational(jurisdiction)) {
+      target = nationalAvg;
+    } else {
+      const entry = lookupState(jurisdiction);
+      if (entry && (entry.type === 'state' || entry.type === 'district')) {
+        stateData[entry.usps] = stateData[entry.usps] || {};
+        target = stateData[entry.usps];
+      }
+    }
+    if (!target) continue;
+    
+    target[year] = target[year] || { eligible: null, notEligible: null };
+    target[year][key] = score;
+  }
+  
+  console.log(`  ✅ Loaded NSLP scores for ${Object.keys(stateData).length} states`);
+  console.log(`  ✅ National NSLP scores for ${Object.keys(nationalAvg).length} years`);
+  if (suppressed > 0) {
+    console.log(`  ⚠️ ${suppressed} suppressed cells (will be estimated in the browser)`);
+  }
+  
+  return { states: stateData, nationalAvg };
+}
+
+// Parse a NAEP Data Explorer export of cumulative achievement-level percentages.
+// Expected columns: Year | Jurisdiction | ... | At or above Basic | At or above Proficient | At Advanced
+// Output uses the level names from js/achievementLevels.js: { Basic, Proficient, Advanced }
+function parseLevelsFile(filePath, grade) {
+  console.log(`\n📊 Processing ${filePath} (Grade ${grade}, achievement levels)...`);
+  
+  if (!fs.existsSync(filePath)) {
+    console.warn(`  ⚠️ ${path.basename(filePath)} not found - % at or above levels will be unavailable`);
+    return { states: {}, nationalAvg: {} };
+  }
+  
+  const wb = XLSX.readFile(filePath);
+  const ws = wb.Sheets[wb.SheetNames[0]];
+  const rows = XLSX.utils.sheet_to_json(ws, { header: 1, defval: null });
+  
+  // Find header row and columns by label
+  let headerRowIdx = -1;
+  const cols = {};
+  for (let i = 0; i < Math.min(20, rows.length); i++) {
+    const row = rows[i];
+    if (!row || !Array.isArray(row)) continue;
+    const labels = row.map(c => String(c || '').trim().toLowerCase());
+    const jurCol = labels.findIndex(l => l === 'jurisdiction');
+    // Exact labels: a "Below Basic" column must not be read as "At or above Basic"
+    const basicCol = labels.findIndex(l => l === 'at or above basic');
+    const profCol = labels.findIndex(l => l === 'at or above proficient');
+    const advCol = labels.findIndex(l => l === 'at advanced');
+    if (jurCol !== -1 && basicCol !== -1 && profCol !== -1 && advCol !== -1) {
+      headerRowIdx = i;
+      cols.year = labels.findIndex(l => l === 'year');
+      cols.jurisdiction = jurCol;
+      cols.Basic = basicCol;
+      cols.Proficient = profCol;
+      cols.Advanced = advCol;
+      break;
+    }
+  }
+  
+  if (headerRowIdx === -1) {
+    throw new InputShapeError(filePath, 'could not find Jurisdiction / At or above Basic / At or above Proficient / At Advanced header');
+  }
+  recordInput(filePath, { columns: rows[headerRowIdx].map(c => c ?? ''), rows: rows.length - headerRowIdx - 1 });
+  
+  const stateData = {};   // stateCode -> {year: {Basic, Proficient, Advanced}}
+  const nationalAvg = {}; // year -> {Basic, Proficient, Advanced}
+  let year = null;
+  let jurisdiction = null;
+  
+  for (let i = headerRowIdx + 1; i < rows.length; i++) {
+    const row = rows[i];
+    if (!row || !Array.isArray(row)) continue;
+    
+    if (cols.year !== -1 && row[cols.year] != null) {
+      const yearMatch = String(row[cols.year]).match(/(19|20)\d{2}/);
+      if (yearMatch) year = parseInt(yearMatch[0]);
+    }
+    if (row[cols.jurisdiction] != null && String(row[cols.jurisdiction]).trim()) {
+      jurisdiction = String(row[cols.jurisdiction]).trim();
+    }
+    if (!year || !jurisdiction) continue;
+    
+    const values = {};
+    ['Basic', 'Proficient', 'Advanced'].forEach(level => {
+      const { score } = parseScoreCell(row[cols[level]]);
+      values[level] = score;
+    });
+    if (values.Basic == null && values.Proficient == null && values.Advanced == null) continue;
+    
+    if (isNational(jurisdiction)) {
+      nationalAvg[year] = values;
+    } else {
+      const entry = lookupState(jurisdiction);
+      if (entry && (entry.type === 'state' || entry.type === 'district')) {
+        stateData[entry.usps] = stateData[entry.usps] || {};
+        stateData[entry.usps][year] = values;
+      }
+    }
+  }
+  
+  console.log(`  ✅ Loaded achievement levels for ${Object.keys(stateData).length} states`);
+  
+  return { states: stateData, nationalAvg };
+}
+
+// Codes -> footnote text, for tooltips and the data notes
+function flagDefinitions(...gradeResults) {
+  const defs = {
+    suppressed: 'Reporting standards not met. Participation rates fell below the required standards for reporting.',
+    significant: 'Significantly different from the comparison group.'
+  };
+  gradeResults.forEach(result => {
+    Object.values(result.footnotes).forEach(({ code, text }) => {
+      if (!defs[code]) defs[code] = text;
+    });
+  });
+  return defs;
+}
+
+// Source workbooks per subject. Reading is required; other subjects are
+// ingested when their NCES Digest tables are present in data/.
+const SUBJECTS = {
+  reading: {
+    label: 'Reading',
+    required: true,
+    files: { 4: 'fourth_grade_naep.xlsx', 8: 'eighth_grade_naep.xlsx' },        // Digest tables 221.40 / 221.60
+    nslp: { 4: 'naep_nslp_grade4.xlsx', 8: 'naep_nslp_grade8.xlsx' },
+    levels: { 4: 'naep_levels_grade4.xlsx', 8: 'naep_levels_grade8.xlsx' }
+  },
+  math: {
+    label: 'Mathematics',
+    required: false,
+    files: { 4: 'fourth_grade_naep_math.xlsx', 8: 'eighth_grade_naep_math.xlsx' }, // Digest tables 222.50 / 222.60
+    nslp: { 4: 'naep_nslp_math_grade4.xlsx', 8: 'naep_nslp_math_grade8.xlsx' },
+    levels: { 4: 'naep_levels_math_grade4.xlsx', 8: 'naep_levels_math_grade8.xlsx' }
+  }
+};
+
+function emptyGradeResult(grade) {
+  return {
+    grade,
+    years: [],
+    stateData: {},
+    stateSE: {},
+    stateFlags: {},
+    yearFlags: {},
+    footnotes: {},
+    nationalAvgByYear: {},
+    nationalSEByYear: {}
+  };
+}
+
+// Parse one subject: { grade4, grade8 } blocks plus the raw results for metadata
+function parseSubject(dataDir, subjectKey) {
+  const subject = SUBJECTS[subjectKey];
+  const blocks = {};
+  const results = [];
+  
+  [4, 8].forEach(grade => {
+    const filePath = path.join(dataDir, subject.files[grade]);
+    let data;
+    if (fs.existsSync(filePath)) {
+      data = parseNAEPFile(filePath, grade);
+    } else if (subject.required) {
+      throw new MissingInputError(filePath, 'required NAEP workbook');
+    } else {
+      console.warn(`\n⚠️ ${subject.files[grade]} not found - ${subject.label} Grade ${grade} will be empty`);
+      data = emptyGradeResult(grade);
+    }
+    results.push(data);
+    
+    // SES-disaggregated results (NSLP eligibility)
+    const nslp = parseNSLPFile(path.join(dataDir, subject.nslp[grade]), grade);
+    
+    // % of students at or above Basic / Proficient / at Advanced
+    const levels = parseLevelsFile(path.join(dataDir, subject.levels[grade]), grade);
+    
+    blocks[`grade${grade}`] = {
+      years: data.years,
+      states: data.stateData,
+      nationalAvg: data.nationalAvgByYear,
+      se: data.stateSE,
+      nationalSE: data.nationalSEByYear,
+      flags: data.stateFlags,
+      yearFlags: data.yearFlags,
+      nslp,
+      levels
+    };
+  });
+  
+  return { blocks, results };
+}
+
+// Build the combined, subject-keyed structure written to data/naep_cleaned.json
+function buildNAEP(dataDir) {
+  // Combine into single structure, keyed by subject then grade
+  const combined = {};
+  const allResults = [];
+  Object.keys(SUBJECTS).forEach(subjectKey => {
+    console.log(`\n📚 ${SUBJECTS[subjectKey].label}`);
+    const { blocks, results } = parseSubject(dataDir, subjectKey);
+    combined[subjectKey] = blocks;
+    allResults.push(...results);
+  });
+  
+  const subjectsWithData = Object.keys(SUBJECTS).filter(key =>
+    Object.values(combined[key]).some(block => block.years.length > 0)
+  );
+  // Only name the NSLP and achievement-level exports when they were actually read
+  const hasNSLP = Object.keys(SUBJECTS).some(key =>
+    Object.values(combined[key]).some(block => Object.keys(block.nslp.states).length > 0)
+  );
+  const hasLevels = Object.keys(SUBJECTS).some(key =>
+    Object.values(combined[key]).some(block => Object.keys(block.levels.states).length > 0)
+  );
+  
+  combined.allYears = [...new Set(allResults.flatMap(r => r.years))].sort((a, b) => a - b);
+  combined.metadata = {
+    generated: new Date().toISOString(),
+    source: `NAEP ${subjectsWithData.map(key => SUBJECTS[key].label).join(' and ')} Assessments (NCES Digest of Education Statistics)`,
+    subjects: subjectsWithData,
+    subjectLabels: Object.fromEntries(Object.entries(SUBJECTS).map(([key, s]) => [key, s.label])),
+    ...(hasNSLP ? { sesSource: 'NAEP Data Explorer, National School Lunch Program eligibility (SLUNCH3)' } : {}),
+    sesMapping: { Low: 'eligible', Middle: 'all students', High: 'notEligible' },
+    ...(hasLevels ? { levelsSource: 'NAEP Data Explorer, achievement levels (cumulative: at or above Basic / Proficient, at Advanced)' } : {}),
+    grades: [4, 8],
+    flagDefinitions: flagDefinitions(...allResults)
+  };
+  
+  return combined;
+}
+
+function logSummary(combined) {
+  Object.keys(SUBJECTS).forEach(key => {
+    const { grade4, grade8 } = combined[key];
+    console.log(`   ${SUBJECTS[key].label}: ${Object.keys(grade4.states).length} states (Grade 4), ${Object.keys(grade8.states).length} states (Grade 8), NSLP ${Object.keys(grade4.nslp.states).length} / ${Object.keys(grade8.nslp.states).length}`);
+  });
+  console.log(`   Years available: ${combined.allYears.join(', ')}`);
+}
+
 // Main function
 function main() {
   const dataDir = path.join(__dirname, '..', 'data');
@@ -158,37 +549,16 @@ function main() {
   
   console.log('🚀 Cleaning NAEP data files...\n');
   
-  // Parse both grade files
-  const grade4Data = parseNAEPFile(path.join(dataDir, 'fourth_grade_naep.xlsx'), 4);
-  const grade8Data = parseNAEPFile(path.join(dataDir, 'eighth_grade_naep.xlsx'), 8);
-  
-  // Combine into single structure
-  const combined = {
-    grade4: {
-      years: grade4Data.years,
-      states: grade4Data.stateData,
-      nationalAvg: grade4Data.nationalAvgByYear
-    },
-    grade8: {
-      years: grade8Data.years,
-      states: grade8Data.stateData,
-      nationalAvg: grade8Data.nationalAvgByYear
-    },
-    allYears: [...new Set([...grade4Data.years, ...grade8Data.years])].sort((a, b) => a - b),
-    metadata: {
-      generated: new Date().toISOString(),
-      source: 'NAEP Reading Assessment',
-      grades: [4, 8]
-    }
-  };
+  const combined = buildNAEP(dataDir);
   
   // Save to JSON
   fs.writeFileSync(outputFile, JSON.stringify(combined, null, 2));
   console.log(`\n✅ Saved cleaned data to ${outputFile}`);
-  console.log(`   Total states (Grade 4): ${Object.keys(combined.grade4.states).length}`);
-  console.log(`   Total states (Grade 8): ${Object.keys(combined.grade8.states).length}`);
-  console.log(`   Years available: ${combined.allYears.join(', ')}`);
+  logSummary(combined);
 }
 
-main();
+if (require.main === module) {
+  main();
+}
 
+module.exports = { buildNAEP, logSummary, SUBJECTS };
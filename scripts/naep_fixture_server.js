@@ -0,0 +1,281 @@
+// Local stand-in for the NAEP Data Service (GetAdhocData.aspx), backed by fixture files
+// Run with: node scripts/naep_fixture_server.js [--port=8787] [--record[=<service url>]]
+//           node scripts/naep_fixture_server.js --seed
+// No npm packages needed (Node 18+ for --record, which uses the built-in fetch).
+//
+//   (default)  answer GET /DataService/GetAdhocData.aspx from scripts/fixtures/naep-service/,
+//              filtered to the requested jurisdictions and years; no fixture -> 404
+//   --record   forward requests that have no fixture to the live service (or the given URL)
+//              and save the response as a fixture for next time
+//   --seed     write synthesized fixtures from data/naep_cleaned.json (TOTAL and SLUNCH3) and
+//              exit - the same numbers the site ships with, reshaped into service rows; they
+//              are marked "synthesized": true, recorded ones carry "recorded": <timestamp>.
+//              SLUNCH3 is written with an empty result while no NSLP export is ingested, so
+//              the adapter's NSLP request gets an empty answer instead of a 404
+// Fixtures are keyed by subject, grade and variable: reading_g4_TOTAL.json, math_g8_SLUNCH3.json, ...
+// Point the browser at it with setNAEPSource({ serviceUrl: 'http://localhost:8787/DataService/GetAdhocData.aspx' })
+// from js/dataHelpers.js (CORS is open, so the site can be served from any port).
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+// Shared state registry (names, USPS codes, FIPS)
+const { toName } = require('../js/stateRegistry.js');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'naep-service');
+const SERVICE_PATH = '/DataService/GetAdhocData.aspx';
+const LIVE_SERVICE_URL = 'https://www.nationsreportcard.gov/DataService/GetAdhocData.aspx';
+const DEFAULT_PORT = 8787;
+
+// Service subject names <-> the subject keys used in naep_cleaned.json
+const SUBJECTS = { reading: 'reading', mathematics: 'math' };
+const SUBSCALES = { reading: 'RRPCM', math: 'MRPCM' };
+const NATIONAL = { jurisdiction: 'NP', label: 'National public' };
+const NSLP_LABELS = { eligible: ['1', 'Eligible'], notEligible: ['2', 'Not eligible'] };
+
+function fixtureFile(subject, grade, variable) {
+  return path.join(FIXTURE_DIR, `${subject}_g${grade}_${variable}.json`);
+}
+
+// One result row per line keeps fixture diffs readable
+function writeFixture(file, fixture) {
+  const { response, ...header } = fixture;
+  const head = JSON.stringify(header, null, 2).replace(/\n}$/, '');
+  const rows = response.result.map(row => `      ${JSON.stringify(row)}`).join(',\n');
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${head},\n  "response": {\n    "status": ${response.status},\n    "result": [\n${rows}\n    ]\n  }\n}\n`);
+}
+
+// ============================
+// Seeding from data/naep_cleaned.json
+// ============================
+
+// Result row in the service's format; sample R2 = accommodations not permitted, R3 = permitted
+function serviceRow(block, { year, subject, grade, jurisdiction, jurisLabel, variable, varValue, varValueLabel, value }) {
+  const noAccommodations = (block.yearFlags?.[year] || []).includes('no_accommodations');
+  const suppressed = value == null;
+  return {
+    year: Number(year),
+    sample: noAccommodations ? 'R2' : 'R3',
+    stattype: 'MN:MN',
+    grade,
+    scale: SUBSCALES[subject],
+    jurisdiction,
+    jurisLabel,
+    variable,
+    varValue,
+    varValueLabel,
+    value: suppressed ? 0 : value,
+    isStatDisplayable: suppressed ? 0 : 1,
+    errorFlag: suppressed ? 1 : 0
+  };
+}
+
+function seedRows(block, subject, grade) {
+  const total = [];
+  const nslp = [];
+  const base = { subject, grade };
+
+  block.years.map(String).forEach(year => {
+    const national = block.nationalAvg?.[year];
+    if (national != null) {
+      total.push(serviceRow(block, { ...base, year, jurisdiction: NATIONAL.jurisdiction, jurisLabel: NATIONAL.label,
+        variable: 'TOTAL', varValue: '1', varValueLabel: 'All students', value: national }));
+    }
+    Object.entries(NSLP_LABELS).forEach(([key, [varValue, varValueLabel]]) => {
+      const value = block.nslp?.nationalAvg?.[year]?.[key];
+      if (value != null) {
+        nslp.push(serviceRow(block, { ...base, year, jurisdiction: NATIONAL.jurisdiction, jurisLabel: NATIONAL.label,
+          variable: 'SLUNCH3', varValue, varValueLabel, value }));
+      }
+    });
+  });
+
+  Object.keys(block.states).sort().forEach(usps => {
+    const jurisLabel = toName(usps) || usps;
+    block.years.map(String).forEach(year => {
+      const value = block.states[usps][year];
+      const suppressed = (block.flags?.[usps]?.[year] || []).includes('suppressed');
+      if (value != null || suppressed) {
+        total.push(serviceRow(block, { ...base, year, jurisdiction: usps, jurisLabel,
+          variable: 'TOTAL', varValue: '1', varValueLabel: 'All students', value: value ?? null }));
+      }
+      Object.entries(NSLP_LABELS).forEach(([key, [varValue, varValueLabel]]) => {
+        const nslpValue = block.nslp?.states?.[usps]?.[year]?.[key];
+        if (nslpValue != null) {
+          nslp.push(serviceRow(block, { ...base, year, jurisdiction: usps, jurisLabel,
+            variable: 'SLUNCH3', varValue, varValueLabel, value: nslpValue }));
+        }
+      });
+    });
+  });
+  return { TOTAL: total, SLUNCH3: nslp };
+}
+
+function seed() {
+  const cleanedFile = path.join(__dirname, '..', 'data', 'naep_cleaned.json');
+  if (!fs.existsSync(cleanedFile)) {
+    console.error(`❌ ${cleanedFile} not found - run node scripts/build_data.js first`);
+    process.exitCode = 1;
+    return;
+  }
+  const cleaned = JSON.parse(fs.readFileSync(cleanedFile, 'utf8'));
+  console.log('🚀 Seeding NAEP Data Service fixtures from data/naep_cleaned.json...');
+
+  (cleaned.metadata?.subjects || []).forEach(subject => {
+    [4, 8].forEach(grade => {
+      const block = cleaned[subject]?.[`grade${grade}`];
+      if (!block?.years?.length) return;
+      Object.entries(seedRows(block, subject, grade)).forEach(([variable, result]) => {
+        if (!result.length) {
+          console.warn(`⚠️ No ${variable} values for ${subject} grade ${grade} in naep_cleaned.json - writing an empty result`);
+        }
+        const file = fixtureFile(subject, grade, variable);
+        writeFixture(file, {
+          request: { subject, grade, variable, stattype: 'MN:MN' },
+          source: `data/naep_cleaned.json (generated ${cleaned.metadata.generated})`,
+          synthesized: true,
+          note: result.length
+            ? 'Built by --seed from naep_cleaned.json, not a NAEP Data Service response'
+            : `Built by --seed: naep_cleaned.json has no ${variable} values, so the result is empty`,
+          seeded: new Date().toISOString(),
+          response: { status: 200, result }
+        });
+        console.log(`✅ Wrote ${path.relative(process.cwd(), file)} (${result.length} rows)`);
+      });
+    });
+  });
+}
+
+// ============================
+// Server
+// ============================
+
+function sendJSON(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Access-Control-Allow-Origin': '*'
+  });
+  res.end(JSON.stringify(body));
+}
+
+// Output: { subject, grade, variable, jurisdictions: Set | null, years: Set | null } or { error }
+function parseQuery(searchParams) {
+  const get = name => searchParams.get(name) ?? searchParams.get(name.toLowerCase());
+  const subject = SUBJECTS[String(get('subject') || '').toLowerCase()];
+  const grade = Number(get('grade'));
+  const variable = String(get('variable') || 'TOTAL').toUpperCase();
+  const stattype = get('stattype') || 'MN:MN';
+  if (!subject) return { error: `Unsupported subject "${get('subject')}" (reading or mathematics)` };
+  if (![4, 8].includes(grade)) return { error: `Unsupported grade "${get('grade')}" (4 or 8)` };
+  if (stattype !== 'MN:MN') return { error: `Unsupported stattype "${stattype}" (fixtures hold MN:MN means)` };
+  const list = value => (value ? new Set(value.split(',').map(v => v.trim()).filter(Boolean)) : null);
+  return {
+    subject,
+    grade,
+    variable,
+    jurisdictions: list(get('jurisdiction')),
+    years: list(get('Year'))
+  };
+}
+
+async function recordFixture(upstream, requestUrl, query) {
+  const url = `${upstream}${requestUrl.search}`;
+  console.log(`🔗 Recording ${url}`);
+  const res = await fetch(url);
+  const body = await res.json();
+  if (!res.ok || body?.status !== 200 || !Array.isArray(body.result)) {
+    throw new Error(`upstream answered ${res.status}: ${typeof body?.result === 'string' ? body.result : 'no result list'}`);
+  }
+  const file = fixtureFile(query.subject, query.grade, query.variable);
+  writeFixture(file, {
+    request: { subject: query.subject, grade: query.grade, variable: query.variable, stattype: 'MN:MN' },
+    source: url,
+    recorded: new Date().toISOString(),
+    response: { status: 200, result: body.result }
+  });
+  console.log(`✅ Saved ${path.relative(process.cwd(), file)} (${body.result.length} rows)`);
+  return body;
+}
+
+function parseOptions(args) {
+  const port = Number(args.find(a => a.startsWith('--port='))?.split('=')[1] ?? DEFAULT_PORT);
+  const recordArg = args.find(a => a === '--record' || a.startsWith('--record='));
+  const upstream = recordArg ? (recordArg.split('=')[1] || LIVE_SERVICE_URL) : null;
+  if (!Number.isInteger(port) || port <= 0) throw new Error('--port must be a positive integer');
+  return { port, upstream };
+}
+
+function serve({ port, upstream }) {
+  const server = http.createServer(async (req, res) => {
+    const requestUrl = new URL(req.url, `http://localhost:${port}`);
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, { 'Access-Control-Allow-Origin': '*', 'Access-Control-Allow-Methods': 'GET' });
+      res.end();
+      return;
+    }
+    if (req.method !== 'GET' || requestUrl.pathname !== SERVICE_PATH) {
+      sendJSON(res, 404, { status: 404, result: `Only GET ${SERVICE_PATH} is served` });
+      return;
+    }
+
+    const query = parseQuery(requestUrl.searchParams);
+    if (query.error) {
+      sendJSON(res, 400, { status: 400, result: query.error });
+      return;
+    }
+
+    const file = fixtureFile(query.subject, query.grade, query.variable);
+    try {
+      if (!fs.existsSync(file)) {
+        if (!upstream) {
+          console.warn(`⚠️ No fixture ${path.basename(file)}`);
+          sendJSON(res, 404, { status: 404, result: `No fixture ${path.basename(file)}; rerun with --record or --seed` });
+          return;
+        }
+        sendJSON(res, 200, await recordFixture(upstream, requestUrl, query));
+        return;
+      }
+
+      const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+      const result = fixture.response.result.filter(row =>
+        (!query.jurisdictions || query.jurisdictions.has(row.jurisdiction)) &&
+        (!query.years || query.years.has(String(row.year))));
+      console.log(`📊 ${path.basename(file)}${fixture.synthesized ? ' (synthesized)' : ''}: ${result.length} of ${fixture.response.result.length} rows`);
+      sendJSON(res, 200, { status: 200, result });
+    } catch (err) {
+      console.error(`❌ ${err.message}`);
+      sendJSON(res, 502, { status: 502, result: err.message });
+    }
+  });
+
+  server.listen(port, () => {
+    console.log(`🚀 NAEP fixture server on http://localhost:${port}${SERVICE_PATH}`);
+    console.log(`   Fixtures: ${path.relative(process.cwd(), FIXTURE_DIR)}${upstream ? ` (recording misses from ${upstream})` : ''}`);
+  });
+  return server;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  if (args.includes('--seed')) {
+    seed();
+    return;
+  }
+  let options;
+  try {
+    options = parseOptions(args);
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exitCode = 1;
+    return;
+  }
+  serve(options);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { serve, seed, parseQuery, FIXTURE_DIR, SERVICE_PATH };
@@ -0,0 +1,151 @@
+// Shared helpers for the data build scripts: reading raw CSV/XLSX inputs,
+// recording their shape for data/manifest.json, and the errors build_data.js reacts to.
+// Requires: xlsx package (npm install xlsx)
+
+const XLSX = require('xlsx');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Shared state registry (names, USPS codes, FIPS)
+const { toUSPS } = require('../js/stateRegistry.js');
+
+// A required raw input is not in data/ - the step is skipped (or fails with --strict)
+class MissingInputError extends Error {
+  constructor(filePath, hint = '') {
+    super(`Missing input ${path.basename(filePath)}${hint ? ` - ${hint}` : ''}`);
+    this.name = 'MissingInputError';
+    this.file = filePath;
+  }
+}
+
+// A raw input no longer has the columns / layout a parser expects - always fatal
+class InputShapeError extends Error {
+  constructor(filePath, message) {
+    super(`${path.basename(filePath)}: ${message}`);
+    this.name = 'InputShapeError';
+    this.file = filePath;
+  }
+}
+
+// Shape of every input read during this run: file -> { columns, rows }
+const recordedInputs = new Map();
+
+function recordInput(filePath, { columns, rows }) {
+  recordedInputs.set(path.resolve(filePath), {
+    columns: columns.map(c => String(c).trim()).filter(Boolean),
+    rows
+  });
+}
+
+function takeRecordedInputs() {
+  const out = new Map(recordedInputs);
+  recordedInputs.clear();
+  return out;
+}
+
+// First existing file among baseName.csv / .xlsx / .xls in dataDir
+function findInput(dataDir, baseName) {
+  return ['.csv', '.xlsx', '.xls']
+    .map(ext => path.join(dataDir, baseName + ext))
+    .find(file => fs.existsSync(file)) || null;
+}
+
+// The one CSV/XLSX file in dataDir whose name matches pattern (for inputs whose name carries a year,
+// e.g. PLS_FY22_AE_pud22i.csv); label names the expected file in messages (e.g. 'PLS_FY*_AE_*.csv').
+// Several matches are an error: the build must not guess which one is current.
+function findInputMatching(dataDir, pattern, label, hint = '') {
+  const matches = fs.readdirSync(dataDir)
+    .filter(name => pattern.test(name) && /\.(csv|xlsx|xls)$/i.test(name))
+    .map(name => path.join(dataDir, name));
+  if (matches.length > 1) {
+    throw new InputShapeError(path.join(dataDir, label),
+      `several files match (${matches.map(f => path.basename(f)).join(', ')}); keep only the current one`);
+  }
+  if (!matches.length) throw new MissingInputError(path.join(dataDir, label), hint);
+  return matches[0];
+}
+
+// Read a CSV or the first (or named) sheet of a workbook as objects keyed by the header row.
+// Records the input's shape. Output: { rows, columns }
+function readTable(filePath, { sheet = null } = {}) {
+  if (!fs.existsSync(filePath)) throw new MissingInputError(filePath);
+  // CSV cells stay text: SheetJS would otherwise read headers like 2009-10 as dates. CSVs are decoded
+  // as UTF-8 here because SheetJS reads a file without a BOM as Latin-1 (‡ would arrive as "â€¡").
+  const wb = /\.csv$/i.test(filePath)
+    ? XLSX.read(fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, ''), { type: 'string', raw: true })
+    : XLSX.readFile(filePath, { raw: false });
+  const sheetName = sheet
+    ? wb.SheetNames.find(n => sheet.test(n))
+    : wb.SheetNames[0];
+  if (!sheetName) {
+    throw new InputShapeError(filePath, `no sheet matching ${sheet} (sheets: ${wb.SheetNames.join(', ')})`);
+  }
+  const ws = wb.Sheets[sheetName];
+  const [header = []] = XLSX.utils.sheet_to_json(ws, { header: 1, defval: null });
+  const columns = header.map(c => (c == null ? '' : String(c).trim()));
+  const rows = XLSX.utils.sheet_to_json(ws, { defval: null });
+  recordInput(filePath, { columns, rows: rows.length });
+  return { rows, columns };
+}
+
+// Row-object key for each header cell, in order: SheetJS keys unnamed header cells
+// __EMPTY, __EMPTY_1, ... (for tables that spread one field over several columns)
+function columnKeys(columns) {
+  let unnamed = 0;
+  return columns.map(column => {
+    if (column !== '') return column;
+    unnamed += 1;
+    return unnamed === 1 ? '__EMPTY' : `__EMPTY_${unnamed - 1}`;
+  });
+}
+
+// Throws InputShapeError listing every required column that is missing (case-insensitive)
+function requireColumns(filePath, columns, required) {
+  const present = new Set(columns.map(c => c.toLowerCase()));
+  const missing = required.filter(col => {
+    const aliases = Array.isArray(col) ? col : [col];
+    return !aliases.some(alias => present.has(alias.toLowerCase()));
+  });
+  if (missing.length) {
+    const names = missing.map(col => (Array.isArray(col) ? col.join(' | ') : col));
+    throw new InputShapeError(filePath, `missing column(s) ${names.join(', ')}; found ${columns.filter(Boolean).join(', ')}`);
+  }
+}
+
+// PIAAC U.S. Skills Map state estimates ('PIACC data.xlsx' state sheet, or a CSV export)
+// Output: { AL: { litP1, litAvg } } - % adults at or below Literacy Level 1 and average literacy score
+function readPIAACStates(filePath) {
+  const { rows, columns } = readTable(filePath, { sheet: /\.xlsx?$/i.test(filePath) ? /state/i : null });
+  requireColumns(filePath, columns, [['State', 'Jurisdiction'], 'Lit_P1']);
+  const out = {};
+  rows.forEach(r => {
+    const usps = toUSPS(r.State ?? r.STATE ?? r.state ?? r.Jurisdiction ?? r.JURISDICTION);
+    const litP1 = parseFloat(r.Lit_P1 ?? r.lit_p1);
+    if (!usps || isNaN(litP1)) return;
+    const litAvg = parseFloat(r.Lit_A ?? r.lit_a);
+    out[usps] = { litP1, litAvg: isNaN(litAvg) ? null : litAvg };
+  });
+  if (!Object.keys(out).length) {
+    throw new InputShapeError(filePath, 'no state rows with a Lit_P1 value');
+  }
+  return out;
+}
+
+function sha256(filePath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+module.exports = {
+  MissingInputError,
+  InputShapeError,
+  recordInput,
+  takeRecordedInputs,
+  findInput,
+  findInputMatching,
+  readTable,
+  columnKeys,
+  requireColumns,
+  readPIAACStates,
+  sha256
+};
@@ -0,0 +1,160 @@
+// File: sw.js
+// Purpose: Service worker for offline use (workshops without Wi-Fi)
+// Description: Pre-caches the pages, scripts, vendored libraries/fonts and data files on
+//              install, so the whole desk.html experience works offline after the first
+//              visit. Same-origin GET requests are served network-first (fresh data and code
+//              when online) and fall back to the cache when the network is unavailable.
+//              Bump CACHE_VERSION when this list changes; add new runtime files here too.
+
+const CACHE_VERSION = 'v11';
+const CACHE_NAME = `literacy-offline-${CACHE_VERSION}`;
+
+const PRECACHE_URLS = [
+  // Pages
+  './',
+  'index.html',
+  'investigate.html',
+  'design.html',
+  'desk.html',
+  'dot_guide.html',
+
+  // Styles and images
+  'css/style.css',
+  'css/styles.css',
+  'css/visualization5.css',
+  'png/books.png',
+  'png/desk.png',
+  'png/gradcap.png',
+  'png/grade.png',
+  'png/laptop.png',
+  'png/map.png',
+
+  // Application scripts
+  'js/stateRegistry.js',
+  'js/helpers3.js',
+  'js/datasetCache.js',
+  'js/datasetSchema.js',
+  'js/provenance.js',
+  'js/naepService.js',
+  'js/dataHelpers.js',
+  'js/dataOutcomes.js',
+  'js/achievementLevels.js',
+  'js/avatar.js',
+  'js/registerServiceWorker.js',
+  'js/visualization1.js',
+  'js/visualization2.js',
+  'js/visualization3-with-avatar-pin.js',
+  'js/visualization4.js',
+  'js/visualization5_integrated.js',
+
+  // Vendored libraries
+  'lib/d3.v7.min.js',
+  'lib/topojson.v3.min.js',
+  'lib/xlsx.full.min.js',
+  'lib/dicebear/core/lib/index.js',
+  'lib/dicebear/core/lib/core.js',
+  'lib/dicebear/core/lib/schema.js',
+  'lib/dicebear/core/lib/types.js',
+  'lib/dicebear/core/lib/utils/color.js',
+  'lib/dicebear/core/lib/utils/escape.js',
+  'lib/dicebear/core/lib/utils/license.js',
+  'lib/dicebear/core/lib/utils/options.js',
+  'lib/dicebear/core/lib/utils/prng.js',
+  'lib/dicebear/core/lib/utils/svg.js',
+  'lib/dicebear/big-ears/lib/index.js',
+  'lib/dicebear/big-ears/lib/schema.js',
+  'lib/dicebear/big-ears/lib/types.js',
+  'lib/dicebear/big-ears/lib/components/index.js',
+  'lib/dicebear/big-ears/lib/components/cheek.js',
+  'lib/dicebear/big-ears/lib/components/ear.js',
+  'lib/dicebear/big-ears/lib/components/eyes.js',
+  'lib/dicebear/big-ears/lib/components/face.js',
+  'lib/dicebear/big-ears/lib/components/frontHair.js',
+  'lib/dicebear/big-ears/lib/components/hair.js',
+  'lib/dicebear/big-ears/lib/components/mouth.js',
+  'lib/dicebear/big-ears/lib/components/nose.js',
+  'lib/dicebear/big-ears/lib/components/sideburn.js',
+  'lib/dicebear/big-ears/lib/utils/convertColor.js',
+  'lib/dicebear/big-ears/lib/utils/getColors.js',
+  'lib/dicebear/big-ears/lib/utils/getComponents.js',
+  'lib/dicebear/big-ears/lib/utils/pickComponent.js',
+  'lib/fonts/fonts.css',
+  'lib/fonts/anton-latin-400-normal.woff2',
+  'lib/fonts/bebas-neue-latin-400-normal.woff2',
+  'lib/fonts/ibm-plex-mono-latin-400-normal.woff2',
+  'lib/fonts/ibm-plex-mono-latin-600-normal.woff2',
+  'lib/fonts/inter-latin-400-normal.woff2',
+  'lib/fonts/inter-latin-600-normal.woff2',
+  'lib/fonts/inter-latin-700-normal.woff2',
+  'lib/fonts/inter-latin-800-normal.woff2',
+
+  // Data
+  'data/manifest.json',
+  'data/naep_cleaned.json',
+  'data/schemas/naep_cleaned.schema.json',
+  'data/schemas/hs_graduation.schema.json',
+  'data/schemas/college_enrollment.schema.json',
+  'data/schemas/state_indicators.schema.json',
+  'data/schemas/viz5_data.schema.json',
+  'data/schemas/viz5_national.schema.json',
+  'data/schemas/viz_3_data.schema.json',
+  'data/outcomes.json',
+  'data/hs_graduation.json',
+  'data/college_enrollment.json',
+  'data/state_indicators.json',
+  'data/us-states-10m.json',
+  'data/viz5_data.json',
+  'data/viz5_national.json',
+  'data/viz_3_data.json',
+  'data/2019_state_gini_index.csv',
+  'data/HS_grad_rates.csv',
+  'data/college-graduation-rates-by-state-2025.csv',
+  'data/college_enrollment.csv',
+  'data/college_grad_by_family_income.csv'
+];
+
+self.addEventListener('install', event => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    // Cache files one by one so a single missing file doesn't abort the whole install
+    const results = await Promise.allSettled(PRECACHE_URLS.map(url => cache.add(url)));
+    const failed = PRECACHE_URLS.filter((url, i) => results[i].status === 'rejected');
+    if (failed.length) {
+      console.warn(`⚠️ Offline cache: ${failed.length} file(s) could not be cached:`, failed);
+    }
+    console.log(`✅ Offline cache ready (${PRECACHE_URLS.length - failed.length} files)`);
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith('literacy-offline-') && name !== CACHE_NAME)
+      .map(name => {
+        console.log(`🗑️ Removing old offline cache ${name}`);
+        return caches.delete(name);
+      }));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  // Only same-origin GETs; anything else and external links go to the network
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+  event.respondWith((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+      const response = await fetch(request);
+      if (response.ok) cache.put(request, response.clone());
+      return response;
+    } catch (err) {
+      const cached = await cache.match(request, { ignoreSearch: true });
+      if (cached) return cached;
+      throw err;
+    }
+  })());
+});